@@ -6,6 +6,8 @@ export default {
 
   testEnvironment: 'node',
 
+  setupFiles: ['<rootDir>/tests/setupEnv.js'],
+
   testMatch: [
     '**/tests/**/*.test.js',
   ],
@@ -42,9 +42,39 @@ const config = {
   NODE_ENV,
 
   MAX_CONCURRENT_JOBS: parseInt(process.env.MAX_CONCURRENT_JOBS || '5', 10),
+  QUEUES: process.env.QUEUES || '',
   JOB_RETRY_ATTEMPTS: parseInt(process.env.JOB_RETRY_ATTEMPTS || '3', 10),
+  JOB_RETRY_INITIAL_DELAY_MS: parseInt(process.env.JOB_RETRY_INITIAL_DELAY_MS || '1000', 10),
+  JOB_RETRY_MULTIPLIER: parseFloat(process.env.JOB_RETRY_MULTIPLIER || '2'),
+  JOB_RETRY_MAX_DELAY_MS: parseInt(process.env.JOB_RETRY_MAX_DELAY_MS || '60000', 10),
+  JOB_RETRY_JITTER: parseFloat(process.env.JOB_RETRY_JITTER || '0.2'),
   JOB_TIMEOUT_MS: parseInt(process.env.JOB_TIMEOUT_MS || '30000', 10),
+  JOB_CANCEL_GRACE_MS: parseInt(process.env.JOB_CANCEL_GRACE_MS || '5000', 10),
+  PAUSED_JOBS_HOLD_SLOT: (process.env.PAUSED_JOBS_HOLD_SLOT || 'true') === 'true',
+  JOB_STORE: process.env.JOB_STORE || 'memory',
+  JOB_STORE_PATH: process.env.JOB_STORE_PATH || 'data/jobs.jsonl',
+  SCHEDULE_STORE_PATH: process.env.SCHEDULE_STORE_PATH || 'data/schedules.jsonl',
+  SCHEDULE_MISFIRE_THRESHOLD_MS: parseInt(process.env.SCHEDULE_MISFIRE_THRESHOLD_MS || '60000', 10),
+  JOB_RECOVERY_POLICY: process.env.JOB_RECOVERY_POLICY || 'retry',
+  ORPHAN_POLICY: process.env.ORPHAN_POLICY || 'fail',
+  ORPHAN_POLL_INTERVAL_MS: parseInt(process.env.ORPHAN_POLL_INTERVAL_MS || '1000', 10),
+  JOB_LOGS_DIR: process.env.JOB_LOGS_DIR || 'logs/jobs',
+  JOB_LOG_MAX_LINES: parseInt(process.env.JOB_LOG_MAX_LINES || '1000', 10),
+  JOB_TYPES_PATH: process.env.JOB_TYPES_PATH || 'job-types.json',
   EXECUTABLE_PATH: process.env.EXECUTABLE_PATH || './scripts/dummy-job.sh',
+  STATS_MIN_SAMPLE_SIZE: parseInt(process.env.STATS_MIN_SAMPLE_SIZE || '10', 10),
+  STATS_MAX_BUCKETS: parseInt(process.env.STATS_MAX_BUCKETS || '1000', 10),
+  WEBHOOK_URLS: process.env.WEBHOOK_URLS || '',
+  WEBHOOK_EVENTS: process.env.WEBHOOK_EVENTS || 'any',
+  WEBHOOK_SECRET: process.env.WEBHOOK_SECRET || '',
+  WEBHOOK_TIMEOUT_MS: parseInt(process.env.WEBHOOK_TIMEOUT_MS || '5000', 10),
+  WEBHOOK_RETRY_ATTEMPTS: parseInt(process.env.WEBHOOK_RETRY_ATTEMPTS || '5', 10),
+  WEBHOOK_RETRY_INITIAL_DELAY_MS: parseInt(process.env.WEBHOOK_RETRY_INITIAL_DELAY_MS || '1000', 10),
+  WEBHOOK_RETRY_MULTIPLIER: parseFloat(process.env.WEBHOOK_RETRY_MULTIPLIER || '2'),
+  WEBHOOK_RETRY_MAX_DELAY_MS: parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS || '60000', 10),
+  WEBHOOK_RETRY_JITTER: parseFloat(process.env.WEBHOOK_RETRY_JITTER || '0.2'),
+  WEBHOOK_LOG_MAX_DELIVERIES: parseInt(process.env.WEBHOOK_LOG_MAX_DELIVERIES || '100', 10),
+  WEBHOOK_ALLOWED_HOSTS: process.env.WEBHOOK_ALLOWED_HOSTS || '',
 };
 
 export { config };
@@ -39,6 +39,17 @@ const swaggerOptions = {
               example: 'my-task-42',
               description: 'Name of the job'
             },
+            type: {
+              type: 'string',
+              example: 'dummy',
+              description: 'Registered job type the job runs, see GET /job-types'
+            },
+            namedArgs: {
+              type: 'object',
+              additionalProperties: true,
+              example: { quality: 90 },
+              description: 'Named arguments, passed to the process as --key=value flags'
+            },
             arguments: {
               type: 'array',
               items: {
@@ -49,7 +60,7 @@ const swaggerOptions = {
             },
             status: {
               type: 'string',
-              enum: ['pending', 'running', 'completed', 'failed', 'retried'],
+              enum: ['scheduled', 'pending', 'running', 'completed', 'failed', 'retry_scheduled', 'paused', 'stopping', 'cancelled', 'timed_out', 'skipped'],
               example: 'running',
               description: 'Current status of the job'
             },
@@ -73,19 +84,811 @@ const swaggerOptions = {
             },
             exitCode: {
               type: 'integer',
+              nullable: true,
               example: 0,
-              description: 'Exit code of the job'
+              description: 'Real exit code of the latest attempt, null if its process was terminated by a signal or never started'
+            },
+            signal: {
+              type: 'string',
+              nullable: true,
+              example: 'SIGKILL',
+              description: 'Signal that terminated the process of the latest attempt'
+            },
+            classification: {
+              type: 'string',
+              nullable: true,
+              enum: ['exited', 'signaled', 'spawn_error', 'timeout', 'oom_killed', null],
+              example: 'exited',
+              description: 'How the latest attempt ended; null before the first attempt ends or when it is unknown'
             },
             retryCount: {
               type: 'integer',
               example: 0,
               description: 'Number of times the job has been retried'
+            },
+            attempts: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/JobAttempt'
+              },
+              description: 'Every attempt to run the job, oldest first'
+            },
+            retryPolicy: {
+              allOf: [{ $ref: '#/components/schemas/RetryPolicy' }],
+              nullable: true,
+              description: 'Retry policy of the job, overriding the ones of its type and its queue and the defaults'
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: '2025-01-01T12:05:02Z',
+              description: 'When a job in retry_scheduled is queued again'
+            },
+            runAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              example: '2025-01-02T01:00:00Z',
+              description: 'Time a job in scheduled is queued at, set with runAt or delayMs on submission'
+            },
+            predictedSuccessProbability: {
+              type: 'number',
+              nullable: true,
+              example: 0.82,
+              description: 'Probability of success predicted when the job was submitted, null while there is too little history (see GET /stats/model)'
+            },
+            webhooks: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Webhook'
+              },
+              description: 'URLs notified of the status changes of the job, see GET /jobs/{id}/webhooks'
+            },
+            dependsOn: {
+              type: 'array',
+              items: {
+                type: 'string',
+                format: 'uuid'
+              },
+              description: 'Upstream jobs that have to complete before the job starts; the job is skipped if one of them does not'
+            },
+            workflowId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Workflow the job was submitted with, see GET /workflows/{id}'
+            },
+            workflowKey: {
+              type: 'string',
+              nullable: true,
+              example: 'resize',
+              description: 'Key of the job within its workflow'
+            },
+            scheduleId: {
+              type: 'string',
+              format: 'uuid',
+              nullable: true,
+              description: 'Schedule that created the job, see GET /schedules/{id}'
+            },
+            queue: {
+              type: 'string',
+              example: 'transcode',
+              description: 'Named queue the job waits in, see GET /queues'
+            },
+            outputs: {
+              type: 'object',
+              additionalProperties: true,
+              example: { path: '/tmp/frames' },
+              description: 'Outputs of the latest attempt: every "::output key=value" line of stdout, and the JSON object the process wrote to the file at $JOB_OUTPUTS_FILE'
+            },
+            priority: {
+              type: 'integer',
+              example: 3,
+              description: 'Priority of the job (1-5, where 5 is highest)'
+            },
+            timeoutMs: {
+              type: 'integer',
+              nullable: true,
+              example: 60000,
+              description: 'Per-job timeout in milliseconds, null when JOB_TIMEOUT_MS applies'
+            },
+            argv: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              nullable: true,
+              example: ['/app/scripts/dummy-job.sh', 'my-job', 'arg with spaces'],
+              description: 'Exact argv of the latest process started for the job, each element passed as one argument without a shell'
+            },
+            pid: {
+              type: 'integer',
+              nullable: true,
+              example: 12345,
+              description: 'PID of the latest process started for the job'
+            },
+            processStartTime: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the OS started the latest process, used to recognise it after a restart'
+            },
+            failureReason: {
+              type: 'string',
+              nullable: true,
+              example: 'lost_on_restart',
+              description: 'Why the job failed, when it was not a plain non-zero exit: missing_output when its arguments refer to an output that does not exist; upstream_failed or upstream_deleted for a skipped job'
+            }
+          }
+        },
+        JobAttempt: {
+          type: 'object',
+          properties: {
+            attempt: {
+              type: 'integer',
+              example: 1,
+              description: 'Attempt number (1 for the first run)'
+            },
+            startedAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the attempt started'
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the attempt ended, null while it runs'
+            },
+            durationMs: {
+              type: 'integer',
+              nullable: true,
+              example: 3012,
+              description: 'Time between start and end of the attempt'
+            },
+            pid: {
+              type: 'integer',
+              nullable: true,
+              example: 12345,
+              description: 'PID of the process of the attempt'
+            },
+            concurrency: {
+              type: 'integer',
+              nullable: true,
+              example: 3,
+              description: 'Number of jobs running when the attempt started, including this one'
+            },
+            exitCode: {
+              type: 'integer',
+              nullable: true,
+              example: 1,
+              description: 'Exit code of the process'
+            },
+            signal: {
+              type: 'string',
+              nullable: true,
+              example: 'SIGKILL',
+              description: 'Signal that terminated the process'
+            },
+            classification: {
+              type: 'string',
+              nullable: true,
+              enum: ['exited', 'signaled', 'spawn_error', 'timeout', 'oom_killed', null],
+              description: 'How the process ended, null when it is unknown'
+            },
+            failureReason: {
+              type: 'string',
+              nullable: true,
+              enum: ['non_zero_exit', 'signaled', 'spawn_error', 'timed_out', 'oom_killed', 'cancelled', 'lost_on_restart', 'exit_status_unknown', null],
+              description: 'Why the attempt failed, null if it succeeded'
+            },
+            logs: {
+              type: 'string',
+              example: '/jobs/123e4567-e89b-12d3-a456-426614174000/logs?attempt=1',
+              description: 'Path of the output of the attempt'
+            }
+          }
+        },
+        JobLogLine: {
+          type: 'object',
+          properties: {
+            time: {
+              type: 'string',
+              format: 'date-time',
+              description: 'Timestamp the line was captured'
+            },
+            attempt: {
+              type: 'integer',
+              example: 1,
+              description: 'Attempt that produced the line (1 for the first run)'
+            },
+            stream: {
+              type: 'string',
+              enum: ['stdout', 'stderr']
+            },
+            line: {
+              type: 'string',
+              example: 'Processing for 3 seconds...'
+            }
+          }
+        },
+        Webhook: {
+          type: 'object',
+          required: ['url'],
+          properties: {
+            url: {
+              type: 'string',
+              format: 'uri',
+              example: 'https://example.com/hooks/jobs',
+              description: 'http or https URL the deliveries are POSTed to. It may not point to localhost or a loopback, private or link-local address unless its host is in WEBHOOK_ALLOWED_HOSTS'
+            },
+            events: {
+              type: 'array',
+              items: {
+                type: 'string',
+                enum: ['any', 'running', 'completed', 'failed', 'timed_out', 'cancelled', 'paused', 'retried', 'skipped']
+              },
+              default: ['any'],
+              example: ['completed', 'failed'],
+              description: 'Events that are delivered; retried is a failed attempt going back to the queue, the others are the new status'
+            }
+          }
+        },
+        WebhookDelivery: {
+          type: 'object',
+          description: 'A POST of {event, occurredAt, previousStatus, job} to a webhook. The body is signed with WEBHOOK_SECRET: X-Webhook-Signature is sha256= followed by the hex HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>"',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid',
+              description: 'Delivery ID, sent in the X-Webhook-Delivery header of every attempt'
+            },
+            jobId: {
+              type: 'string'
+            },
+            event: {
+              type: 'string',
+              example: 'completed',
+              description: 'Event sent in the X-Webhook-Event header'
+            },
+            url: {
+              type: 'string',
+              format: 'uri'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'retrying', 'delivered', 'failed'],
+              description: 'pending while the first attempt is in flight, failed once the receiver rejected it with a 4xx or every retry failed'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time',
+              description: 'When the event happened'
+            },
+            deliveredAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the receiver accepted the delivery with a 2xx status'
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the next retry is sent'
+            },
+            attempts: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  attempt: { type: 'integer', example: 1 },
+                  sentAt: { type: 'string', format: 'date-time' },
+                  durationMs: { type: 'integer', example: 42 },
+                  statusCode: { type: 'integer', nullable: true, example: 503, description: 'Status of the response, null without one' },
+                  error: { type: 'string', nullable: true, example: 'connect ECONNREFUSED 127.0.0.1:9000', description: 'Why no response arrived' }
+                }
+              }
+            }
+          }
+        },
+        WorkflowJobSpec: {
+          type: 'object',
+          required: ['key', 'jobName'],
+          description: 'A job of a workflow: the fields of POST /jobs, a key, and the keys of its upstream jobs. String args and namedArgs may refer to outputs of upstream jobs as ${{ jobs.<key>.outputs.<name> }}, which are substituted when the job starts',
+          properties: {
+            key: {
+              type: 'string',
+              pattern: '^[A-Za-z0-9_-]+$',
+              example: 'resize',
+              description: 'Name of the job within the workflow, unique in it'
+            },
+            dependsOn: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              example: ['download'],
+              description: 'Keys of the upstream jobs; they must not form a cycle'
+            },
+            jobName: {
+              type: 'string',
+              example: 'resize-images'
+            },
+            type: {
+              type: 'string'
+            },
+            args: {
+              type: 'array',
+              items: {},
+              example: ['${{ jobs.decode.outputs.path }}']
+            },
+            namedArgs: {
+              type: 'object',
+              additionalProperties: true
+            },
+            priority: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5,
+              description: 'Defaults to the defaultPriority of the queue'
+            },
+            queue: {
+              type: 'string',
+              default: 'default'
+            },
+            timeoutMs: {
+              type: 'integer',
+              minimum: 1
+            },
+            retryPolicy: {
+              $ref: '#/components/schemas/RetryPolicy'
+            },
+            webhooks: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Webhook'
+              }
+            }
+          }
+        },
+        Workflow: {
+          type: 'object',
+          properties: {
+            id: {
+              type: 'string',
+              format: 'uuid'
+            },
+            status: {
+              type: 'string',
+              enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+              description: 'completed when every job completed; failed when every job finished and one failed or timed out; cancelled when every job finished and some were cancelled or skipped; pending before any job started; running otherwise'
+            },
+            createdAt: {
+              type: 'string',
+              format: 'date-time'
+            },
+            completedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the last job finished, null until every job finished'
+            },
+            total: {
+              type: 'integer',
+              example: 3
+            },
+            counts: {
+              type: 'object',
+              additionalProperties: {
+                type: 'integer'
+              },
+              example: { completed: 1, running: 1, pending: 1 },
+              description: 'Number of jobs in every status'
+            },
+            jobs: {
+              type: 'array',
+              items: {
+                $ref: '#/components/schemas/Job'
+              },
+              description: 'Jobs of the workflow, upstream jobs first'
+            }
+          }
+        },
+        ScheduleSpec: {
+          type: 'object',
+          description: 'Timing, policies and job spec of a schedule. Exactly one of cron and intervalMs is set',
+          properties: {
+            name: {
+              type: 'string',
+              nullable: true,
+              example: 'nightly-report'
+            },
+            cron: {
+              type: 'string',
+              example: '0 3 * * *',
+              description: 'Cron expression with 5 fields, or 6 with seconds first'
+            },
+            intervalMs: {
+              type: 'integer',
+              minimum: 1000,
+              example: 300000,
+              description: 'Time between runs; runs keep the phase of the first one'
+            },
+            timezone: {
+              type: 'string',
+              default: 'UTC',
+              example: 'Europe/Berlin',
+              description: 'IANA time zone the cron expression is evaluated in'
+            },
+            enabled: {
+              type: 'boolean',
+              default: true,
+              description: 'Disabled schedules do not run and have no nextRunAt'
+            },
+            misfirePolicy: {
+              type: 'string',
+              enum: ['skip', 'run_once'],
+              default: 'skip',
+              description: 'What happens to a run that is due for longer than SCHEDULE_MISFIRE_THRESHOLD_MS, e.g. after a restart: skip drops it, run_once runs once however many runs were missed'
+            },
+            overlapPolicy: {
+              type: 'string',
+              enum: ['allow', 'forbid'],
+              default: 'allow',
+              description: 'forbid skips a run while the job of the previous run has not finished'
+            },
+            job: {
+              type: 'object',
+              description: 'Fields of POST /jobs the job of every run is created with, except dependsOn',
+              example: { jobName: 'report', args: ['daily'], priority: 2 }
+            }
+          }
+        },
+        Schedule: {
+          allOf: [
+            { $ref: '#/components/schemas/ScheduleSpec' },
+            {
+              type: 'object',
+              properties: {
+                id: {
+                  type: 'string',
+                  format: 'uuid'
+                },
+                createdAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                updatedAt: {
+                  type: 'string',
+                  format: 'date-time'
+                },
+                nextRunAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true
+                },
+                lastRunAt: {
+                  type: 'string',
+                  format: 'date-time',
+                  nullable: true
+                },
+                lastJobId: {
+                  type: 'string',
+                  format: 'uuid',
+                  nullable: true,
+                  description: 'Job created by the latest run; GET /jobs?scheduleId= lists all of them'
+                },
+                runCount: {
+                  type: 'integer',
+                  description: 'Number of runs that created a job'
+                },
+                skippedRunCount: {
+                  type: 'integer',
+                  description: 'Number of runs skipped by the misfire or overlap policy'
+                }
+              }
+            }
+          ]
+        },
+        JobEvent: {
+          type: 'object',
+          description: 'Message of the WebSocket at /events (ws://<host>/events?jobId=&jobName=&status=&type=). Besides events, the socket sends {type: "subscribed", filter} after every (re)subscription and {type: "error", message, errors} for invalid messages',
+          properties: {
+            type: {
+              type: 'string',
+              enum: ['job.created', 'job.started', 'job.retried', 'job.completed', 'job.failed', 'job.cancelled', 'job.skipped', 'job.paused', 'job.resumed', 'job.priorityChanged', 'job.rescheduled', 'job.deleted']
+            },
+            sequence: {
+              type: 'integer',
+              example: 42,
+              description: 'Increases by one with every event published, so a gap means a filtered or missed event'
+            },
+            time: {
+              type: 'string',
+              format: 'date-time'
+            },
+            jobId: {
+              type: 'string'
+            },
+            jobName: {
+              type: 'string'
+            },
+            status: {
+              type: 'string',
+              description: 'Status of the job after the event'
+            },
+            previousStatus: {
+              type: 'string',
+              description: 'Status before a status transition'
+            },
+            retryCount: {
+              type: 'integer',
+              description: 'Retries so far, on job.retried'
+            },
+            nextAttemptAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'When the retry is queued, on job.retried; null if it is queued right away'
+            },
+            previousPriority: {
+              type: 'integer',
+              description: 'Priority before a job.priorityChanged'
+            },
+            priority: {
+              type: 'integer',
+              description: 'New priority, on job.priorityChanged'
+            },
+            previousRunAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'runAt before a job.rescheduled'
+            },
+            runAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'New runAt, on job.rescheduled; null if the job was queued right away'
+            },
+            job: {
+              $ref: '#/components/schemas/Job'
+            }
+          }
+        },
+        RetryPolicy: {
+          type: 'object',
+          description: 'How failed jobs are retried. Every setting is optional, unset ones come from the job type or the JOB_RETRY_* defaults',
+          properties: {
+            attempts: {
+              type: 'integer',
+              minimum: 0,
+              example: 3,
+              description: 'Number of retries after the first attempt'
+            },
+            initialDelayMs: {
+              type: 'integer',
+              minimum: 0,
+              example: 1000,
+              description: 'Delay before the first retry'
+            },
+            multiplier: {
+              type: 'number',
+              minimum: 1,
+              example: 2,
+              description: 'Factor the delay grows by with every retry'
+            },
+            maxDelayMs: {
+              type: 'integer',
+              minimum: 0,
+              example: 60000,
+              description: 'Upper bound of the delay'
+            },
+            jitter: {
+              type: 'number',
+              minimum: 0,
+              maximum: 1,
+              example: 0.2,
+              description: 'Up to this part of the delay is random, so jobs that failed together do not retry together'
+            },
+            retryOn: {
+              type: 'object',
+              description: 'Failures that are retried; timeouts and other failures are retried by default',
+              properties: {
+                exitCodes: {
+                  type: 'array',
+                  items: { type: 'integer' },
+                  description: 'Only retry these exit codes'
+                },
+                exceptExitCodes: {
+                  type: 'array',
+                  items: { type: 'integer' },
+                  example: [2],
+                  description: 'Never retry these exit codes'
+                },
+                signals: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  description: 'Only retry processes terminated by these signals'
+                },
+                exceptSignals: {
+                  type: 'array',
+                  items: { type: 'string' },
+                  example: ['SIGKILL'],
+                  description: 'Never retry processes terminated by these signals'
+                },
+                timeouts: {
+                  type: 'boolean',
+                  description: 'Whether jobs killed by the watchdog are retried'
+                }
+              }
+            }
+          }
+        },
+        JobType: {
+          type: 'object',
+          properties: {
+            name: {
+              type: 'string',
+              example: 'dummy'
+            },
+            description: {
+              type: 'string'
+            },
+            executable: {
+              type: 'string',
+              example: '/app/scripts/dummy-job.sh',
+              description: 'Executable started for jobs of this type'
+            },
+            args: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Default arguments passed before the job arguments'
+            },
+            passJobName: {
+              type: 'boolean',
+              description: 'Whether the job name is passed as an argument after the default arguments'
+            },
+            cwd: {
+              type: 'string',
+              nullable: true,
+              description: 'Working directory, null to use the one of the service'
+            },
+            envVars: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Names of the environment variables set for the process (values are not exposed)'
+            },
+            timeoutMs: {
+              type: 'integer',
+              nullable: true,
+              description: 'Timeout of jobs of this type, null when JOB_TIMEOUT_MS applies'
+            },
+            retryPolicy: {
+              allOf: [{ $ref: '#/components/schemas/RetryPolicy' }],
+              nullable: true,
+              description: 'Retry policy of jobs of this type, overriding the one of their queue and the JOB_RETRY_* defaults'
+            },
+            argsSchema: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                positional: {
+                  type: 'object',
+                  description: 'JSON Schema the args array is validated against'
+                },
+                named: {
+                  type: 'object',
+                  description: 'JSON Schema the namedArgs object is validated against'
+                }
+              },
+              description: 'Schemas of the arguments jobs of this type accept, null to accept any'
+            }
+          }
+        },
+        QueueSettings: {
+          type: 'object',
+          properties: {
+            concurrency: {
+              type: 'integer',
+              minimum: 1,
+              example: 2,
+              description: 'Most jobs of the queue that run at once; MAX_CONCURRENT_JOBS caps all queues together. Required for a new queue'
+            },
+            defaultPriority: {
+              type: 'integer',
+              minimum: 1,
+              maximum: 5,
+              default: 3,
+              description: 'Priority of the jobs submitted to the queue without one'
+            },
+            retryPolicy: {
+              allOf: [{ $ref: '#/components/schemas/RetryPolicy' }],
+              nullable: true,
+              description: 'Retry policy of the jobs of the queue, overriding the JOB_RETRY_* defaults'
+            }
+          }
+        },
+        Queue: {
+          allOf: [
+            {
+              type: 'object',
+              properties: {
+                name: {
+                  type: 'string',
+                  example: 'transcode'
+                }
+              }
+            },
+            { $ref: '#/components/schemas/QueueSettings' },
+            {
+              type: 'object',
+              properties: {
+                running: {
+                  type: 'integer',
+                  example: 2,
+                  description: 'Jobs of the queue holding a slot, paused jobs included while PAUSED_JOBS_HOLD_SLOT is true'
+                },
+                pending: {
+                  type: 'integer',
+                  example: 7,
+                  description: 'Depth of the queue: its jobs waiting for a slot'
+                },
+                utilization: {
+                  type: 'number',
+                  example: 1,
+                  description: 'running divided by concurrency; above 1 after the limit was lowered below the running jobs'
+                }
+              }
+            }
+          ]
+        },
+        LatencyPercentiles: {
+          type: 'object',
+          description: 'Percentiles estimated by a quantile sketch within 1% of the true value, in milliseconds; null if count is 0',
+          properties: {
+            count: { type: 'integer', example: 120 },
+            p50: { type: 'number', nullable: true, example: 1520.4 },
+            p90: { type: 'number', nullable: true, example: 4210.7 },
+            p95: { type: 'number', nullable: true, example: 6022.1 },
+            p99: { type: 'number', nullable: true, example: 9120.5 },
+            max: { type: 'number', nullable: true, example: 11034 }
+          }
+        },
+        LatencyMetrics: {
+          type: 'object',
+          properties: {
+            queueWait: {
+              $ref: '#/components/schemas/LatencyPercentiles',
+              description: 'From createdAt to the start of the first attempt'
+            },
+            runDuration: {
+              $ref: '#/components/schemas/LatencyPercentiles',
+              description: 'Duration of all attempts together, without retry delays'
+            },
+            turnaround: {
+              $ref: '#/components/schemas/LatencyPercentiles',
+              description: 'From createdAt to completedAt'
             }
           }
         },
         JobStats: {
           type: 'object',
           properties: {
+            window: {
+              type: 'object',
+              description: 'Submission times of the jobs counted, null for no bound',
+              properties: {
+                from: { type: 'string', format: 'date-time', nullable: true },
+                to: { type: 'string', format: 'date-time', nullable: true }
+              }
+            },
             totalJobs: {
               type: 'integer',
               example: 100,
@@ -111,16 +914,74 @@ const swaggerOptions = {
               example: 5,
               description: 'Number of running jobs'
             },
+            scheduledJobs: {
+              type: 'integer',
+              description: 'Number of jobs waiting for their runAt'
+            },
+            skippedJobs: {
+              type: 'integer',
+              description: 'Number of jobs skipped because an upstream job did not complete'
+            },
+            retriedJobs: {
+              type: 'integer',
+              description: 'Number of jobs that were retried at least once'
+            },
+            totalAttempts: {
+              type: 'integer',
+              description: 'Number of finished attempts of all jobs'
+            },
+            failedAttempts: {
+              type: 'integer',
+              description: 'Number of finished attempts that failed'
+            },
+            attemptsByClassification: {
+              type: 'object',
+              additionalProperties: { type: 'integer' },
+              example: { exited: 40, signaled: 2, oom_killed: 1 },
+              description: 'Number of finished attempts by how they ended'
+            },
+            attemptsByExitCode: {
+              type: 'object',
+              additionalProperties: { type: 'integer' },
+              example: { 0: 30, 1: 8, 2: 2 },
+              description: 'Number of finished attempts by exit code'
+            },
             averageCompletionTime: {
               type: 'number',
-              description: 'Average time to complete a job in milliseconds'
+              description: 'Average duration of the successful attempts in milliseconds, not counting failed attempts and retry delays'
+            },
+            averageAttemptDuration: {
+              type: 'number',
+              description: 'Average duration of all finished attempts in milliseconds'
             },
             successRate: {
               type: 'number',
-              description: 'Success rate as a percentage'
+              example: 75.56,
+              description: 'Success rate of the finished jobs as a percentage'
+            },
+            overallSuccessRate: {
+              type: 'number',
+              example: 0.7556,
+              description: 'Success rate of the finished jobs as a decimal'
+            },
+            sampleSize: {
+              type: 'integer',
+              example: 90,
+              description: 'Number of finished (completed, failed or timed out) jobs the success rates are based on'
+            },
+            confidenceLevel: {
+              type: 'number',
+              example: 0.95,
+              description: 'Confidence level of the confidence intervals of the patterns'
+            },
+            minSampleSize: {
+              type: 'integer',
+              example: 10,
+              description: 'Patterns matched by fewer jobs are flagged with insufficientSample (STATS_MIN_SAMPLE_SIZE)'
             },
             patterns: {
               type: 'array',
+              description: 'Success rate of every pattern of every job characteristic, trustworthy patterns with the largest difference from the overall success rate first',
               items: {
                 type: 'object',
                 properties: {
@@ -129,10 +990,20 @@ const swaggerOptions = {
                     example: 'Job name length > 10',
                     description: 'Description of the pattern'
                   },
+                  characteristic: {
+                    type: 'string',
+                    example: 'nameLength',
+                    description: 'Characteristic the pattern belongs to'
+                  },
                   matchCount: {
                     type: 'integer',
                     example: 24,
-                    description: 'Number of jobs matching this pattern'
+                    description: 'Number of finished jobs matching this pattern (sample size)'
+                  },
+                  successCount: {
+                    type: 'integer',
+                    example: 20,
+                    description: 'Number of matching jobs that completed'
                   },
                   successRate: {
                     type: 'number',
@@ -142,13 +1013,309 @@ const swaggerOptions = {
                   },
                   differenceFromAverage: {
                     type: 'string',
-                    description: 'Difference from average success rate'
+                    example: '+7.8%',
+                    description: 'Difference from average success rate, in percentage points'
+                  },
+                  confidenceInterval: {
+                    type: 'object',
+                    description: 'Wilson score interval of the success rate at confidenceLevel',
+                    properties: {
+                      lower: {
+                        type: 'number',
+                        example: 0.6406
+                      },
+                      upper: {
+                        type: 'number',
+                        example: 0.9331
+                      }
+                    }
+                  },
+                  insufficientSample: {
+                    type: 'boolean',
+                    description: 'Whether matchCount is below minSampleSize, so the pattern should not be trusted'
+                  }
+                }
+              }
+            },
+            latency: {
+              type: 'object',
+              description: 'Timings of every completed, failed or timed out job since the service started, including deleted jobs and regardless of from and to',
+              properties: {
+                overall: { $ref: '#/components/schemas/LatencyMetrics' },
+                byJobName: {
+                  type: 'object',
+                  additionalProperties: { $ref: '#/components/schemas/LatencyMetrics' }
+                },
+                byPriority: {
+                  type: 'object',
+                  additionalProperties: { $ref: '#/components/schemas/LatencyMetrics' }
+                }
+              }
+            },
+            timeSeries: {
+              type: 'object',
+              description: 'Events per bucket, only if the bucket parameter is given. Events of every job count where they happened, including jobs submitted outside the window',
+              properties: {
+                bucket: { type: 'string', example: '1h' },
+                bucketMs: { type: 'integer', example: 3600000 },
+                from: { type: 'string', format: 'date-time', description: 'Start of the series; the first job if the from parameter is omitted, at most STATS_MAX_BUCKETS buckets back' },
+                to: { type: 'string', format: 'date-time', description: 'End of the series; now if the to parameter is omitted' },
+                buckets: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      start: { type: 'string', format: 'date-time', description: 'Start of the bucket, aligned to the Unix epoch (UTC)' },
+                      end: { type: 'string', format: 'date-time' },
+                      submitted: { type: 'integer', description: 'Jobs submitted' },
+                      completed: { type: 'integer', description: 'Jobs that completed' },
+                      failed: { type: 'integer', description: 'Jobs that failed or timed out for good' },
+                      retried: { type: 'integer', description: 'Retry attempts started' },
+                      averageQueueWait: { type: 'number', nullable: true, description: 'Average time in milliseconds from submission to the start of first attempts started in the bucket, null if none' },
+                      averageRunDuration: { type: 'number', nullable: true, description: 'Average duration in milliseconds of attempts that ended in the bucket, null if none' }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        },
+        PredictionModel: {
+          type: 'object',
+          properties: {
+            type: {
+              type: 'string',
+              example: 'naive-bayes'
+            },
+            trained: {
+              type: 'boolean',
+              description: 'False until at least minSampleSize jobs have finished'
+            },
+            trainedAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true
+            },
+            sampleSize: {
+              type: 'integer',
+              example: 90,
+              description: 'Number of finished (completed, failed or timed out) jobs the model was trained on'
+            },
+            minSampleSize: {
+              type: 'integer',
+              example: 10,
+              description: 'Finished jobs needed to train the model (STATS_MIN_SAMPLE_SIZE)'
+            },
+            holdoutSize: {
+              type: 'integer',
+              example: 18,
+              description: 'Number of the most recent jobs held out to measure the accuracy'
+            },
+            accuracy: {
+              type: 'number',
+              nullable: true,
+              example: 0.8333,
+              description: 'Share of held-out jobs whose outcome was predicted correctly by a model trained on the older jobs'
+            },
+            baselineAccuracy: {
+              type: 'number',
+              nullable: true,
+              example: 0.7222,
+              description: 'Accuracy of always predicting the most common outcome, for comparison'
+            },
+            logLoss: {
+              type: 'number',
+              nullable: true,
+              example: 0.4123,
+              description: 'Mean log loss on the held-out jobs'
+            },
+            prior: {
+              type: 'object',
+              nullable: true,
+              properties: {
+                successRate: { type: 'number', example: 0.7556 }
+              }
+            },
+            features: {
+              type: 'array',
+              description: 'Characteristics known at submission, with the weight of each pattern',
+              items: {
+                type: 'object',
+                properties: {
+                  characteristic: { type: 'string', example: 'nameLength' },
+                  weights: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        pattern: { type: 'string', example: 'Job name length > 10' },
+                        successCount: { type: 'integer', example: 20 },
+                        failureCount: { type: 'integer', example: 4 },
+                        weight: {
+                          type: 'number',
+                          example: 0.4418,
+                          description: 'Log-likelihood ratio of success over failure; positive patterns raise the predicted probability'
+                        }
+                      }
+                    }
                   }
                 }
               }
             }
           }
         },
+        JobCorrelations: {
+          type: 'object',
+          properties: {
+            sampleSize: {
+              type: 'integer',
+              example: 90,
+              description: 'Number of finished (completed, failed or timed out) jobs the tests are based on'
+            },
+            overallSuccessRate: {
+              type: 'number',
+              example: 0.7556,
+              description: 'Success rate of the finished jobs as a decimal'
+            },
+            confidenceLevel: {
+              type: 'number',
+              example: 0.95,
+              description: 'Confidence level of the confidence intervals of the patterns'
+            },
+            significanceLevel: {
+              type: 'number',
+              example: 0.05,
+              description: 'Adjusted p-value below which a correlation is significant'
+            },
+            correction: {
+              type: 'string',
+              example: 'benjamini-hochberg',
+              description: 'Multiple-comparison correction applied to the p-values'
+            },
+            correlations: {
+              type: 'array',
+              description: 'One entry per job characteristic, the most significant first and the untestable ones last',
+              items: {
+                type: 'object',
+                properties: {
+                  characteristic: {
+                    type: 'string',
+                    example: 'nameLength'
+                  },
+                  description: {
+                    type: 'string',
+                    example: 'Length of the job name'
+                  },
+                  sampleSize: {
+                    type: 'integer',
+                    example: 90,
+                    description: 'Number of finished jobs the characteristic applies to'
+                  },
+                  patterns: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        pattern: { type: 'string', example: 'Job name length > 10' },
+                        matchCount: { type: 'integer', example: 24 },
+                        successCount: { type: 'integer', example: 20 },
+                        successRate: { type: 'number', example: 0.8333 },
+                        confidenceInterval: {
+                          type: 'object',
+                          description: 'Wilson score interval of the success rate at confidenceLevel',
+                          properties: {
+                            lower: { type: 'number', example: 0.6406 },
+                            upper: { type: 'number', example: 0.9331 }
+                          }
+                        }
+                      }
+                    }
+                  },
+                  test: {
+                    type: 'string',
+                    nullable: true,
+                    enum: ['chi-square', 'fisher-exact'],
+                    description: "Fisher's exact test for two patterns with an expected count below 5, otherwise Pearson's chi-square test; null if the characteristic has fewer than two patterns or all its jobs had the same outcome"
+                  },
+                  statistic: {
+                    type: 'number',
+                    nullable: true,
+                    example: 6.42,
+                    description: 'Chi-square statistic'
+                  },
+                  degreesOfFreedom: {
+                    type: 'integer',
+                    nullable: true,
+                    example: 2
+                  },
+                  pValue: {
+                    type: 'number',
+                    nullable: true,
+                    example: 0.0404
+                  },
+                  adjustedPValue: {
+                    type: 'number',
+                    nullable: true,
+                    example: 0.1414,
+                    description: 'p-value adjusted for the number of characteristics tested'
+                  },
+                  cramersV: {
+                    type: 'number',
+                    nullable: true,
+                    example: 0.27,
+                    description: "Cramér's V effect size from 0 (no association) to 1; for two patterns it equals the point-biserial correlation"
+                  },
+                  significant: {
+                    type: 'boolean',
+                    description: 'Whether adjustedPValue is below significanceLevel'
+                  }
+                }
+              }
+            }
+          }
+        },
+        ValidationError: {
+          type: 'object',
+          properties: {
+            message: {
+              type: 'string',
+              description: 'All violations, separated by semicolons'
+            },
+            code: {
+              type: 'integer',
+              example: 400
+            },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: {
+                    type: 'string',
+                    example: 'namedArgs/quality',
+                    description: 'Request field, with a JSON pointer into args or namedArgs'
+                  },
+                  message: {
+                    type: 'string',
+                    example: 'namedArgs/quality must be <= 100'
+                  },
+                  keyword: {
+                    type: 'string',
+                    example: 'maximum',
+                    description: 'JSON Schema keyword that failed, for violations of the argsSchema'
+                  }
+                }
+              }
+            },
+            validTypes: {
+              type: 'array',
+              items: {
+                type: 'string'
+              },
+              description: 'Registered job types, only present when the requested type is unknown'
+            }
+          }
+        },
         Error: {
           type: 'object',
           properties: {
@@ -1,5 +1,239 @@
 import { jobService } from '../services/jobService.js';
+import { jobTypeService } from '../services/jobTypeService.js';
+import { queueService, DEFAULT_QUEUE } from '../services/queueService.js';
+import { webhookService } from '../services/webhookService.js';
+import { JobClassification } from '../models/job.js';
 import { logger } from '../utils/logger/index.js';
+import { validateRetryPolicy } from '../utils/retry/index.js';
+import { findOutputReferences } from '../utils/outputs/index.js';
+import { parseDuration, parseDate, floorToBucket } from '../utils/time/index.js';
+import { config } from '../config/index.js';
+
+const SSE_HEARTBEAT_INTERVAL_MS = 15000;
+
+/**
+ * Sends the response for a job action (pause, resume, cancel) based on the service result
+ * @param {import('express').Response} res - Express response
+ * @param {string} id - Job ID
+ * @param {Object} result - Result returned by the service
+ * @param {string} action - Past tense of the action, used in messages
+ */
+const sendJobActionResult = (res, id, result, action) => {
+  if (result.success) {
+    return res.status(200).json({
+      message: `Job ${action} successfully`,
+      job: result.job
+    });
+  }
+
+  if (result.reason === 'not_found') {
+    return res.status(404).json({
+      message: `Job with ID ${id} not found`,
+      code: 404
+    });
+  } else if (result.reason === 'invalid_status') {
+    return res.status(400).json({
+      message: `Job with ID ${id} cannot be ${action} because it is ${result.status}`,
+      code: 400
+    });
+  }
+
+  return res.status(500).json({
+    message: result.message || `Error: job not ${action}`,
+    code: 500
+  });
+};
+
+// Named arguments become --key=value flags, so keys are limited to what is safe in a flag name
+const NAMED_ARG_KEY_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]*$/;
+
+/**
+ * Checks that an argument value can be passed to a process as-is
+ * @param {*} value - Argument value
+ * @returns {boolean} - True for strings, numbers and booleans
+ */
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Validates when a job is queued: at runAt, or delayMs from now
+ * @param {Object} body - Request body
+ * @param {*} body.runAt - ISO timestamp or Unix timestamp in milliseconds
+ * @param {*} body.delayMs - Delay in milliseconds
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the time is valid
+ */
+const validateRunAt = ({ runAt, delayMs }) => {
+  if (runAt !== undefined && delayMs !== undefined) {
+    return [{ field: 'runAt', message: 'Only one of runAt and delayMs can be set' }];
+  }
+
+  if (runAt !== undefined && runAt !== null && (!['string', 'number'].includes(typeof runAt) || !parseDate(runAt))) {
+    return [{ field: 'runAt', message: 'runAt must be an ISO timestamp' }];
+  }
+
+  if (delayMs !== undefined && (!Number.isInteger(delayMs) || delayMs < 0)) {
+    return [{ field: 'delayMs', message: 'delayMs must be a non-negative integer' }];
+  }
+
+  return [];
+};
+
+/**
+ * Get the time a job is queued at from a request validated with validateRunAt
+ * @param {Object} body - Request body
+ * @returns {string|null} - ISO timestamp, or null to queue the job right away
+ */
+const resolveRunAt = ({ runAt, delayMs }) => {
+  if (delayMs !== undefined) {
+    return new Date(Date.now() + delayMs).toISOString();
+  }
+  return runAt !== undefined && runAt !== null ? parseDate(runAt).toISOString() : null;
+};
+
+/**
+ * Validates the body of POST /jobs, including the arguments against the argsSchema of the job type.
+ * Output references only resolve within a workflow, so other jobs may not contain them.
+ * @param {Object} body - Request body
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.allowOutputReferences=false] - Whether the arguments may refer to outputs of upstream jobs
+ * @returns {{violations: {field: string, message: string, keyword?: string}[], validTypes: string[]|null}} -
+ *   Every violation found, and the registered job types when the requested one is unknown
+ */
+const validateCreateJobRequest = (body, { allowOutputReferences = false } = {}) => {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return { violations: [{ field: 'body', message: 'Job must be an object' }], validTypes: null };
+  }
+
+  const { jobName, type, args = [], namedArgs = {}, priority, queue, timeoutMs, retryPolicy, webhooks, dependsOn, runAt, delayMs } = body;
+  const violations = [];
+  let validTypes = null;
+
+  if (!jobName) {
+    violations.push({ field: 'jobName', message: 'Job name is required' });
+  }
+
+  const jobType = type ?? jobName;
+  if (jobType && !jobTypeService.has(jobType)) {
+    validTypes = jobTypeService.getNames();
+    violations.push({ field: 'type', message: `Unknown job type: ${jobType}. Valid types are: ${validTypes.join(', ')}` });
+  }
+
+  if (priority !== undefined && (!Number.isInteger(priority) || priority < 1 || priority > 5)) {
+    violations.push({ field: 'priority', message: 'priority must be an integer between 1 and 5' });
+  }
+
+  if (queue !== undefined && !queueService.has(queue)) {
+    violations.push({ field: 'queue', message: `Unknown queue: ${queue}. Valid queues are: ${queueService.getNames().join(', ')}` });
+  }
+
+  if (timeoutMs !== undefined && (!Number.isInteger(timeoutMs) || timeoutMs <= 0)) {
+    violations.push({ field: 'timeoutMs', message: 'timeoutMs must be a positive integer' });
+  }
+
+  if (retryPolicy !== undefined) {
+    violations.push(...validateRetryPolicy(retryPolicy));
+  }
+
+  if (webhooks !== undefined) {
+    violations.push(...webhookService.validateJobWebhooks(webhooks));
+  }
+
+  if (dependsOn !== undefined) {
+    if (!Array.isArray(dependsOn) || !dependsOn.every(id => typeof id === 'string')) {
+      violations.push({ field: 'dependsOn', message: 'dependsOn must be an array of job IDs' });
+    } else {
+      const unknownJobs = dependsOn.filter(id => !jobService.getJobById(id));
+      if (unknownJobs.length > 0) {
+        violations.push({ field: 'dependsOn', message: `Unknown upstream jobs: ${unknownJobs.join(', ')}` });
+      }
+    }
+  }
+
+  violations.push(...validateRunAt({ runAt, delayMs }));
+
+  const shapeViolations = [];
+
+  if (!Array.isArray(args)) {
+    shapeViolations.push({ field: 'args', message: 'args must be an array' });
+  } else {
+    args.forEach((arg, index) => {
+      if (!isScalar(arg)) {
+        shapeViolations.push({ field: `args/${index}`, message: `args/${index} must be a string, number or boolean` });
+      }
+    });
+  }
+
+  if (typeof namedArgs !== 'object' || namedArgs === null || Array.isArray(namedArgs)) {
+    shapeViolations.push({ field: 'namedArgs', message: 'namedArgs must be an object' });
+  } else {
+    for (const [key, value] of Object.entries(namedArgs)) {
+      if (!NAMED_ARG_KEY_PATTERN.test(key)) {
+        shapeViolations.push({ field: `namedArgs/${key}`, message: `namedArgs/${key} is not a valid flag name` });
+      }
+      if (!(Array.isArray(value) ? value : [value]).every(item => item === null || isScalar(item))) {
+        shapeViolations.push({ field: `namedArgs/${key}`, message: `namedArgs/${key} must be a string, number, boolean, null or an array of them` });
+      }
+    }
+  }
+
+  violations.push(...shapeViolations);
+
+  if (!allowOutputReferences && shapeViolations.length === 0) {
+    for (const { field, jobKey, output } of findOutputReferences(args, namedArgs)) {
+      violations.push({ field, message: `${field} refers to output ${output} of ${jobKey}, outputs can only be referenced within a workflow` });
+    }
+  }
+
+  // The schema can only be checked for a known job type and arguments of the right shape
+  if (jobType && !validTypes && shapeViolations.length === 0) {
+    violations.push(...jobTypeService.validateArgs(jobType, args, namedArgs));
+  }
+
+  return { violations, validTypes };
+};
+
+/**
+ * Parses the time window and bucket size of a stats request
+ * @param {Object} query - Query of the request
+ * @returns {{from: Date|null, to: Date|null, bucket: string|null}|{error: string}} - Parsed window,
+ *   or the reason it is invalid
+ */
+const parseStatsQuery = ({ from, to, bucket }) => {
+  const fromDate = from !== undefined ? parseDate(from) : null;
+  const toDate = to !== undefined ? parseDate(to) : null;
+
+  if (from !== undefined && !fromDate) {
+    return { error: 'from must be an ISO 8601 date or a Unix timestamp in milliseconds' };
+  }
+
+  if (to !== undefined && !toDate) {
+    return { error: 'to must be an ISO 8601 date or a Unix timestamp in milliseconds' };
+  }
+
+  if (fromDate && toDate && fromDate >= toDate) {
+    return { error: 'from must be before to' };
+  }
+
+  if (bucket === undefined) {
+    return { from: fromDate, to: toDate, bucket: null };
+  }
+
+  const bucketMs = parseDuration(bucket);
+  if (!bucketMs) {
+    return { error: 'bucket must be a positive integer followed by s, m, h or d, e.g. 1m, 1h or 1d' };
+  }
+
+  // Without from the series starts with the first job and is limited by the service instead
+  if (fromDate) {
+    const endMs = (toDate ?? new Date()).getTime();
+    const bucketCount = Math.ceil((endMs - floorToBucket(fromDate.getTime(), bucketMs)) / bucketMs);
+
+    if (bucketCount > config.STATS_MAX_BUCKETS) {
+      return { error: `bucket ${bucket} splits the window into ${bucketCount} buckets, at most ${config.STATS_MAX_BUCKETS} are allowed` };
+    }
+  }
+
+  return { from: fromDate, to: toDate, bucket };
+};
 
 /**
  * Controller: jobs management
@@ -12,23 +246,35 @@ export class JobController {
    */
   static createJob(req, res) {
     try {
-      const { jobName, args = [], priority } = req.body;
-      
-      if (!jobName) {
-        logger.warn('Attempt to create job without jobName');
+      const body = req.body ?? {};
+      const { violations, validTypes } = validateCreateJobRequest(body);
+
+      if (violations.length > 0) {
+        const message = violations.map(violation => violation.message).join('; ');
+        logger.warn(`Attempt to create job with invalid request: ${message}`);
         return res.status(400).json({
-          message: 'Job name is required',
-          code: 400
+          message,
+          code: 400,
+          errors: violations,
+          ...(validTypes && { validTypes })
         });
       }
-      
-      const jobArgs = Array.isArray(args) ? args : [args];
 
-      const jobPriority = typeof priority === 'number' && (priority > 0 && priority < 6)  ? parseInt(priority, 10) : 3;
-      
-      logger.info(`Creating job with name: ${jobName}, args: ${jobArgs.join(', ')}, priority: ${jobPriority}`);
+      const { jobName, type, args = [], namedArgs = {}, priority, queue, timeoutMs, retryPolicy, webhooks, dependsOn } = body;
+      const jobType = type ?? jobName;
+
+      logger.info(`Creating job with name: ${jobName}, type: ${jobType}, args: ${args.join(', ')}, queue: ${queue ?? DEFAULT_QUEUE}, priority: ${priority ?? 'queue default'}`);
       
-      const job = jobService.createJob(jobName, jobArgs, jobPriority);
+      const job = jobService.createJob(jobName, args, priority, {
+        timeoutMs,
+        type: jobType,
+        namedArgs,
+        retryPolicy,
+        webhooks,
+        dependsOn,
+        queue,
+        runAt: resolveRunAt(body)
+      });
       
       return res.status(201).json({
         message: 'Job created successfully',
@@ -50,11 +296,27 @@ export class JobController {
    */
   static getAllJobs(req, res) {
     try {
-      const { status, limit = 50, offset = 0 } = req.query;
+      const { status, classification, exitCode, scheduleId, queue, limit = 50, offset = 0 } = req.query;
       
-      logger.info(`Getting all jobs with filters: status=${status}, limit=${limit}, offset=${offset}`);
+      const validClassifications = Object.values(JobClassification);
+      if (classification !== undefined && !validClassifications.includes(classification)) {
+        return res.status(400).json({
+          message: `classification must be one of ${validClassifications.join(', ')}`,
+          code: 400
+        });
+      }
       
-      const result = jobService.getFilteredJobs({ status, limit, offset });
+      const exitCodeNumber = exitCode !== undefined ? Number(exitCode) : undefined;
+      if (exitCodeNumber !== undefined && !Number.isInteger(exitCodeNumber)) {
+        return res.status(400).json({
+          message: 'exitCode must be an integer',
+          code: 400
+        });
+      }
+      
+      logger.info(`Getting all jobs with filters: status=${status}, classification=${classification}, exitCode=${exitCode}, scheduleId=${scheduleId}, queue=${queue}, limit=${limit}, offset=${offset}`);
+      
+      const result = jobService.getFilteredJobs({ status, classification, exitCode: exitCodeNumber, scheduleId, queue, limit, offset });
       
       return res.status(200).json(result);
     } catch (error) {
@@ -97,6 +359,232 @@ export class JobController {
     }
   }
   
+  /**
+   * Get the history of the attempts to run a job
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getJobAttempts(req, res) {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting attempts of job with ID: ${id}`);
+
+      const attempts = jobService.getJobAttempts(id);
+
+      if (!attempts) {
+        logger.warn(`Job with ID ${id} not found`);
+        return res.status(404).json({
+          message: `Job with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      return res.status(200).json({
+        jobId: id,
+        total: attempts.length,
+        attempts
+      });
+    } catch (error) {
+      logger.error(`Error getting job attempts: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting job attempts: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Get the webhooks of a job and the log of their deliveries
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getJobWebhooks(req, res) {
+    try {
+      const { id } = req.params;
+
+      logger.info(`Getting webhooks of job with ID: ${id}`);
+
+      const result = jobService.getJobWebhooks(id);
+
+      if (!result) {
+        logger.warn(`Job with ID ${id} not found`);
+        return res.status(404).json({
+          message: `Job with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      return res.status(200).json({
+        jobId: id,
+        webhooks: result.webhooks,
+        globalWebhooks: result.globalWebhooks,
+        total: result.deliveries.length,
+        deliveries: result.deliveries
+      });
+    } catch (error) {
+      logger.error(`Error getting job webhooks: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting job webhooks: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Get captured stdout/stderr lines of a job
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getJobLogs(req, res) {
+    try {
+      const { id } = req.params;
+      const { stream, attempt, tail, since } = req.query;
+
+      if (stream !== undefined && stream !== 'stdout' && stream !== 'stderr') {
+        return res.status(400).json({
+          message: 'stream must be stdout or stderr',
+          code: 400
+        });
+      }
+
+      const attemptNumber = attempt !== undefined ? parseInt(attempt, 10) : undefined;
+      if (attemptNumber !== undefined && (Number.isNaN(attemptNumber) || attemptNumber < 1)) {
+        return res.status(400).json({
+          message: 'attempt must be a positive integer',
+          code: 400
+        });
+      }
+
+      const tailCount = tail !== undefined ? parseInt(tail, 10) : undefined;
+      if (tailCount !== undefined && (Number.isNaN(tailCount) || tailCount < 0)) {
+        return res.status(400).json({
+          message: 'tail must be a non-negative integer',
+          code: 400
+        });
+      }
+
+      if (since !== undefined && Number.isNaN(new Date(since).getTime())) {
+        return res.status(400).json({
+          message: 'since must be an ISO timestamp',
+          code: 400
+        });
+      }
+
+      logger.info(`Getting logs of job with ID: ${id}`);
+
+      const lines = jobService.getJobLogs(id, { stream, attempt: attemptNumber, tail: tailCount, since });
+
+      if (!lines) {
+        logger.warn(`Job with ID ${id} not found`);
+        return res.status(404).json({
+          message: `Job with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      return res.status(200).json({
+        jobId: id,
+        total: lines.length,
+        lines
+      });
+    } catch (error) {
+      logger.error(`Error getting job logs: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting job logs: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+  
+  /**
+   * Streams stdout/stderr lines of a job as Server-Sent Events.
+   * Buffered lines are replayed first, then new lines are pushed as `log` events
+   * until the job ends, which is signalled by a final `end` event.
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static streamJobLogs(req, res) {
+    try {
+      const { id } = req.params;
+      const { stream } = req.query;
+
+      if (stream !== undefined && stream !== 'stdout' && stream !== 'stderr') {
+        return res.status(400).json({
+          message: 'stream must be stdout or stderr',
+          code: 400
+        });
+      }
+
+      const job = jobService.getJobById(id);
+
+      if (!job) {
+        logger.warn(`Job with ID ${id} not found`);
+        return res.status(404).json({
+          message: `Job with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      logger.info(`Streaming logs of job with ID: ${id}`);
+
+      res.status(200).set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive'
+      });
+      res.flushHeaders();
+
+      const sendEvent = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+      for (const entry of jobService.getJobLogs(id, { stream })) {
+        sendEvent('log', entry);
+      }
+
+      if (job.completedAt) {
+        sendEvent('end', {
+          jobId: id,
+          status: job.status,
+          exitCode: job.exitCode,
+          signal: job.signal,
+          classification: job.classification,
+          completedAt: job.completedAt
+        });
+        return res.end();
+      }
+
+      const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL_MS);
+      const unsubscribe = jobService.subscribeToJobLogs(id, {
+        onLine: (entry) => {
+          if (!stream || entry.stream === stream) {
+            sendEvent('log', entry);
+          }
+        },
+        onEnd: (result) => {
+          clearInterval(heartbeat);
+          sendEvent('end', result);
+          res.end();
+        }
+      });
+
+      req.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+      });
+    } catch (error) {
+      logger.error(`Error streaming job logs: ${error.message}`);
+
+      if (res.headersSent) {
+        return res.end();
+      }
+
+      return res.status(500).json({
+        message: `Error streaming job logs: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+  
   /**
    * Gets job statistics
    * @param {import('express').Request} req - Express request
@@ -104,9 +592,18 @@ export class JobController {
    */
   static getJobStats(req, res) {
     try {
-      logger.info('Getting job statistics');
+      const window = parseStatsQuery(req.query);
       
-      const stats = jobService.getJobStats();
+      if (window.error) {
+        return res.status(400).json({
+          message: window.error,
+          code: 400
+        });
+      }
+      
+      logger.info(`Getting job statistics: from=${req.query.from}, to=${req.query.to}, bucket=${req.query.bucket}`);
+      
+      const stats = jobService.getJobStats(window);
       
       return res.status(200).json(stats);
     } catch (error) {
@@ -118,6 +615,48 @@ export class JobController {
     }
   }
 
+  /**
+   * Gets the correlations between job characteristics and success
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getJobCorrelations(req, res) {
+    try {
+      logger.info('Getting job correlations');
+      
+      const correlations = jobService.getJobCorrelations();
+      
+      return res.status(200).json(correlations);
+    } catch (error) {
+      logger.error(`Error getting job correlations: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting job correlations: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Gets the model predicting the outcome of submitted jobs
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getPredictionModel(req, res) {
+    try {
+      logger.info('Getting prediction model');
+      
+      const model = jobService.getPredictionModel();
+      
+      return res.status(200).json(model);
+    } catch (error) {
+      logger.error(`Error getting prediction model: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting prediction model: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
   /**
    * Updates the priority of a job with the given ID
    * @param {import('express').Request} req - Express request
@@ -209,4 +748,102 @@ export class JobController {
       });
     }
   }
+
+  /**
+   * Pauses a running or pending job
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static pauseJobById(req, res) {
+    try {
+      const { id } = req.params;
+      logger.info(`Pausing job with ID: ${id}`);
+
+      return sendJobActionResult(res, id, jobService.pauseJob(id), 'paused');
+    } catch (error) {
+      logger.error(`Error pausing job: ${error.message}`);
+      return res.status(500).json({
+        message: `Error pausing job: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Resumes a paused job
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static resumeJobById(req, res) {
+    try {
+      const { id } = req.params;
+      logger.info(`Resuming job with ID: ${id}`);
+
+      return sendJobActionResult(res, id, jobService.resumeJob(id), 'resumed');
+    } catch (error) {
+      logger.error(`Error resuming job: ${error.message}`);
+      return res.status(500).json({
+        message: `Error resuming job: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Cancels a job, terminating its process if it has one
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static cancelJobById(req, res) {
+    try {
+      const { id } = req.params;
+      logger.info(`Cancelling job with ID: ${id}`);
+
+      return sendJobActionResult(res, id, jobService.cancelJob(id), 'cancelled');
+    } catch (error) {
+      logger.error(`Error cancelling job: ${error.message}`);
+      return res.status(500).json({
+        message: `Error cancelling job: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Changes when a scheduled or pending job is queued
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static rescheduleJobById(req, res) {
+    try {
+      const { id } = req.params;
+      const { runAt, delayMs } = req.body ?? {};
+      const violations = runAt === undefined && delayMs === undefined
+        ? [{ field: 'runAt', message: 'Either runAt or delayMs is required' }]
+        : validateRunAt({ runAt, delayMs });
+
+      if (violations.length > 0) {
+        const message = violations.map(violation => violation.message).join('; ');
+        logger.warn(`Attempt to reschedule job ${id} with invalid request: ${message}`);
+        return res.status(400).json({
+          message,
+          code: 400,
+          errors: violations
+        });
+      }
+
+      const time = resolveRunAt({ runAt, delayMs });
+      logger.info(`Rescheduling job with ID: ${id} to ${time ?? 'now'}`);
+
+      return sendJobActionResult(res, id, jobService.rescheduleJob(id, time), 'rescheduled');
+    } catch (error) {
+      logger.error(`Error rescheduling job: ${error.message}`);
+      return res.status(500).json({
+        message: `Error rescheduling job: ${error.message}`,
+        code: 500
+      });
+    }
+  }
 }
+
+export { validateCreateJobRequest };
@@ -0,0 +1,128 @@
+import { WebSocket } from 'ws';
+import { jobService } from '../services/jobService.js';
+import { validateEventFilter } from '../services/jobEventService.js';
+import { logger } from '../utils/logger/index.js';
+
+const WS_HEARTBEAT_INTERVAL_MS = 30000;
+
+// Query parameters of the connection URL and the filters they set
+const QUERY_FILTERS = {
+  jobId: 'jobIds',
+  jobName: 'jobNames',
+  status: 'statuses',
+  type: 'types'
+};
+
+/**
+ * Parses the filter of the connection URL. Every parameter may be repeated or hold a comma-separated list.
+ * @param {URLSearchParams} searchParams - Query of the connection URL
+ * @returns {Object} - Filter, see jobEventService.subscribe
+ */
+const parseFilterQuery = (searchParams) => {
+  const filter = {};
+
+  for (const [param, key] of Object.entries(QUERY_FILTERS)) {
+    const values = searchParams.getAll(param).flatMap(value => value.split(',')).map(value => value.trim()).filter(Boolean);
+
+    if (values.length > 0) {
+      filter[key] = values;
+    }
+  }
+
+  return filter;
+};
+
+/**
+ * Controller: WebSocket stream of job lifecycle events
+ */
+export class JobEventController {
+  /**
+   * Streams the events matching the filter of the connection URL to a client. The client can replace
+   * its filter with a `{"type": "subscribe", "filter": {...}}` message; every (re)subscription is
+   * confirmed with a `subscribed` message, invalid ones are answered with an `error` message.
+   * @param {import('ws').WebSocket} socket - Connected client
+   * @param {import('http').IncomingMessage} req - Upgrade request
+   */
+  static handleConnection(socket, req) {
+    const send = (message) => {
+      if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify(message));
+      }
+    };
+    const sendError = (violations) => send({
+      type: 'error',
+      message: violations.map(violation => violation.message).join('; '),
+      errors: violations
+    });
+
+    // Invalid frames from a client make the socket emit an error, which would crash the process without a listener
+    socket.on('error', (error) => {
+      logger.warn(`Job event stream error from ${req.socket.remoteAddress}: ${error.message}`);
+      socket.terminate();
+    });
+
+    let unsubscribe = () => {};
+    const subscribe = (filter) => {
+      const violations = validateEventFilter(filter);
+
+      if (violations.length > 0) {
+        logger.warn(`Rejected job event subscription: ${violations.map(violation => violation.message).join('; ')}`);
+        sendError(violations);
+        return;
+      }
+
+      unsubscribe();
+      unsubscribe = jobService.subscribeToJobEvents(send, filter);
+      send({ type: 'subscribed', filter });
+    };
+
+    try {
+      const { searchParams } = new URL(req.url, 'http://localhost');
+
+      logger.info(`Job event stream opened from ${req.socket.remoteAddress}`);
+      subscribe(parseFilterQuery(searchParams));
+
+      socket.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch {
+          sendError([{ field: 'message', message: 'Messages must be JSON' }]);
+          return;
+        }
+
+        if (message?.type !== 'subscribe') {
+          sendError([{ field: 'type', message: 'type must be subscribe' }]);
+          return;
+        }
+
+        subscribe(message.filter ?? {});
+      });
+
+      // Clients that stop answering pings are dropped, so dead connections do not keep subscriptions
+      let alive = true;
+      socket.on('pong', () => {
+        alive = true;
+      });
+      const heartbeat = setInterval(() => {
+        if (!alive) {
+          logger.warn('Job event stream client stopped answering, closing connection');
+          socket.terminate();
+          return;
+        }
+        alive = false;
+        socket.ping();
+      }, WS_HEARTBEAT_INTERVAL_MS);
+
+      socket.on('close', () => {
+        clearInterval(heartbeat);
+        unsubscribe();
+        logger.info('Job event stream closed');
+      });
+    } catch (error) {
+      logger.error(`Error streaming job events: ${error.message}`);
+      unsubscribe();
+      socket.close(1011, 'Internal error');
+    }
+  }
+}
@@ -0,0 +1,31 @@
+import { jobTypeService } from '../services/jobTypeService.js';
+import { logger } from '../utils/logger/index.js';
+
+/**
+ * Controller: registered job types
+ */
+export class JobTypeController {
+  /**
+   * Get list of all registered job types
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getJobTypes(req, res) {
+    try {
+      logger.info('Getting all job types');
+
+      const jobTypes = jobTypeService.getAll();
+
+      return res.status(200).json({
+        total: jobTypes.length,
+        jobTypes
+      });
+    } catch (error) {
+      logger.error(`Error getting job types: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting job types: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+}
@@ -0,0 +1,26 @@
+import { metricsService } from '../services/metricsService.js';
+import { logger } from '../utils/logger/index.js';
+
+/**
+ * Controller: Prometheus metrics
+ */
+export class MetricsController {
+  /**
+   * Get all metrics in the Prometheus text exposition format
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static async getMetrics(req, res) {
+    try {
+      const metrics = await metricsService.getMetrics();
+
+      return res.status(200).type(metricsService.contentType).send(metrics);
+    } catch (error) {
+      logger.error(`Error getting metrics: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting metrics: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+}
@@ -0,0 +1,72 @@
+import { jobService } from '../services/jobService.js';
+import { queueService } from '../services/queueService.js';
+import { isValidQueueName, validateQueueSettings } from '../utils/queue/index.js';
+import { logger } from '../utils/logger/index.js';
+
+/**
+ * Controller: named queues
+ */
+export class QueueController {
+  /**
+   * Get list of all queues with their load
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getQueues(req, res) {
+    try {
+      logger.info('Getting all queues');
+
+      const queues = jobService.getQueues();
+
+      return res.status(200).json({
+        total: queues.length,
+        queues
+      });
+    } catch (error) {
+      logger.error(`Error getting queues: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting queues: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Changes the settings of a queue, or creates it
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static updateQueue(req, res) {
+    try {
+      const { name } = req.params;
+      const violations = isValidQueueName(name)
+        ? validateQueueSettings(req.body, { partial: queueService.has(name) })
+        : [{ field: 'name', message: 'Queue name must be 1 to 64 letters, digits, _ and -, starting with a letter or digit' }];
+
+      if (violations.length > 0) {
+        const message = violations.map(violation => violation.message).join('; ');
+        logger.warn(`Attempt to update queue ${name} with invalid request: ${message}`);
+        return res.status(400).json({
+          message,
+          code: 400,
+          errors: violations
+        });
+      }
+
+      logger.info(`Updating queue ${name}, fields: ${Object.keys(req.body).join(', ')}`);
+
+      const { queue, created } = jobService.updateQueue(name, req.body);
+
+      return res.status(created ? 201 : 200).json({
+        message: created ? 'Queue created successfully' : 'Queue updated successfully',
+        queue
+      });
+    } catch (error) {
+      logger.error(`Error updating queue: ${error.message}`);
+      return res.status(500).json({
+        message: `Error updating queue: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+}
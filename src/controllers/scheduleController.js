@@ -0,0 +1,208 @@
+import { scheduleService } from '../services/scheduleService.js';
+import { validateSchedule } from '../utils/schedule/index.js';
+import { validateCreateJobRequest } from './jobController.js';
+import { logger } from '../utils/logger/index.js';
+
+/**
+ * Validates the body of POST /schedules, or of PATCH /schedules/:id when partial: the timing and
+ * policies, and the job spec like the body of POST /jobs
+ * @param {Object} body - Request body
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.partial=false] - Validates an update: no field is required
+ * @returns {{field: string, message: string, keyword?: string}[]} - Every violation found
+ */
+const validateScheduleRequest = (body, { partial = false } = {}) => {
+  const violations = validateSchedule(body, { partial });
+  const job = body?.job;
+
+  if (typeof job !== 'object' || job === null || Array.isArray(job)) {
+    return violations;
+  }
+
+  // validateSchedule rejects the fields of POST /jobs that schedules do not support
+  const { dependsOn, runAt, delayMs, ...jobRequest } = job;
+
+  for (const violation of validateCreateJobRequest(jobRequest).violations) {
+    violations.push({
+      ...violation,
+      field: `job/${violation.field}`,
+      message: `job: ${violation.message}`
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Sends the violations of a schedule request as a 400 response
+ * @param {import('express').Response} res - Express response
+ * @param {{field: string, message: string}[]} violations - Violations found
+ * @param {string} action - What was attempted, for the log
+ */
+const sendViolations = (res, violations, action) => {
+  const message = violations.map(violation => violation.message).join('; ');
+  logger.warn(`Attempt to ${action} with invalid request: ${message}`);
+  return res.status(400).json({
+    message,
+    code: 400,
+    errors: violations
+  });
+};
+
+/**
+ * Controller: schedules
+ */
+export class ScheduleController {
+  /**
+   * Creates a schedule
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static createSchedule(req, res) {
+    try {
+      const violations = validateScheduleRequest(req.body);
+
+      if (violations.length > 0) {
+        return sendViolations(res, violations, 'create schedule');
+      }
+
+      logger.info(`Creating schedule for job ${req.body.job.jobName} with ${req.body.cron ? `cron ${req.body.cron}` : `interval ${req.body.intervalMs}ms`}`);
+
+      const schedule = scheduleService.createSchedule(req.body);
+
+      return res.status(201).json({
+        message: 'Schedule created successfully',
+        schedule
+      });
+    } catch (error) {
+      logger.error(`Error creating schedule: ${error.message}`);
+      return res.status(500).json({
+        message: `Error creating schedule: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Get list of all schedules
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getAllSchedules(req, res) {
+    try {
+      logger.info('Getting all schedules');
+
+      const schedules = scheduleService.getSchedules();
+
+      return res.status(200).json({
+        total: schedules.length,
+        schedules
+      });
+    } catch (error) {
+      logger.error(`Error getting schedules: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting schedules: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Get schedule by ID
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getScheduleById(req, res) {
+    try {
+      const { id } = req.params;
+      logger.info(`Getting schedule with ID: ${id}`);
+
+      const schedule = scheduleService.getScheduleById(id);
+
+      if (!schedule) {
+        return res.status(404).json({
+          message: `Schedule with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      return res.status(200).json(schedule);
+    } catch (error) {
+      logger.error(`Error getting schedule: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting schedule: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Updates a schedule
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static updateSchedule(req, res) {
+    try {
+      const { id } = req.params;
+
+      if (!scheduleService.getScheduleById(id)) {
+        return res.status(404).json({
+          message: `Schedule with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      const violations = validateScheduleRequest(req.body, { partial: true });
+
+      if (violations.length > 0) {
+        return sendViolations(res, violations, `update schedule ${id}`);
+      }
+
+      logger.info(`Updating schedule with ID: ${id}, fields: ${Object.keys(req.body).join(', ')}`);
+
+      const schedule = scheduleService.updateSchedule(id, req.body);
+
+      return res.status(200).json({
+        message: 'Schedule updated successfully',
+        schedule
+      });
+    } catch (error) {
+      logger.error(`Error updating schedule: ${error.message}`);
+      return res.status(500).json({
+        message: `Error updating schedule: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Deletes a schedule
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static deleteSchedule(req, res) {
+    try {
+      const { id } = req.params;
+      logger.info(`Deleting schedule with ID: ${id}`);
+
+      const schedule = scheduleService.deleteSchedule(id);
+
+      if (!schedule) {
+        return res.status(404).json({
+          message: `Schedule with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      return res.status(200).json({
+        message: 'Schedule deleted successfully'
+      });
+    } catch (error) {
+      logger.error(`Error deleting schedule: ${error.message}`);
+      return res.status(500).json({
+        message: `Error deleting schedule: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+}
@@ -0,0 +1,115 @@
+import { workflowService, validateWorkflowJobs } from '../services/workflowService.js';
+import { validateCreateJobRequest } from './jobController.js';
+import { logger } from '../utils/logger/index.js';
+
+/**
+ * Validates the body of POST /workflows: the graph of the jobs, and every job like the body of POST /jobs
+ * @param {Object} body - Request body
+ * @returns {{field: string, message: string, keyword?: string}[]} - Every violation found
+ */
+const validateCreateWorkflowRequest = (body) => {
+  if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+    return [{ field: 'body', message: 'Workflow must be an object' }];
+  }
+
+  const { jobs } = body;
+  const violations = validateWorkflowJobs(jobs);
+
+  if (!Array.isArray(jobs)) {
+    return violations;
+  }
+
+  jobs.forEach((spec, index) => {
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+      return;
+    }
+
+    // Upstream jobs of a workflow are named by key, which validateWorkflowJobs checked
+    const { key, dependsOn, runAt, delayMs, ...jobRequest } = spec;
+
+    // Jobs of a workflow are queued once their upstream jobs completed
+    for (const field of ['runAt', 'delayMs'].filter(field => spec[field] !== undefined)) {
+      violations.push({ field: `jobs/${index}/${field}`, message: `jobs/${index}/${field} is not supported by workflows` });
+    }
+
+    for (const violation of validateCreateJobRequest(jobRequest, { allowOutputReferences: true }).violations) {
+      violations.push({
+        ...violation,
+        field: `jobs/${index}/${violation.field}`,
+        message: `jobs/${index}: ${violation.message}`
+      });
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * Controller: workflows
+ */
+export class WorkflowController {
+  /**
+   * Creates a workflow
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static createWorkflow(req, res) {
+    try {
+      const violations = validateCreateWorkflowRequest(req.body);
+
+      if (violations.length > 0) {
+        const message = violations.map(violation => violation.message).join('; ');
+        logger.warn(`Attempt to create workflow with invalid request: ${message}`);
+        return res.status(400).json({
+          message,
+          code: 400,
+          errors: violations
+        });
+      }
+
+      logger.info(`Creating workflow with jobs: ${req.body.jobs.map(spec => spec.key).join(', ')}`);
+
+      const workflow = workflowService.createWorkflow(req.body.jobs);
+
+      return res.status(201).json({
+        message: 'Workflow created successfully',
+        workflow
+      });
+    } catch (error) {
+      logger.error(`Error creating workflow: ${error.message}`);
+      return res.status(500).json({
+        message: `Error creating workflow: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+
+  /**
+   * Get a workflow with the aggregate status of its jobs
+   * @param {import('express').Request} req - Express request
+   * @param {import('express').Response} res - Express response
+   */
+  static getWorkflow(req, res) {
+    try {
+      const { id } = req.params;
+      logger.info(`Getting workflow with ID: ${id}`);
+
+      const workflow = workflowService.getWorkflow(id);
+
+      if (!workflow) {
+        return res.status(404).json({
+          message: `Workflow with ID ${id} not found`,
+          code: 404
+        });
+      }
+
+      return res.status(200).json(workflow);
+    } catch (error) {
+      logger.error(`Error getting workflow: ${error.message}`);
+      return res.status(500).json({
+        message: `Error getting workflow: ${error.message}`,
+        code: 500
+      });
+    }
+  }
+}
@@ -1,10 +1,20 @@
 import express from 'express';
+import { WebSocketServer } from 'ws';
 import cors from 'cors';
 import { logger, createHttpLogger } from './utils/logger/index.js';
 import { setupSwagger } from './config/swagger.js';
 import { config } from './config/index.js';
 import jobRoutes from './routes/jobRoutes.js';
+import jobTypeRoutes from './routes/jobTypeRoutes.js';
+import metricsRoutes from './routes/metricsRoutes.js';
+import workflowRoutes from './routes/workflowRoutes.js';
+import scheduleRoutes from './routes/scheduleRoutes.js';
+import queueRoutes from './routes/queueRoutes.js';
 import { JobController } from './controllers/jobController.js';
+import { JobEventController } from './controllers/jobEventController.js';
+import { jobService } from './services/jobService.js';
+import { metricsService } from './services/metricsService.js';
+import { scheduleService } from './services/scheduleService.js';
 
 const app = express();
 const PORT = config.PORT;
@@ -13,12 +23,18 @@ const PORT = config.PORT;
 app.use(express.json());
 app.use(cors());
 app.use(createHttpLogger(logger));
+app.use(metricsService.createHttpMetrics());
 
 // Swagger documentation
 setupSwagger(app);
 
 // Routes
 app.use('/jobs', jobRoutes);
+app.use('/job-types', jobTypeRoutes);
+app.use('/metrics', metricsRoutes);
+app.use('/workflows', workflowRoutes);
+app.use('/schedules', scheduleRoutes);
+app.use('/queues', queueRoutes);
 
 /**
  * @swagger
@@ -26,64 +42,92 @@ app.use('/jobs', jobRoutes);
  *   get:
  *     summary: Get job statistics and correlations
  *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count jobs submitted at or after this time (ISO 8601 or Unix timestamp in milliseconds)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count jobs submitted before this time (ISO 8601 or Unix timestamp in milliseconds)
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           pattern: '^[1-9][0-9]*[smhd]$'
+ *           example: 1h
+ *         description: Bucket size of the time series returned in timeSeries, e.g. 1m, 1h or 1d
  *     responses:
  *       200:
  *         description: Job statistics and correlations
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 totalJobs:
- *                   type: integer
- *                   description: Total number of jobs
- *                 completedJobs:
- *                   type: integer
- *                   description: Number of completed jobs
- *                 failedJobs:
- *                   type: integer
- *                   description: Number of failed jobs
- *                 pendingJobs:
- *                   type: integer
- *                   description: Number of pending jobs
- *                 runningJobs:
- *                   type: integer
- *                   description: Number of running jobs
- *                 retriedJobs:
- *                   type: integer
- *                   description: Number of retried jobs
- *                 averageCompletionTime:
- *                   type: number
- *                   description: Average time to complete a job in milliseconds
- *                 successRate:
- *                   type: number
- *                   description: Success rate as a percentage
- *                 patterns:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       pattern:
- *                         type: string
- *                         description: Description of the pattern
- *                       matchCount:
- *                         type: integer
- *                         description: Number of jobs matching this pattern
- *                       successRate:
- *                         type: number
- *                         description: Success rate for jobs matching this pattern
- *                       differenceFromAverage:
- *                         type: string
- *                         description: Difference from average success rate
+ *               $ref: '#/components/schemas/JobStats'
+ *       400:
+ *         description: Invalid from, to or bucket, or too many buckets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 // Stats route at root level as per requirements
 app.get('/stats', JobController.getJobStats);
 
+/**
+ * @swagger
+ * /stats/correlations:
+ *   get:
+ *     summary: Get the statistical significance of the correlations between job characteristics and success
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Correlations ranked by significance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobCorrelations'
+ */
+app.get('/stats/correlations', JobController.getJobCorrelations);
+
+/**
+ * @swagger
+ * /stats/model:
+ *   get:
+ *     summary: Get the model predicting the outcome of submitted jobs
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Feature weights and accuracy on held-out history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PredictionModel'
+ */
+app.get('/stats/model', JobController.getPredictionModel);
+
 app.get('/', (req, res) => {
   logger.info('Root endpoint accessed');
   res.json({ message: 'Job Concurrency Manager API' });
 });
 
-app.listen(PORT, () => {
+// Pick up jobs persisted by a previous run before accepting new ones
+jobService.restoreJobs();
+// Schedules start after the jobs, so the overlap policy sees the jobs of their previous runs
+scheduleService.start();
+
+const server = app.listen(PORT, () => {
   logger.info(`Server started on port ${PORT}.`);
 });
+
+// Job lifecycle events are pushed over a WebSocket, e.g. ws://localhost:3000/events?status=failed
+const eventSocket = new WebSocketServer({ server, path: '/events' });
+eventSocket.on('connection', JobEventController.handleConnection);
+eventSocket.on('error', (error) => {
+  logger.error(`Job event stream server error: ${error.message}`);
+});
@@ -2,22 +2,64 @@ import { v4 as uuidv4 } from 'uuid';
 
 /**
  * @typedef {Object} JobStatus
+ * @property {string} SCHEDULED - Job waits for its runAt time before it is queued
  * @property {string} PENDING - Job is waiting to be started
  * @property {string} RUNNING - Job is currently running
  * @property {string} COMPLETED - Job completed successfully
  * @property {string} FAILED - Job failed
- * @property {string} RETRIED - Job failed and was retried
+ * @property {string} RETRY_SCHEDULED - Job failed and waits for the backoff delay before it is queued again
+ * @property {string} PAUSED - Job is suspended, or held back from the queue
+ * @property {string} STOPPING - Job was cancelled and its process is being terminated
+ * @property {string} CANCELLED - Job was cancelled
+ * @property {string} TIMED_OUT - Job was killed by the watchdog and has no retries left
+ * @property {string} SKIPPED - Job never ran because an upstream job did not complete
  */
 const JobStatus = {
+  SCHEDULED: 'scheduled',
   PENDING: 'pending',
   RUNNING: 'running',
   COMPLETED: 'completed',
   FAILED: 'failed',
-  RETRIED: 'retried',
+  RETRY_SCHEDULED: 'retry_scheduled',
   PAUSED: 'paused',
-  STOPPING: 'stopping'
+  STOPPING: 'stopping',
+  CANCELLED: 'cancelled',
+  TIMED_OUT: 'timed_out',
+  SKIPPED: 'skipped'
 };
 
+/**
+ * How the process of an attempt ended
+ * @typedef {Object} JobClassification
+ * @property {string} EXITED - Process exited on its own, see exitCode
+ * @property {string} SIGNALED - Process was terminated by a signal, see signal
+ * @property {string} SPAWN_ERROR - Process could not be started
+ * @property {string} TIMEOUT - Process was killed by the watchdog
+ * @property {string} OOM_KILLED - Process was killed by the kernel for running out of memory
+ */
+const JobClassification = {
+  EXITED: 'exited',
+  SIGNALED: 'signaled',
+  SPAWN_ERROR: 'spawn_error',
+  TIMEOUT: 'timeout',
+  OOM_KILLED: 'oom_killed'
+};
+
+/**
+ * @typedef {Object} JobAttempt
+ * @property {number} attempt - Attempt number (1 for the first run)
+ * @property {string} startedAt - When the attempt started
+ * @property {string|null} completedAt - When the attempt ended, null while it runs
+ * @property {number|null} durationMs - Time between start and end
+ * @property {number|null} pid - PID of the process of the attempt
+ * @property {number|null} concurrency - Number of jobs running when the attempt started, including this one
+ * @property {number|null} exitCode - Exit code of the process
+ * @property {string|null} signal - Signal that terminated the process
+ * @property {string|null} classification - How the process ended, see JobClassification
+ * @property {string|null} failureReason - Why the attempt failed, null if it succeeded
+ * @property {string} logs - Path of the output of the attempt
+ */
+
 /**
  * @class Job
  * @description Represents a processing job
@@ -25,16 +67,39 @@ const JobStatus = {
 class Job {
   #id;
   #jobName;
+  #type;
   #jobArgs;
+  #namedArgs;
   #status;
   #createdAt;
   #startedAt;
   #completedAt;
   #exitCode;
+  #signal;
+  #classification;
   #retryCount;
+  #attempts;
+  #retryPolicy;
+  #nextAttemptAt;
+  #runAt;
+  #predictedSuccessProbability;
+  #webhooks;
+  #dependsOn;
+  #workflowId;
+  #workflowKey;
+  #scheduleId;
+  #queue;
+  #outputs;
   #process;
+  #argv;
+  #pid;
+  #processStartTime;
+  #failureReason;
   #logger;
+  #onChange;
+  #onStatusChange;
   #priority;
+  #timeoutMs;
 
   /**
    * Creates a new Job instance
@@ -42,9 +107,39 @@ class Job {
    * @param {string[]} [jobArgs=[]] - Arguments to pass to the job
    * @param {Object} [options={}] - Additional options
    * @param {Object} [options.logger=console] - Logger instance
-   * @throws {Error} - If jobName is not a string or jobArgs is not an array
+   * @param {number} [options.priority=3] - Priority of the job (1-5)
+   * @param {string|null} [options.type=null] - Registered job type, null to use the job name
+   * @param {Object} [options.namedArgs={}] - Named arguments, passed to the process as --key=value flags
+   * @param {number|null} [options.timeoutMs=null] - Per-job timeout, null to use the service default
+   * @param {Object|null} [options.retryPolicy=null] - Per-job retry policy, merged over the job type's and the service defaults
+   * @param {{url: string, events?: string[]}[]} [options.webhooks=[]] - URLs notified of the status changes they subscribe to, of any by default
+   * @param {string[]} [options.dependsOn=[]] - IDs of the upstream jobs that have to complete before the job starts
+   * @param {string|null} [options.workflowId=null] - Workflow the job belongs to
+   * @param {string|null} [options.workflowKey=null] - Key of the job within its workflow
+   * @param {string|null} [options.scheduleId=null] - Schedule that created the job
+   * @param {string} [options.queue='default'] - Named queue the job waits in and whose concurrency limit it counts against
+   * @param {string|null} [options.runAt=null] - ISO timestamp before which the job is not queued; the job starts SCHEDULED when set
+   * @param {function(Job): void} [options.onChange] - Called after every change of the job's persisted state
+   * @param {function(Job, string): void} [options.onStatusChange] - Called after every status change with the previous status
+   * @throws {Error} - If jobName is not a string, jobArgs, webhooks or dependsOn is not an array or namedArgs or retryPolicy is not an object
    */
-  constructor(jobName, jobArgs = [], { logger = console, priority = 3 } = {}) {
+  constructor(jobName, jobArgs = [], {
+    logger = console,
+    priority = 3,
+    type = null,
+    namedArgs = {},
+    timeoutMs = null,
+    retryPolicy = null,
+    webhooks = [],
+    dependsOn = [],
+    workflowId = null,
+    workflowKey = null,
+    scheduleId = null,
+    queue = 'default',
+    runAt = null,
+    onChange = null,
+    onStatusChange = null
+  } = {}) {
     if (typeof jobName !== 'string' || !jobName.trim()) {
       throw new Error('Job name must be a non-empty string');
     }
@@ -53,17 +148,55 @@ class Job {
       throw new Error('Job arguments must be an array');
     }
 
+    if (typeof namedArgs !== 'object' || namedArgs === null || Array.isArray(namedArgs)) {
+      throw new Error('Named job arguments must be an object');
+    }
+
+    if (retryPolicy !== null && (typeof retryPolicy !== 'object' || Array.isArray(retryPolicy))) {
+      throw new Error('Retry policy must be an object');
+    }
+
+    if (!Array.isArray(webhooks)) {
+      throw new Error('Webhooks must be an array');
+    }
+
+    if (!Array.isArray(dependsOn) || dependsOn.some(id => typeof id !== 'string')) {
+      throw new Error('Upstream jobs must be an array of job IDs');
+    }
+
     this.#id = uuidv4();
     this.#jobName = jobName;
+    this.#type = type ?? jobName;
     this.#jobArgs = jobArgs;
-    this.#status = JobStatus.PENDING;
+    this.#namedArgs = namedArgs;
+    this.#status = runAt === null ? JobStatus.PENDING : JobStatus.SCHEDULED;
     this.#createdAt = new Date().toISOString();
     this.#startedAt = null;
     this.#completedAt = null;
     this.#exitCode = null;
+    this.#signal = null;
+    this.#classification = null;
     this.#retryCount = 0;
+    this.#attempts = [];
+    this.#retryPolicy = retryPolicy;
+    this.#nextAttemptAt = null;
+    this.#runAt = runAt;
+    this.#predictedSuccessProbability = null;
+    this.#webhooks = webhooks.map(({ url, events = ['any'] }) => ({ url, events: [...events] }));
+    this.#dependsOn = [...dependsOn];
+    this.#workflowId = workflowId;
+    this.#workflowKey = workflowKey;
+    this.#scheduleId = scheduleId;
+    this.#queue = queue;
+    this.#outputs = {};
     this.#process = null;
+    this.#argv = null;
+    this.#pid = null;
+    this.#processStartTime = null;
+    this.#failureReason = null;
     this.#logger = logger;
+    this.#onChange = onChange;
+    this.#onStatusChange = onStatusChange;
 
     if (typeof priority !=='number' || priority < 1 || priority > 5) {
       const errorMsg = `Invalid priority: ${priority}. Must be a number between 1 and 5`;
@@ -72,19 +205,47 @@ class Job {
     }
     this.#priority = priority;
 
+    if (timeoutMs !== null && (!Number.isInteger(timeoutMs) || timeoutMs <= 0)) {
+      const errorMsg = `Invalid timeout: ${timeoutMs}. Must be a positive integer of milliseconds`;
+      this.#logger.error(errorMsg);
+      throw new Error(errorMsg);
+    }
+    this.#timeoutMs = timeoutMs;
+
     this.#logger.debug(`Job created: ${this.#id} (${this.#jobName}), jobs priority: ${this.#priority}`);
   }
 
   get id() { return this.#id; }
   get jobName() { return this.#jobName; }
+  get type() { return this.#type; }
   get jobArgs() { return this.#jobArgs; }
+  get namedArgs() { return this.#namedArgs; }
   get status() { return this.#status; }
   get createdAt() { return this.#createdAt; }
   get startedAt() { return this.#startedAt; }
   get completedAt() { return this.#completedAt; }
   get exitCode() { return this.#exitCode; }
+  get signal() { return this.#signal; }
+  get classification() { return this.#classification; }
   get retryCount() { return this.#retryCount; }
+  get attempts() { return this.#attempts.map(attempt => ({ ...attempt })); }
+  get retryPolicy() { return this.#retryPolicy; }
+  get nextAttemptAt() { return this.#nextAttemptAt; }
+  get runAt() { return this.#runAt; }
+  get predictedSuccessProbability() { return this.#predictedSuccessProbability; }
+  get webhooks() { return this.#webhooks.map(webhook => ({ ...webhook, events: [...webhook.events] })); }
+  get dependsOn() { return [...this.#dependsOn]; }
+  get workflowId() { return this.#workflowId; }
+  get workflowKey() { return this.#workflowKey; }
+  get scheduleId() { return this.#scheduleId; }
+  get queue() { return this.#queue; }
+  get outputs() { return { ...this.#outputs }; }
   get priority() { return this.#priority; }
+  get timeoutMs() { return this.#timeoutMs; }
+  get argv() { return this.#argv; }
+  get pid() { return this.#pid; }
+  get processStartTime() { return this.#processStartTime; }
+  get failureReason() { return this.#failureReason; }
 
   /**
    * Updates the job status
@@ -107,11 +268,14 @@ class Job {
       this.#startedAt = new Date().toISOString();
     }
     
-    if ((status === JobStatus.COMPLETED || status === JobStatus.FAILED) && !this.#completedAt) {
+    const finalStatuses = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.TIMED_OUT, JobStatus.CANCELLED, JobStatus.SKIPPED];
+    if (finalStatuses.includes(status) && !this.#completedAt) {
       this.#completedAt = new Date().toISOString();
     }
 
     this.#logger.debug(`Job ${this.#id} status changed: ${oldStatus} -> ${status}`);
+    this.#onChange?.(this);
+    this.#onStatusChange?.(this, oldStatus);
 
     return this;
   }
@@ -131,6 +295,7 @@ class Job {
     this.#logger.debug(`Job ${this.#id} priority changed: ${this.#priority} -> ${priority}`);
 
     this.#priority = priority;
+    this.#onChange?.(this);
 
     return this;
   }
@@ -142,34 +307,180 @@ class Job {
   incrementRetry() {
     this.#retryCount++;
     this.#logger.debug(`Job ${this.#id} retry count incremented to ${this.#retryCount}`);
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Records the start of a new attempt to run the job. Outputs of earlier attempts are dropped.
+   * @param {Object} [details={}] - Circumstances of the attempt
+   * @param {number|null} [details.concurrency=null] - Number of jobs running when it started, including this one
+   * @returns {number} - Number of the attempt (1 for the first run)
+   */
+  startAttempt({ concurrency = null } = {}) {
+    const attempt = this.#attempts.length + 1;
+
+    this.#attempts.push({
+      attempt,
+      startedAt: new Date().toISOString(),
+      completedAt: null,
+      durationMs: null,
+      pid: null,
+      concurrency,
+      exitCode: null,
+      signal: null,
+      classification: null,
+      failureReason: null,
+      logs: `/jobs/${this.#id}/logs?attempt=${attempt}`
+    });
+    this.#outputs = {};
+    this.#logger.debug(`Job ${this.#id} attempt ${attempt} started`);
+    this.#onChange?.(this);
+
+    return attempt;
+  }
+
+  /**
+   * Records the end of the current attempt. Its exit code, signal and classification
+   * become those of the job. Does nothing if no attempt is running.
+   * @param {Object} [outcome={}] - How the attempt ended
+   * @param {number|null} [outcome.exitCode=null] - Exit code of the process
+   * @param {string|null} [outcome.signal=null] - Signal that terminated the process
+   * @param {string|null} [outcome.classification=null] - How the process ended, null if unknown
+   * @param {string|null} [outcome.failureReason=null] - Why the attempt failed, null if it succeeded
+   * @returns {Job} - Updated job instance
+   * @throws {Error} - If classification is invalid
+   */
+  endAttempt({ exitCode = null, signal = null, classification = null, failureReason = null } = {}) {
+    const attempt = this.#attempts.at(-1);
+
+    if (!attempt || attempt.completedAt) {
+      return this;
+    }
+
+    const validClassifications = Object.values(JobClassification);
+    if (classification !== null && !validClassifications.includes(classification)) {
+      const errorMsg = `Invalid classification: ${classification}. Valid classifications are: ${validClassifications.join(', ')}`;
+      this.#logger.error(errorMsg);
+      throw new Error(errorMsg);
+    }
+
+    const completedAt = new Date();
+    attempt.completedAt = completedAt.toISOString();
+    attempt.durationMs = completedAt.getTime() - new Date(attempt.startedAt).getTime();
+    attempt.exitCode = exitCode;
+    attempt.signal = signal;
+    attempt.classification = classification;
+    attempt.failureReason = failureReason;
+    this.#exitCode = exitCode;
+    this.#signal = signal;
+    this.#classification = classification;
+    this.#logger.debug(`Job ${this.#id} attempt ${attempt.attempt} ended after ${attempt.durationMs}ms${failureReason ? ` (${failureReason})` : ''}`);
+    this.#onChange?.(this);
+
+    return this;
+  }
+
+  /**
+   * Sets when a scheduled retry is queued
+   * @param {string|null} time - ISO timestamp, or null once the retry is no longer scheduled
+   * @returns {Job} - Updated job instance
+   */
+  setNextAttemptAt(time) {
+    this.#nextAttemptAt = time;
+    this.#logger.debug(`Job ${this.#id} next attempt at ${time}`);
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Sets when a scheduled job is queued
+   * @param {string|null} time - ISO timestamp, or null to queue the job without waiting
+   * @returns {Job} - Updated job instance
+   */
+  setRunAt(time) {
+    this.#runAt = time;
+    this.#logger.debug(`Job ${this.#id} runs at ${time}`);
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Sets the probability of success predicted when the job was submitted
+   * @param {number|null} probability - Probability between 0 and 1, or null without a prediction
+   * @returns {Job} - Updated job instance
+   * @throws {Error} - If probability is not null or a number between 0 and 1
+   */
+  setPredictedSuccessProbability(probability) {
+    if (probability !== null && (typeof probability !== 'number' || probability < 0 || probability > 1)) {
+      const errorMsg = `Invalid predicted success probability: ${probability}. Must be a number between 0 and 1`;
+      this.#logger.error(errorMsg);
+      throw new Error(errorMsg);
+    }
+
+    this.#predictedSuccessProbability = probability;
+    this.#onChange?.(this);
     return this;
   }
 
   /**
-   * Sets the exit code of the job
-   * @param {number} code - Exit code
+   * Records outputs of the current attempt, replacing earlier values of the same keys
+   * @param {Object<string, *>} outputs - Outputs by key
    * @returns {Job} - Updated job instance
-   * @throws {Error} - If code is not a number
+   * @throws {Error} - If outputs is not an object
    */
-  setExitCode(code) {
-    if (typeof code !== 'number') {
-      const errorMsg = `Exit code must be a number, got ${typeof code}`;
+  setOutputs(outputs) {
+    if (typeof outputs !== 'object' || outputs === null || Array.isArray(outputs)) {
+      const errorMsg = 'Outputs must be an object';
       this.#logger.error(errorMsg);
       throw new Error(errorMsg);
     }
 
-    this.#exitCode = code;
-    this.#logger.debug(`Job ${this.#id} exit code set to ${code}`);
+    Object.assign(this.#outputs, outputs);
+    this.#logger.debug(`Job ${this.#id} outputs set: ${Object.keys(outputs).join(', ')}`);
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Sets the reason the job failed
+   * @param {string} reason - Failure reason, e.g. 'lost_on_restart'
+   * @returns {Job} - Updated job instance
+   */
+  setFailureReason(reason) {
+    this.#failureReason = reason;
+    this.#logger.debug(`Job ${this.#id} failure reason set to ${reason}`);
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Records the exact argv the job process was started with
+   * @param {string[]} argv - Executable followed by its arguments
+   * @returns {Job} - Updated job instance
+   * @throws {Error} - If argv is not a non-empty array of strings
+   */
+  setArgv(argv) {
+    if (!Array.isArray(argv) || argv.length === 0 || argv.some(arg => typeof arg !== 'string')) {
+      const errorMsg = 'Argv must be a non-empty array of strings';
+      this.#logger.error(errorMsg);
+      throw new Error(errorMsg);
+    }
+
+    this.#argv = [...argv];
+    this.#logger.debug(`Job ${this.#id} argv set to ${JSON.stringify(this.#argv)}`);
+    this.#onChange?.(this);
     return this;
   }
 
   /**
    * Sets the process reference
    * @param {import('child_process').ChildProcess} process - Process reference
+   * @param {string|null} [startTime=null] - When the OS started the process, used to recognise it after a restart
    * @returns {Job} - Updated job instance
    * @throws {Error} - If process is not valid
    */
-  setProcess(process) {
+  setProcess(process, startTime = null) {
     if (!process || typeof process !== 'object' || !process.pid) {
       const errorMsg = 'Invalid process object';
       this.#logger.error(errorMsg);
@@ -177,7 +488,16 @@ class Job {
     }
 
     this.#process = process;
+    this.#pid = process.pid;
+    this.#processStartTime = startTime;
+
+    const attempt = this.#attempts.at(-1);
+    if (attempt && !attempt.completedAt) {
+      attempt.pid = process.pid;
+    }
+
     this.#logger.debug(`Job ${this.#id} process set with PID ${process.pid}`);
+    this.#onChange?.(this);
 
     return this;
   }
@@ -190,16 +510,84 @@ class Job {
     return {
       id: this.#id,
       jobName: this.#jobName,
+      type: this.#type,
       jobArgs: this.#jobArgs,
+      namedArgs: this.#namedArgs,
       status: this.#status,
       createdAt: this.#createdAt,
       startedAt: this.#startedAt,
       completedAt: this.#completedAt,
       exitCode: this.#exitCode,
+      signal: this.#signal,
+      classification: this.#classification,
       retryCount: this.#retryCount,
-      priority: this.#priority
+      attempts: this.attempts,
+      retryPolicy: this.#retryPolicy,
+      nextAttemptAt: this.#nextAttemptAt,
+      runAt: this.#runAt,
+      predictedSuccessProbability: this.#predictedSuccessProbability,
+      webhooks: this.webhooks,
+      dependsOn: this.dependsOn,
+      workflowId: this.#workflowId,
+      workflowKey: this.#workflowKey,
+      scheduleId: this.#scheduleId,
+      queue: this.#queue,
+      outputs: this.outputs,
+      priority: this.#priority,
+      timeoutMs: this.#timeoutMs,
+      argv: this.#argv,
+      pid: this.#pid,
+      processStartTime: this.#processStartTime,
+      failureReason: this.#failureReason
     };
   }
+
+  /**
+   * Restores a job from a plain object created by toJSON, e.g. after a restart
+   * @param {Object} data - Plain object representation
+   * @param {Object} [options={}] - Same options as the constructor (priority, type, timeoutMs, retryPolicy, webhooks, dependsOn, the workflow, the schedule and the queue are taken from data)
+   * @returns {Job} - Restored job instance
+   */
+  static fromJSON(data, { logger = console, onChange = null, onStatusChange = null } = {}) {
+    const job = new Job(data.jobName, data.jobArgs, {
+      logger,
+      priority: data.priority,
+      type: data.type ?? null,
+      namedArgs: data.namedArgs ?? {},
+      timeoutMs: data.timeoutMs ?? null,
+      retryPolicy: data.retryPolicy ?? null,
+      webhooks: data.webhooks ?? [],
+      dependsOn: data.dependsOn ?? [],
+      workflowId: data.workflowId ?? null,
+      workflowKey: data.workflowKey ?? null,
+      scheduleId: data.scheduleId ?? null,
+      queue: data.queue ?? 'default'
+    });
+
+    job.#id = data.id;
+    job.#status = data.status;
+    job.#createdAt = data.createdAt;
+    job.#startedAt = data.startedAt ?? null;
+    job.#completedAt = data.completedAt ?? null;
+    job.#exitCode = data.exitCode ?? null;
+    job.#signal = data.signal ?? null;
+    job.#classification = data.classification ?? null;
+    job.#retryCount = data.retryCount ?? 0;
+    job.#attempts = (data.attempts ?? []).map(attempt => ({ ...attempt }));
+    job.#nextAttemptAt = data.nextAttemptAt ?? null;
+    job.#runAt = data.runAt ?? null;
+    job.#predictedSuccessProbability = data.predictedSuccessProbability ?? null;
+    job.#outputs = { ...data.outputs };
+    job.#argv = data.argv ?? null;
+    job.#pid = data.pid ?? null;
+    job.#processStartTime = data.processStartTime ?? null;
+    job.#failureReason = data.failureReason ?? null;
+    // Attached last so restoring does not write the job straight back to its store
+    job.#onChange = onChange;
+    job.#onStatusChange = onStatusChange;
+
+    return job;
+  }
 }
 
-export { Job, JobStatus };
+export { Job, JobStatus, JobClassification };
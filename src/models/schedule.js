@@ -0,0 +1,230 @@
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * What happens to a run that fires later than SCHEDULE_MISFIRE_THRESHOLD_MS, e.g. because the service was down
+ * @typedef {Object} MisfirePolicy
+ * @property {string} SKIP - Missed runs are dropped, the schedule waits for its next run
+ * @property {string} RUN_ONCE - One run is started on catch-up, however many were missed
+ */
+const MisfirePolicy = {
+  SKIP: 'skip',
+  RUN_ONCE: 'run_once'
+};
+
+/**
+ * Whether a run may start while the job of the previous run has not finished
+ * @typedef {Object} OverlapPolicy
+ * @property {string} ALLOW - Runs start regardless of the previous one
+ * @property {string} FORBID - A run is skipped while the job of the previous run has not finished
+ */
+const OverlapPolicy = {
+  ALLOW: 'allow',
+  FORBID: 'forbid'
+};
+
+/**
+ * @class Schedule
+ * @description Creates a job from a job spec on a cron expression or at a fixed interval
+ */
+class Schedule {
+  #id;
+  #name;
+  #cron;
+  #intervalMs;
+  #timezone;
+  #enabled;
+  #misfirePolicy;
+  #overlapPolicy;
+  #job;
+  #createdAt;
+  #updatedAt;
+  #nextRunAt;
+  #lastRunAt;
+  #lastJobId;
+  #runCount;
+  #skippedRunCount;
+  #onChange;
+
+  /**
+   * Creates a new Schedule instance
+   * @param {Object} spec - Schedule spec, validated with validateSchedule
+   * @param {string|null} [spec.name=null] - Name of the schedule
+   * @param {string|null} [spec.cron=null] - Cron expression, exclusive with intervalMs
+   * @param {number|null} [spec.intervalMs=null] - Time between runs, exclusive with cron
+   * @param {string} [spec.timezone='UTC'] - IANA time zone the cron expression is evaluated in
+   * @param {boolean} [spec.enabled=true] - Whether runs are started
+   * @param {string} [spec.misfirePolicy='skip'] - Value of MisfirePolicy
+   * @param {string} [spec.overlapPolicy='allow'] - Value of OverlapPolicy
+   * @param {Object} spec.job - Fields of POST /jobs the job of every run is created with
+   * @param {Object} [options={}] - Additional options
+   * @param {function(Schedule): void} [options.onChange] - Called after every change of the schedule
+   * @throws {Error} - If neither or both of cron and intervalMs are set, or job is not an object
+   */
+  constructor({
+    name = null,
+    cron = null,
+    intervalMs = null,
+    timezone = 'UTC',
+    enabled = true,
+    misfirePolicy = MisfirePolicy.SKIP,
+    overlapPolicy = OverlapPolicy.ALLOW,
+    job
+  }, { onChange = null } = {}) {
+    if ((cron === null) === (intervalMs === null)) {
+      throw new Error('Schedule must have either a cron expression or an interval');
+    }
+
+    if (typeof job !== 'object' || job === null || Array.isArray(job)) {
+      throw new Error('Job spec of a schedule must be an object');
+    }
+
+    const now = new Date().toISOString();
+
+    this.#id = uuidv4();
+    this.#name = name;
+    this.#cron = cron;
+    this.#intervalMs = intervalMs;
+    this.#timezone = timezone;
+    this.#enabled = enabled;
+    this.#misfirePolicy = misfirePolicy;
+    this.#overlapPolicy = overlapPolicy;
+    this.#job = { ...job };
+    this.#createdAt = now;
+    this.#updatedAt = now;
+    this.#nextRunAt = null;
+    this.#lastRunAt = null;
+    this.#lastJobId = null;
+    this.#runCount = 0;
+    this.#skippedRunCount = 0;
+    this.#onChange = onChange;
+  }
+
+  get id() { return this.#id; }
+  get name() { return this.#name; }
+  get cron() { return this.#cron; }
+  get intervalMs() { return this.#intervalMs; }
+  get timezone() { return this.#timezone; }
+  get enabled() { return this.#enabled; }
+  get misfirePolicy() { return this.#misfirePolicy; }
+  get overlapPolicy() { return this.#overlapPolicy; }
+  get job() { return { ...this.#job }; }
+  get createdAt() { return this.#createdAt; }
+  get updatedAt() { return this.#updatedAt; }
+  get nextRunAt() { return this.#nextRunAt; }
+  get lastRunAt() { return this.#lastRunAt; }
+  get lastJobId() { return this.#lastJobId; }
+  get runCount() { return this.#runCount; }
+  get skippedRunCount() { return this.#skippedRunCount; }
+
+  /**
+   * Applies a partial update. Setting cron clears intervalMs and the other way around.
+   * @param {Object} changes - Fields of the spec to change, validated with validateSchedule
+   * @returns {Schedule} - Updated schedule instance
+   */
+  update({ name, cron, intervalMs, timezone, enabled, misfirePolicy, overlapPolicy, job }) {
+    if (cron !== undefined) {
+      this.#cron = cron;
+      this.#intervalMs = null;
+    }
+    if (intervalMs !== undefined) {
+      this.#intervalMs = intervalMs;
+      this.#cron = null;
+    }
+
+    this.#name = name !== undefined ? name : this.#name;
+    this.#timezone = timezone ?? this.#timezone;
+    this.#enabled = enabled ?? this.#enabled;
+    this.#misfirePolicy = misfirePolicy ?? this.#misfirePolicy;
+    this.#overlapPolicy = overlapPolicy ?? this.#overlapPolicy;
+    this.#job = job !== undefined ? { ...job } : this.#job;
+    this.#updatedAt = new Date().toISOString();
+    this.#onChange?.(this);
+
+    return this;
+  }
+
+  /**
+   * Sets when the next run fires
+   * @param {string|null} time - ISO timestamp, or null while the schedule is disabled
+   * @returns {Schedule} - Updated schedule instance
+   */
+  setNextRunAt(time) {
+    this.#nextRunAt = time;
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Records a run that created a job
+   * @param {string} jobId - ID of the created job
+   * @param {string} time - ISO timestamp of the run
+   * @returns {Schedule} - Updated schedule instance
+   */
+  recordRun(jobId, time) {
+    this.#lastJobId = jobId;
+    this.#lastRunAt = time;
+    this.#runCount++;
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Records a run that was skipped by the misfire or overlap policy
+   * @returns {Schedule} - Updated schedule instance
+   */
+  recordSkippedRun() {
+    this.#skippedRunCount++;
+    this.#onChange?.(this);
+    return this;
+  }
+
+  /**
+   * Converts the schedule to a plain object for API responses
+   * @returns {Object} - Plain object representation
+   */
+  toJSON() {
+    return {
+      id: this.#id,
+      name: this.#name,
+      cron: this.#cron,
+      intervalMs: this.#intervalMs,
+      timezone: this.#timezone,
+      enabled: this.#enabled,
+      misfirePolicy: this.#misfirePolicy,
+      overlapPolicy: this.#overlapPolicy,
+      job: this.job,
+      createdAt: this.#createdAt,
+      updatedAt: this.#updatedAt,
+      nextRunAt: this.#nextRunAt,
+      lastRunAt: this.#lastRunAt,
+      lastJobId: this.#lastJobId,
+      runCount: this.#runCount,
+      skippedRunCount: this.#skippedRunCount
+    };
+  }
+
+  /**
+   * Restores a schedule from a plain object created by toJSON, e.g. after a restart
+   * @param {Object} data - Plain object representation
+   * @param {Object} [options={}] - Same options as the constructor
+   * @returns {Schedule} - Restored schedule instance
+   */
+  static fromJSON(data, { onChange = null } = {}) {
+    const schedule = new Schedule(data);
+
+    schedule.#id = data.id;
+    schedule.#createdAt = data.createdAt;
+    schedule.#updatedAt = data.updatedAt ?? data.createdAt;
+    schedule.#nextRunAt = data.nextRunAt ?? null;
+    schedule.#lastRunAt = data.lastRunAt ?? null;
+    schedule.#lastJobId = data.lastJobId ?? null;
+    schedule.#runCount = data.runCount ?? 0;
+    schedule.#skippedRunCount = data.skippedRunCount ?? 0;
+    // Attached last so restoring does not write the schedule straight back to its store
+    schedule.#onChange = onChange;
+
+    return schedule;
+  }
+}
+
+export { Schedule, MisfirePolicy, OverlapPolicy };
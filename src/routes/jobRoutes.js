@@ -21,11 +21,59 @@ const router = Router();
  *               jobName:
  *                 type: string
  *                 description: Name of the job to run
+ *               type:
+ *                 type: string
+ *                 description: Registered job type to run (see GET /job-types), defaults to jobName
  *               args:
  *                 type: array
  *                 items:
+ *                   oneOf:
+ *                     - type: string
+ *                     - type: number
+ *                     - type: boolean
+ *                 description: Positional arguments, each one passed verbatim as a single argument (no shell). Validated against argsSchema.positional of the job type
+ *               namedArgs:
+ *                 type: object
+ *                 additionalProperties: true
+ *                 example: { quality: 90, verbose: true }
+ *                 description: Named arguments, passed before the positional ones as --key=value (--key for true, omitted for false or null, repeated for arrays). Validated against argsSchema.named of the job type
+ *               priority:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 5
+ *                 description: Priority of the job (1-5, where 5 is highest), defaults to the defaultPriority of its queue
+ *               queue:
+ *                 type: string
+ *                 default: default
+ *                 example: transcode
+ *                 description: Named queue the job waits in (see GET /queues). It runs once the queue is below its concurrency limit
+ *               timeoutMs:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Per-job timeout in milliseconds, overrides the job type and JOB_TIMEOUT_MS
+ *               retryPolicy:
+ *                 $ref: '#/components/schemas/RetryPolicy'
+ *               webhooks:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/Webhook'
+ *                 description: URLs notified of the job's status changes, on top of WEBHOOK_URLS
+ *               dependsOn:
+ *                 type: array
+ *                 items:
  *                   type: string
- *                 description: Arguments to pass to the job
+ *                   format: uuid
+ *                 description: IDs of upstream jobs. The job waits in pending until all of them completed, and is skipped if one of them fails, times out, is cancelled, skipped or deleted
+ *               runAt:
+ *                 type: string
+ *                 format: date-time
+ *                 example: '2025-01-02T01:00:00Z'
+ *                 description: The job waits in scheduled and is not queued before this time. Exclusive with delayMs
+ *               delayMs:
+ *                 type: integer
+ *                 minimum: 0
+ *                 example: 3600000
+ *                 description: The job waits in scheduled for this long before it is queued. Exclusive with runAt
  *     responses:
  *       201:
  *         description: Job created successfully
@@ -40,11 +88,11 @@ const router = Router();
  *                 job:
  *                   $ref: '#/components/schemas/Job'
  *       400:
- *         description: Invalid input
+ *         description: Invalid request, e.g. an unknown queue; errors lists every violation, validTypes the registered job types when the type is unknown
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/Error'
+ *               $ref: '#/components/schemas/ValidationError'
  */
 router.post('/', JobController.createJob);
 
@@ -59,9 +107,30 @@ router.post('/', JobController.createJob);
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, running, completed, failed, retried]
+ *           enum: [scheduled, pending, running, completed, failed, retry_scheduled, paused, stopping, cancelled, timed_out, skipped]
  *         description: Filter jobs by status
  *       - in: query
+ *         name: classification
+ *         schema:
+ *           type: string
+ *           enum: [exited, signaled, spawn_error, timeout, oom_killed]
+ *         description: Filter jobs by how their latest attempt ended
+ *       - in: query
+ *         name: exitCode
+ *         schema:
+ *           type: integer
+ *         description: Filter jobs by the exit code of their latest attempt
+ *       - in: query
+ *         name: scheduleId
+ *         schema:
+ *           type: string
+ *         description: Filter jobs by the schedule that created them
+ *       - in: query
+ *         name: queue
+ *         schema:
+ *           type: string
+ *         description: Filter jobs by queue
+ *       - in: query
  *         name: limit
  *         schema:
  *           type: integer
@@ -90,6 +159,12 @@ router.post('/', JobController.createJob);
  *                   type: array
  *                   items:
  *                     $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid classification or exitCode
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.get('/', JobController.getAllJobs);
 
@@ -99,40 +174,74 @@ router.get('/', JobController.getAllJobs);
  *   get:
  *     summary: Get job statistics and correlations
  *     tags: [Jobs]
+ *     parameters:
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count jobs submitted at or after this time (ISO 8601 or Unix timestamp in milliseconds)
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only count jobs submitted before this time (ISO 8601 or Unix timestamp in milliseconds)
+ *       - in: query
+ *         name: bucket
+ *         schema:
+ *           type: string
+ *           pattern: '^[1-9][0-9]*[smhd]$'
+ *           example: 1h
+ *         description: Bucket size of the time series returned in timeSeries, e.g. 1m, 1h or 1d
  *     responses:
  *       200:
  *         description: Job statistics and correlations
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 totalJobs:
- *                   type: integer
- *                   description: Total number of jobs
- *                 overallSuccessRate:
- *                   type: number
- *                   description: Overall success rate as a decimal
- *                 patterns:
- *                   type: array
- *                   items:
- *                     type: object
- *                     properties:
- *                       pattern:
- *                         type: string
- *                         description: Description of the pattern
- *                       matchCount:
- *                         type: integer
- *                         description: Number of jobs matching this pattern
- *                       successRate:
- *                         type: number
- *                         description: Success rate for jobs matching this pattern
- *                       differenceFromAverage:
- *                         type: string
- *                         description: Difference from average success rate
+ *               $ref: '#/components/schemas/JobStats'
+ *       400:
+ *         description: Invalid from, to or bucket, or too many buckets
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  */
 router.get('/stats', JobController.getJobStats);
 
+/**
+ * @swagger
+ * /stats/correlations:
+ *   get:
+ *     summary: Get the statistical significance of the correlations between job characteristics and success
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Correlations ranked by significance
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/JobCorrelations'
+ */
+router.get('/stats/correlations', JobController.getJobCorrelations);
+
+/**
+ * @swagger
+ * /stats/model:
+ *   get:
+ *     summary: Get the model predicting the outcome of submitted jobs
+ *     tags: [Jobs]
+ *     responses:
+ *       200:
+ *         description: Feature weights and accuracy on held-out history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PredictionModel'
+ */
+router.get('/stats/model', JobController.getPredictionModel);
+
 /**
  * @swagger
  * /jobs/{id}:
@@ -162,6 +271,211 @@ router.get('/stats', JobController.getJobStats);
  */
 router.get('/:id', JobController.getJobById);
 
+/**
+ * @swagger
+ * /jobs/{id}/attempts:
+ *   get:
+ *     summary: Get job attempts
+ *     description: Returns every attempt to run the job, oldest first, with its own timing, PID, exit status and failure reason
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job attempts
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 attempts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobAttempt'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/attempts', JobController.getJobAttempts);
+
+/**
+ * @swagger
+ * /jobs/{id}/webhooks:
+ *   get:
+ *     summary: Get job webhook deliveries
+ *     description: >
+ *       Returns the webhooks notified of the job's status changes and every delivery to them, oldest first.
+ *       Each delivery is a signed POST of {event, occurredAt, previousStatus, job}; failed deliveries are
+ *       retried with backoff. The log is kept in memory and does not survive a restart.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job webhooks and their deliveries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                 webhooks:
+ *                   type: array
+ *                   description: Webhooks of the job
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *                 globalWebhooks:
+ *                   type: array
+ *                   description: Webhooks of WEBHOOK_URLS, notified for every job
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *                 total:
+ *                   type: integer
+ *                 deliveries:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/webhooks', JobController.getJobWebhooks);
+
+/**
+ * @swagger
+ * /jobs/{id}/logs:
+ *   get:
+ *     summary: Get job output
+ *     description: Returns stdout/stderr lines captured from the job process, oldest first
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: string
+ *           enum: [stdout, stderr]
+ *         description: Only lines of this stream
+ *       - in: query
+ *         name: attempt
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *         description: Only lines of this attempt (1 for the first run)
+ *       - in: query
+ *         name: since
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only lines logged after this timestamp
+ *       - in: query
+ *         name: tail
+ *         schema:
+ *           type: integer
+ *           minimum: 0
+ *         description: Only the last N lines that match the other filters
+ *     responses:
+ *       200:
+ *         description: Job output
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 jobId:
+ *                   type: string
+ *                 total:
+ *                   type: integer
+ *                 lines:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobLogLine'
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/logs', JobController.getJobLogs);
+
+/**
+ * @swagger
+ * /jobs/{id}/logs/stream:
+ *   get:
+ *     summary: Live tail of job output
+ *     description: |
+ *       Server-Sent Events stream of the job's stdout/stderr. Buffered lines are replayed first,
+ *       then every new line is sent as a `log` event while the job runs. When the job reaches a
+ *       final status an `end` event with its status and exit code is sent and the stream is closed.
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Job ID
+ *       - in: query
+ *         name: stream
+ *         schema:
+ *           type: string
+ *           enum: [stdout, stderr]
+ *         description: Only lines of this stream
+ *     responses:
+ *       200:
+ *         description: Event stream of `log` events (JobLogLine) followed by one `end` event
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid filter
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id/logs/stream', JobController.streamJobLogs);
+
 /**
  * @swagger
  * /jobs/{id}/priority:
@@ -230,7 +544,7 @@ router.put('/:id/priority', JobController.updateJobPriorityById);
  * /jobs/{id}:
  *   delete:
  *     summary: Delete a job
- *     description: Deletes a job with the specified ID if it's in a deletable state (pending or paused)
+ *     description: Deletes a job with the specified ID if it's in a deletable state (scheduled, pending, paused or retry_scheduled)
  *     tags: [Jobs]
  *     parameters:
  *       - in: path
@@ -271,4 +585,212 @@ router.put('/:id/priority', JobController.updateJobPriorityById);
  */
 router.delete('/:id', JobController.deleteJobById);
 
+/**
+ * @swagger
+ * /jobs/{id}/pause:
+ *   post:
+ *     summary: Pause a job
+ *     description: Suspends a running job with SIGSTOP, or holds a pending job or one waiting for a retry back from the queue. Whether a paused job keeps its concurrency slot is set by PAUSED_JOBS_HOLD_SLOT
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the job
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job paused successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Job cannot be paused in its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/pause', JobController.pauseJobById);
+
+/**
+ * @swagger
+ * /jobs/{id}/resume:
+ *   post:
+ *     summary: Resume a paused job
+ *     description: Continues a suspended job with SIGCONT, or puts a job paused while pending back into the queue
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the job
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job resumed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Job cannot be resumed in its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/resume', JobController.resumeJobById);
+
+/**
+ * @swagger
+ * /jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a job
+ *     description: Cancels a scheduled, pending, paused or retry_scheduled job right away. A job with a running process goes through stopping (SIGTERM, then SIGKILL after JOB_CANCEL_GRACE_MS) and ends as cancelled
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the job
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Job cancelled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Job cannot be cancelled in its current status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/:id/cancel', JobController.cancelJobById);
+
+/**
+ * @swagger
+ * /jobs/{id}/run-at:
+ *   put:
+ *     summary: Reschedule a job
+ *     description: >
+ *       Changes when a scheduled or pending job is queued. A pending job goes back to scheduled until the new time;
+ *       runAt null queues a scheduled job right away
+ *     tags: [Jobs]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         description: ID of the job
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               runAt:
+ *                 type: string
+ *                 format: date-time
+ *                 nullable: true
+ *                 description: New time the job is queued at, null for now. Exclusive with delayMs
+ *               delayMs:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Queue the job this long from now. Exclusive with runAt
+ *           example:
+ *             runAt: '2025-01-02T01:00:00Z'
+ *     responses:
+ *       200:
+ *         description: Job rescheduled successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                 job:
+ *                   $ref: '#/components/schemas/Job'
+ *       400:
+ *         description: Invalid runAt or delayMs, or the job has already been queued and started
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       404:
+ *         description: Job not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:id/run-at', JobController.rescheduleJobById);
+
 export default router;
@@ -0,0 +1,35 @@
+import { Router } from 'express';
+import { JobTypeController } from '../controllers/jobTypeController.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /job-types:
+ *   get:
+ *     summary: Get all registered job types
+ *     tags: [Job types]
+ *     responses:
+ *       200:
+ *         description: Registered job types, sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 jobTypes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobType'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', JobTypeController.getJobTypes);
+
+export default router;
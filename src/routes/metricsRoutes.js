@@ -0,0 +1,34 @@
+import { Router } from 'express';
+import { MetricsController } from '../controllers/metricsController.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /metrics:
+ *   get:
+ *     summary: Get metrics in the Prometheus text exposition format
+ *     tags: [Metrics]
+ *     responses:
+ *       200:
+ *         description: >
+ *           Job counters and duration histograms labelled job_type, queue gauges, and HTTP request metrics.
+ *           Job metrics are labelled by job type rather than by the free-form jobName, so the number of series stays bounded
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 # HELP jobs_created_total Jobs created
+ *                 # TYPE jobs_created_total counter
+ *                 jobs_created_total{job_type="default"} 3
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', MetricsController.getMetrics);
+
+export default router;
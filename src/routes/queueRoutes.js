@@ -0,0 +1,101 @@
+import { Router } from 'express';
+import { QueueController } from '../controllers/queueController.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /queues:
+ *   get:
+ *     summary: Get all queues with their load
+ *     tags: [Queues]
+ *     responses:
+ *       200:
+ *         description: Queues sorted by name
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 queues:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Queue'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', QueueController.getQueues);
+
+/**
+ * @swagger
+ * /queues/{name}:
+ *   put:
+ *     summary: Change the settings of a queue, or create it
+ *     description: >
+ *       Changes only the settings in the body; a new queue needs a concurrency. A higher limit starts
+ *       waiting jobs right away. A lower limit does not stop running jobs, the queue starts no new ones
+ *       until it is below the limit. Changes are not persisted, after a restart the queues of QUEUES apply.
+ *     tags: [Queues]
+ *     parameters:
+ *       - in: path
+ *         name: name
+ *         required: true
+ *         schema:
+ *           type: string
+ *           pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$'
+ *         description: Queue name
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/QueueSettings'
+ *           example:
+ *             concurrency: 4
+ *     responses:
+ *       200:
+ *         description: Queue updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Queue updated successfully
+ *                 queue:
+ *                   $ref: '#/components/schemas/Queue'
+ *       201:
+ *         description: Queue created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Queue created successfully
+ *                 queue:
+ *                   $ref: '#/components/schemas/Queue'
+ *       400:
+ *         description: Invalid name or settings, e.g. a new queue without concurrency; errors lists every violation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.put('/:name', QueueController.updateQueue);
+
+export default router;
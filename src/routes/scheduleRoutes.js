@@ -0,0 +1,221 @@
+import { Router } from 'express';
+import { ScheduleController } from '../controllers/scheduleController.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /schedules:
+ *   post:
+ *     summary: Create a schedule
+ *     description: >
+ *       Creates a job from the job spec on a cron expression or at a fixed interval. Every run creates an
+ *       ordinary job whose scheduleId is the ID of the schedule.
+ *     tags: [Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             allOf:
+ *               - $ref: '#/components/schemas/ScheduleSpec'
+ *               - required: [job]
+ *           example:
+ *             name: nightly-report
+ *             cron: '0 3 * * *'
+ *             timezone: Europe/Berlin
+ *             overlapPolicy: forbid
+ *             job:
+ *               jobName: report
+ *               args: [daily]
+ *     responses:
+ *       201:
+ *         description: Schedule created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Schedule created successfully
+ *                 schedule:
+ *                   $ref: '#/components/schemas/Schedule'
+ *       400:
+ *         description: Invalid request, e.g. both or neither of cron and intervalMs, an unknown time zone or an invalid job; errors lists every violation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', ScheduleController.createSchedule);
+
+/**
+ * @swagger
+ * /schedules:
+ *   get:
+ *     summary: Get all schedules
+ *     tags: [Schedules]
+ *     responses:
+ *       200:
+ *         description: Schedules in creation order
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 total:
+ *                   type: integer
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Schedule'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/', ScheduleController.getAllSchedules);
+
+/**
+ * @swagger
+ * /schedules/{id}:
+ *   get:
+ *     summary: Get a schedule
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Schedule'
+ *       404:
+ *         description: Schedule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', ScheduleController.getScheduleById);
+
+/**
+ * @swagger
+ * /schedules/{id}:
+ *   patch:
+ *     summary: Update a schedule
+ *     description: >
+ *       Changes only the fields in the body. Setting cron replaces intervalMs and the other way around.
+ *       The next run is recomputed when the timing changes or the schedule is enabled.
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScheduleSpec'
+ *           example:
+ *             enabled: false
+ *     responses:
+ *       200:
+ *         description: Schedule updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Schedule updated successfully
+ *                 schedule:
+ *                   $ref: '#/components/schemas/Schedule'
+ *       400:
+ *         description: Invalid request; errors lists every violation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       404:
+ *         description: Schedule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.patch('/:id', ScheduleController.updateSchedule);
+
+/**
+ * @swagger
+ * /schedules/{id}:
+ *   delete:
+ *     summary: Delete a schedule
+ *     description: Stops the schedule; jobs it already created are kept
+ *     tags: [Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Schedule deleted successfully
+ *       404:
+ *         description: Schedule not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.delete('/:id', ScheduleController.deleteSchedule);
+
+export default router;
@@ -0,0 +1,104 @@
+import { Router } from 'express';
+import { WorkflowController } from '../controllers/workflowController.js';
+
+const router = Router();
+
+/**
+ * @swagger
+ * /workflows:
+ *   post:
+ *     summary: Create a workflow
+ *     description: >
+ *       Submits a DAG of jobs in one request. Every job runs once its upstream jobs (dependsOn) completed;
+ *       if one of them fails, times out or is cancelled, the job and everything downstream of it is skipped.
+ *       The whole request is validated before any job is created.
+ *     tags: [Workflows]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - jobs
+ *             properties:
+ *               jobs:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   $ref: '#/components/schemas/WorkflowJobSpec'
+ *           example:
+ *             jobs:
+ *               - key: download
+ *                 jobName: download
+ *               - key: resize
+ *                 jobName: resize
+ *                 dependsOn: [download]
+ *               - key: upload
+ *                 jobName: upload
+ *                 dependsOn: [resize]
+ *     responses:
+ *       201:
+ *         description: Workflow created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Workflow created successfully
+ *                 workflow:
+ *                   $ref: '#/components/schemas/Workflow'
+ *       400:
+ *         description: Invalid request, e.g. an unknown or duplicate key, a dependency cycle or an invalid job; errors lists every violation
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValidationError'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/', WorkflowController.createWorkflow);
+
+/**
+ * @swagger
+ * /workflows/{id}:
+ *   get:
+ *     summary: Get a workflow
+ *     description: Returns the aggregate status of the workflow and its jobs
+ *     tags: [Workflows]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Workflow ID
+ *     responses:
+ *       200:
+ *         description: Workflow details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Workflow'
+ *       404:
+ *         description: Workflow not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/:id', WorkflowController.getWorkflow);
+
+export default router;
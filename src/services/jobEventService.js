@@ -0,0 +1,216 @@
+import { EventEmitter } from 'events';
+import { logger } from '../utils/logger/index.js';
+import { JobStatus } from '../models/job.js';
+
+/**
+ * @typedef {Object} JobEventType
+ * @property {string} CREATED - Job was submitted
+ * @property {string} STARTED - An attempt of the job started
+ * @property {string} RETRIED - An attempt failed and the job goes back to the queue, right away or after a backoff delay
+ * @property {string} COMPLETED - Job completed successfully
+ * @property {string} FAILED - Job failed or timed out with no retries left
+ * @property {string} CANCELLED - Job was cancelled
+ * @property {string} SKIPPED - Job was skipped because an upstream job did not complete
+ * @property {string} PAUSED - Job was suspended or held back from the queue
+ * @property {string} RESUMED - Paused job was continued or returned to the queue
+ * @property {string} PRIORITY_CHANGED - Priority of the job changed
+ * @property {string} RESCHEDULED - Time the job is queued at (runAt) changed
+ * @property {string} DELETED - Job was deleted
+ */
+const JobEventType = {
+  CREATED: 'job.created',
+  STARTED: 'job.started',
+  RETRIED: 'job.retried',
+  COMPLETED: 'job.completed',
+  FAILED: 'job.failed',
+  CANCELLED: 'job.cancelled',
+  SKIPPED: 'job.skipped',
+  PAUSED: 'job.paused',
+  RESUMED: 'job.resumed',
+  PRIORITY_CHANGED: 'job.priorityChanged',
+  RESCHEDULED: 'job.rescheduled',
+  DELETED: 'job.deleted'
+};
+
+// Filters of a subscription: the job field each one matches, and the values it accepts
+const FILTERS = {
+  jobIds: { field: 'jobId', values: null },
+  jobNames: { field: 'jobName', values: null },
+  statuses: { field: 'status', values: Object.values(JobStatus) },
+  types: { field: 'type', values: Object.values(JobEventType) }
+};
+
+/**
+ * Get the event of a status transition
+ * @param {string} status - New status
+ * @param {string} previousStatus - Status before the transition
+ * @returns {string|null} - Event type, or null for transitions without an event (e.g. to STOPPING)
+ */
+const getStatusChangeEventType = (status, previousStatus) => {
+  switch (status) {
+    case JobStatus.RUNNING:
+      return previousStatus === JobStatus.PAUSED ? JobEventType.RESUMED : JobEventType.STARTED;
+    case JobStatus.PENDING:
+      if (previousStatus === JobStatus.PAUSED) {
+        return JobEventType.RESUMED;
+      }
+      return [JobStatus.RUNNING, JobStatus.STOPPING].includes(previousStatus) ? JobEventType.RETRIED : null;
+    case JobStatus.RETRY_SCHEDULED:
+      return JobEventType.RETRIED;
+    case JobStatus.COMPLETED:
+      return JobEventType.COMPLETED;
+    case JobStatus.FAILED:
+    case JobStatus.TIMED_OUT:
+      return JobEventType.FAILED;
+    case JobStatus.CANCELLED:
+      return JobEventType.CANCELLED;
+    case JobStatus.SKIPPED:
+      return JobEventType.SKIPPED;
+    case JobStatus.PAUSED:
+      return JobEventType.PAUSED;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Validates the filter of a subscription
+ * @param {*} filter - Filter to validate
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the filter is valid
+ */
+const validateEventFilter = (filter) => {
+  if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+    return [{ field: 'filter', message: 'filter must be an object' }];
+  }
+
+  const violations = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    const definition = FILTERS[key];
+
+    if (!definition) {
+      violations.push({ field: key, message: `${key} is not a filter, expected one of ${Object.keys(FILTERS).join(', ')}` });
+    } else if (!Array.isArray(value) || !value.every(item => typeof item === 'string')) {
+      violations.push({ field: key, message: `${key} must be an array of strings` });
+    } else if (definition.values && !value.every(item => definition.values.includes(item))) {
+      violations.push({ field: key, message: `${key} must only contain ${definition.values.join(', ')}` });
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Checks whether an event passes a filter. Every filter that is set has to match one of its values.
+ * @param {Object} filter - Valid filter
+ * @param {Object} event - Published event
+ * @returns {boolean} - True if the event is delivered to the subscriber
+ */
+const matchesFilter = (filter, event) => Object.entries(filter)
+  .every(([key, values]) => values.length === 0 || values.includes(event[FILTERS[key].field]));
+
+/**
+ * Service: stream of job lifecycle events.
+ * JobService publishes an event for every submission, status transition, priority change and
+ * deletion; subscribers, such as the WebSocket at /events, receive the events matching their filter.
+ * Every event carries a sequence number, so subscribers can tell whether they missed one.
+ */
+class JobEventService {
+  #emitter = new EventEmitter();
+  #sequence = 0;
+
+  constructor() {
+    // Every connected client subscribes, there is no sensible upper bound
+    this.#emitter.setMaxListeners(0);
+  }
+
+  /**
+   * Get the number of subscribers
+   * @returns {number} - Number of subscribers
+   */
+  get subscriberCount() {
+    return this.#emitter.listenerCount('event');
+  }
+
+  /**
+   * Publishes an event of a job
+   * @param {string} type - Event type, see JobEventType
+   * @param {Job} job - Job the event is about, in its state after the event
+   * @param {Object} [details={}] - Fields specific to the event, e.g. previousStatus
+   * @returns {Object} - Published event
+   */
+  publish(type, job, details = {}) {
+    const event = {
+      type,
+      sequence: ++this.#sequence,
+      time: new Date().toISOString(),
+      jobId: job.id,
+      jobName: job.jobName,
+      status: job.status,
+      ...details,
+      job: job.toJSON()
+    };
+
+    this.#emitter.emit('event', event);
+
+    return event;
+  }
+
+  /**
+   * Publishes the event of a status transition of a job, if it has one
+   * @param {Job} job - Job whose status changed
+   * @param {string} previousStatus - Status before the transition
+   * @returns {Object|null} - Published event, or null if the transition has no event
+   */
+  publishStatusChange(job, previousStatus) {
+    const type = getStatusChangeEventType(job.status, previousStatus);
+
+    if (!type) {
+      return null;
+    }
+
+    const details = { previousStatus };
+    if (type === JobEventType.RETRIED) {
+      details.retryCount = job.retryCount;
+      details.nextAttemptAt = job.nextAttemptAt;
+    }
+
+    return this.publish(type, job, details);
+  }
+
+  /**
+   * Subscribe to the events matching a filter. A listener that throws is logged and does not
+   * stop the other listeners nor the transition that published the event.
+   * @param {function(Object): void} listener - Called with every matching event
+   * @param {Object} [filter={}] - Valid filter, see validateEventFilter; empty to receive every event
+   * @returns {function(): void} - Unsubscribe function
+   */
+  subscribe(listener, filter = {}) {
+    const handleEvent = (event) => {
+      if (!matchesFilter(filter, event)) {
+        return;
+      }
+
+      try {
+        listener(event);
+      } catch (error) {
+        logger.error(`Job event subscriber failed on ${event.type} of job ${event.jobId}: ${error.message}`);
+      }
+    };
+
+    this.#emitter.on('event', handleEvent);
+
+    return () => this.#emitter.off('event', handleEvent);
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.#emitter.removeAllListeners('event');
+    this.#sequence = 0;
+  }
+}
+
+export const jobEventService = new JobEventService();
+export { JobEventType, validateEventFilter };
@@ -0,0 +1,350 @@
+import fs from 'fs';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+
+const STREAMS = ['stdout', 'stderr'];
+
+/**
+ * Service: stdout/stderr capture for job processes.
+ * Keeps the most recent lines of every job in memory and appends every line to
+ * `<JOB_LOGS_DIR>/<jobId>.log` (one JSON entry per line) through a write stream that is open
+ * while the job runs, so older lines stay available after they are evicted from the buffer.
+ * The file is only read for lines the buffer no longer holds.
+ */
+class JobLogService {
+  #buffers = new Map();
+  #files = new Map();
+  #emitter = new EventEmitter();
+  #maxLines;
+  #logDir;
+
+  constructor() {
+    // Every live tail subscribes to its job, there is no sensible upper bound
+    this.#emitter.setMaxListeners(0);
+    this.#maxLines = config.JOB_LOG_MAX_LINES || 1000;
+    this.#logDir = path.resolve(process.cwd(), config.JOB_LOGS_DIR || 'logs/jobs');
+
+    try {
+      fs.mkdirSync(this.#logDir, { recursive: true });
+    } catch (error) {
+      logger.error(`Failed to create job log directory ${this.#logDir}: ${error.message}`);
+    }
+
+    logger.info(`Job log directory: ${this.#logDir} (${this.#maxLines} lines kept in memory per job)`);
+  }
+
+  /**
+   * Captures stdout and stderr of a job process line by line
+   * @param {string} jobId - Job ID
+   * @param {number} attempt - Attempt number (1 for the first run)
+   * @param {import('child_process').ChildProcess} childProcess - Job process
+   */
+  attach(jobId, attempt, childProcess) {
+    for (const stream of STREAMS) {
+      const source = childProcess[stream];
+
+      if (!source) {
+        continue;
+      }
+
+      let partial = '';
+
+      source.setEncoding?.('utf8');
+      source.on('data', (chunk) => {
+        const lines = (partial + chunk).split(/\r?\n/);
+        partial = lines.pop();
+        this.append(jobId, stream, attempt, lines);
+      });
+      source.on('end', () => {
+        if (partial) {
+          this.append(jobId, stream, attempt, [partial]);
+          partial = '';
+        }
+      });
+    }
+  }
+
+  /**
+   * Appends lines to the log of a job
+   * @param {string} jobId - Job ID
+   * @param {string} stream - 'stdout' or 'stderr'
+   * @param {number} attempt - Attempt number
+   * @param {string[]} lines - Lines without trailing newline
+   * @returns {Object[]} - Appended log entries
+   */
+  append(jobId, stream, attempt, lines) {
+    if (lines.length === 0) {
+      return [];
+    }
+
+    const time = new Date().toISOString();
+    const entries = lines.map(line => ({ time, attempt, stream, line }));
+    const buffer = this.#getBuffer(jobId, true);
+
+    buffer.entries.push(...entries);
+    if (buffer.entries.length > this.#maxLines) {
+      const evicted = buffer.entries.splice(0, buffer.entries.length - this.#maxLines);
+      buffer.evicted += evicted.length;
+      buffer.lastEvictedAttempt = evicted.reduce((latest, entry) => Math.max(latest, entry.attempt), buffer.lastEvictedAttempt);
+    }
+    buffer.logged.add(`${attempt}:${stream}`);
+
+    // Kept until written, so reads of the file can add the lines it does not contain yet
+    buffer.unwritten.push(...entries);
+    this.#getFile(jobId).write(entries.map(entry => `${JSON.stringify(entry)}\n`).join(''), (error) => {
+      if (!error) {
+        buffer.written += entries.length;
+        buffer.unwritten.splice(0, entries.length);
+      }
+    });
+
+    for (const entry of entries) {
+      this.#emitter.emit(`log:${jobId}`, entry);
+    }
+
+    return entries;
+  }
+
+  /**
+   * Subscribes to new log lines of a job and to the end of the job
+   * @param {string} jobId - Job ID
+   * @param {object} handlers - Event handlers
+   * @param {function(Object): void} handlers.onLine - Called with every new log entry
+   * @param {function(Object): void} handlers.onEnd - Called once with the final job state when the job ends
+   * @returns {function(): void} - Unsubscribe function
+   */
+  subscribe(jobId, { onLine, onEnd }) {
+    const handleEnd = (result) => {
+      unsubscribe();
+      onEnd(result);
+    };
+    const unsubscribe = () => {
+      this.#emitter.off(`log:${jobId}`, onLine);
+      this.#emitter.off(`end:${jobId}`, handleEnd);
+    };
+
+    this.#emitter.on(`log:${jobId}`, onLine);
+    this.#emitter.on(`end:${jobId}`, handleEnd);
+
+    return unsubscribe;
+  }
+
+  /**
+   * Notifies subscribers that a job has reached its final status and closes its log file
+   * @param {string} jobId - Job ID
+   * @param {Object} result - Final job state sent to subscribers
+   */
+  end(jobId, result) {
+    this.#files.get(jobId)?.end();
+    this.#files.delete(jobId);
+    this.#emitter.emit(`end:${jobId}`, result);
+  }
+
+  /**
+   * Checks whether a job has logged any line to a stream during an attempt, without reading its log
+   * @param {string} jobId - Job ID
+   * @param {object} filter - Lines to look for
+   * @param {string} filter.stream - 'stdout' or 'stderr'
+   * @param {number} filter.attempt - Attempt number
+   * @returns {boolean} - True if at least one line was logged
+   */
+  hasLogs(jobId, { stream, attempt }) {
+    return this.#getBuffer(jobId).logged.has(`${attempt}:${stream}`);
+  }
+
+  /**
+   * Get log lines of a job
+   * @param {string} jobId - Job ID
+   * @param {object} [options] - Filter options
+   * @param {string} [options.stream] - Only lines of this stream ('stdout' or 'stderr')
+   * @param {number} [options.attempt] - Only lines of this attempt
+   * @param {string} [options.since] - Only lines logged after this ISO timestamp
+   * @param {number} [options.tail] - Only the last N lines that match the other filters
+   * @returns {Object[]} - Log entries, oldest first
+   */
+  getLogs(jobId, { stream, attempt, since, tail } = {}) {
+    const sinceTime = since ? new Date(since).getTime() : null;
+    const filter = entries => entries.filter(entry => (!stream || entry.stream === stream)
+      && (attempt === undefined || entry.attempt === attempt)
+      && (sinceTime === null || new Date(entry.time).getTime() > sinceTime));
+
+    const buffer = this.#getBuffer(jobId);
+    let entries = filter(buffer.entries);
+
+    // Evicted lines are older than the buffered ones: they only matter if they can match and the tail is not full yet
+    const oldest = buffer.entries[0];
+    const evictedMayMatch = buffer.evicted > 0
+      && (attempt === undefined || attempt <= buffer.lastEvictedAttempt)
+      && (sinceTime === null || !oldest || new Date(oldest.time).getTime() > sinceTime);
+
+    if (evictedMayMatch && (tail === undefined || entries.length < tail)) {
+      entries = filter(this.#readEntries(jobId, buffer));
+    }
+
+    if (tail !== undefined) {
+      entries = tail > 0 ? entries.slice(-tail) : [];
+    }
+
+    return entries;
+  }
+
+  /**
+   * Deletes the in-memory and on-disk log of a job
+   * @param {string} jobId - Job ID
+   */
+  deleteLogs(jobId) {
+    const filePath = this.#getFilePath(jobId);
+    const file = this.#files.get(jobId);
+
+    this.#buffers.delete(jobId);
+    this.#files.delete(jobId);
+    this.#emitter.removeAllListeners(`log:${jobId}`);
+    this.#emitter.removeAllListeners(`end:${jobId}`);
+
+    // A stream that is still opening creates the file once it is open, so the file is removed again when it closes
+    file?.once('close', () => {
+      if (!this.#buffers.has(jobId) && !this.#files.has(jobId)) {
+        fs.rm(filePath, { force: true }, () => {});
+      }
+    });
+    file?.destroy();
+
+    try {
+      fs.rmSync(filePath, { force: true });
+    } catch (error) {
+      logger.error(`Failed to delete log of job ${jobId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes the on-disk logs of the jobs that no longer exist, e.g. those lost with the memory store on a restart
+   * @param {Set<string>} jobIds - IDs of the existing jobs
+   * @returns {number} - Number of deleted log files
+   */
+  deleteLogsExcept(jobIds) {
+    let deleted = 0;
+
+    try {
+      for (const fileName of fs.readdirSync(this.#logDir)) {
+        const jobId = path.basename(fileName, '.log');
+
+        if (fileName.endsWith('.log') && !jobIds.has(jobId)) {
+          this.deleteLogs(jobId);
+          deleted++;
+        }
+      }
+    } catch (error) {
+      logger.error(`Failed to clean up job log directory ${this.#logDir}: ${error.message}`);
+    }
+
+    return deleted;
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    for (const jobId of new Set([...this.#buffers.keys(), ...this.#files.keys()])) {
+      this.deleteLogs(jobId);
+    }
+  }
+
+  /**
+   * Reads all entries of a job from disk, followed by those that are not written yet
+   * @param {string} jobId - Job ID
+   * @param {Object} buffer - In-memory buffer of the job
+   * @returns {Object[]} - Log entries
+   * @private
+   */
+  #readEntries(jobId, buffer) {
+    const entries = this.#readFile(jobId);
+    return entries.concat(buffer.unwritten.slice(Math.max(entries.length - buffer.written, 0)));
+  }
+
+  /**
+   * Reads the complete lines of the on-disk log of a job
+   * @param {string} jobId - Job ID
+   * @returns {Object[]} - Log entries, empty if the job has no log file
+   * @private
+   */
+  #readFile(jobId) {
+    let content;
+
+    try {
+      content = fs.readFileSync(this.#getFilePath(jobId), 'utf8');
+    } catch {
+      return [];
+    }
+
+    const lines = content.split('\n');
+    // The last line is empty, or still being written
+    lines.pop();
+
+    return lines.filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  /**
+   * Get the in-memory buffer of a job. A job that logged before a restart starts with the tail of its log file.
+   * @param {string} jobId - Job ID
+   * @param {boolean} [create=false] - Keep the buffer even if the job has not logged anything yet
+   * @returns {{entries: Object[], evicted: number, lastEvictedAttempt: number, logged: Set<string>, written: number, unwritten: Object[]}} -
+   *   Buffered entries, number and latest attempt of the evicted ones, `<attempt>:<stream>` keys of the
+   *   logged lines, and number of entries written to the file and entries still to be written
+   * @private
+   */
+  #getBuffer(jobId, create = false) {
+    if (this.#buffers.has(jobId)) {
+      return this.#buffers.get(jobId);
+    }
+
+    const entries = this.#readFile(jobId);
+    const evicted = Math.max(entries.length - this.#maxLines, 0);
+    const buffer = {
+      entries: entries.slice(evicted),
+      evicted,
+      lastEvictedAttempt: entries.slice(0, evicted).reduce((latest, entry) => Math.max(latest, entry.attempt), 0),
+      logged: new Set(entries.map(entry => `${entry.attempt}:${entry.stream}`)),
+      written: entries.length,
+      unwritten: []
+    };
+
+    if (create || entries.length > 0) {
+      this.#buffers.set(jobId, buffer);
+    }
+    return buffer;
+  }
+
+  /**
+   * Get the append stream of the on-disk log of a job, opening it if needed
+   * @param {string} jobId - Job ID
+   * @returns {fs.WriteStream} - Append stream
+   * @private
+   */
+  #getFile(jobId) {
+    if (!this.#files.has(jobId)) {
+      const file = fs.createWriteStream(this.#getFilePath(jobId), { flags: 'a' });
+
+      file.on('error', (error) => {
+        logger.error(`Failed to write log of job ${jobId}: ${error.message}`);
+        if (this.#files.get(jobId) === file) {
+          this.#files.delete(jobId);
+        }
+      });
+      this.#files.set(jobId, file);
+    }
+    return this.#files.get(jobId);
+  }
+
+  /**
+   * @param {string} jobId - Job ID
+   * @returns {string} - Path of the on-disk log of the job
+   * @private
+   */
+  #getFilePath(jobId) {
+    return path.join(this.#logDir, `${jobId}.log`);
+  }
+}
+
+export const jobLogService = new JobLogService();
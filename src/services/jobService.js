@@ -1,53 +1,337 @@
 import { v4 as uuidv4 } from 'uuid';
-import path from 'path';
+import fs from 'fs';
 import os from 'os';
-import cmd from 'node-cmd';
+import path from 'path';
+import { spawn } from 'child_process';
 import { config } from '../config/index.js';
 import { logger } from '../utils/logger/index.js';
-import { Job, JobStatus } from '../models/job.js';
+import { Job, JobStatus, JobClassification } from '../models/job.js';
+import { watchdogService } from './watchdogService.js';
+import { jobLogService } from './jobLogService.js';
+import { jobTypeService } from './jobTypeService.js';
+import { queueService, DEFAULT_QUEUE } from './queueService.js';
+import { patternService } from './patternService.js';
+import { latencyService } from './latencyService.js';
+import { metricsService } from './metricsService.js';
+import { predictionService } from './predictionService.js';
+import { webhookService } from './webhookService.js';
+import { jobEventService, JobEventType } from './jobEventService.js';
+import {
+  signalProcessTree,
+  killProcessTree,
+  getProcessStartTime,
+  isSameProcess,
+  getOomKillCount
+} from '../utils/process/index.js';
+import { createJobStore } from '../stores/index.js';
+import {
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  isRetryable,
+  getRetryDelayMs
+} from '../utils/retry/index.js';
+import { round } from '../utils/stats/index.js';
+import { parseDuration, floorToBucket } from '../utils/time/index.js';
+import { parseOutputLine, resolveOutputReferences } from '../utils/outputs/index.js';
+
+const isWindows = os.platform() === 'win32';
+
+// cmd.exe expands these even inside quoted arguments, so they cannot be passed to a .bat safely
+const UNSAFE_WINDOWS_ARG = /["%!^&|<>\r\n]/;
+
+// Exit code of a shell whose child was killed with SIGKILL (128 + 9)
+const SIGKILL_EXIT_CODE = 137;
+
+// Final statuses of upstream jobs that did not complete; their downstream jobs are skipped
+const UNSUCCESSFUL_STATUSES = [JobStatus.FAILED, JobStatus.TIMED_OUT, JobStatus.CANCELLED, JobStatus.SKIPPED];
+
+// Longest delay setTimeout supports
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Converts named arguments into command line flags: `--key=value`, `--key` for true,
+ * nothing for false or null, and one flag per element for arrays.
+ * @param {Object} namedArgs - Named arguments
+ * @returns {string[]} - Flags in the order the arguments were given
+ */
+const toFlags = (namedArgs) => Object.entries(namedArgs).flatMap(([key, value]) => {
+  const values = Array.isArray(value) ? value : [value];
+
+  return values
+    .filter(item => item !== false && item !== null && item !== undefined)
+    .map(item => (item === true ? `--${key}` : `--${key}=${item}`));
+});
+
+/**
+ * Builds the argv a job is started with. Every element is passed to the process as
+ * a single argument, without going through a shell.
+ * @param {Object} jobType - Registered job type of the job
+ * @param {Job} job - Job to start
+ * @param {Object} [args] - Arguments with their output references resolved, those of the job by default
+ * @param {Array} [args.jobArgs] - Positional arguments
+ * @param {Object} [args.namedArgs] - Named arguments
+ * @returns {string[]} - Executable followed by its arguments
+ * @throws {Error} - If an argument cannot be passed safely on this platform
+ */
+const buildJobArgv = (jobType, job, { jobArgs = job.jobArgs, namedArgs = job.namedArgs } = {}) => {
+  const args = [
+    ...jobType.args,
+    ...(jobType.passJobName ? [job.jobName] : []),
+    ...toFlags(namedArgs),
+    ...jobArgs.map(String)
+  ];
+
+  if (!isWindows || !/\.(bat|cmd)$/i.test(jobType.executable)) {
+    return [jobType.executable, ...args];
+  }
+
+  // Batch files can only be run through cmd.exe
+  const unsafe = args.find(arg => UNSAFE_WINDOWS_ARG.test(arg));
+  if (unsafe !== undefined) {
+    throw new Error(`Argument ${JSON.stringify(unsafe)} contains characters that cmd.exe would interpret`);
+  }
+
+  return [process.env.ComSpec || 'cmd.exe', '/d', '/c', jobType.executable, ...args];
+};
+
+/**
+ * Classifies how the process of an attempt ended
+ * @param {Object} outcome - How the process ended
+ * @param {number|null} [outcome.exitCode] - Exit code of the process
+ * @param {string|null} [outcome.signal] - Signal that terminated the process
+ * @param {boolean} [outcome.oomKilled] - Whether the OOM killer terminated the process
+ * @returns {string} - Value of JobClassification
+ */
+const classifyOutcome = ({ exitCode = null, signal = null, oomKilled = false }) => {
+  if (oomKilled) {
+    return JobClassification.OOM_KILLED;
+  }
+  if (signal) {
+    return JobClassification.SIGNALED;
+  }
+  return exitCode === null ? JobClassification.SPAWN_ERROR : JobClassification.EXITED;
+};
+
+/**
+ * Checks whether a process was killed by the OOM killer. It has to have been killed with SIGKILL
+ * (or be a shell whose child was) while the OOM kill count of the cgroup grew. Without cgroup
+ * accounting there is no evidence of an OOM kill, so the process counts as signaled.
+ * @param {Object} outcome - Exit code and signal of the process
+ * @param {number|null} oomKillsAtStart - OOM kill count when the process was started
+ * @returns {boolean} - True if the process was most likely OOM-killed
+ */
+const isOomKill = ({ exitCode = null, signal = null }, oomKillsAtStart) => {
+  if (signal !== 'SIGKILL' && exitCode !== SIGKILL_EXIT_CODE) {
+    return false;
+  }
+
+  const oomKills = getOomKillCount();
+
+  if (oomKillsAtStart === null || oomKills === null) {
+    return false;
+  }
+  return oomKills > oomKillsAtStart;
+};
 
 /**
- * Depend on OS defines which script to use.
- * @returns {string} Path to script.
+ * Checks whether a timestamp falls within a window
+ * @param {string|null} time - ISO timestamp
+ * @param {Date|null} from - Start of the window (inclusive), null for no start
+ * @param {Date|null} to - End of the window (exclusive), null for no end
+ * @returns {boolean} - True if the timestamp is set and within the window
  */
-const getJobScriptPath = () => {
-  const isWindows = os.platform() === 'win32';
-  const scriptName = isWindows ? 'dummy-job.bat' : 'dummy-job.sh';
-  const scriptPath = path.join(process.cwd(), 'scripts', scriptName);
-  return `"${scriptPath}"`;
+const isWithin = (time, from, to) => {
+  const timeMs = time ? Date.parse(time) : NaN;
+  return !Number.isNaN(timeMs) && (!from || timeMs >= from.getTime()) && (!to || timeMs < to.getTime());
 };
 
+/**
+ * Averages a list of numbers
+ * @param {number[]} values - Numbers to average
+ * @returns {number|null} - Average, or null for an empty list
+ */
+const average = values => (values.length > 0 ? values.reduce((total, value) => total + value, 0) / values.length : null);
+
 /**
  * Service: jobs management
  */
 class JobService {
   #jobs = new Map();
   #runningJobs = new Set();
+  #suspendedJobs = new Set();
+  #cancelTimers = new Map();
+  #retryTimers = new Map();
+  #runAtTimers = new Map();
+  #orphanWatchers = new Map();
+  #store;
+  #recoveryPolicy;
+  #orphanPolicy;
+  #orphanPollIntervalMs;
   #maxConcurrentJobs;
-  #jobRetryAttempts;
-  #jobScript;
+  #defaultRetryPolicy;
+  #jobTimeoutMs;
+  #cancelGraceMs;
+  #pausedJobsHoldSlot;
 
   constructor() {
     this.#maxConcurrentJobs = config.MAX_CONCURRENT_JOBS || 5;
-    this.#jobRetryAttempts = config.JOB_RETRY_ATTEMPTS || 3;
-    this.#jobScript = getJobScriptPath();
-    logger.info(`Job script path: ${this.#jobScript}`);
-    logger.info(`Max concurrent jobs: ${this.#maxConcurrentJobs}`);
-    logger.info(`Job retry attempts: ${this.#jobRetryAttempts}`);
+    this.#defaultRetryPolicy = {
+      attempts: config.JOB_RETRY_ATTEMPTS || 3,
+      initialDelayMs: config.JOB_RETRY_INITIAL_DELAY_MS,
+      multiplier: config.JOB_RETRY_MULTIPLIER,
+      maxDelayMs: config.JOB_RETRY_MAX_DELAY_MS,
+      jitter: config.JOB_RETRY_JITTER
+    };
+    this.#jobTimeoutMs = config.JOB_TIMEOUT_MS;
+    this.#cancelGraceMs = config.JOB_CANCEL_GRACE_MS;
+    this.#pausedJobsHoldSlot = config.PAUSED_JOBS_HOLD_SLOT;
+    this.#store = createJobStore();
+    this.#recoveryPolicy = config.JOB_RECOVERY_POLICY;
+    this.#orphanPolicy = config.ORPHAN_POLICY;
+    this.#orphanPollIntervalMs = config.ORPHAN_POLL_INTERVAL_MS;
+    metricsService.setQueueStateProvider(() => this.#getQueueState());
+    logger.info(`Job types: ${jobTypeService.getNames().join(', ')}`);
+    logger.info(`Max concurrent jobs across all queues: ${this.#maxConcurrentJobs}`);
+    logger.info(`Default retry policy: ${JSON.stringify(this.#defaultRetryPolicy)}`);
+    logger.info(`Job timeout: ${this.#jobTimeoutMs ? `${this.#jobTimeoutMs}ms` : 'disabled'}`);
+    logger.info(`Paused jobs hold their slot: ${this.#pausedJobsHoldSlot}`);
+    logger.info(`Job store: ${config.JOB_STORE}, recovery policy: ${this.#recoveryPolicy}, orphan policy: ${this.#orphanPolicy}`);
+  }
+
+  /**
+   * Loads jobs from the store and reconciles the ones that were interrupted by a restart.
+   * For every job that was running, the recorded PID and process start time are checked
+   * to see whether the process is still alive and is still the same process:
+   * - if it is, ORPHAN_POLICY applies: `reattach` watches it until it exits, `kill` kills it
+   *   and then applies the recovery policy, `fail` marks the job failed with reason `lost_on_restart`;
+   * - if it is not, JOB_RECOVERY_POLICY applies: `retry` applies the normal retry policy,
+   *   `requeue` puts the job back to pending, `fail` marks it failed with reason `lost_on_restart`.
+   * Jobs that were stopping have their process killed if it is still alive and are marked cancelled.
+   * Jobs waiting for a scheduled retry are queued again at their nextAttemptAt, or right away if it has passed.
+   * @param {object} [options={}] - Overrides of the configured policies
+   * @param {string} [options.recoveryPolicy] - Overrides JOB_RECOVERY_POLICY
+   * @param {string} [options.orphanPolicy] - Overrides ORPHAN_POLICY
+   * @returns {object} - Number of restored, recovered and re-attached jobs
+   */
+  restoreJobs({ recoveryPolicy = this.#recoveryPolicy, orphanPolicy = this.#orphanPolicy } = {}) {
+    const records = this.#store.load();
+    let recovered = 0;
+    let reattached = 0;
+
+    for (const record of records) {
+      const job = Job.fromJSON(record, {
+        logger,
+        onChange: changed => this.#persist(changed),
+        onStatusChange: (changed, previousStatus) => this.#handleStatusChange(changed, previousStatus)
+      });
+      this.#jobs.set(job.id, job);
+      latencyService.record(job);
+
+      if (job.status === JobStatus.RETRY_SCHEDULED) {
+        this.#armRetryTimer(job);
+        continue;
+      }
+
+      if (job.status === JobStatus.SCHEDULED) {
+        this.#armRunAtTimer(job);
+        continue;
+      }
+
+      if (job.status === JobStatus.PAUSED) {
+        // A job paused while running left its stopped process tree behind; one paused while waiting has none
+        if (!isSameProcess(job.pid, job.processStartTime)) {
+          job.endAttempt({ failureReason: 'lost_on_restart' });
+          continue;
+        }
+
+        recovered++;
+
+        if (orphanPolicy === 'reattach') {
+          this.#reattachJob(job);
+          reattached++;
+        } else if (orphanPolicy === 'kill') {
+          // The job stays paused; resuming it queues it again
+          logger.warn(`Killing suspended orphaned process ${job.pid} of paused job ${job.id}`);
+          killProcessTree(job.pid);
+          job.endAttempt({ signal: 'SIGKILL', classification: JobClassification.SIGNALED, failureReason: 'lost_on_restart' });
+        } else {
+          logger.warn(`Paused job ${job.id} left suspended orphaned process ${job.pid} behind, marking it failed`);
+          job.endAttempt({ failureReason: 'lost_on_restart' });
+          job.setFailureReason('lost_on_restart');
+          this.#finishJob(job, JobStatus.FAILED);
+        }
+        continue;
+      }
+
+      if (job.status !== JobStatus.RUNNING && job.status !== JobStatus.STOPPING) {
+        continue;
+      }
+
+      const orphaned = isSameProcess(job.pid, job.processStartTime);
+      recovered++;
+
+      if (job.status === JobStatus.STOPPING) {
+        logger.warn(`Job ${job.id} was stopping when the service stopped, marking it cancelled`);
+        if (orphaned) {
+          killProcessTree(job.pid);
+        }
+        job.endAttempt({ failureReason: 'cancelled' });
+        this.#finishJob(job, JobStatus.CANCELLED);
+      } else if (!orphaned) {
+        job.endAttempt({ failureReason: 'lost_on_restart' });
+        this.#recoverJob(job, recoveryPolicy);
+      } else if (orphanPolicy === 'reattach') {
+        this.#reattachJob(job);
+        reattached++;
+      } else if (orphanPolicy === 'kill') {
+        logger.warn(`Killing orphaned process ${job.pid} of job ${job.id}`);
+        killProcessTree(job.pid);
+        job.endAttempt({ signal: 'SIGKILL', classification: JobClassification.SIGNALED, failureReason: 'lost_on_restart' });
+        this.#recoverJob(job, recoveryPolicy);
+      } else {
+        logger.warn(`Job ${job.id} left orphaned process ${job.pid} running, marking it failed`);
+        job.endAttempt({ failureReason: 'lost_on_restart' });
+        job.setFailureReason('lost_on_restart');
+        this.#finishJob(job, JobStatus.FAILED);
+      }
+    }
+
+    const deletedLogs = jobLogService.deleteLogsExcept(new Set(this.#jobs.keys()));
+    if (deletedLogs > 0) {
+      logger.info(`Deleted ${deletedLogs} logs of jobs that no longer exist`);
+    }
+
+    predictionService.invalidate();
+    logger.info(`Restored ${records.length} jobs from store, recovered ${recovered} interrupted jobs (${reattached} re-attached)`);
+    this.#processQueue();
+
+    return { restored: records.length, recovered, reattached };
   }
 
   /**
    * Creates new job
    * @param {string} jobName - Name of job
    * @param {string[]} jobArgs - Job's args
-   * @param {number} priority - Priority of job (by default = 3)
-   * @returns {Job} - Created job instance
+   * @param {number|null} [priority=null] - Priority of job, null for the default priority of its queue
+   * @param {object} [options={}] - Additional job options
+   * @param {number} [options.timeoutMs] - Per-job timeout overriding the job type and JOB_TIMEOUT_MS
+   * @param {string} [options.type] - Registered job type, defaults to the job name
+   * @param {Object} [options.namedArgs] - Named arguments, passed as --key=value flags
+   * @param {Object} [options.retryPolicy] - Retry policy overriding the job type's and the JOB_RETRY_* defaults
+   * @param {Object[]} [options.webhooks] - Webhooks notified of the job's status changes, on top of WEBHOOK_URLS
+   * @param {string[]} [options.dependsOn] - IDs of the upstream jobs that have to complete before the job starts
+   * @param {{id: string, key: string}|null} [options.workflow] - Workflow the job belongs to, and its key within it
+   * @param {string|null} [options.scheduleId] - Schedule that created the job
+   * @param {string} [options.queue='default'] - Named queue the job waits in
+   * @param {string|null} [options.runAt] - ISO timestamp; the job waits in SCHEDULED and is not queued before it
+   * @returns {Job} - Created job instance; skipped right away if an upstream job already failed
+   * @throws {Error} - If the job type or the queue does not exist, the arguments do not match its schema, the retry policy,
+   *   webhooks or runAt are invalid or an upstream job does not exist
    */
-  createJob(jobName, jobArgs = [], priority = 3) {
+  createJob(jobName, jobArgs = [], priority = null, options = {}) {
     try {
-      const job = new Job(jobName, jobArgs, { logger, priority });
-      this.#jobs.set(job.id, job);
-      logger.info(`Created job ${job.id} with name ${jobName}, priority ${priority}`);
+      const job = this.#buildJob(jobName, jobArgs, priority, options);
+      this.#addJob(job);
 
       // Run the job if there are free slots available
       this.#processQueue();
@@ -59,6 +343,133 @@ class JobService {
     }
   }
 
+  /**
+   * Creates several jobs together, e.g. the jobs of a workflow. Every job is validated and built
+   * before the first one is added, so an invalid job leaves no trace, and none starts before all are added.
+   * @param {Object[]} requests - Jobs to create, upstream jobs before the jobs that depend on them
+   * @param {string} requests[].key - Key of the job within the batch
+   * @param {string} requests[].jobName - Name of job
+   * @param {string[]} [requests[].jobArgs=[]] - Job's args
+   * @param {number|null} [requests[].priority=null] - Priority of job, null for the default priority of its queue
+   * @param {object} [requests[].options={}] - Additional job options, see createJob
+   * @param {string[]} [requests[].upstreamKeys=[]] - Keys of the jobs of the batch the job depends on, on top of options.dependsOn
+   * @returns {Job[]} - Created jobs in request order
+   * @throws {Error} - If a job is invalid, see createJob; no job is created then
+   */
+  createJobs(requests) {
+    try {
+      const jobsByKey = new Map();
+
+      for (const { key, jobName, jobArgs = [], priority = null, options = {}, upstreamKeys = [] } of requests) {
+        const dependsOn = [...(options.dependsOn ?? []), ...upstreamKeys.map(upstreamKey => jobsByKey.get(upstreamKey)?.id)];
+        const batchIds = new Set([...jobsByKey.values()].map(job => job.id));
+        jobsByKey.set(key, this.#buildJob(jobName, jobArgs, priority, { ...options, dependsOn }, batchIds));
+      }
+
+      const jobs = [...jobsByKey.values()];
+      for (const job of jobs) {
+        this.#addJob(job);
+      }
+
+      this.#processQueue();
+
+      return jobs;
+    } catch (error) {
+      logger.error(`Error creating jobs: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validate the options of a new job and build it, without adding it to the service
+   * @param {string} jobName - Name of job
+   * @param {string[]} jobArgs - Job's args
+   * @param {number|null} priority - Priority of job, null for the default priority of its queue
+   * @param {object} options - Additional job options, see createJob
+   * @param {Set<string>} [batchIds=new Set()] - IDs of jobs built but not added yet, which may be upstream jobs
+   * @returns {Job} - Built job
+   * @throws {Error} - If the job is invalid, see createJob
+   * @private
+   */
+  #buildJob(jobName, jobArgs, priority, { timeoutMs = null, type = null, namedArgs = {}, retryPolicy = null, webhooks = [], dependsOn = [], workflow = null, scheduleId = null, queue = DEFAULT_QUEUE, runAt = null }, batchIds = new Set()) {
+    const jobType = type ?? jobName;
+    if (!jobTypeService.has(jobType)) {
+      throw new Error(`Unknown job type: ${jobType}. Valid types are: ${jobTypeService.getNames().join(', ')}`);
+    }
+
+    if (!queueService.has(queue)) {
+      throw new Error(`Unknown queue: ${queue}. Valid queues are: ${queueService.getNames().join(', ')}`);
+    }
+
+    const violations = jobTypeService.validateArgs(jobType, jobArgs, namedArgs);
+    if (violations.length > 0) {
+      throw new Error(`Invalid job arguments: ${violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    const retryPolicyViolations = retryPolicy === null ? [] : validateRetryPolicy(retryPolicy);
+    if (retryPolicyViolations.length > 0) {
+      throw new Error(`Invalid retry policy: ${retryPolicyViolations.map(violation => violation.message).join('; ')}`);
+    }
+
+    const webhookViolations = webhookService.validateJobWebhooks(webhooks);
+    if (webhookViolations.length > 0) {
+      throw new Error(`Invalid webhooks: ${webhookViolations.map(violation => violation.message).join('; ')}`);
+    }
+
+    const unknownUpstreamJobs = dependsOn.filter(id => !this.#jobs.has(id) && !batchIds.has(id));
+    if (unknownUpstreamJobs.length > 0) {
+      throw new Error(`Unknown upstream jobs: ${unknownUpstreamJobs.join(', ')}`);
+    }
+
+    if (runAt !== null && Number.isNaN(new Date(runAt).getTime())) {
+      throw new Error(`Invalid runAt: ${runAt}. Must be an ISO timestamp`);
+    }
+
+    return new Job(jobName, jobArgs, {
+      logger,
+      priority: priority ?? queueService.get(queue).defaultPriority,
+      type: jobType,
+      namedArgs,
+      timeoutMs,
+      retryPolicy,
+      webhooks,
+      dependsOn,
+      workflowId: workflow?.id ?? null,
+      workflowKey: workflow?.key ?? null,
+      scheduleId,
+      queue,
+      runAt,
+      onChange: changed => this.#persist(changed),
+      onStatusChange: (changed, previousStatus) => this.#handleStatusChange(changed, previousStatus)
+    });
+  }
+
+  /**
+   * Add a built job to the service: store and announce it, and arm its runAt timer. It is skipped
+   * right away if an upstream job already failed. Starting it is left to the caller.
+   * @param {Job} job - Job built by #buildJob
+   * @private
+   */
+  #addJob(job) {
+    this.#refreshPredictionModel();
+    // Setting the prediction writes the first record of the job to the store
+    job.setPredictedSuccessProbability(predictionService.predict(job));
+    this.#jobs.set(job.id, job);
+    metricsService.jobCreated(job);
+    jobEventService.publish(JobEventType.CREATED, job);
+    logger.info(`Created job ${job.id} with name ${job.jobName}, queue ${job.queue}, priority ${job.priority}${job.runAt !== null ? `, run at ${job.runAt}` : ''}`);
+
+    if (job.status === JobStatus.SCHEDULED) {
+      this.#armRunAtTimer(job);
+    }
+
+    const unsuccessfulUpstreamJob = job.dependsOn.map(id => this.#jobs.get(id))
+      .find(upstream => UNSUCCESSFUL_STATUSES.includes(upstream.status));
+    if (unsuccessfulUpstreamJob) {
+      this.#skipJob(job, unsuccessfulUpstreamJob, 'upstream_failed');
+    }
+  }
+
   /**
    * Get all jobs
    * @returns {Job[]} - Array of jobs
@@ -71,17 +482,37 @@ class JobService {
    * Get filtered and paginated jobs
    * @param {object} options - Filter and pagination options
    * @param {string} [options.status] - Filter by status
+   * @param {string} [options.classification] - Filter by how the latest attempt ended
+   * @param {number} [options.exitCode] - Filter by exit code of the latest attempt
+   * @param {string} [options.scheduleId] - Filter by the schedule that created the jobs
+   * @param {string} [options.queue] - Filter by queue
    * @param {number} [options.limit=50] - Maximum number of jobs to return
    * @param {number} [options.offset=0] - Number of jobs to skip
    * @returns {object} - Object with total count and filtered/paginated jobs
    */
-  getFilteredJobs({ status, limit = 50, offset = 0 } = {}) {
+  getFilteredJobs({ status, classification, exitCode, scheduleId, queue, limit = 50, offset = 0 } = {}) {
     let jobs = this.getAllJobs();
     
     if (status) {
       jobs = jobs.filter(job => job.status === status);
     }
     
+    if (classification) {
+      jobs = jobs.filter(job => job.classification === classification);
+    }
+    
+    if (exitCode !== undefined) {
+      jobs = jobs.filter(job => job.exitCode === exitCode);
+    }
+
+    if (scheduleId) {
+      jobs = jobs.filter(job => job.scheduleId === scheduleId);
+    }
+
+    if (queue) {
+      jobs = jobs.filter(job => job.queue === queue);
+    }
+    
     const total = jobs.length;
     
     jobs = jobs.slice(offset, offset + parseInt(limit));
@@ -101,34 +532,175 @@ class JobService {
     return this.#jobs.get(jobId) || null;
   }
   
+  /**
+   * Get the history of the attempts to run a job
+   * @param {string} jobId - Job ID
+   * @returns {Object[]|null} - Attempts, oldest first, or null if job not found
+   */
+  getJobAttempts(jobId) {
+    return this.#jobs.get(jobId)?.attempts ?? null;
+  }
+  
+  /**
+   * Get captured stdout/stderr of a job
+   * @param {string} jobId - Job ID
+   * @param {object} [options] - Filter options, see jobLogService.getLogs
+   * @returns {Object[]|null} - Log entries, or null if job not found
+   */
+  getJobLogs(jobId, options = {}) {
+    if (!this.#jobs.has(jobId)) {
+      return null;
+    }
+
+    return jobLogService.getLogs(jobId, options);
+  }
+  
+  /**
+   * Get the webhooks of a job and the log of their deliveries
+   * @param {string} jobId - Job ID
+   * @returns {{webhooks: Object[], globalWebhooks: Object[], deliveries: Object[]}|null} - Webhooks of the job
+   * and of WEBHOOK_URLS with their deliveries, oldest first, or null if job not found
+   */
+  getJobWebhooks(jobId) {
+    const job = this.#jobs.get(jobId);
+
+    if (!job) {
+      return null;
+    }
+
+    return {
+      webhooks: job.webhooks,
+      globalWebhooks: webhookService.getGlobalWebhooks(),
+      deliveries: webhookService.getDeliveries(jobId)
+    };
+  }
+  
+  /**
+   * Subscribe to the lifecycle events of jobs
+   * @param {function(Object): void} listener - Called with every matching event
+   * @param {Object} [filter={}] - Job IDs, job names, statuses and event types to receive, see jobEventService.subscribe
+   * @returns {function(): void} - Unsubscribe function
+   */
+  subscribeToJobEvents(listener, filter = {}) {
+    return jobEventService.subscribe(listener, filter);
+  }
+  
+  /**
+   * Subscribe to live stdout/stderr lines of a job
+   * @param {string} jobId - Job ID
+   * @param {object} handlers - Event handlers, see jobLogService.subscribe
+   * @returns {function(): void|null} - Unsubscribe function, or null if job not found
+   */
+  subscribeToJobLogs(jobId, handlers) {
+    if (!this.#jobs.has(jobId)) {
+      return null;
+    }
+
+    return jobLogService.subscribe(jobId, handlers);
+  }
+  
+  /**
+   * Get the named queues with their load
+   * @returns {Object[]} - Settings of every queue with its running and pending jobs and utilization, sorted by name
+   */
+  getQueues() {
+    const runningJobsByQueue = this.#countRunningJobsByQueue();
+    const jobs = this.getAllJobs();
+
+    return queueService.getAll().map((queue) => {
+      const running = runningJobsByQueue.get(queue.name) ?? 0;
+
+      return {
+        ...queue,
+        running,
+        pending: jobs.filter(job => job.status === JobStatus.PENDING && this.#getQueueName(job) === queue.name).length,
+        utilization: round(running / queue.concurrency)
+      };
+    });
+  }
+
+  /**
+   * Changes the settings of a queue, or creates it, and starts the jobs a higher limit makes room for.
+   * Lowering the limit of a queue does not stop its running jobs, it starts no new ones until it is below the limit.
+   * @param {string} name - Queue name
+   * @param {Object} changes - Settings to change, see validateQueueSettings
+   * @returns {{queue: Object, created: boolean}} - Updated queue with its load, see getQueues, and whether it was created
+   * @throws {Error} - If the name or the settings are invalid
+   */
+  updateQueue(name, changes) {
+    const { created } = queueService.update(name, changes);
+    this.#processQueue();
+
+    return {
+      queue: this.getQueues().find(queue => queue.name === name),
+      created
+    };
+  }
+  
+  /**
+   * Get the statistical tests of the association between job characteristics and success
+   * @returns {object} - Correlations of the job characteristics, see patternService.correlate
+   */
+  getJobCorrelations() {
+    return patternService.correlate(this.getAllJobs());
+  }
+  
+  /**
+   * Get the model predicting the outcome of submitted jobs
+   * @returns {object} - Feature weights and accuracy on held-out history, see predictionService.getModel
+   */
+  getPredictionModel() {
+    this.#refreshPredictionModel();
+    return predictionService.getModel();
+  }
+  
   /**
    * Get job statistics
-   * @returns {object} - Job statistics
+   * @param {object} [options] - Options
+   * @param {Date|null} [options.from] - Only count jobs submitted at or after this time
+   * @param {Date|null} [options.to] - Only count jobs submitted before this time
+   * @param {string|null} [options.bucket] - Bucket size of the time series, e.g. `1m`, `1h` or `1d`; no time series if omitted
+   * @returns {object} - Job statistics; latency percentiles cover every job since the service started
    */
-  getJobStats() {
-    const allJobs = this.getAllJobs();
+  getJobStats({ from = null, to = null, bucket = null } = {}) {
+    const jobs = this.getAllJobs();
+    const allJobs = jobs.filter(job => isWithin(job.createdAt, from, to));
     const totalJobs = allJobs.length;
     const completedJobs = allJobs.filter(job => job.status === JobStatus.COMPLETED).length;
     const failedJobs = allJobs.filter(job => job.status === JobStatus.FAILED).length;
     const pendingJobs = allJobs.filter(job => job.status === JobStatus.PENDING).length;
     const runningJobs = allJobs.filter(job => job.status === JobStatus.RUNNING).length;
+    const timedOutJobs = allJobs.filter(job => job.status === JobStatus.TIMED_OUT).length;
+    const pausedJobs = allJobs.filter(job => job.status === JobStatus.PAUSED).length;
+    const cancelledJobs = allJobs.filter(job => job.status === JobStatus.CANCELLED).length;
+    const retryScheduledJobs = allJobs.filter(job => job.status === JobStatus.RETRY_SCHEDULED).length;
+    const scheduledJobs = allJobs.filter(job => job.status === JobStatus.SCHEDULED).length;
+    const skippedJobs = allJobs.filter(job => job.status === JobStatus.SKIPPED).length;
     const retriedJobs = allJobs.filter(job => job.retryCount > 0).length;
     
-    // Calculate average completion time for completed jobs
-    const completedJobsWithTime = allJobs.filter(job => 
-      job.status === JobStatus.COMPLETED && job.startedAt && job.completedAt
-    );
+    // Durations come from the attempts, so failed attempts and retry delays do not count as completion time
+    const finishedAttempts = allJobs.flatMap(job => job.attempts).filter(attempt => attempt.completedAt);
+    const successfulAttempts = finishedAttempts.filter(attempt => !attempt.failureReason);
+    const failedAttempts = finishedAttempts.length - successfulAttempts.length;
     
-    let averageCompletionTime = 0;
+    const averageDuration = attempts => (attempts.length > 0
+      ? attempts.reduce((total, attempt) => total + attempt.durationMs, 0) / attempts.length
+      : 0);
     
-    if (completedJobsWithTime.length > 0) {
-      const totalCompletionTime = completedJobsWithTime.reduce((total, job) => {
-        const startTime = new Date(job.startedAt).getTime();
-        const endTime = new Date(job.completedAt).getTime();
-        return total + (endTime - startTime);
-      }, 0);
-      
-      averageCompletionTime = totalCompletionTime / completedJobsWithTime.length;
+    const averageCompletionTime = averageDuration(successfulAttempts);
+    const averageAttemptDuration = averageDuration(finishedAttempts);
+    
+    // How attempts ended, e.g. to tell bad input apart from a busy resource by exit code
+    const attemptsByClassification = {};
+    const attemptsByExitCode = {};
+    
+    for (const attempt of finishedAttempts) {
+      if (attempt.classification) {
+        attemptsByClassification[attempt.classification] = (attemptsByClassification[attempt.classification] || 0) + 1;
+      }
+      if (attempt.exitCode !== null) {
+        attemptsByExitCode[attempt.exitCode] = (attemptsByExitCode[attempt.exitCode] || 0) + 1;
+      }
     }
     
     // Get most common job name
@@ -147,21 +719,119 @@ class JobService {
       }
     }
     
+    const analysis = patternService.analyze(allJobs);
+    
     return {
+      window: {
+        from: from?.toISOString() ?? null,
+        to: to?.toISOString() ?? null
+      },
       totalJobs,
       completedJobs,
       failedJobs,
       pendingJobs,
       runningJobs,
+      timedOutJobs,
+      pausedJobs,
+      cancelledJobs,
+      retryScheduledJobs,
+      scheduledJobs,
+      skippedJobs,
       retriedJobs,
+      totalAttempts: finishedAttempts.length,
+      failedAttempts,
+      attemptsByClassification,
+      attemptsByExitCode,
       averageCompletionTime,
+      averageAttemptDuration,
       mostCommonJobName,
-      mostCommonJobCount: maxCount
+      mostCommonJobCount: maxCount,
+      successRate: round(analysis.overallSuccessRate * 100, 2),
+      overallSuccessRate: analysis.overallSuccessRate,
+      sampleSize: analysis.sampleSize,
+      confidenceLevel: analysis.confidenceLevel,
+      minSampleSize: analysis.minSampleSize,
+      patterns: analysis.patterns,
+      latency: latencyService.getSummary(),
+      ...(bucket && { timeSeries: this.#getTimeSeries(jobs, from, to, bucket) })
+    };
+  }
+  
+  /**
+   * Counts the events of the jobs per time bucket. Jobs count where their events happened, so a job
+   * submitted before the window can still complete within it. Without `from` the series starts with
+   * the first job, limited to STATS_MAX_BUCKETS buckets.
+   * @param {Job[]} jobs - All jobs
+   * @param {Date|null} from - Start of the series, null to start with the first job
+   * @param {Date|null} to - End of the series, null for now
+   * @param {string} bucket - Bucket size, e.g. `1m`, `1h` or `1d`
+   * @returns {object} - Bucket size, bounds and buckets of the series
+   * @private
+   */
+  #getTimeSeries(jobs, from, to, bucket) {
+    const bucketMs = parseDuration(bucket);
+    const endMs = (to ?? new Date()).getTime();
+    const firstSubmittedMs = jobs.reduce((min, job) => Math.min(min, Date.parse(job.createdAt)), endMs);
+    const startMs = from ? from.getTime() : Math.max(firstSubmittedMs, endMs - config.STATS_MAX_BUCKETS * bucketMs);
+    const firstBucketMs = floorToBucket(startMs, bucketMs);
+    const buckets = [];
+    
+    for (let bucketStartMs = firstBucketMs; bucketStartMs < endMs; bucketStartMs += bucketMs) {
+      buckets.push({ startMs: bucketStartMs, submitted: 0, completed: 0, failed: 0, retried: 0, queueWaits: [], runDurations: [] });
+    }
+    
+    // Calls `count` with the bucket of an event, if it happened within the series
+    const record = (time, count) => {
+      const timeMs = time ? Date.parse(time) : NaN;
+      
+      if (timeMs >= startMs && timeMs < endMs) {
+        count(buckets[Math.floor((timeMs - firstBucketMs) / bucketMs)]);
+      }
+    };
+    
+    for (const job of jobs) {
+      record(job.createdAt, (entry) => { entry.submitted++; });
+      
+      if (job.status === JobStatus.COMPLETED) {
+        record(job.completedAt, (entry) => { entry.completed++; });
+      } else if (job.status === JobStatus.FAILED || job.status === JobStatus.TIMED_OUT) {
+        record(job.completedAt, (entry) => { entry.failed++; });
+      }
+      
+      for (const attempt of job.attempts) {
+        // Retries wait for their backoff delay, not in the queue, so only first attempts count as queue wait
+        if (attempt.attempt === 1) {
+          record(attempt.startedAt, (entry) => { entry.queueWaits.push(Date.parse(attempt.startedAt) - Date.parse(job.createdAt)); });
+        } else {
+          record(attempt.startedAt, (entry) => { entry.retried++; });
+        }
+        
+        if (attempt.completedAt) {
+          record(attempt.completedAt, (entry) => { entry.runDurations.push(attempt.durationMs); });
+        }
+      }
+    }
+    
+    return {
+      bucket,
+      bucketMs,
+      from: new Date(startMs).toISOString(),
+      to: new Date(endMs).toISOString(),
+      buckets: buckets.map(({ startMs: bucketStartMs, queueWaits, runDurations, ...counts }) => ({
+        start: new Date(bucketStartMs).toISOString(),
+        end: new Date(bucketStartMs + bucketMs).toISOString(),
+        ...counts,
+        averageQueueWait: average(queueWaits),
+        averageRunDuration: average(runDurations)
+      }))
     };
   }
   
   /**
-   * Process the job queue
+   * Process the job queue. MAX_CONCURRENT_JOBS caps the running jobs of all queues together and every
+   * queue caps its own. Free slots are shared fairly: each one goes to the queue with ready jobs that
+   * uses the smallest part of its own limit, so a busy queue cannot starve the others. Within a queue
+   * higher priority jobs start first.
    * @private
    */
   #processQueue() {
@@ -170,9 +840,10 @@ class JobService {
       return;
     }
     
-    // Get all pending jobs and sort them by priority (higher priority first)
+    // Get all pending jobs whose upstream jobs have completed, sorted by priority (higher priority first) within their queue
+    const pendingJobsByQueue = new Map();
     const pendingJobs = this.getAllJobs()
-      .filter(job => job.status === JobStatus.PENDING)
+      .filter(job => job.status === JobStatus.PENDING && this.#isReady(job))
       .sort((a, b) => b.priority - a.priority);
     
     if (pendingJobs.length === 0) {
@@ -180,91 +851,641 @@ class JobService {
       return;
     }
     
-    // Calculate how many jobs we can start
-    const availableSlots = this.#maxConcurrentJobs - this.#runningJobs.size;
-    const jobsToStart = Math.min(availableSlots, pendingJobs.length);
-    
-    logger.debug(`Starting ${jobsToStart} jobs (${availableSlots} slots available, ${pendingJobs.length} pending jobs)`);
-    
-    // Start the jobs
-    for (let i = 0; i < jobsToStart; i++) {
-      const job = pendingJobs[i];
-      this.#startJob(job);
+    for (const job of pendingJobs) {
+      const queueName = this.#getQueueName(job);
+      if (!pendingJobsByQueue.has(queueName)) {
+        pendingJobsByQueue.set(queueName, []);
+      }
+      pendingJobsByQueue.get(queueName).push(job);
     }
-  }
-  
-  /**
-   * Start a job
-   * @param {Job} job - Job to start
-   * @private
-   */
-  #startJob(job) {
-    logger.info(`Starting job ${job.id} (${job.jobName})`);
-    
-    job.updateStatus(JobStatus.RUNNING);
-    this.#runningJobs.add(job.id);
     
-    const command = `${this.#jobScript} ${job.jobName} ${job.jobArgs.join(' ')}`;
-    logger.debug(`Executing command: ${command}`);
+    logger.debug(`${this.#maxConcurrentJobs - this.#runningJobs.size} slots available, ${pendingJobs.length} pending jobs in ${pendingJobsByQueue.size} queues`);
     
-    try {
-      const process = cmd.run(command, (err, data, stderr) => {
-        this.#runningJobs.delete(job.id);
-        
-        if (err) {
-          logger.error(`Job ${job.id} failed with error: ${err.message}`);
-          
-          // Check if we should retry
-          if (job.retryCount < this.#jobRetryAttempts) {
-            logger.info(`Retrying job ${job.id} (attempt ${job.retryCount + 1}/${this.#jobRetryAttempts})`);
-            job.incrementRetry();
-            job.updateStatus(JobStatus.PENDING);
-            this.#processQueue();
-          } else {
-            logger.info(`Job ${job.id} failed after ${job.retryCount} retry attempts`);
-            job.setExitCode(1);
-            job.updateStatus(JobStatus.FAILED);
-          }
-          
-          return;
+    while (this.#runningJobs.size < this.#maxConcurrentJobs) {
+      // Counted again for every slot, starting a job may settle others right away
+      const runningJobsByQueue = this.#countRunningJobsByQueue();
+      let next = null;
+      
+      for (const [queueName, jobs] of pendingJobsByQueue) {
+        while (jobs.length > 0 && jobs[0].status !== JobStatus.PENDING) {
+          jobs.shift();
         }
         
-        if (stderr) {
-          logger.warn(`Job ${job.id} produced stderr output: ${stderr}`);
+        const utilization = (runningJobsByQueue.get(queueName) ?? 0) / queueService.get(queueName).concurrency;
+        if (jobs.length === 0 || utilization >= 1) {
+          continue;
         }
         
-        logger.info(`Job ${job.id} completed successfully`);
-        job.setExitCode(0);
-        job.updateStatus(JobStatus.COMPLETED);
-        
-        // Process the queue again to start any pending jobs
-        this.#processQueue();
-      });
+        if (!next || utilization < next.utilization || (utilization === next.utilization && jobs[0].priority > next.jobs[0].priority)) {
+          next = { jobs, utilization };
+        }
+      }
       
-      job.setProcess(process);
-    } catch (error) {
-      logger.error(`Error starting job ${job.id}: ${error.message}`);
-      this.#runningJobs.delete(job.id);
-      job.setExitCode(1);
-      job.updateStatus(JobStatus.FAILED);
+      if (!next) {
+        logger.debug('Every queue with pending jobs is at its concurrency limit');
+        return;
+      }
+      
+      this.#startJob(next.jobs.shift());
     }
   }
   
   /**
-   * For testing purposes only
+   * Get the queue whose limits apply to a job. Jobs of a queue that no longer exists, e.g. one
+   * removed from QUEUES before a restart, run in the default queue.
+   * @param {Job} job - Job
+   * @returns {string} - Queue name
+   * @private
    */
-  clearAllJobs() {
-    this.#jobs.clear();
-    this.#runningJobs.clear();
-    logger.debug('Cleared all jobs (testing only)');
+  #getQueueName(job) {
+    return queueService.has(job.queue) ? job.queue : DEFAULT_QUEUE;
   }
-
+  
   /**
-   * Update the priority of the job with the given ID
-   * @param {string} jobId - ID of the job to update
-   * @param {number} [priority=3] - New priority of the job (1-5)
-   * @throws {Error} - If the priority is invalid
-   * @returns {Job} - Updated job instance
+   * Count the jobs holding a slot per queue
+   * @returns {Map<string, number>} - Number of jobs holding a slot by queue name
+   * @private
+   */
+  #countRunningJobsByQueue() {
+    const counts = new Map();
+    
+    for (const jobId of this.#runningJobs) {
+      const queueName = this.#getQueueName(this.#jobs.get(jobId));
+      counts.set(queueName, (counts.get(queueName) ?? 0) + 1);
+    }
+    
+    return counts;
+  }
+  
+  /**
+   * Check whether every upstream job of a job has completed
+   * @param {Job} job - Pending job
+   * @returns {boolean} - True if the job may start
+   * @private
+   */
+  #isReady(job) {
+    return job.dependsOn.every(id => this.#jobs.get(id)?.status === JobStatus.COMPLETED);
+  }
+
+  /**
+   * Skip a job that waits for an upstream job that will never complete
+   * @param {Job} job - Scheduled, pending or paused job that has not run
+   * @param {Job} upstream - Upstream job that did not complete
+   * @param {string} reason - Failure reason, e.g. 'upstream_failed'
+   * @private
+   */
+  #skipJob(job, upstream, reason) {
+    this.#cancelRunAtTimer(job);
+    logger.info(`Skipping job ${job.id}: upstream job ${upstream.id} is ${upstream.status} (${reason})`);
+    job.setFailureReason(reason);
+    this.#finishJob(job, JobStatus.SKIPPED);
+  }
+
+  /**
+   * Skip the jobs still waiting for an upstream job that did not complete or was deleted.
+   * Skipping a job skips its own downstream jobs in turn.
+   * @param {Job} upstream - Upstream job
+   * @param {string} [reason='upstream_failed'] - Failure reason of the skipped jobs
+   * @private
+   */
+  #skipDownstreamJobs(upstream, reason = 'upstream_failed') {
+    for (const job of this.getAllJobs()) {
+      if (job.dependsOn.includes(upstream.id) && [JobStatus.SCHEDULED, JobStatus.PENDING, JobStatus.PAUSED].includes(job.status)) {
+        this.#skipJob(job, upstream, reason);
+      }
+    }
+  }
+  
+  /**
+   * Retrain the prediction model if jobs finished or were deleted since it was trained
+   * @private
+   */
+  #refreshPredictionModel() {
+    if (predictionService.isStale) {
+      predictionService.train(this.getAllJobs());
+    }
+  }
+  
+  /**
+   * Get the state of the queue for the metrics gauges
+   * @returns {{running: number, pending: number, freeSlots: number}} - Running and pending jobs and free slots
+   * @private
+   */
+  #getQueueState() {
+    const jobs = this.getAllJobs();
+
+    return {
+      running: jobs.filter(job => job.status === JobStatus.RUNNING).length,
+      pending: jobs.filter(job => job.status === JobStatus.PENDING).length,
+      freeSlots: Math.max(this.#maxConcurrentJobs - this.#runningJobs.size, 0)
+    };
+  }
+  
+  /**
+   * Start a job
+   * @param {Job} job - Job to start
+   * @private
+   */
+  #startJob(job) {
+    logger.info(`Starting job ${job.id} (${job.jobName})`);
+
+    const { args, missing } = this.#resolveArgs(job);
+    if (missing.length > 0) {
+      logger.error(`Job ${job.id} cannot start, its arguments reference missing outputs: ${missing.join(', ')}`);
+      job.setFailureReason('missing_output');
+      this.#finishJob(job, JobStatus.FAILED);
+      return;
+    }
+    
+    job.updateStatus(JobStatus.RUNNING);
+    this.#runningJobs.add(job.id);
+    const attempt = job.startAttempt({ concurrency: this.#runningJobs.size });
+    if (attempt === 1) {
+      metricsService.jobStarted(job);
+    }
+    
+    try {
+      const jobType = jobTypeService.get(job.type);
+      if (!jobType) {
+        throw new Error(`Unknown job type: ${job.type}`);
+      }
+
+      const argv = buildJobArgv(jobType, job, args);
+      job.setArgv(argv);
+      logger.debug(`Executing job ${job.id}: ${JSON.stringify(argv)}`);
+
+      const outputsFile = path.join(jobType.cwd ?? process.cwd(), `.job-outputs-${job.id}.json`);
+      const oomKillsAtStart = getOomKillCount();
+      const child = spawn(argv[0], argv.slice(1), {
+        shell: false,
+        windowsHide: true,
+        cwd: jobType.cwd ?? undefined,
+        env: { ...process.env, ...jobType.env, JOB_OUTPUTS_FILE: outputsFile }
+      });
+      let settled = false;
+
+      // `::output key=value` lines of stdout set outputs of the job
+      const stopCapturingOutputs = jobLogService.subscribe(job.id, {
+        onLine: (entry) => {
+          const output = entry.stream === 'stdout' && entry.attempt === attempt ? parseOutputLine(entry.line) : null;
+          if (output) {
+            job.setOutputs({ [output.key]: output.value });
+          }
+        },
+        onEnd: () => {}
+      });
+
+      /**
+       * Handles the end of the process, exactly once
+       * @param {Error|null} err - Spawn error or non-zero exit
+       * @param {Object} [outcome={}] - Real exit code and signal of the process, empty if it never started
+       */
+      const onExit = (err, outcome = {}) => {
+        if (settled) {
+          return;
+        }
+        settled = true;
+
+        stopCapturingOutputs();
+        this.#readOutputsFile(job, outputsFile);
+        const watch = this.#releaseJob(job);
+        
+        if (job.status === JobStatus.STOPPING) {
+          logger.info(`Job ${job.id} cancelled`);
+          job.endAttempt({ ...outcome, classification: classifyOutcome(outcome), failureReason: 'cancelled' });
+          this.#finishJob(job, JobStatus.CANCELLED);
+          this.#processQueue();
+          return;
+        }
+        
+        if (watch?.timedOut) {
+          logger.error(`Job ${job.id} timed out after ${watch.timeoutMs}ms`);
+          job.endAttempt({ ...outcome, classification: JobClassification.TIMEOUT, failureReason: 'timed_out' });
+          this.#retryOrFail(job, JobStatus.TIMED_OUT, { timedOut: true });
+          return;
+        }
+        
+        if (err) {
+          const classification = classifyOutcome({ ...outcome, oomKilled: isOomKill(outcome, oomKillsAtStart) });
+
+          logger.error(`Job ${job.id} failed with error: ${err.message} (${classification})`);
+          job.endAttempt({
+            ...outcome,
+            classification,
+            failureReason: classification === JobClassification.EXITED ? 'non_zero_exit' : classification
+          });
+          this.#retryOrFail(job, JobStatus.FAILED, outcome);
+          return;
+        }
+        
+        if (jobLogService.hasLogs(job.id, { stream: 'stderr', attempt })) {
+          logger.warn(`Job ${job.id} produced stderr output, see GET /jobs/${job.id}/logs?stream=stderr`);
+        }
+        
+        logger.info(`Job ${job.id} completed successfully`);
+        job.endAttempt({ ...outcome, classification: JobClassification.EXITED });
+        this.#finishJob(job, JobStatus.COMPLETED);
+        
+        // Process the queue again to start any pending jobs
+        this.#processQueue();
+      };
+
+      child.on('error', (error) => {
+        // Without a PID the process never started; later errors (e.g. a failed kill) do not end the job
+        if (child.pid === undefined) {
+          onExit(error);
+        } else {
+          logger.error(`Job ${job.id} process error: ${error.message}`);
+        }
+      });
+      child.on('close', (code, signal) => {
+        const outcome = { exitCode: code, signal };
+
+        if (code === 0) {
+          onExit(null, outcome);
+        } else {
+          onExit(new Error(signal ? `Process terminated by ${signal}` : `Process exited with code ${code}`), outcome);
+        }
+      });
+
+      jobLogService.attach(job.id, attempt, child);
+
+      if (child.pid !== undefined) {
+        job.setProcess(child, getProcessStartTime(child.pid));
+        watchdogService.watch(job.id, child.pid, this.#getTimeoutMs(job));
+      }
+    } catch (error) {
+      logger.error(`Error starting job ${job.id}: ${error.message}`);
+      this.#runningJobs.delete(job.id);
+      watchdogService.unwatch(job.id);
+      job.endAttempt({ classification: JobClassification.SPAWN_ERROR, failureReason: 'spawn_error' });
+      // Same as a spawn error reported by the child process
+      this.#retryOrFail(job, JobStatus.FAILED);
+    }
+  }
+  
+  /**
+   * Resolve the references to outputs of other jobs of the workflow in the arguments of a job
+   * @param {Job} job - Job to start
+   * @returns {{args: {jobArgs: Array, namedArgs: Object}, missing: string[]}} - Resolved arguments, and the
+   *   references to outputs that do not exist
+   * @private
+   */
+  #resolveArgs(job) {
+    const getOutput = (jobKey, output) => {
+      const upstream = job.workflowId
+        ? this.getAllJobs().find(other => other.workflowId === job.workflowId && other.workflowKey === jobKey)
+        : undefined;
+      return upstream?.outputs[output];
+    };
+
+    const jobArgs = job.jobArgs.map(value => resolveOutputReferences(value, getOutput));
+    const namedArgs = Object.entries(job.namedArgs).map(([key, value]) => [key, resolveOutputReferences(value, getOutput)]);
+
+    return {
+      args: {
+        jobArgs: jobArgs.map(resolved => resolved.value),
+        namedArgs: Object.fromEntries(namedArgs.map(([key, resolved]) => [key, resolved.value]))
+      },
+      missing: [...jobArgs, ...namedArgs.map(([, resolved]) => resolved)].flatMap(resolved => resolved.missing)
+    };
+  }
+
+  /**
+   * Read the outputs a job process wrote to the JSON file at JOB_OUTPUTS_FILE, and delete the file
+   * @param {Job} job - Job whose process ended
+   * @param {string} file - Path of the outputs file
+   * @private
+   */
+  #readOutputsFile(job, file) {
+    let content;
+    try {
+      content = fs.readFileSync(file, 'utf8');
+      fs.rmSync(file, { force: true });
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Failed to read outputs file of job ${job.id}: ${error.message}`);
+      }
+      return;
+    }
+
+    try {
+      job.setOutputs(JSON.parse(content));
+    } catch (error) {
+      logger.warn(`Ignoring outputs file of job ${job.id}, it must hold a JSON object: ${error.message}`);
+    }
+  }
+  
+  /**
+   * Apply the recovery policy to a job whose process did not survive the restart
+   * @param {Job} job - Interrupted job
+   * @param {string} policy - Recovery policy (retry, requeue, fail)
+   * @private
+   */
+  #recoverJob(job, policy) {
+    logger.warn(`Job ${job.id} was running when the service stopped, applying recovery policy '${policy}'`);
+
+    switch (policy) {
+      case 'requeue':
+        job.updateStatus(JobStatus.PENDING);
+        break;
+      case 'fail':
+        job.setFailureReason('lost_on_restart');
+        this.#finishJob(job, JobStatus.FAILED);
+        break;
+      default:
+        this.#retryOrFail(job, JobStatus.FAILED);
+    }
+  }
+  
+  /**
+   * Take back an orphaned process that survived the restart.
+   * It is not our child, so its exit is detected by polling and its exit code cannot be read.
+   * The process of a paused job stays suspended until the job is resumed.
+   * @param {Job} job - Job whose process is still running or suspended
+   * @private
+   */
+  #reattachJob(job) {
+    logger.info(`Re-attaching to orphaned process ${job.pid} of job ${job.id}`);
+    this.#runningJobs.add(job.id);
+
+    const timeoutMs = this.#getTimeoutMs(job);
+    if (timeoutMs) {
+      const elapsedMs = Date.now() - new Date(job.processStartTime).getTime();
+      watchdogService.watch(job.id, job.pid, Math.max(timeoutMs - elapsedMs, 1));
+    }
+
+    if (job.status === JobStatus.PAUSED) {
+      watchdogService.suspend(job.id);
+      this.#suspendedJobs.add(job.id);
+
+      if (!this.#pausedJobsHoldSlot) {
+        this.#runningJobs.delete(job.id);
+      }
+    }
+
+    const timer = setInterval(() => {
+      if (isSameProcess(job.pid, job.processStartTime)) {
+        return;
+      }
+
+      const watch = this.#releaseJob(job);
+
+      if (job.status === JobStatus.STOPPING) {
+        logger.info(`Job ${job.id} cancelled`);
+        job.endAttempt({ failureReason: 'cancelled' });
+        this.#finishJob(job, JobStatus.CANCELLED);
+      } else if (watch?.timedOut) {
+        logger.error(`Job ${job.id} timed out after ${watch.timeoutMs}ms`);
+        job.endAttempt({ classification: JobClassification.TIMEOUT, failureReason: 'timed_out' });
+        this.#retryOrFail(job, JobStatus.TIMED_OUT, { timedOut: true });
+        return;
+      } else {
+        logger.warn(`Re-attached process ${job.pid} of job ${job.id} exited, its exit status is unknown`);
+        job.endAttempt({ failureReason: 'exit_status_unknown' });
+        job.setFailureReason('exit_status_unknown');
+        this.#finishJob(job, JobStatus.FAILED);
+      }
+
+      this.#processQueue();
+    }, this.#orphanPollIntervalMs);
+    timer.unref?.();
+    this.#orphanWatchers.set(job.id, timer);
+  }
+  
+  /**
+   * Free everything the service holds for a job whose process has exited
+   * @param {Job} job - Job whose process has exited
+   * @returns {object|null} - Watchdog entry of the process, or null if it was not watched
+   * @private
+   */
+  #releaseJob(job) {
+    this.#runningJobs.delete(job.id);
+    this.#suspendedJobs.delete(job.id);
+    clearTimeout(this.#cancelTimers.get(job.id));
+    this.#cancelTimers.delete(job.id);
+    clearInterval(this.#orphanWatchers.get(job.id));
+    this.#orphanWatchers.delete(job.id);
+    return watchdogService.unwatch(job.id);
+  }
+  
+  /**
+   * Write a job through to the store
+   * @param {Job} job - Changed job
+   * @private
+   */
+  #persist(job) {
+    try {
+      this.#store.save(job.toJSON());
+    } catch (error) {
+      logger.error(`Error persisting job ${job.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Publish a status change of a job to its webhooks and to the job event stream
+   * @param {Job} job - Job whose status changed
+   * @param {string} previousStatus - Status before the change
+   * @private
+   */
+  #handleStatusChange(job, previousStatus) {
+    webhookService.notify(job, previousStatus);
+    jobEventService.publishStatusChange(job, previousStatus);
+  }
+
+  /**
+   * Move a job to a final status and notify live log subscribers
+   * @param {Job} job - Job that has ended
+   * @param {string} status - Final status
+   * @private
+   */
+  #finishJob(job, status) {
+    job.updateStatus(status);
+    latencyService.record(job);
+    metricsService.jobFinished(job);
+    predictionService.invalidate();
+    jobLogService.end(job.id, {
+      jobId: job.id,
+      status: job.status,
+      exitCode: job.exitCode,
+      signal: job.signal,
+      classification: job.classification,
+      completedAt: job.completedAt
+    });
+
+    if (status !== JobStatus.COMPLETED) {
+      this.#skipDownstreamJobs(job);
+    }
+  }
+  
+  /**
+   * Get the timeout of a job: its own, otherwise its job type's, otherwise JOB_TIMEOUT_MS
+   * @param {Job} job - Job
+   * @returns {number} - Timeout in milliseconds, 0 when disabled
+   * @private
+   */
+  #getTimeoutMs(job) {
+    return job.timeoutMs ?? jobTypeService.get(job.type)?.timeoutMs ?? this.#jobTimeoutMs;
+  }
+
+  /**
+   * Get the retry policy of a job: its own settings, then its job type's, then its queue's, then the JOB_RETRY_* defaults
+   * @param {Job} job - Job
+   * @returns {Object} - Resolved retry policy
+   * @private
+   */
+  #getRetryPolicy(job) {
+    return resolveRetryPolicy(
+      this.#defaultRetryPolicy,
+      queueService.get(this.#getQueueName(job))?.retryPolicy,
+      jobTypeService.get(job.type)?.retryPolicy,
+      job.retryPolicy
+    );
+  }
+
+  /**
+   * Retry a failed job if its retry policy allows it, otherwise move it to its final status.
+   * With a backoff delay the job waits in RETRY_SCHEDULED, otherwise it is re-queued right away.
+   * @param {Job} job - Job whose attempt has failed
+   * @param {string} finalStatus - Status to set when the job is not retried
+   * @param {Object} [outcome={}] - How the attempt ended, see isRetryable
+   * @private
+   */
+  #retryOrFail(job, finalStatus, outcome = {}) {
+    const policy = this.#getRetryPolicy(job);
+    const retryAttempts = policy.attempts ?? 0;
+
+    if (job.retryCount < retryAttempts && isRetryable(policy, outcome)) {
+      const delayMs = getRetryDelayMs(policy, job.retryCount + 1);
+
+      logger.info(`Retrying job ${job.id} (attempt ${job.retryCount + 1}/${retryAttempts}) in ${delayMs}ms`);
+      job.incrementRetry();
+      metricsService.jobRetried(job);
+
+      if (delayMs > 0) {
+        job.setNextAttemptAt(new Date(Date.now() + delayMs).toISOString());
+        job.updateStatus(JobStatus.RETRY_SCHEDULED);
+        this.#armRetryTimer(job);
+      } else {
+        job.updateStatus(JobStatus.PENDING);
+      }
+    } else {
+      if (job.retryCount < retryAttempts) {
+        logger.info(`Job ${job.id} ${finalStatus}, the failure is excluded from retries by its retry policy`);
+      } else {
+        logger.info(`Job ${job.id} ${finalStatus} after ${job.retryCount} retry attempts`);
+      }
+      this.#finishJob(job, finalStatus);
+    }
+    
+    this.#processQueue();
+  }
+
+  /**
+   * Queue a job in RETRY_SCHEDULED again once its nextAttemptAt has come
+   * @param {Job} job - Job waiting for a retry
+   * @private
+   */
+  #armRetryTimer(job) {
+    const delayMs = Math.max(new Date(job.nextAttemptAt).getTime() - Date.now(), 0);
+
+    const timer = setTimeout(() => {
+      this.#retryTimers.delete(job.id);
+      job.setNextAttemptAt(null);
+      job.updateStatus(JobStatus.PENDING);
+      this.#processQueue();
+    }, delayMs);
+    timer.unref?.();
+    this.#retryTimers.set(job.id, timer);
+  }
+
+  /**
+   * Call off the scheduled retry of a job, e.g. because it is paused or cancelled
+   * @param {Job} job - Job waiting for a retry
+   * @private
+   */
+  #cancelRetryTimer(job) {
+    clearTimeout(this.#retryTimers.get(job.id));
+    this.#retryTimers.delete(job.id);
+    job.setNextAttemptAt(null);
+  }
+
+  /**
+   * Queue a job in SCHEDULED once its runAt has come. Delays longer than setTimeout supports
+   * are waited out in steps.
+   * @param {Job} job - Scheduled job
+   * @private
+   */
+  #armRunAtTimer(job) {
+    clearTimeout(this.#runAtTimers.get(job.id));
+    const delayMs = Math.max(new Date(job.runAt).getTime() - Date.now(), 0);
+
+    const timer = setTimeout(() => {
+      this.#runAtTimers.delete(job.id);
+
+      if (new Date(job.runAt).getTime() > Date.now()) {
+        this.#armRunAtTimer(job);
+        return;
+      }
+
+      logger.info(`Job ${job.id} is due, queueing it`);
+      job.updateStatus(JobStatus.PENDING);
+      this.#processQueue();
+    }, Math.min(delayMs, MAX_TIMER_DELAY_MS));
+    timer.unref?.();
+    this.#runAtTimers.set(job.id, timer);
+  }
+
+  /**
+   * Stop waiting for the runAt of a job, e.g. because it is cancelled
+   * @param {Job} job - Scheduled job
+   * @private
+   */
+  #cancelRunAtTimer(job) {
+    clearTimeout(this.#runAtTimers.get(job.id));
+    this.#runAtTimers.delete(job.id);
+  }
+  
+  /**
+   * For testing purposes only
+   */
+  clearAllJobs() {
+    this.#jobs.clear();
+    this.#runningJobs.clear();
+    this.#suspendedJobs.clear();
+    for (const timer of this.#cancelTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.#cancelTimers.clear();
+    for (const timer of this.#retryTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.#retryTimers.clear();
+    for (const timer of this.#runAtTimers.values()) {
+      clearTimeout(timer);
+    }
+    this.#runAtTimers.clear();
+    for (const timer of this.#orphanWatchers.values()) {
+      clearInterval(timer);
+    }
+    this.#orphanWatchers.clear();
+    watchdogService.clear();
+    jobLogService.clear();
+    latencyService.clear();
+    metricsService.clear();
+    predictionService.clear();
+    webhookService.clear();
+    jobEventService.clear();
+    this.#store.clear();
+    logger.debug('Cleared all jobs (testing only)');
+  }
+
+  /**
+   * Update the priority of the job with the given ID
+   * @param {string} jobId - ID of the job to update
+   * @param {number} [priority=3] - New priority of the job (1-5)
+   * @throws {Error} - If the priority is invalid
+   * @returns {Job} - Updated job instance
    */
   updateJobPriority(jobId, priority = 3) {
     const job = this.#jobs.get(jobId);
@@ -274,7 +1495,9 @@ class JobService {
     }
 
     try {
+      const previousPriority = job.priority;
       job.updatePriority(priority);
+      jobEventService.publish(JobEventType.PRIORITY_CHANGED, job, { previousPriority, priority });
       logger.info(`Updated job ${jobId} priority to ${priority}`);
 
       if (job.status === JobStatus.PENDING) {
@@ -289,7 +1512,57 @@ class JobService {
   }
 
   /**
-   * Delete a job if it's in a deletable state (pending or paused)
+   * Change when a job that has not started is queued. A pending job is taken off the queue
+   * until then, a scheduled job with runAt null is queued right away.
+   * @param {string} jobId - ID of the job to reschedule
+   * @param {string|null} runAt - ISO timestamp, or null to queue the job now
+   * @returns {Object} - Result of the reschedule operation
+   */
+  rescheduleJob(jobId, runAt) {
+    const job = this.#jobs.get(jobId);
+
+    if (!job) {
+      logger.warn(`Job with ID ${jobId} not found`);
+      return { success: false, reason: 'not_found' };
+    }
+
+    if (![JobStatus.SCHEDULED, JobStatus.PENDING].includes(job.status)) {
+      logger.warn(`Cannot reschedule job ${jobId} with status ${job.status}`);
+      return { success: false, reason: 'invalid_status', status: job.status };
+    }
+
+    try {
+      if (runAt !== null && Number.isNaN(new Date(runAt).getTime())) {
+        throw new Error(`Invalid runAt: ${runAt}. Must be an ISO timestamp`);
+      }
+
+      const previousRunAt = job.runAt;
+      job.setRunAt(runAt);
+      jobEventService.publish(JobEventType.RESCHEDULED, job, { previousRunAt, runAt });
+
+      if (runAt === null) {
+        this.#cancelRunAtTimer(job);
+        if (job.status === JobStatus.SCHEDULED) {
+          job.updateStatus(JobStatus.PENDING);
+          this.#processQueue();
+        }
+      } else {
+        if (job.status === JobStatus.PENDING) {
+          job.updateStatus(JobStatus.SCHEDULED);
+        }
+        this.#armRunAtTimer(job);
+      }
+
+      logger.info(`Rescheduled job ${jobId} to ${runAt ?? 'now'}`);
+      return { success: true, job };
+    } catch (error) {
+      logger.error(`Error rescheduling job ${jobId}: ${error.message}`);
+      return { success: false, reason: 'error', message: error.message };
+    }
+  }
+
+  /**
+   * Delete a job if it's in a deletable state (scheduled, pending, paused or waiting for a retry)
    * @param {string} jobId - ID of the job to delete
    * @returns {Object} - Result of the deletion operation
    */
@@ -301,20 +1574,177 @@ class JobService {
       return { success: false, reason: 'not_found' };
     }
 
-    if (job.status !== JobStatus.PENDING && job.status !== JobStatus.PAUSED) {
+    // A paused job that still owns a suspended process has to be cancelled first
+    const deletableStatuses = [JobStatus.SCHEDULED, JobStatus.PENDING, JobStatus.PAUSED, JobStatus.RETRY_SCHEDULED];
+    if (!deletableStatuses.includes(job.status) || this.#suspendedJobs.has(jobId)) {
       logger.warn(`Cannot delete job ${jobId} with status ${job.status}`);
       return { success: false, reason: 'invalid_status', status: job.status };
     }
 
     try {
+      if (job.status === JobStatus.RETRY_SCHEDULED) {
+        this.#cancelRetryTimer(job);
+      }
+      this.#cancelRunAtTimer(job);
       this.#jobs.delete(jobId);
+      this.#store.delete(jobId);
+      predictionService.invalidate();
+      jobLogService.deleteLogs(jobId);
+      webhookService.deleteDeliveries(jobId);
+      jobEventService.publish(JobEventType.DELETED, job);
       logger.info(`Deleted job ${jobId}`);
+      this.#skipDownstreamJobs(job, 'upstream_deleted');
       return { success: true };
     } catch (error) {
       logger.error(`Error deleting job ${jobId}: ${error.message}`);
       return { success: false, reason: 'error', message: error.message };
     }
   }
+
+  /**
+   * Pause a job. A running job has its process tree suspended with SIGSTOP,
+   * a pending job or one waiting for a retry is held back from the queue until it is resumed.
+   * @param {string} jobId - ID of the job to pause
+   * @returns {Object} - Result of the pause operation
+   */
+  pauseJob(jobId) {
+    const job = this.#jobs.get(jobId);
+
+    if (!job) {
+      logger.warn(`Job with ID ${jobId} not found`);
+      return { success: false, reason: 'not_found' };
+    }
+
+    if (![JobStatus.RUNNING, JobStatus.PENDING, JobStatus.RETRY_SCHEDULED].includes(job.status)) {
+      logger.warn(`Cannot pause job ${jobId} with status ${job.status}`);
+      return { success: false, reason: 'invalid_status', status: job.status };
+    }
+
+    try {
+      if (job.status === JobStatus.RUNNING) {
+        signalProcessTree(job.pid, 'SIGSTOP');
+        watchdogService.suspend(jobId);
+        this.#suspendedJobs.add(jobId);
+
+        if (!this.#pausedJobsHoldSlot) {
+          this.#runningJobs.delete(jobId);
+        }
+      } else if (job.status === JobStatus.RETRY_SCHEDULED) {
+        this.#cancelRetryTimer(job);
+      }
+
+      job.updateStatus(JobStatus.PAUSED);
+      logger.info(`Paused job ${jobId}`);
+
+      if (!this.#pausedJobsHoldSlot) {
+        this.#processQueue();
+      }
+
+      return { success: true, job };
+    } catch (error) {
+      logger.error(`Error pausing job ${jobId}: ${error.message}`);
+      return { success: false, reason: 'error', message: error.message };
+    }
+  }
+
+  /**
+   * Resume a paused job. A suspended process tree is continued with SIGCONT,
+   * a job that was paused while pending goes back to the queue.
+   * @param {string} jobId - ID of the job to resume
+   * @returns {Object} - Result of the resume operation
+   */
+  resumeJob(jobId) {
+    const job = this.#jobs.get(jobId);
+
+    if (!job) {
+      logger.warn(`Job with ID ${jobId} not found`);
+      return { success: false, reason: 'not_found' };
+    }
+
+    if (job.status !== JobStatus.PAUSED) {
+      logger.warn(`Cannot resume job ${jobId} with status ${job.status}`);
+      return { success: false, reason: 'invalid_status', status: job.status };
+    }
+
+    try {
+      if (this.#suspendedJobs.has(jobId)) {
+        signalProcessTree(job.pid, 'SIGCONT');
+        this.#suspendedJobs.delete(jobId);
+        // A job that freed its slot takes it back even if that briefly exceeds the limit
+        this.#runningJobs.add(jobId);
+        watchdogService.resume(jobId);
+        job.updateStatus(JobStatus.RUNNING);
+      } else {
+        job.updateStatus(JobStatus.PENDING);
+        this.#processQueue();
+      }
+
+      logger.info(`Resumed job ${jobId}`);
+      return { success: true, job };
+    } catch (error) {
+      logger.error(`Error resuming job ${jobId}: ${error.message}`);
+      return { success: false, reason: 'error', message: error.message };
+    }
+  }
+
+  /**
+   * Cancel a job. A job with a live process goes through STOPPING: its process tree
+   * gets SIGTERM and is killed with SIGKILL if it is still alive after the grace period.
+   * @param {string} jobId - ID of the job to cancel
+   * @returns {Object} - Result of the cancel operation
+   */
+  cancelJob(jobId) {
+    const job = this.#jobs.get(jobId);
+
+    if (!job) {
+      logger.warn(`Job with ID ${jobId} not found`);
+      return { success: false, reason: 'not_found' };
+    }
+
+    const hasProcess = job.status === JobStatus.RUNNING || this.#suspendedJobs.has(jobId);
+
+    if (!hasProcess && ![JobStatus.SCHEDULED, JobStatus.PENDING, JobStatus.PAUSED, JobStatus.RETRY_SCHEDULED].includes(job.status)) {
+      logger.warn(`Cannot cancel job ${jobId} with status ${job.status}`);
+      return { success: false, reason: 'invalid_status', status: job.status };
+    }
+
+    try {
+      if (!hasProcess) {
+        if (job.status === JobStatus.RETRY_SCHEDULED) {
+          this.#cancelRetryTimer(job);
+        }
+        this.#cancelRunAtTimer(job);
+        this.#finishJob(job, JobStatus.CANCELLED);
+        logger.info(`Cancelled job ${jobId}`);
+        return { success: true, job };
+      }
+
+      job.updateStatus(JobStatus.STOPPING);
+      watchdogService.unwatch(jobId);
+      signalProcessTree(job.pid, 'SIGTERM');
+
+      // A stopped process only handles SIGTERM once it is continued
+      if (this.#suspendedJobs.has(jobId)) {
+        signalProcessTree(job.pid, 'SIGCONT');
+      }
+
+      const timer = setTimeout(() => {
+        this.#cancelTimers.delete(jobId);
+        if (job.status === JobStatus.STOPPING) {
+          logger.warn(`Job ${jobId} did not stop within ${this.#cancelGraceMs}ms, killing process tree`);
+          killProcessTree(job.pid);
+        }
+      }, this.#cancelGraceMs);
+      timer.unref?.();
+      this.#cancelTimers.set(jobId, timer);
+
+      logger.info(`Stopping job ${jobId}`);
+      return { success: true, job };
+    } catch (error) {
+      logger.error(`Error cancelling job ${jobId}: ${error.message}`);
+      return { success: false, reason: 'error', message: error.message };
+    }
+  }
 }
 
 export const jobService = new JobService();
@@ -0,0 +1,334 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import YAML from 'yaml';
+import Ajv from 'ajv';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+import { validateRetryPolicy } from '../utils/retry/index.js';
+
+// Name of the only job type when no registry file exists
+const FALLBACK_JOB_TYPE = 'default';
+
+// Parts of argsSchema and the request fields they validate
+const ARGS_SCHEMA_PARTS = {
+  positional: 'args',
+  named: 'namedArgs'
+};
+
+// Union types such as ["string", "number"] are the natural way to describe CLI arguments
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+/**
+ * Converts an Ajv error into a violation of a request field
+ * @param {string} field - Request field that was validated
+ * @param {import('ajv').ErrorObject} error - Ajv error
+ * @returns {{field: string, message: string, keyword: string}} - Violation
+ */
+const toViolation = (field, error) => {
+  // Errors about a missing or unexpected property point at the object, the field names the property instead
+  const property = error.params?.missingProperty ?? error.params?.additionalProperty;
+  const pointer = property !== undefined ? `${error.instancePath}/${property}` : error.instancePath;
+  const unexpected = error.params?.additionalProperty !== undefined ? `: ${error.params.additionalProperty}` : '';
+
+  return {
+    field: `${field}${pointer}`,
+    message: `${field}${error.instancePath} ${error.message}${unexpected}`,
+    keyword: error.keyword
+  };
+};
+
+/**
+ * Checks that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Resolves a path from the registry against the directory of the registry file.
+ * Bare executable names such as `python3` are left alone so they are looked up in PATH.
+ * @param {string} value - Path as written in the registry
+ * @param {string} baseDir - Directory of the registry file
+ * @returns {string} - Resolved path
+ */
+const resolveRegistryPath = (value, baseDir) => {
+  if (path.isAbsolute(value) || !/[\\/]/.test(value)) {
+    return value;
+  }
+  return path.resolve(baseDir, value);
+};
+
+/**
+ * Service: registry of the executables jobs can run.
+ * Every job type maps a name to an executable and the way it is started
+ * (default args, working directory, env vars, timeout, retry policy and argument schema).
+ * The registry is read from `JOB_TYPES_PATH` (JSON or YAML); without that file the
+ * single type `default` runs `EXECUTABLE_PATH`.
+ */
+class JobTypeService {
+  #types = new Map();
+  #validators = new Map();
+  #source = null;
+
+  constructor() {
+    this.load(path.resolve(process.cwd(), config.JOB_TYPES_PATH || 'job-types.json'));
+  }
+
+  /**
+   * Loads the registry, replacing all registered job types
+   * @param {string} filePath - Path to a .json, .yaml or .yml file
+   * @returns {number} - Number of registered job types
+   * @throws {Error} - If the file cannot be parsed or a job type is invalid
+   */
+  load(filePath) {
+    this.#types.clear();
+    this.#validators.clear();
+
+    if (!fs.existsSync(filePath)) {
+      logger.warn(`Job type registry ${filePath} not found, registering '${FALLBACK_JOB_TYPE}' for ${config.EXECUTABLE_PATH}`);
+      this.#source = null;
+      this.register(FALLBACK_JOB_TYPE, {
+        executable: path.resolve(process.cwd(), config.EXECUTABLE_PATH),
+        passJobName: true
+      });
+      return this.#types.size;
+    }
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    const registry = /\.ya?ml$/i.test(filePath) ? YAML.parse(content) : JSON.parse(content);
+    const definitions = registry?.jobTypes;
+
+    if (!isPlainObject(definitions)) {
+      throw new Error(`Job type registry ${filePath} must contain a "jobTypes" object`);
+    }
+
+    const baseDir = path.dirname(filePath);
+
+    for (const [name, definition] of Object.entries(definitions)) {
+      this.register(name, definition, baseDir);
+    }
+
+    this.#source = filePath;
+    logger.info(`Loaded ${this.#types.size} job types from ${filePath}: ${this.getNames().join(', ')}`);
+
+    return this.#types.size;
+  }
+
+  /**
+   * Registers a job type
+   * @param {string} name - Job type name
+   * @param {Object} definition - Job type definition as written in the registry
+   * @param {string} [baseDir=process.cwd()] - Directory relative paths are resolved against
+   * @returns {Object} - Normalized job type
+   * @throws {Error} - If the definition is invalid
+   */
+  register(name, definition, baseDir = process.cwd()) {
+    const jobType = this.#normalize(name, definition, baseDir);
+    this.#validators.set(name, this.#compileArgsSchema(name, jobType.argsSchema));
+    this.#types.set(name, jobType);
+    logger.debug(`Job type registered: ${name} -> ${jobType.executable}`);
+    return jobType;
+  }
+
+  /**
+   * Get a job type by name
+   * @param {string} name - Job type name
+   * @returns {Object|null} - Job type, or null if it is not registered
+   */
+  get(name) {
+    return this.#types.get(name) || null;
+  }
+
+  /**
+   * Checks whether a job type is registered
+   * @param {string} name - Job type name
+   * @returns {boolean} - True if registered
+   */
+  has(name) {
+    return this.#types.has(name);
+  }
+
+  /**
+   * Get the names of all registered job types
+   * @returns {string[]} - Sorted job type names
+   */
+  getNames() {
+    return Array.from(this.#types.keys()).sort();
+  }
+
+  /**
+   * Get all registered job types for API responses. Values of env vars are left out,
+   * they may contain credentials.
+   * @returns {Object[]} - Job types sorted by name
+   */
+  getAll() {
+    return this.getNames().map((name) => {
+      const { env, ...jobType } = this.#types.get(name);
+      return { ...jobType, envVars: Object.keys(env) };
+    });
+  }
+
+  /**
+   * Validates job arguments against the argsSchema of a job type
+   * @param {string} name - Job type name
+   * @param {Array} args - Positional arguments
+   * @param {Object} namedArgs - Named arguments
+   * @returns {{field: string, message: string, keyword: string}[]} - Every violation, empty if the arguments are valid
+   * @throws {Error} - If the job type is not registered
+   */
+  validateArgs(name, args, namedArgs) {
+    const validators = this.#validators.get(name);
+
+    if (!validators) {
+      throw new Error(`Unknown job type: ${name}`);
+    }
+
+    const values = { args, namedArgs };
+    const violations = [];
+
+    for (const [field, validate] of Object.entries(validators)) {
+      if (!validate(values[field])) {
+        violations.push(...validate.errors.map(error => toViolation(field, error)));
+      }
+    }
+
+    return violations;
+  }
+
+  /**
+   * Get the file the registry was loaded from
+   * @returns {string|null} - Path, or null if the fallback type is used
+   */
+  getSource() {
+    return this.#source;
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.#types.clear();
+    this.#validators.clear();
+    this.#source = null;
+  }
+
+  /**
+   * Compiles the positional and named parts of an argsSchema
+   * @param {string} name - Job type name
+   * @param {Object|null} argsSchema - Schema with optional positional and named JSON Schemas
+   * @returns {Object<string, Function>} - Ajv validate functions by request field
+   * @throws {Error} - If a schema is not a valid JSON Schema
+   * @private
+   */
+  #compileArgsSchema(name, argsSchema) {
+    const validators = {};
+
+    for (const [part, field] of Object.entries(ARGS_SCHEMA_PARTS)) {
+      if (!argsSchema?.[part]) {
+        continue;
+      }
+
+      try {
+        validators[field] = ajv.compile(argsSchema[part]);
+      } catch (error) {
+        throw new Error(`Invalid job type '${name}': argsSchema.${part} is not a valid JSON Schema: ${error.message}`);
+      }
+    }
+
+    return validators;
+  }
+
+  /**
+   * Validates a job type definition and fills in defaults
+   * @param {string} name - Job type name
+   * @param {Object} definition - Job type definition
+   * @param {string} baseDir - Directory relative paths are resolved against
+   * @returns {Object} - Normalized job type
+   * @throws {Error} - If the definition is invalid
+   * @private
+   */
+  #normalize(name, definition, baseDir) {
+    const fail = (message) => {
+      throw new Error(`Invalid job type '${name}': ${message}`);
+    };
+
+    if (typeof name !== 'string' || !name.trim()) {
+      throw new Error('Job type name must be a non-empty string');
+    }
+
+    if (!isPlainObject(definition)) {
+      fail('definition must be an object');
+    }
+
+    const {
+      description = '',
+      executable,
+      args = [],
+      passJobName = false,
+      cwd = null,
+      env = {},
+      timeoutMs = null,
+      retryPolicy = null,
+      argsSchema = null
+    } = definition;
+
+    // Either a path, or a map of os.platform() values to paths with an optional "default"
+    const platformExecutable = isPlainObject(executable)
+      ? executable[os.platform()] ?? executable.default
+      : executable;
+
+    if (typeof platformExecutable !== 'string' || !platformExecutable.trim()) {
+      fail(`executable must be a non-empty string or a map of platforms to paths with an entry for ${os.platform()}`);
+    }
+
+    if (!Array.isArray(args) || args.some(arg => typeof arg !== 'string')) {
+      fail('args must be an array of strings');
+    }
+
+    if (typeof passJobName !== 'boolean') {
+      fail('passJobName must be a boolean');
+    }
+
+    if (cwd !== null && typeof cwd !== 'string') {
+      fail('cwd must be a string');
+    }
+
+    if (!isPlainObject(env) || Object.values(env).some(value => typeof value !== 'string')) {
+      fail('env must be an object of strings');
+    }
+
+    if (timeoutMs !== null && (!Number.isInteger(timeoutMs) || timeoutMs <= 0)) {
+      fail('timeoutMs must be a positive integer');
+    }
+
+    const retryPolicyViolations = retryPolicy === null ? [] : validateRetryPolicy(retryPolicy);
+    if (retryPolicyViolations.length > 0) {
+      fail(retryPolicyViolations.map(violation => violation.message).join('; '));
+    }
+
+    if (argsSchema !== null && !isPlainObject(argsSchema)) {
+      fail('argsSchema must be an object');
+    }
+
+    const unknownPart = Object.keys(argsSchema ?? {}).find(part => !(part in ARGS_SCHEMA_PARTS));
+    if (unknownPart !== undefined) {
+      fail(`argsSchema may only contain ${Object.keys(ARGS_SCHEMA_PARTS).join(' and ')}, got ${unknownPart}`);
+    }
+
+    return {
+      name,
+      description,
+      executable: resolveRegistryPath(platformExecutable, baseDir),
+      args: [...args],
+      passJobName,
+      cwd: cwd === null ? null : path.resolve(baseDir, cwd),
+      env: { ...env },
+      timeoutMs,
+      retryPolicy: retryPolicy === null ? null : { ...retryPolicy },
+      argsSchema
+    };
+  }
+}
+
+export const jobTypeService = new JobTypeService();
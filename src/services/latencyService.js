@@ -0,0 +1,109 @@
+import { JobStatus } from '../models/job.js';
+import { QuantileSketch, round } from '../utils/stats/index.js';
+
+// Statuses of jobs whose timings are recorded; cancelled jobs never ran to an outcome
+const RECORDED_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.TIMED_OUT];
+
+// Reported quantiles by name
+const PERCENTILES = { p50: 0.5, p90: 0.9, p95: 0.95, p99: 0.99 };
+
+/**
+ * Creates empty sketches for the timings of a group of jobs
+ * @returns {{queueWait: QuantileSketch, runDuration: QuantileSketch, turnaround: QuantileSketch}} - Sketches
+ */
+const createSketches = () => ({
+  queueWait: new QuantileSketch(),
+  runDuration: new QuantileSketch(),
+  turnaround: new QuantileSketch()
+});
+
+/**
+ * Summarises sketches into percentiles
+ * @param {object} sketches - Sketches of a group, see createSketches
+ * @returns {object} - Count, percentiles and maximum of every timing, in milliseconds
+ */
+const summarize = sketches => Object.fromEntries(Object.entries(sketches).map(([metric, sketch]) => [metric, {
+  count: sketch.count,
+  ...Object.fromEntries(Object.entries(PERCENTILES).map(([name, q]) => {
+    const value = sketch.quantile(q);
+    return [name, value === null ? null : round(value, 2)];
+  })),
+  max: sketch.max
+}]));
+
+/**
+ * Service: latency percentiles of finished jobs.
+ * Records the queue wait (from createdAt to the start of the first attempt), the run duration (the
+ * attempts together, without retry delays) and the turnaround (from createdAt to completedAt) of every
+ * completed, failed or timed out job, overall, per job name and per priority. Timings are kept in
+ * streaming quantile sketches, so memory does not grow with the number of jobs and deleting a job
+ * does not remove it from the percentiles.
+ */
+class LatencyService {
+  #overall = createSketches();
+  #byJobName = new Map();
+  #byPriority = new Map();
+
+  /**
+   * Records the timings of a finished job
+   * @param {Job} job - Job in a final status
+   * @returns {boolean} - True if the job was recorded, false if its status is not recorded
+   */
+  record(job) {
+    if (!RECORDED_STATUSES.includes(job.status)) {
+      return false;
+    }
+
+    const createdAtMs = Date.parse(job.createdAt);
+    const [firstAttempt] = job.attempts;
+    const finishedAttempts = job.attempts.filter(attempt => attempt.completedAt);
+    const timings = {
+      queueWait: firstAttempt ? Date.parse(firstAttempt.startedAt) - createdAtMs : null,
+      runDuration: finishedAttempts.length > 0
+        ? finishedAttempts.reduce((total, attempt) => total + attempt.durationMs, 0)
+        : null,
+      turnaround: job.completedAt ? Date.parse(job.completedAt) - createdAtMs : null
+    };
+
+    if (!this.#byJobName.has(job.jobName)) {
+      this.#byJobName.set(job.jobName, createSketches());
+    }
+    if (!this.#byPriority.has(job.priority)) {
+      this.#byPriority.set(job.priority, createSketches());
+    }
+
+    for (const sketches of [this.#overall, this.#byJobName.get(job.jobName), this.#byPriority.get(job.priority)]) {
+      for (const [metric, value] of Object.entries(timings)) {
+        if (value !== null) {
+          sketches[metric].add(value);
+        }
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Get the latency percentiles
+   * @returns {object} - Percentiles of the queue wait, run duration and turnaround overall,
+   *   by job name and by priority
+   */
+  getSummary() {
+    return {
+      overall: summarize(this.#overall),
+      byJobName: Object.fromEntries(Array.from(this.#byJobName, ([jobName, sketches]) => [jobName, summarize(sketches)])),
+      byPriority: Object.fromEntries(Array.from(this.#byPriority, ([priority, sketches]) => [priority, summarize(sketches)]))
+    };
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.#overall = createSketches();
+    this.#byJobName.clear();
+    this.#byPriority.clear();
+  }
+}
+
+export const latencyService = new LatencyService();
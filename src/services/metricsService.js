@@ -0,0 +1,224 @@
+import client from 'prom-client';
+import { JobStatus } from '../models/job.js';
+
+// Histogram buckets in seconds, from sub-second jobs up to an hour
+const DURATION_BUCKETS = [0.1, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300, 600, 1800, 3600];
+const HTTP_DURATION_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5];
+
+// Route label of requests that matched no route, so unknown URLs do not create new series
+const UNMATCHED_ROUTE = '(unmatched)';
+
+/**
+ * Get the route pattern a request matched, e.g. `/jobs/:id`
+ * @param {import('express').Request} req - Express request
+ * @returns {string} - Route pattern
+ */
+const getRouteLabel = (req) => {
+  if (!req.route) {
+    return UNMATCHED_ROUTE;
+  }
+  // The root route of a router, e.g. GET /jobs, has the path '/'
+  return req.route.path === '/' && req.baseUrl ? req.baseUrl : `${req.baseUrl}${req.route.path}`;
+};
+
+/**
+ * @typedef {Object} JobQueueState
+ * @property {number} running - Number of running jobs
+ * @property {number} pending - Number of jobs waiting for a slot
+ * @property {number} freeSlots - Number of jobs that could start right now
+ */
+
+/**
+ * Service: Prometheus metrics.
+ * Counters and histograms are updated by JobService as jobs change state, the queue gauges are
+ * read from JobService when metrics are scraped, and HTTP metrics are recorded by a middleware.
+ * Metrics live in their own registry, exposed by GET /metrics. Job metrics are labelled `job_type`
+ * instead of by job name: names are chosen freely by API clients, types come from the registry.
+ */
+class MetricsService {
+  #registry = new client.Registry();
+  #queueState = () => ({ running: 0, pending: 0, freeSlots: 0 });
+  #jobsCreated;
+  #jobsCompleted;
+  #jobsFailed;
+  #jobsRetried;
+  #jobsCancelled;
+  #queueWait;
+  #runDuration;
+  #httpRequests;
+  #httpRequestDuration;
+
+  constructor() {
+    const registers = [this.#registry];
+    const service = this;
+
+    this.#jobsCreated = new client.Counter({
+      name: 'jobs_created_total', help: 'Jobs created', labelNames: ['job_type'], registers
+    });
+    this.#jobsCompleted = new client.Counter({
+      name: 'jobs_completed_total', help: 'Jobs that completed successfully', labelNames: ['job_type'], registers
+    });
+    this.#jobsFailed = new client.Counter({
+      name: 'jobs_failed_total', help: 'Jobs that failed or timed out after their last retry', labelNames: ['job_type', 'status'], registers
+    });
+    this.#jobsRetried = new client.Counter({
+      name: 'jobs_retried_total', help: 'Retries of failed attempts', labelNames: ['job_type'], registers
+    });
+    this.#jobsCancelled = new client.Counter({
+      name: 'jobs_cancelled_total', help: 'Jobs that were cancelled', labelNames: ['job_type'], registers
+    });
+
+    new client.Gauge({
+      name: 'jobs_running', help: 'Jobs running right now', registers,
+      collect() { this.set(service.#queueState().running); }
+    });
+    new client.Gauge({
+      name: 'jobs_pending', help: 'Jobs waiting for a free slot', registers,
+      collect() { this.set(service.#queueState().pending); }
+    });
+    new client.Gauge({
+      name: 'job_slots_free', help: 'Concurrency slots free for pending jobs', registers,
+      collect() { this.set(service.#queueState().freeSlots); }
+    });
+
+    this.#queueWait = new client.Histogram({
+      name: 'job_queue_wait_seconds',
+      help: 'Time from job creation to the start of its first attempt',
+      labelNames: ['job_type'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+    this.#runDuration = new client.Histogram({
+      name: 'job_run_duration_seconds',
+      help: 'Duration of all attempts of a finished job together, without retry delays',
+      labelNames: ['job_type', 'status'],
+      buckets: DURATION_BUCKETS,
+      registers
+    });
+
+    this.#httpRequests = new client.Counter({
+      name: 'http_requests_total', help: 'HTTP requests handled', labelNames: ['method', 'route', 'status_code'], registers
+    });
+    this.#httpRequestDuration = new client.Histogram({
+      name: 'http_request_duration_seconds',
+      help: 'Time to handle HTTP requests',
+      labelNames: ['method', 'route', 'status_code'],
+      buckets: HTTP_DURATION_BUCKETS,
+      registers
+    });
+  }
+
+  /**
+   * Sets where the queue gauges are read from
+   * @param {function(): JobQueueState} provider - Returns the current state of the queue
+   */
+  setQueueStateProvider(provider) {
+    this.#queueState = provider;
+  }
+
+  /**
+   * Counts a created job
+   * @param {Job} job - Created job
+   */
+  jobCreated(job) {
+    this.#jobsCreated.inc({ job_type: job.type });
+  }
+
+  /**
+   * Records the queue wait of a job whose first attempt started
+   * @param {Job} job - Started job
+   */
+  jobStarted(job) {
+    const [firstAttempt] = job.attempts;
+
+    if (firstAttempt) {
+      this.#queueWait.observe({ job_type: job.type }, (Date.parse(firstAttempt.startedAt) - Date.parse(job.createdAt)) / 1000);
+    }
+  }
+
+  /**
+   * Counts a retry
+   * @param {Job} job - Job that will be retried
+   */
+  jobRetried(job) {
+    this.#jobsRetried.inc({ job_type: job.type });
+  }
+
+  /**
+   * Counts a job that reached a final status and records its run duration
+   * @param {Job} job - Finished job
+   */
+  jobFinished(job) {
+    const labels = { job_type: job.type };
+
+    switch (job.status) {
+      case JobStatus.COMPLETED:
+        this.#jobsCompleted.inc(labels);
+        break;
+      case JobStatus.FAILED:
+      case JobStatus.TIMED_OUT:
+        this.#jobsFailed.inc({ ...labels, status: job.status });
+        break;
+      case JobStatus.CANCELLED:
+        this.#jobsCancelled.inc(labels);
+        return;
+      default:
+        return;
+    }
+
+    const finishedAttempts = job.attempts.filter(attempt => attempt.completedAt);
+    if (finishedAttempts.length > 0) {
+      const durationMs = finishedAttempts.reduce((total, attempt) => total + attempt.durationMs, 0);
+      this.#runDuration.observe({ ...labels, status: job.status }, durationMs / 1000);
+    }
+  }
+
+  /**
+   * Creates an Express middleware counting requests and their duration, labelled by route pattern
+   * (e.g. `/jobs/:id`) rather than URL so the number of series stays bounded
+   * @returns {function(import('express').Request, import('express').Response, function): void} - Middleware
+   */
+  createHttpMetrics() {
+    return (req, res, next) => {
+      const endTimer = this.#httpRequestDuration.startTimer();
+
+      res.on('finish', () => {
+        const labels = {
+          method: req.method,
+          route: getRouteLabel(req),
+          status_code: res.statusCode
+        };
+
+        this.#httpRequests.inc(labels);
+        endTimer(labels);
+      });
+
+      next();
+    };
+  }
+
+  /**
+   * Content type of the exposition format
+   * @returns {string} - Content type header value
+   */
+  get contentType() {
+    return this.#registry.contentType;
+  }
+
+  /**
+   * Renders all metrics in the Prometheus text exposition format
+   * @returns {Promise<string>} - Metrics
+   */
+  getMetrics() {
+    return this.#registry.metrics();
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.#registry.resetMetrics();
+  }
+}
+
+export const metricsService = new MetricsService();
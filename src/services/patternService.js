@@ -0,0 +1,358 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+import { JobStatus } from '../models/job.js';
+import {
+  round,
+  wilsonInterval,
+  formatRateDifference,
+  chiSquareTest,
+  fisherExactTest,
+  cramersV,
+  benjaminiHochberg,
+  CONFIDENCE_LEVEL,
+  SIGNIFICANCE_LEVEL
+} from '../utils/stats/index.js';
+
+// Statuses of jobs whose outcome is known; cancelled jobs never got to succeed or fail
+const OUTCOME_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.TIMED_OUT];
+
+// Smallest expected count for which the chi-square approximation is trusted
+const MIN_EXPECTED_COUNT = 5;
+
+/**
+ * @typedef {Object} JobCharacteristic
+ * @property {string} name - Unique name of the characteristic
+ * @property {string} description - What the characteristic looks at
+ * @property {function(Job): (string|null)} evaluate - Returns the pattern a job matches,
+ *   e.g. 'Job name length > 10', or null if the characteristic does not apply to the job
+ * @property {boolean} [knownAtSubmission=true] - False if the characteristic describes how the job ran,
+ *   so it cannot be used to predict the outcome of a job that has just been submitted
+ */
+
+/**
+ * Characteristics evaluated by default
+ * @type {JobCharacteristic[]}
+ */
+const DEFAULT_CHARACTERISTICS = [
+  {
+    name: 'nameLength',
+    description: 'Length of the job name',
+    evaluate: (job) => {
+      if (job.jobName.length <= 5) {
+        return 'Job name length <= 5';
+      }
+      return job.jobName.length <= 10 ? 'Job name length 6-10' : 'Job name length > 10';
+    }
+  },
+  {
+    name: 'nameDigits',
+    description: 'Whether the job name contains digits',
+    evaluate: job => (/\d/.test(job.jobName) ? 'Job name contains digits' : 'Job name has no digits')
+  },
+  {
+    name: 'argumentCount',
+    description: 'Number of positional and named arguments',
+    evaluate: (job) => {
+      const count = job.jobArgs.length + Object.keys(job.namedArgs).length;
+
+      if (count === 0) {
+        return 'No arguments';
+      }
+      return count <= 2 ? '1-2 arguments' : 'More than 2 arguments';
+    }
+  },
+  {
+    name: 'priority',
+    description: 'Priority of the job',
+    evaluate: job => `Priority ${job.priority}`
+  },
+  {
+    name: 'timeOfDay',
+    knownAtSubmission: false,
+    description: 'Time of day (UTC) the job first started',
+    evaluate: (job) => {
+      const startedAt = job.attempts[0]?.startedAt ?? job.startedAt;
+
+      if (!startedAt) {
+        return null;
+      }
+
+      const from = Math.floor(new Date(startedAt).getUTCHours() / 6) * 6;
+      return `Started ${String(from).padStart(2, '0')}:00-${String(from + 5).padStart(2, '0')}:59 UTC`;
+    }
+  },
+  {
+    name: 'retryCount',
+    knownAtSubmission: false,
+    description: 'Number of times the job was retried',
+    evaluate: (job) => {
+      if (job.retryCount === 0) {
+        return 'Not retried';
+      }
+      return job.retryCount === 1 ? 'Retried once' : 'Retried 2+ times';
+    }
+  },
+  {
+    name: 'concurrency',
+    knownAtSubmission: false,
+    description: 'Number of jobs running when the last attempt started, including the job itself',
+    evaluate: (job) => {
+      const concurrency = job.attempts.at(-1)?.concurrency;
+
+      if (concurrency === null || concurrency === undefined) {
+        return null;
+      }
+      if (concurrency === 1) {
+        return 'Started with no other jobs running';
+      }
+      return concurrency <= 4 ? 'Started with 2-4 jobs running' : 'Started with 5+ jobs running';
+    }
+  }
+];
+
+/**
+ * Service: analysis of the job characteristics that go together with success or failure.
+ * Every registered characteristic sorts finished jobs into patterns, and the success rate of
+ * each pattern is compared with the overall success rate. Patterns matched by fewer than
+ * STATS_MIN_SAMPLE_SIZE jobs are flagged as too small to trust.
+ */
+class PatternService {
+  #characteristics = new Map();
+  #minSampleSize;
+
+  constructor() {
+    this.#minSampleSize = config.STATS_MIN_SAMPLE_SIZE;
+    DEFAULT_CHARACTERISTICS.forEach(characteristic => this.register(characteristic));
+  }
+
+  /**
+   * Registers a characteristic, replacing one with the same name
+   * @param {JobCharacteristic} characteristic - Characteristic to evaluate
+   * @returns {JobCharacteristic} - Registered characteristic
+   * @throws {Error} - If the characteristic has no name or no evaluate function
+   */
+  register(characteristic) {
+    if (typeof characteristic?.name !== 'string' || !characteristic.name.trim()) {
+      throw new Error('Characteristic name must be a non-empty string');
+    }
+
+    if (typeof characteristic.evaluate !== 'function') {
+      throw new Error(`Characteristic ${characteristic.name} must have an evaluate function`);
+    }
+
+    this.#characteristics.set(characteristic.name, characteristic);
+    logger.debug(`Job characteristic registered: ${characteristic.name}`);
+
+    return characteristic;
+  }
+
+  /**
+   * Removes a characteristic
+   * @param {string} name - Characteristic name
+   * @returns {boolean} - True if it was registered
+   */
+  unregister(name) {
+    return this.#characteristics.delete(name);
+  }
+
+  /**
+   * Get the registered characteristics
+   * @returns {{name: string, description: string}[]} - Characteristics in registration order
+   */
+  getCharacteristics() {
+    return Array.from(this.#characteristics.values(), ({ name, description = '', knownAtSubmission = true }) => ({
+      name,
+      description,
+      knownAtSubmission
+    }));
+  }
+
+  /**
+   * Evaluates the characteristics against a single job
+   * @param {Job} job - Job to evaluate
+   * @param {object} [options] - Options
+   * @param {boolean} [options.knownAtSubmission=false] - Only evaluate the characteristics known when a job is submitted
+   * @returns {Map<string, string>} - Pattern of every characteristic that applies to the job, by characteristic name
+   */
+  evaluate(job, { knownAtSubmission = false } = {}) {
+    const patterns = new Map();
+
+    for (const characteristic of this.#characteristics.values()) {
+      if (knownAtSubmission && characteristic.knownAtSubmission === false) {
+        continue;
+      }
+
+      let pattern;
+
+      try {
+        pattern = characteristic.evaluate(job);
+      } catch (error) {
+        logger.warn(`Characteristic ${characteristic.name} failed on job ${job.id}: ${error.message}`);
+        continue;
+      }
+
+      if (pattern !== null && pattern !== undefined) {
+        patterns.set(characteristic.name, String(pattern));
+      }
+    }
+
+    return patterns;
+  }
+
+  /**
+   * Evaluates every characteristic against the success rate of the finished jobs
+   * @param {Job[]} jobs - Jobs to analyse; only completed, failed and timed out jobs are counted
+   * @returns {object} - Sample size, overall success rate and patterns, the trustworthy ones with
+   *   the largest difference from the overall success rate first
+   */
+  analyze(jobs) {
+    const { finishedJobs, overallSuccessRate, groups } = this.#group(jobs);
+
+    const patterns = Array.from(groups.values()).flatMap(byPattern => Array.from(byPattern.values())).map((group) => {
+      const successRate = group.successCount / group.matchCount;
+      const { lower, upper } = wilsonInterval(group.successCount, group.matchCount);
+
+      return {
+        ...group,
+        successRate: round(successRate),
+        differenceFromAverage: formatRateDifference(successRate, overallSuccessRate),
+        confidenceInterval: { lower: round(lower), upper: round(upper) },
+        insufficientSample: group.matchCount < this.#minSampleSize
+      };
+    });
+
+    patterns.sort((a, b) => (a.insufficientSample - b.insufficientSample)
+      || Math.abs(b.successRate - overallSuccessRate) - Math.abs(a.successRate - overallSuccessRate));
+
+    return {
+      sampleSize: finishedJobs.length,
+      overallSuccessRate: round(overallSuccessRate),
+      confidenceLevel: CONFIDENCE_LEVEL,
+      minSampleSize: this.#minSampleSize,
+      patterns
+    };
+  }
+
+  /**
+   * Tests every characteristic for a statistically significant association with success. Characteristics
+   * with two patterns are tested with Fisher's exact test when an expected count is below 5, all others
+   * with Pearson's chi-square test. The p-values are adjusted for multiple comparisons with the
+   * Benjamini-Hochberg procedure, and Cramér's V is reported as effect size.
+   * @param {Job[]} jobs - Jobs to analyse; only completed, failed and timed out jobs are counted
+   * @returns {object} - Sample size, overall success rate and one correlation per characteristic,
+   *   the most significant first and the untestable ones last
+   */
+  correlate(jobs) {
+    const { finishedJobs, overallSuccessRate, groups } = this.#group(jobs);
+
+    const correlations = Array.from(this.#characteristics.values(), (characteristic) => {
+      const patterns = Array.from(groups.get(characteristic.name)?.values() ?? []);
+      const sampleSize = patterns.reduce((total, pattern) => total + pattern.matchCount, 0);
+      const successCount = patterns.reduce((total, pattern) => total + pattern.successCount, 0);
+      const correlation = {
+        characteristic: characteristic.name,
+        description: characteristic.description ?? '',
+        sampleSize,
+        patterns: patterns.map((pattern) => {
+          const { lower, upper } = wilsonInterval(pattern.successCount, pattern.matchCount);
+
+          return {
+            pattern: pattern.pattern,
+            matchCount: pattern.matchCount,
+            successCount: pattern.successCount,
+            successRate: round(pattern.successCount / pattern.matchCount),
+            confidenceInterval: { lower: round(lower), upper: round(upper) }
+          };
+        }),
+        test: null,
+        statistic: null,
+        degreesOfFreedom: null,
+        pValue: null,
+        adjustedPValue: null,
+        cramersV: null,
+        significant: false
+      };
+
+      // Without two patterns and both outcomes there is nothing to compare
+      if (patterns.length < 2 || successCount === 0 || successCount === sampleSize) {
+        return correlation;
+      }
+
+      const table = patterns.map(pattern => [pattern.successCount, pattern.matchCount - pattern.successCount]);
+      const chiSquare = chiSquareTest(table);
+      const exact = table.length === 2 && chiSquare.minExpected < MIN_EXPECTED_COUNT;
+
+      return {
+        ...correlation,
+        test: exact ? 'fisher-exact' : 'chi-square',
+        statistic: round(chiSquare.statistic),
+        degreesOfFreedom: chiSquare.degreesOfFreedom,
+        pValue: exact ? fisherExactTest(table) : chiSquare.pValue,
+        cramersV: round(cramersV(chiSquare.statistic, sampleSize, table.length, 2))
+      };
+    });
+
+    const tested = correlations.filter(correlation => correlation.pValue !== null);
+    const adjustedPValues = benjaminiHochberg(tested.map(correlation => correlation.pValue));
+
+    tested.forEach((correlation, index) => {
+      correlation.adjustedPValue = adjustedPValues[index];
+      correlation.significant = adjustedPValues[index] < SIGNIFICANCE_LEVEL;
+    });
+
+    correlations.sort((a, b) => (a.adjustedPValue ?? Infinity) - (b.adjustedPValue ?? Infinity)
+      || (b.cramersV ?? 0) - (a.cramersV ?? 0));
+
+    return {
+      sampleSize: finishedJobs.length,
+      overallSuccessRate: round(overallSuccessRate),
+      confidenceLevel: CONFIDENCE_LEVEL,
+      significanceLevel: SIGNIFICANCE_LEVEL,
+      correction: 'benjamini-hochberg',
+      correlations: correlations.map(correlation => ({
+        ...correlation,
+        pValue: correlation.pValue === null ? null : round(correlation.pValue, 6),
+        adjustedPValue: correlation.adjustedPValue === null ? null : round(correlation.adjustedPValue, 6)
+      }))
+    };
+  }
+
+  /**
+   * Sorts the finished jobs into the patterns of every characteristic
+   * @param {Job[]} jobs - Jobs to sort
+   * @returns {{finishedJobs: Job[], overallSuccessRate: number, groups: Map<string, Map<string, object>>}} - Finished
+   *   jobs, their success rate and the match and success counts of every pattern, by characteristic name
+   */
+  #group(jobs) {
+    const finishedJobs = jobs.filter(job => OUTCOME_STATUSES.includes(job.status));
+    const successes = finishedJobs.filter(job => job.status === JobStatus.COMPLETED).length;
+    const overallSuccessRate = finishedJobs.length > 0 ? successes / finishedJobs.length : 0;
+    const groups = new Map();
+
+    for (const job of finishedJobs) {
+      for (const [name, pattern] of this.evaluate(job)) {
+        const byPattern = groups.get(name) ?? new Map();
+        const group = byPattern.get(pattern) ?? { pattern, characteristic: name, matchCount: 0, successCount: 0 };
+
+        group.matchCount++;
+        if (job.status === JobStatus.COMPLETED) {
+          group.successCount++;
+        }
+        byPattern.set(pattern, group);
+        groups.set(name, byPattern);
+      }
+    }
+
+    return { finishedJobs, overallSuccessRate, groups };
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.#characteristics.clear();
+    DEFAULT_CHARACTERISTICS.forEach(characteristic => this.register(characteristic));
+  }
+}
+
+export const patternService = new PatternService();
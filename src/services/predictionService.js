@@ -0,0 +1,248 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+import { JobStatus } from '../models/job.js';
+import { patternService } from './patternService.js';
+import { round } from '../utils/stats/index.js';
+
+// Statuses of jobs whose outcome is known; cancelled jobs never got to succeed or fail
+const OUTCOME_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.TIMED_OUT];
+
+// Share of the most recent history held out to measure the accuracy of the model
+const HOLDOUT_FRACTION = 0.2;
+
+// Laplace smoothing, so a pattern never seen with an outcome does not rule that outcome out
+const SMOOTHING = 1;
+
+/**
+ * @typedef {Object} Sample
+ * @property {Map<string, string>} features - Pattern of every characteristic known at submission
+ * @property {boolean} success - Whether the job completed
+ */
+
+/**
+ * Trains a naive Bayes classifier
+ * @param {Sample[]} samples - Training samples
+ * @returns {object} - Outcome counts overall and per pattern of every characteristic
+ */
+const trainNaiveBayes = (samples) => {
+  const model = { successCount: 0, failureCount: 0, features: new Map() };
+
+  for (const { features, success } of samples) {
+    const outcome = success ? 'success' : 'failure';
+    model[`${outcome}Count`]++;
+
+    for (const [name, pattern] of features) {
+      const feature = model.features.get(name) ?? { success: 0, failure: 0, patterns: new Map() };
+      const counts = feature.patterns.get(pattern) ?? { success: 0, failure: 0 };
+
+      counts[outcome]++;
+      feature[outcome]++;
+      feature.patterns.set(pattern, counts);
+      model.features.set(name, feature);
+    }
+  }
+
+  return model;
+};
+
+/**
+ * Weight of a pattern: the log-likelihood ratio of success over failure, positive when the
+ * pattern is more common among successful jobs
+ * @param {object} feature - Counts of a characteristic, see trainNaiveBayes
+ * @param {string} pattern - Pattern of the characteristic
+ * @returns {number} - Weight in natural log-odds
+ */
+const getWeight = (feature, pattern) => {
+  const counts = feature.patterns.get(pattern) ?? { success: 0, failure: 0 };
+  // One more value than seen in training leaves room for patterns that only show up later
+  const values = feature.patterns.size + 1;
+
+  return Math.log((counts.success + SMOOTHING) / (feature.success + SMOOTHING * values))
+    - Math.log((counts.failure + SMOOTHING) / (feature.failure + SMOOTHING * values));
+};
+
+/**
+ * Predicts the probability of success of a sample
+ * @param {object} model - Model returned by trainNaiveBayes
+ * @param {Map<string, string>} features - Patterns of the job
+ * @returns {number} - Probability between 0 and 1
+ */
+const predictProbability = (model, features) => {
+  let logOdds = Math.log((model.successCount + SMOOTHING) / (model.failureCount + SMOOTHING));
+
+  for (const [name, pattern] of features) {
+    const feature = model.features.get(name);
+
+    if (feature) {
+      logOdds += getWeight(feature, pattern);
+    }
+  }
+
+  return 1 / (1 + Math.exp(-logOdds));
+};
+
+/**
+ * Service: prediction of the outcome of submitted jobs.
+ * A naive Bayes classifier is trained on the completed, failed and timed out jobs, using the patterns
+ * of the pattern engine's characteristics that are known when a job is submitted. The most recent 20%
+ * of the history is held out to measure its accuracy before the model is trained on all of it.
+ * The model is retrained lazily, the first time it is used after it was invalidated.
+ */
+class PredictionService {
+  #model = null;
+  #stale = true;
+  #minSampleSize;
+  #trainedAt = null;
+  #sampleSize = 0;
+  #evaluation = null;
+
+  constructor() {
+    this.#minSampleSize = config.STATS_MIN_SAMPLE_SIZE;
+  }
+
+  /**
+   * Whether the history changed since the model was trained
+   * @returns {boolean} - True if the model has to be retrained
+   */
+  get isStale() {
+    return this.#stale;
+  }
+
+  /**
+   * Marks the model for retraining, e.g. when a job finished
+   */
+  invalidate() {
+    this.#stale = true;
+  }
+
+  /**
+   * Trains the model on the job history
+   * @param {Job[]} jobs - Jobs to learn from; only completed, failed and timed out jobs are used
+   * @returns {boolean} - True if there were enough jobs to train a model
+   */
+  train(jobs) {
+    const samples = jobs
+      .filter(job => OUTCOME_STATUSES.includes(job.status))
+      .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+      .map(job => ({
+        features: patternService.evaluate(job, { knownAtSubmission: true }),
+        success: job.status === JobStatus.COMPLETED
+      }));
+
+    this.#stale = false;
+    this.#trainedAt = new Date().toISOString();
+    this.#sampleSize = samples.length;
+
+    if (samples.length < this.#minSampleSize) {
+      this.#model = null;
+      this.#evaluation = null;
+      logger.debug(`Prediction model not trained: ${samples.length} finished jobs, ${this.#minSampleSize} needed`);
+      return false;
+    }
+
+    this.#evaluation = this.#evaluate(samples);
+    this.#model = trainNaiveBayes(samples);
+    logger.debug(`Prediction model trained on ${samples.length} jobs`);
+
+    return true;
+  }
+
+  /**
+   * Predicts the probability that a job completes
+   * @param {Job} job - Submitted job
+   * @returns {number|null} - Probability between 0 and 1, or null if there is no model yet
+   */
+  predict(job) {
+    if (!this.#model) {
+      return null;
+    }
+
+    return round(predictProbability(this.#model, patternService.evaluate(job, { knownAtSubmission: true })));
+  }
+
+  /**
+   * Get the model with the weight of every pattern and its accuracy on held-out history
+   * @returns {object} - Description of the model
+   */
+  getModel() {
+    const model = this.#model;
+
+    return {
+      type: 'naive-bayes',
+      trained: model !== null,
+      trainedAt: this.#trainedAt,
+      sampleSize: this.#sampleSize,
+      minSampleSize: this.#minSampleSize,
+      ...(this.#evaluation ?? { holdoutSize: 0, accuracy: null, baselineAccuracy: null, logLoss: null }),
+      prior: model
+        ? { successRate: round((model.successCount + SMOOTHING) / (model.successCount + model.failureCount + 2 * SMOOTHING)) }
+        : null,
+      features: model
+        ? Array.from(model.features, ([characteristic, feature]) => ({
+          characteristic,
+          weights: Array.from(feature.patterns, ([pattern, counts]) => ({
+            pattern,
+            successCount: counts.success,
+            failureCount: counts.failure,
+            weight: round(getWeight(feature, pattern))
+          })).sort((a, b) => b.weight - a.weight)
+        }))
+        : []
+    };
+  }
+
+  /**
+   * Measures the accuracy of a model trained without the most recent samples on those samples
+   * @param {Sample[]} samples - Samples, oldest first
+   * @returns {object} - Size of the held-out set, accuracy, accuracy of always predicting the
+   *   most common outcome, and mean log loss; null figures if nothing could be held out
+   * @private
+   */
+  #evaluate(samples) {
+    const holdoutSize = Math.floor(samples.length * HOLDOUT_FRACTION);
+
+    if (holdoutSize === 0) {
+      return { holdoutSize: 0, accuracy: null, baselineAccuracy: null, logLoss: null };
+    }
+
+    const training = samples.slice(0, -holdoutSize);
+    const holdout = samples.slice(-holdoutSize);
+    const model = trainNaiveBayes(training);
+    const majority = model.successCount >= model.failureCount;
+    let correct = 0;
+    let baselineCorrect = 0;
+    let logLoss = 0;
+
+    for (const { features, success } of holdout) {
+      const probability = predictProbability(model, features);
+
+      if ((probability >= 0.5) === success) {
+        correct++;
+      }
+      if (majority === success) {
+        baselineCorrect++;
+      }
+      logLoss -= Math.log(success ? probability : 1 - probability);
+    }
+
+    return {
+      holdoutSize,
+      accuracy: round(correct / holdoutSize),
+      baselineAccuracy: round(baselineCorrect / holdoutSize),
+      logLoss: round(logLoss / holdoutSize)
+    };
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.#model = null;
+    this.#stale = true;
+    this.#trainedAt = null;
+    this.#sampleSize = 0;
+    this.#evaluation = null;
+  }
+}
+
+export const predictionService = new PredictionService();
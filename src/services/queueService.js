@@ -0,0 +1,138 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+import { isValidQueueName, validateQueueSettings } from '../utils/queue/index.js';
+
+// Queue of the jobs submitted without one; it always exists
+const DEFAULT_QUEUE = 'default';
+
+// Priority of the jobs submitted to a queue without one, unless the queue sets its own
+const DEFAULT_PRIORITY = 3;
+
+/**
+ * Service: registry of the named queues jobs wait in. Every queue limits how many of its jobs run at
+ * once and sets the priority and retry policy of its jobs that do not set their own. The queues are
+ * read from `QUEUES`, a JSON object of queue names to settings; the `default` queue runs
+ * `MAX_CONCURRENT_JOBS` jobs unless `QUEUES` configures it. Changes made at runtime are not persisted.
+ */
+class QueueService {
+  #queues = new Map();
+
+  constructor() {
+    this.load(config.QUEUES);
+  }
+
+  /**
+   * Loads the queues, replacing all registered queues
+   * @param {string} definitions - JSON object of queue names to settings, see validateQueueSettings
+   * @returns {number} - Number of registered queues, the default queue included
+   * @throws {Error} - If the JSON cannot be parsed or a queue is invalid
+   */
+  load(definitions) {
+    this.#queues.clear();
+    this.#queues.set(DEFAULT_QUEUE, {
+      name: DEFAULT_QUEUE,
+      concurrency: config.MAX_CONCURRENT_JOBS || 5,
+      defaultPriority: DEFAULT_PRIORITY,
+      retryPolicy: null
+    });
+
+    let queues = {};
+    if (definitions) {
+      try {
+        queues = JSON.parse(definitions);
+      } catch (error) {
+        throw new Error(`QUEUES must be valid JSON: ${error.message}`);
+      }
+    }
+
+    if (typeof queues !== 'object' || queues === null || Array.isArray(queues)) {
+      throw new Error('QUEUES must be a JSON object of queue names to settings');
+    }
+
+    for (const [name, settings] of Object.entries(queues)) {
+      this.update(name, settings);
+    }
+
+    logger.info(`Queues: ${this.getAll().map(queue => `${queue.name} (${queue.concurrency})`).join(', ')}`);
+
+    return this.#queues.size;
+  }
+
+  /**
+   * Get a queue by name
+   * @param {string} name - Queue name
+   * @returns {Object|null} - Copy of the queue settings, or null if the queue does not exist
+   */
+  get(name) {
+    const queue = this.#queues.get(name);
+    return queue ? { ...queue } : null;
+  }
+
+  /**
+   * Checks whether a queue exists
+   * @param {string} name - Queue name
+   * @returns {boolean} - True if the queue exists
+   */
+  has(name) {
+    return this.#queues.has(name);
+  }
+
+  /**
+   * Get the names of all queues
+   * @returns {string[]} - Sorted queue names
+   */
+  getNames() {
+    return Array.from(this.#queues.keys()).sort();
+  }
+
+  /**
+   * Get all queues
+   * @returns {Object[]} - Copies of the queue settings sorted by name
+   */
+  getAll() {
+    return this.getNames().map(name => this.get(name));
+  }
+
+  /**
+   * Changes the settings of a queue, or creates it if it does not exist.
+   * New queues need a concurrency; their priority and retry policy default to those of jobs without a queue.
+   * @param {string} name - Queue name
+   * @param {Object} changes - Settings to change, see validateQueueSettings
+   * @returns {{queue: Object, created: boolean}} - Copy of the updated queue, and whether it was created
+   * @throws {Error} - If the name or the settings are invalid
+   */
+  update(name, changes) {
+    if (!isValidQueueName(name)) {
+      throw new Error(`Invalid queue name: ${name}. Must be 1 to 64 letters, digits, _ and -`);
+    }
+
+    const existing = this.#queues.get(name);
+    const violations = validateQueueSettings(changes, { partial: Boolean(existing) });
+    if (violations.length > 0) {
+      throw new Error(`Invalid queue '${name}': ${violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    const queue = {
+      ...(existing ?? { name, defaultPriority: DEFAULT_PRIORITY, retryPolicy: null }),
+      ...changes
+    };
+    if (changes.retryPolicy) {
+      queue.retryPolicy = { ...changes.retryPolicy };
+    }
+
+    this.#queues.set(name, queue);
+    logger.info(`${existing ? 'Updated' : 'Created'} queue ${name}: ${JSON.stringify(queue)}`);
+
+    return { queue: { ...queue }, created: !existing };
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    this.load(config.QUEUES);
+  }
+}
+
+export const queueService = new QueueService();
+export { DEFAULT_QUEUE };
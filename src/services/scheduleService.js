@@ -0,0 +1,259 @@
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+import { JobStatus } from '../models/job.js';
+import { Schedule, MisfirePolicy, OverlapPolicy } from '../models/schedule.js';
+import { validateSchedule, getNextRunAt } from '../utils/schedule/index.js';
+import { createScheduleStore } from '../stores/index.js';
+import { jobService } from './jobService.js';
+
+const FINAL_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.TIMED_OUT, JobStatus.CANCELLED, JobStatus.SKIPPED];
+
+// Fields of a schedule that decide when it runs next
+const TIMING_FIELDS = ['cron', 'intervalMs', 'timezone', 'enabled'];
+
+// Longest delay setTimeout supports; later runs are reached by re-arming the timer
+const MAX_TIMER_DELAY_MS = 2 ** 31 - 1;
+
+/**
+ * Service: schedules, job specs that create a job on a cron expression or at a fixed interval.
+ * A single timer fires at the earliest next run of all enabled schedules. Every run creates an
+ * ordinary job linked to its schedule by scheduleId.
+ */
+class ScheduleService {
+  #schedules = new Map();
+  #store;
+  #timer = null;
+  #misfireThresholdMs;
+
+  constructor() {
+    this.#store = createScheduleStore();
+    this.#misfireThresholdMs = config.SCHEDULE_MISFIRE_THRESHOLD_MS;
+    logger.info(`Schedule misfire threshold: ${this.#misfireThresholdMs}ms`);
+  }
+
+  /**
+   * Loads schedules from the store and starts running them. Runs missed while the service was down
+   * are handled right away by the misfire policy of their schedule.
+   * @returns {number} - Number of restored schedules
+   */
+  start() {
+    const records = this.#store.load();
+
+    for (const record of records) {
+      const schedule = Schedule.fromJSON(record, { onChange: changed => this.#persist(changed) });
+      this.#schedules.set(schedule.id, schedule);
+
+      if (schedule.enabled && schedule.nextRunAt === null) {
+        schedule.setNextRunAt(getNextRunAt(schedule, new Date()).toISOString());
+      }
+    }
+
+    logger.info(`Restored ${records.length} schedules from store`);
+    this.#tick();
+
+    return records.length;
+  }
+
+  /**
+   * Creates a schedule
+   * @param {Object} spec - Schedule spec, see validateSchedule
+   * @returns {Schedule} - Created schedule
+   * @throws {Error} - If the spec is invalid
+   */
+  createSchedule(spec) {
+    const violations = validateSchedule(spec);
+    if (violations.length > 0) {
+      throw new Error(`Invalid schedule: ${violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    const schedule = new Schedule(spec, { onChange: changed => this.#persist(changed) });
+    this.#schedules.set(schedule.id, schedule);
+    schedule.setNextRunAt(schedule.enabled ? getNextRunAt(schedule, new Date()).toISOString() : null);
+    this.#armTimer();
+
+    logger.info(`Created schedule ${schedule.id}, next run at ${schedule.nextRunAt}`);
+
+    return schedule;
+  }
+
+  /**
+   * Get all schedules
+   * @returns {Schedule[]} - Schedules in creation order
+   */
+  getSchedules() {
+    return Array.from(this.#schedules.values());
+  }
+
+  /**
+   * Get a schedule by ID
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Schedule|null} - Schedule or null if not found
+   */
+  getScheduleById(scheduleId) {
+    return this.#schedules.get(scheduleId) || null;
+  }
+
+  /**
+   * Updates a schedule. The next run is recomputed when the timing changes or the schedule is enabled.
+   * @param {string} scheduleId - Schedule ID
+   * @param {Object} changes - Fields of the spec to change, see validateSchedule
+   * @returns {Schedule|null} - Updated schedule or null if not found
+   * @throws {Error} - If the changes are invalid
+   */
+  updateSchedule(scheduleId, changes) {
+    const schedule = this.#schedules.get(scheduleId);
+
+    if (!schedule) {
+      return null;
+    }
+
+    const violations = validateSchedule(changes, { partial: true });
+    if (violations.length > 0) {
+      throw new Error(`Invalid schedule: ${violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    schedule.update(changes);
+
+    if (TIMING_FIELDS.some(field => changes[field] !== undefined)) {
+      schedule.setNextRunAt(schedule.enabled ? getNextRunAt(schedule, new Date()).toISOString() : null);
+      this.#armTimer();
+    }
+
+    logger.info(`Updated schedule ${scheduleId}, next run at ${schedule.nextRunAt}`);
+
+    return schedule;
+  }
+
+  /**
+   * Deletes a schedule. Jobs it created are kept.
+   * @param {string} scheduleId - Schedule ID
+   * @returns {Schedule|null} - Deleted schedule or null if not found
+   */
+  deleteSchedule(scheduleId) {
+    const schedule = this.#schedules.get(scheduleId);
+
+    if (!schedule) {
+      return null;
+    }
+
+    this.#schedules.delete(scheduleId);
+    try {
+      this.#store.delete(scheduleId);
+    } catch (error) {
+      logger.error(`Error deleting schedule ${scheduleId} from store: ${error.message}`);
+    }
+    this.#armTimer();
+
+    logger.info(`Deleted schedule ${scheduleId}`);
+
+    return schedule;
+  }
+
+  /**
+   * Runs every schedule that is due and arms the timer for the next one
+   * @private
+   */
+  #tick() {
+    const now = new Date();
+
+    for (const schedule of this.#schedules.values()) {
+      if (schedule.enabled && schedule.nextRunAt !== null && new Date(schedule.nextRunAt) <= now) {
+        this.#run(schedule, now);
+      }
+    }
+
+    this.#armTimer();
+  }
+
+  /**
+   * Runs a due schedule: applies its misfire and overlap policies, then creates its job.
+   * Runs that are skipped or missed are not made up for, the next run is always after now.
+   * @param {Schedule} schedule - Due schedule
+   * @param {Date} now - Current time
+   * @private
+   */
+  #run(schedule, now) {
+    const dueAt = new Date(schedule.nextRunAt);
+    const lateMs = now.getTime() - dueAt.getTime();
+
+    schedule.setNextRunAt(getNextRunAt(schedule, now, dueAt).toISOString());
+
+    if (lateMs > this.#misfireThresholdMs && schedule.misfirePolicy === MisfirePolicy.SKIP) {
+      logger.warn(`Schedule ${schedule.id} missed its run at ${dueAt.toISOString()} by ${lateMs}ms, skipping it`);
+      schedule.recordSkippedRun();
+      return;
+    }
+
+    const previousJob = schedule.lastJobId ? jobService.getJobById(schedule.lastJobId) : null;
+    if (schedule.overlapPolicy === OverlapPolicy.FORBID && previousJob && !FINAL_STATUSES.includes(previousJob.status)) {
+      logger.info(`Schedule ${schedule.id} skipped a run, job ${previousJob.id} of its previous run is ${previousJob.status}`);
+      schedule.recordSkippedRun();
+      return;
+    }
+
+    const { jobName, type, args, namedArgs, priority, queue, timeoutMs, retryPolicy, webhooks } = schedule.job;
+
+    try {
+      const job = jobService.createJob(jobName, args, priority, {
+        timeoutMs,
+        type: type ?? jobName,
+        namedArgs,
+        retryPolicy,
+        webhooks,
+        queue,
+        scheduleId: schedule.id
+      });
+      schedule.recordRun(job.id, now.toISOString());
+      logger.info(`Schedule ${schedule.id} created job ${job.id}, next run at ${schedule.nextRunAt}`);
+    } catch (error) {
+      logger.error(`Error creating job of schedule ${schedule.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Arms the timer for the earliest next run of the enabled schedules
+   * @private
+   */
+  #armTimer() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+
+    const nextRuns = this.getSchedules()
+      .filter(schedule => schedule.enabled && schedule.nextRunAt !== null)
+      .map(schedule => new Date(schedule.nextRunAt).getTime());
+
+    if (nextRuns.length === 0) {
+      return;
+    }
+
+    const delayMs = Math.min(Math.max(Math.min(...nextRuns) - Date.now(), 0), MAX_TIMER_DELAY_MS);
+    this.#timer = setTimeout(() => this.#tick(), delayMs);
+    // Schedules must not keep the process alive on their own
+    this.#timer.unref();
+  }
+
+  /**
+   * Write a schedule through to the store
+   * @param {Schedule} schedule - Changed schedule
+   * @private
+   */
+  #persist(schedule) {
+    try {
+      this.#store.save(schedule.toJSON());
+    } catch (error) {
+      logger.error(`Error persisting schedule ${schedule.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    clearTimeout(this.#timer);
+    this.#timer = null;
+    this.#schedules.clear();
+    this.#store.clear();
+  }
+}
+
+export const scheduleService = new ScheduleService();
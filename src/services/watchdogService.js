@@ -0,0 +1,150 @@
+import { logger } from '../utils/logger/index.js';
+import { killProcessTree } from '../utils/process/index.js';
+
+/**
+ * Service: watchdog for running job processes.
+ * Tracks a deadline for every watched process and kills its whole process tree once the deadline passes.
+ */
+class WatchdogService {
+  #watched = new Map();
+
+  /**
+   * Starts watching a job process
+   * @param {string} jobId - Job ID
+   * @param {number} pid - PID of the job process
+   * @param {number} timeoutMs - Time the process is allowed to run, in milliseconds
+   * @returns {object|null} - Watch entry, or null if timeout is disabled
+   */
+  watch(jobId, pid, timeoutMs) {
+    this.unwatch(jobId);
+
+    if (!timeoutMs || timeoutMs <= 0) {
+      logger.debug(`Watchdog disabled for job ${jobId}`);
+      return null;
+    }
+
+    const entry = {
+      jobId,
+      pid,
+      timeoutMs,
+      deadline: new Date(Date.now() + timeoutMs).toISOString(),
+      timedOut: false,
+      timer: null
+    };
+
+    entry.timer = setTimeout(() => this.#expire(entry), timeoutMs);
+    // The watchdog must never keep the event loop alive on its own
+    entry.timer.unref?.();
+
+    this.#watched.set(jobId, entry);
+    logger.debug(`Watchdog armed for job ${jobId} (PID ${pid}), deadline ${entry.deadline}`);
+
+    return entry;
+  }
+
+  /**
+   * Stops watching a job process
+   * @param {string} jobId - Job ID
+   * @returns {object|null} - Removed watch entry, or null if job was not watched
+   */
+  unwatch(jobId) {
+    const entry = this.#watched.get(jobId);
+
+    if (!entry) {
+      return null;
+    }
+
+    clearTimeout(entry.timer);
+    this.#watched.delete(jobId);
+
+    return entry;
+  }
+
+  /**
+   * Suspends the deadline of a watched job, e.g. while its process is paused
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - True if the job was watched
+   */
+  suspend(jobId) {
+    const entry = this.#watched.get(jobId);
+
+    if (!entry || entry.timedOut || !entry.timer) {
+      return false;
+    }
+
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.remainingMs = Math.max(new Date(entry.deadline).getTime() - Date.now(), 0);
+    entry.deadline = null;
+    logger.debug(`Watchdog suspended for job ${jobId}, ${entry.remainingMs}ms remaining`);
+
+    return true;
+  }
+
+  /**
+   * Re-arms a suspended deadline with the time that was left when it was suspended
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - True if the job was suspended
+   */
+  resume(jobId) {
+    const entry = this.#watched.get(jobId);
+
+    if (!entry || entry.timer || entry.timedOut) {
+      return false;
+    }
+
+    entry.deadline = new Date(Date.now() + entry.remainingMs).toISOString();
+    entry.timer = setTimeout(() => this.#expire(entry), entry.remainingMs);
+    entry.timer.unref?.();
+    delete entry.remainingMs;
+    logger.debug(`Watchdog resumed for job ${jobId}, deadline ${entry.deadline}`);
+
+    return true;
+  }
+
+  /**
+   * Checks whether a watched job has passed its deadline
+   * @param {string} jobId - Job ID
+   * @returns {boolean} - True if the job was killed by the watchdog
+   */
+  isTimedOut(jobId) {
+    return this.#watched.get(jobId)?.timedOut || false;
+  }
+
+  /**
+   * Get all watched processes
+   * @returns {object[]} - Array of watch entries
+   */
+  getWatched() {
+    return Array.from(this.#watched.values()).map(({ timer, ...entry }) => entry);
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    for (const entry of this.#watched.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.#watched.clear();
+  }
+
+  /**
+   * Kills the process tree of a job that passed its deadline
+   * @param {object} entry - Watch entry
+   * @private
+   */
+  #expire(entry) {
+    entry.timedOut = true;
+    logger.warn(`Job ${entry.jobId} exceeded its timeout of ${entry.timeoutMs}ms, killing process tree of PID ${entry.pid}`);
+
+    try {
+      const killed = killProcessTree(entry.pid);
+      logger.debug(`Watchdog killed PIDs ${killed.join(', ')} for job ${entry.jobId}`);
+    } catch (error) {
+      logger.error(`Watchdog failed to kill job ${entry.jobId}: ${error.message}`);
+    }
+  }
+}
+
+export const watchdogService = new WatchdogService();
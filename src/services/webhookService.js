@@ -0,0 +1,357 @@
+import dns from 'dns';
+import http from 'http';
+import https from 'https';
+import { v4 as uuidv4 } from 'uuid';
+import { config } from '../config/index.js';
+import { logger } from '../utils/logger/index.js';
+import { getRetryDelayMs } from '../utils/retry/index.js';
+import {
+  getWebhookEvent,
+  matchesEvent,
+  validateWebhooks,
+  signPayload,
+  getWebhookHost,
+  isPrivateHost,
+  isPrivateAddress
+} from '../utils/webhook/index.js';
+
+/**
+ * Status of a delivery
+ * @typedef {Object} DeliveryStatus
+ * @property {string} PENDING - First attempt is in flight
+ * @property {string} RETRYING - An attempt failed and another one is scheduled
+ * @property {string} DELIVERED - Receiver answered with a 2xx status
+ * @property {string} FAILED - Receiver rejected the delivery, or every attempt failed
+ */
+const DeliveryStatus = {
+  PENDING: 'pending',
+  RETRYING: 'retrying',
+  DELIVERED: 'delivered',
+  FAILED: 'failed'
+};
+
+/**
+ * Checks whether a failed attempt is worth retrying. Network errors, timeouts, server errors,
+ * 408 and 429 may go away; other client errors will not.
+ * @param {number|null} statusCode - Status of the response, null if there was none
+ * @returns {boolean} - True if the delivery may be retried
+ */
+const isRetryableResponse = statusCode => statusCode === null || statusCode >= 500 || [408, 429].includes(statusCode);
+
+/**
+ * Creates a lookup that resolves a host to the addresses it was checked with, so that a connection
+ * reaches one of them even if the name resolves to another address by the time it is made
+ * @param {{address: string, family: number}[]} addresses - Checked addresses of the host
+ * @returns {Function} - Lookup with the signature of dns.lookup, for net.connect
+ */
+const pinLookup = addresses => (hostname, options, callback) => {
+  const matching = options.family ? addresses.filter(({ family }) => family === options.family) : addresses;
+
+  if (matching.length === 0) {
+    callback(Object.assign(new Error(`getaddrinfo ENOTFOUND ${hostname}`), { code: 'ENOTFOUND', hostname }));
+  } else if (options.all) {
+    callback(null, matching);
+  } else {
+    callback(null, matching[0].address, matching[0].family);
+  }
+};
+
+/**
+ * POSTs the body of a delivery. Redirects are not followed, their status is returned like any other.
+ * @param {string} url - Webhook URL
+ * @param {Object} options - Request options
+ * @param {Object<string, string>} options.headers - Request headers
+ * @param {string} options.body - Request body
+ * @param {Function} [options.lookup] - Lookup of the host, dns.lookup by default
+ * @returns {Promise<number>} - Status code of the response
+ */
+const post = (url, { headers, body, lookup }) => new Promise((resolve, reject) => {
+  const transport = new URL(url).protocol === 'https:' ? https : http;
+  const request = transport.request(url, {
+    method: 'POST',
+    headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+    lookup,
+    signal: AbortSignal.timeout(config.WEBHOOK_TIMEOUT_MS)
+  }, (response) => {
+    // The response body is not used; reading it frees the connection
+    response.resume();
+    resolve(response.statusCode);
+  });
+
+  request.on('error', reject);
+  request.end(body);
+});
+
+/**
+ * Splits a comma-separated setting
+ * @param {string} value - Setting
+ * @returns {string[]} - Trimmed, non-empty items
+ */
+const split = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+/**
+ * Get the local hosts webhooks of jobs may point to
+ * @returns {string[]} - Lower-case hosts of WEBHOOK_ALLOWED_HOSTS
+ */
+const getAllowedHosts = () => split(config.WEBHOOK_ALLOWED_HOSTS).map(host => host.toLowerCase().replace(/^\[(.*)\]$/, '$1'));
+
+/**
+ * Parses the global webhooks of the configuration
+ * @returns {{url: string, events: string[]}[]} - Valid webhooks of WEBHOOK_URLS, subscribed to WEBHOOK_EVENTS
+ */
+const loadGlobalWebhooks = () => {
+  const events = split(config.WEBHOOK_EVENTS);
+  const webhooks = split(config.WEBHOOK_URLS).map(url => ({ url, events }));
+  // Set by the operator, so they may point to internal receivers
+  const violations = validateWebhooks(webhooks, 'WEBHOOK_URLS', { allowPrivateHosts: true });
+
+  if (violations.length > 0) {
+    logger.error(`Ignoring global webhooks: ${violations.map(violation => violation.message).join('; ')}`);
+    return [];
+  }
+
+  return webhooks;
+};
+
+/**
+ * Service: webhook notifications of job status changes.
+ * Every status change a webhook subscribes to, of the job itself or of the global WEBHOOK_URLS, is
+ * POSTed to it as JSON. Bodies are signed with WEBHOOK_SECRET, failed deliveries are retried with
+ * the backoff of the WEBHOOK_RETRY_* settings, and every delivery is logged in memory per job.
+ * Webhooks of jobs are set by API clients, so they may not reach local hosts, by name, by address
+ * or by redirect, unless the host is in WEBHOOK_ALLOWED_HOSTS. Their deliveries connect to the
+ * addresses the host was checked with, so a name that resolves to a local address on a second
+ * lookup cannot reach it either.
+ */
+class WebhookService {
+  #globalWebhooks = loadGlobalWebhooks();
+  #deliveries = new Map();
+  #timers = new Set();
+
+  constructor() {
+    if (!config.WEBHOOK_SECRET) {
+      logger.warn('WEBHOOK_SECRET is not set, webhook payloads are sent unsigned');
+    }
+  }
+
+  /**
+   * Get the webhooks configured for every job
+   * @returns {{url: string, events: string[]}[]} - Global webhooks
+   */
+  getGlobalWebhooks() {
+    return this.#globalWebhooks.map(webhook => ({ ...webhook, events: [...webhook.events] }));
+  }
+
+  /**
+   * Validates the webhooks of a job, including the hosts they may point to
+   * @param {*} webhooks - Webhooks to validate
+   * @returns {{field: string, message: string}[]} - Every violation, empty if the webhooks are valid
+   */
+  validateJobWebhooks(webhooks) {
+    return validateWebhooks(webhooks, 'webhooks', { allowedHosts: getAllowedHosts() });
+  }
+
+  /**
+   * Notifies the webhooks subscribed to a status change of a job. Deliveries are sent in the
+   * background; the method returns as soon as they are logged.
+   * @param {Job} job - Job whose status changed
+   * @param {string} previousStatus - Status before the change
+   * @returns {Object[]} - Started deliveries, empty if no webhook subscribes to the change
+   */
+  notify(job, previousStatus) {
+    const event = getWebhookEvent(job.status, previousStatus);
+    if (!event) {
+      return [];
+    }
+
+    const webhooks = [
+      ...this.#globalWebhooks.map(webhook => ({ ...webhook, global: true })),
+      ...job.webhooks
+    ].filter(webhook => matchesEvent(webhook.events, event));
+    if (webhooks.length === 0) {
+      return [];
+    }
+
+    const occurredAt = new Date().toISOString();
+    const body = JSON.stringify({ event, occurredAt, previousStatus, job: job.toJSON() });
+
+    return webhooks.map(({ url, global = false }) => {
+      const delivery = {
+        id: uuidv4(),
+        jobId: job.id,
+        event,
+        url,
+        status: DeliveryStatus.PENDING,
+        createdAt: occurredAt,
+        deliveredAt: null,
+        nextAttemptAt: null,
+        attempts: []
+      };
+
+      this.#log(delivery);
+      this.#send(delivery, body, !global);
+
+      return { ...delivery };
+    });
+  }
+
+  /**
+   * Get the deliveries of a job
+   * @param {string} jobId - Job ID
+   * @returns {Object[]} - Deliveries, oldest first
+   */
+  getDeliveries(jobId) {
+    return (this.#deliveries.get(jobId) ?? []).map(delivery => ({
+      ...delivery,
+      attempts: delivery.attempts.map(attempt => ({ ...attempt }))
+    }));
+  }
+
+  /**
+   * Forget the deliveries of a job. Deliveries in flight still finish.
+   * @param {string} jobId - Job ID
+   */
+  deleteDeliveries(jobId) {
+    this.#deliveries.delete(jobId);
+  }
+
+  /**
+   * Adds a delivery to the log of its job, dropping the oldest beyond WEBHOOK_LOG_MAX_DELIVERIES
+   * @private
+   */
+  #log(delivery) {
+    const deliveries = this.#deliveries.get(delivery.jobId) ?? [];
+    deliveries.push(delivery);
+    if (deliveries.length > config.WEBHOOK_LOG_MAX_DELIVERIES) {
+      deliveries.splice(0, deliveries.length - config.WEBHOOK_LOG_MAX_DELIVERIES);
+    }
+    this.#deliveries.set(delivery.jobId, deliveries);
+  }
+
+  /**
+   * Makes an attempt of a delivery and schedules the next one if it failed
+   * @param {Object} delivery - Delivery to attempt
+   * @param {string} body - Request body
+   * @param {boolean} checkHost - Whether the URL has to resolve to a public address, for webhooks of jobs
+   * @private
+   */
+  async #send(delivery, body, checkHost) {
+    const attempt = delivery.attempts.length + 1;
+    const timestamp = Math.floor(Date.now() / 1000);
+    const headers = {
+      'Content-Type': 'application/json',
+      'User-Agent': 'jobs-concurrency-webhooks',
+      'X-Webhook-Event': delivery.event,
+      'X-Webhook-Delivery': delivery.id,
+      'X-Webhook-Timestamp': String(timestamp)
+    };
+    if (config.WEBHOOK_SECRET) {
+      headers['X-Webhook-Signature'] = signPayload(config.WEBHOOK_SECRET, timestamp, body);
+    }
+
+    const sentAt = new Date();
+    let statusCode = null;
+    let error = null;
+    let blocked = false;
+
+    try {
+      const host = checkHost ? await this.#checkHost(delivery.url) : { reason: null, lookup: undefined };
+      error = host.reason;
+      blocked = error !== null;
+
+      if (!blocked) {
+        // A redirect could lead to a local host; post does not follow it, so it counts as a rejected delivery
+        statusCode = await post(delivery.url, { headers, body, lookup: host.lookup });
+      }
+    } catch (sendError) {
+      error = sendError.name === 'AbortError'
+        ? `No response within ${config.WEBHOOK_TIMEOUT_MS}ms`
+        : sendError.message;
+    }
+
+    delivery.attempts.push({
+      attempt,
+      sentAt: sentAt.toISOString(),
+      durationMs: Date.now() - sentAt.getTime(),
+      statusCode,
+      error
+    });
+    delivery.nextAttemptAt = null;
+
+    if (statusCode !== null && statusCode >= 200 && statusCode < 300) {
+      delivery.status = DeliveryStatus.DELIVERED;
+      delivery.deliveredAt = new Date().toISOString();
+      logger.debug(`Delivered webhook ${delivery.event} of job ${delivery.jobId} to ${delivery.url}`);
+      return;
+    }
+
+    const reason = error ?? `HTTP ${statusCode}`;
+    const retryPolicy = {
+      initialDelayMs: config.WEBHOOK_RETRY_INITIAL_DELAY_MS,
+      multiplier: config.WEBHOOK_RETRY_MULTIPLIER,
+      maxDelayMs: config.WEBHOOK_RETRY_MAX_DELAY_MS,
+      jitter: config.WEBHOOK_RETRY_JITTER
+    };
+
+    if (blocked || !isRetryableResponse(statusCode) || attempt > config.WEBHOOK_RETRY_ATTEMPTS) {
+      delivery.status = DeliveryStatus.FAILED;
+      logger.warn(`Giving up on webhook ${delivery.event} of job ${delivery.jobId} to ${delivery.url} after ${attempt} attempts: ${reason}`);
+      return;
+    }
+
+    const delayMs = getRetryDelayMs(retryPolicy, attempt);
+    delivery.status = DeliveryStatus.RETRYING;
+    delivery.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+    logger.warn(`Webhook ${delivery.event} of job ${delivery.jobId} to ${delivery.url} failed (${reason}), retrying in ${delayMs}ms`);
+
+    const timer = setTimeout(() => {
+      this.#timers.delete(timer);
+      this.#send(delivery, body, checkHost);
+    }, delayMs);
+    // Pending retries must not keep the process alive
+    timer.unref();
+    this.#timers.add(timer);
+  }
+
+  /**
+   * Checks that a webhook URL of a job does not reach a local host. Host names are looked up, as
+   * they may resolve to a local address even though the URL passed validation.
+   * @param {string} url - Webhook URL
+   * @returns {Promise<{reason: string|null, lookup: Function|undefined}>} - Why the host may not be
+   *   reached, null if it may, and the lookup the delivery has to connect with
+   * @throws {Error} - If the host name cannot be looked up
+   * @private
+   */
+  async #checkHost(url) {
+    const host = getWebhookHost(new URL(url));
+
+    if (getAllowedHosts().includes(host)) {
+      return { reason: null, lookup: undefined };
+    }
+    if (isPrivateHost(host)) {
+      return { reason: `${host} is a local host, webhooks of jobs may not reach it`, lookup: undefined };
+    }
+
+    const addresses = await dns.promises.lookup(host, { all: true });
+    const local = addresses.find(({ address }) => isPrivateAddress(address));
+
+    return local
+      ? { reason: `${host} resolves to the local address ${local.address}, webhooks of jobs may not reach it`, lookup: undefined }
+      : { reason: null, lookup: pinLookup(addresses) };
+  }
+
+  /**
+   * For testing purposes only
+   */
+  clear() {
+    for (const timer of this.#timers) {
+      clearTimeout(timer);
+    }
+    this.#timers.clear();
+    this.#deliveries.clear();
+    this.#globalWebhooks = loadGlobalWebhooks();
+  }
+}
+
+export const webhookService = new WebhookService();
+export { DeliveryStatus };
@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger/index.js';
+import { JobStatus } from '../models/job.js';
+import { topologicalSort } from '../utils/dag/index.js';
+import { findOutputReferences } from '../utils/outputs/index.js';
+import { jobService } from './jobService.js';
+
+// Keys name the jobs of a workflow in the dependsOn of its other jobs and in references to their outputs
+const WORKFLOW_KEY_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const FINAL_STATUSES = [JobStatus.COMPLETED, JobStatus.FAILED, JobStatus.TIMED_OUT, JobStatus.CANCELLED, JobStatus.SKIPPED];
+
+/**
+ * Status of a workflow, derived from the statuses of its jobs
+ * @typedef {Object} WorkflowStatus
+ * @property {string} PENDING - No job has started yet
+ * @property {string} RUNNING - Some jobs have started and some have not finished
+ * @property {string} COMPLETED - Every job completed
+ * @property {string} FAILED - Every job finished and at least one failed or timed out
+ * @property {string} CANCELLED - Every job finished, some were cancelled or skipped but none failed
+ */
+const WorkflowStatus = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+/**
+ * Lists the jobs a job of a workflow depends on, directly or through other jobs
+ * @param {Map<string, string[]>} dependencies - Keys of the jobs with the keys of their upstream jobs
+ * @param {string} key - Key of the job
+ * @returns {Set<string>} - Keys of every upstream job
+ */
+const getUpstreamKeys = (dependencies, key) => {
+  const upstream = new Set();
+  const pending = [...(dependencies.get(key) ?? [])];
+
+  while (pending.length > 0) {
+    const next = pending.pop();
+    if (!upstream.has(next)) {
+      upstream.add(next);
+      pending.push(...(dependencies.get(next) ?? []));
+    }
+  }
+
+  return upstream;
+};
+
+/**
+ * Validates the keys and dependencies of the jobs of a workflow, and that arguments only refer to
+ * outputs of upstream jobs, which have completed when the job starts. The jobs themselves are
+ * validated like the body of POST /jobs.
+ * @param {*} jobs - Job specs of the workflow
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the graph is valid
+ */
+const validateWorkflowJobs = (jobs) => {
+  if (!Array.isArray(jobs) || jobs.length === 0) {
+    return [{ field: 'jobs', message: 'jobs must be a non-empty array' }];
+  }
+
+  const violations = [];
+  const keys = new Set();
+
+  jobs.forEach((spec, index) => {
+    const field = `jobs/${index}`;
+
+    if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+      violations.push({ field, message: `${field} must be an object` });
+      return;
+    }
+
+    if (typeof spec.key !== 'string' || !WORKFLOW_KEY_PATTERN.test(spec.key)) {
+      violations.push({ field: `${field}/key`, message: `${field}/key must only contain letters, digits, _ and -` });
+    } else if (keys.has(spec.key)) {
+      violations.push({ field: `${field}/key`, message: `${field}/key ${spec.key} is used by another job` });
+    } else {
+      keys.add(spec.key);
+    }
+  });
+
+  jobs.forEach((spec, index) => {
+    const field = `jobs/${index}/dependsOn`;
+
+    if (typeof spec !== 'object' || spec === null || spec.dependsOn === undefined) {
+      return;
+    }
+
+    if (!Array.isArray(spec.dependsOn) || !spec.dependsOn.every(key => typeof key === 'string')) {
+      violations.push({ field, message: `${field} must be an array of job keys` });
+      return;
+    }
+
+    for (const key of spec.dependsOn) {
+      if (key === spec.key) {
+        violations.push({ field, message: `${field} cannot contain the job itself` });
+      } else if (!keys.has(key)) {
+        violations.push({ field, message: `${field} refers to unknown job ${key}` });
+      }
+    }
+  });
+
+  if (violations.length > 0) {
+    return violations;
+  }
+
+  const dependencies = new Map(jobs.map(spec => [spec.key, spec.dependsOn ?? []]));
+  const { cycle } = topologicalSort(dependencies);
+  if (cycle) {
+    return [{ field: 'jobs', message: `jobs have a dependency cycle: ${cycle.join(' -> ')}` }];
+  }
+
+  jobs.forEach((spec, index) => {
+    const { args = [], namedArgs = {} } = spec;
+
+    // Arguments of the wrong shape are reported by the validation of the job
+    if (!Array.isArray(args) || typeof namedArgs !== 'object' || namedArgs === null || Array.isArray(namedArgs)) {
+      return;
+    }
+
+    const upstreamKeys = getUpstreamKeys(dependencies, spec.key);
+
+    for (const { field, jobKey, output } of findOutputReferences(args, namedArgs)) {
+      if (!upstreamKeys.has(jobKey)) {
+        violations.push({
+          field: `jobs/${index}/${field}`,
+          message: `jobs/${index}/${field} refers to output ${output} of ${jobKey}, which is not upstream of ${spec.key}`
+        });
+      }
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * Get the status of a workflow from the statuses of its jobs
+ * @param {Job[]} jobs - Jobs of the workflow
+ * @returns {string} - Value of WorkflowStatus
+ */
+const getWorkflowStatus = (jobs) => {
+  if (jobs.every(job => job.status === JobStatus.COMPLETED)) {
+    return WorkflowStatus.COMPLETED;
+  }
+  if (jobs.every(job => FINAL_STATUSES.includes(job.status))) {
+    return jobs.some(job => [JobStatus.FAILED, JobStatus.TIMED_OUT].includes(job.status))
+      ? WorkflowStatus.FAILED
+      : WorkflowStatus.CANCELLED;
+  }
+  return jobs.every(job => job.status === JobStatus.PENDING) ? WorkflowStatus.PENDING : WorkflowStatus.RUNNING;
+};
+
+/**
+ * Service: workflows, DAGs of jobs submitted together.
+ * Every job of a workflow is an ordinary job that depends on the jobs named by its dependsOn keys,
+ * so JobService runs it once they completed and skips it if one of them does not. A workflow has
+ * no state of its own; its view is derived from its jobs.
+ */
+class WorkflowService {
+  /**
+   * Submits the jobs of a workflow. Every job is validated and built before any is queued, so none
+   * starts before the whole graph exists.
+   * @param {Object[]} specs - Job specs: the fields of POST /jobs, a key, and the keys of their upstream jobs in dependsOn
+   * @returns {Object} - View of the created workflow, see getWorkflow
+   * @throws {Error} - If the graph or a job is invalid. No job is created then.
+   */
+  createWorkflow(specs) {
+    const violations = validateWorkflowJobs(specs);
+    if (violations.length > 0) {
+      throw new Error(`Invalid workflow: ${violations.map(violation => violation.message).join('; ')}`);
+    }
+
+    const workflowId = uuidv4();
+    const specsByKey = new Map(specs.map(spec => [spec.key, spec]));
+    const { order } = topologicalSort(new Map(specs.map(spec => [spec.key, spec.dependsOn ?? []])));
+
+    try {
+      jobService.createJobs(order.map((key) => {
+        const { jobName, type, args = [], namedArgs = {}, priority, queue, timeoutMs, retryPolicy, webhooks, dependsOn = [] } = specsByKey.get(key);
+
+        return {
+          key,
+          jobName,
+          jobArgs: args,
+          priority,
+          upstreamKeys: dependsOn,
+          options: {
+            timeoutMs,
+            type: type ?? jobName,
+            namedArgs,
+            retryPolicy,
+            webhooks,
+            queue,
+            workflow: { id: workflowId, key }
+          }
+        };
+      }));
+    } catch (error) {
+      logger.error(`Error creating workflow ${workflowId}: ${error.message}`);
+      throw error;
+    }
+
+    logger.info(`Created workflow ${workflowId} with ${specs.length} jobs`);
+
+    return this.getWorkflow(workflowId);
+  }
+
+  /**
+   * Get a workflow
+   * @param {string} workflowId - Workflow ID
+   * @returns {Object|null} - Aggregate status, timestamps and counts by status of the workflow and its
+   *   jobs in submission order, or null if it has no jobs left
+   */
+  getWorkflow(workflowId) {
+    const jobs = jobService.getAllJobs().filter(job => job.workflowId === workflowId);
+
+    if (jobs.length === 0) {
+      return null;
+    }
+
+    const status = getWorkflowStatus(jobs);
+    const counts = {};
+    for (const job of jobs) {
+      counts[job.status] = (counts[job.status] ?? 0) + 1;
+    }
+    const finished = [WorkflowStatus.COMPLETED, WorkflowStatus.FAILED, WorkflowStatus.CANCELLED].includes(status);
+
+    return {
+      id: workflowId,
+      status,
+      createdAt: jobs.map(job => job.createdAt).sort()[0],
+      completedAt: finished ? jobs.map(job => job.completedAt).sort().at(-1) : null,
+      total: jobs.length,
+      counts,
+      jobs
+    };
+  }
+}
+
+export const workflowService = new WorkflowService();
+export { WorkflowStatus, validateWorkflowJobs };
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { JobStore } from './jobStore.js';
+
+// Rewrite the journal once it holds this many entries per live record
+const COMPACTION_RATIO = 10;
+
+/**
+ * @class FileJobStore
+ * @description Keeps job records in an append-only journal file, one JSON operation per line.
+ * Every save or delete is a single append, and the journal is compacted to the latest
+ * record of each job on load and whenever it grows too large.
+ */
+class FileJobStore extends JobStore {
+  #filePath;
+  #records = new Map();
+  #journalLength = 0;
+
+  /**
+   * @param {string} filePath - Path of the journal file
+   */
+  constructor(filePath) {
+    super();
+    this.#filePath = path.resolve(process.cwd(), filePath);
+    fs.mkdirSync(path.dirname(this.#filePath), { recursive: true });
+  }
+
+  load() {
+    this.#records.clear();
+
+    if (fs.existsSync(this.#filePath)) {
+      const lines = fs.readFileSync(this.#filePath, 'utf8').split('\n').filter(Boolean);
+
+      for (const line of lines) {
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A crash in the middle of an append leaves a truncated last line
+          continue;
+        }
+
+        if (entry.op === 'save') {
+          this.#records.set(entry.record.id, entry.record);
+        } else if (entry.op === 'delete') {
+          this.#records.delete(entry.jobId);
+        }
+      }
+    }
+
+    this.#compact();
+
+    return Array.from(this.#records.values());
+  }
+
+  save(record) {
+    this.#records.set(record.id, record);
+    this.#append({ op: 'save', record });
+  }
+
+  delete(jobId) {
+    this.#records.delete(jobId);
+    this.#append({ op: 'delete', jobId });
+  }
+
+  clear() {
+    this.#records.clear();
+    this.#compact();
+  }
+
+  /**
+   * @param {Object} entry - Journal entry
+   * @private
+   */
+  #append(entry) {
+    fs.appendFileSync(this.#filePath, `${JSON.stringify(entry)}\n`);
+    this.#journalLength++;
+
+    if (this.#journalLength > COMPACTION_RATIO * Math.max(this.#records.size, 100)) {
+      this.#compact();
+    }
+  }
+
+  /**
+   * Rewrites the journal with one entry per live record.
+   * The new journal is written next to the old one and renamed over it, so a crash never loses both.
+   * @private
+   */
+  #compact() {
+    const tmpPath = `${this.#filePath}.tmp`;
+    const content = Array.from(this.#records.values())
+      .map(record => `${JSON.stringify({ op: 'save', record })}\n`)
+      .join('');
+
+    fs.writeFileSync(tmpPath, content);
+    fs.renameSync(tmpPath, this.#filePath);
+    this.#journalLength = this.#records.size;
+  }
+}
+
+export { FileJobStore };
@@ -0,0 +1,41 @@
+import { config } from '../config/index.js';
+import { MemoryJobStore } from './memoryJobStore.js';
+import { FileJobStore } from './fileJobStore.js';
+
+/**
+ * Creates the job store selected by JOB_STORE
+ * @returns {import('./jobStore.js').JobStore} - Job store
+ * @throws {Error} - If JOB_STORE names an unknown store
+ */
+const createJobStore = () => {
+  switch (config.JOB_STORE) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(config.JOB_STORE_PATH);
+    default:
+      throw new Error(`Unknown job store: ${config.JOB_STORE}. Valid stores are: memory, file`);
+  }
+};
+
+/**
+ * Creates the store of the schedules. Schedules are kept in the same kind of store as jobs,
+ * in their own file.
+ * @returns {import('./jobStore.js').JobStore} - Schedule store
+ * @throws {Error} - If JOB_STORE names an unknown store
+ */
+const createScheduleStore = () => {
+  switch (config.JOB_STORE) {
+    case 'memory':
+      return new MemoryJobStore();
+    case 'file':
+      return new FileJobStore(config.SCHEDULE_STORE_PATH);
+    default:
+      throw new Error(`Unknown job store: ${config.JOB_STORE}. Valid stores are: memory, file`);
+  }
+};
+
+export { createJobStore, createScheduleStore };
+export { JobStore } from './jobStore.js';
+export { MemoryJobStore } from './memoryJobStore.js';
+export { FileJobStore } from './fileJobStore.js';
@@ -0,0 +1,40 @@
+/**
+ * @interface JobStore
+ * @description Persistence for job records (plain objects produced by Job.toJSON).
+ * JobService keeps live Job instances in memory and writes every change through to its store,
+ * so a store only has to hold the latest record of each job.
+ */
+class JobStore {
+  /**
+   * Loads all stored job records
+   * @returns {Object[]} - Job records
+   */
+  load() {
+    throw new Error(`${this.constructor.name} does not implement load()`);
+  }
+
+  /**
+   * Inserts or replaces a job record
+   * @param {Object} record - Job record
+   */
+  save(record) {
+    throw new Error(`${this.constructor.name} does not implement save()`);
+  }
+
+  /**
+   * Removes a job record
+   * @param {string} jobId - Job ID
+   */
+  delete(jobId) {
+    throw new Error(`${this.constructor.name} does not implement delete()`);
+  }
+
+  /**
+   * Removes all job records
+   */
+  clear() {
+    throw new Error(`${this.constructor.name} does not implement clear()`);
+  }
+}
+
+export { JobStore };
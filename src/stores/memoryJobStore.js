@@ -0,0 +1,27 @@
+import { JobStore } from './jobStore.js';
+
+/**
+ * @class MemoryJobStore
+ * @description Keeps job records in process memory, nothing survives a restart
+ */
+class MemoryJobStore extends JobStore {
+  #records = new Map();
+
+  load() {
+    return Array.from(this.#records.values());
+  }
+
+  save(record) {
+    this.#records.set(record.id, record);
+  }
+
+  delete(jobId) {
+    this.#records.delete(jobId);
+  }
+
+  clear() {
+    this.#records.clear();
+  }
+}
+
+export { MemoryJobStore };
@@ -0,0 +1,72 @@
+/**
+ * Finds a cycle in a directed graph
+ * @param {Map<string, string[]>} dependencies - Nodes with the nodes they depend on
+ * @returns {string[]|null} - Nodes of a cycle, starting and ending with the same node, or null if there is none
+ */
+const findCycle = (dependencies) => {
+  const visited = new Set();
+
+  const visit = (node, path) => {
+    const index = path.indexOf(node);
+    if (index !== -1) {
+      return [...path.slice(index), node];
+    }
+    if (visited.has(node)) {
+      return null;
+    }
+    visited.add(node);
+
+    for (const dependency of dependencies.get(node) ?? []) {
+      if (dependencies.has(dependency)) {
+        const cycle = visit(dependency, [...path, node]);
+        if (cycle) {
+          return cycle;
+        }
+      }
+    }
+
+    return null;
+  };
+
+  for (const node of dependencies.keys()) {
+    const cycle = visit(node, []);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Orders the nodes of a directed acyclic graph so every node comes after the nodes it depends on.
+ * Nodes that do not depend on each other keep their original order. Dependencies on nodes outside
+ * the graph are ignored.
+ * @param {Map<string, string[]>} dependencies - Nodes with the nodes they depend on
+ * @returns {{order: string[]|null, cycle: string[]|null}} - Sorted nodes, or a cycle that prevents sorting them
+ */
+const topologicalSort = (dependencies) => {
+  const remaining = new Map(dependencies);
+  const order = [];
+
+  while (remaining.size > 0) {
+    const ready = [...remaining.keys()]
+      .filter(node => remaining.get(node).every(dependency => !remaining.has(dependency)));
+
+    if (ready.length === 0) {
+      return { order: null, cycle: findCycle(remaining) };
+    }
+
+    for (const node of ready) {
+      order.push(node);
+      remaining.delete(node);
+    }
+  }
+
+  return { order, cycle: null };
+};
+
+export {
+  findCycle,
+  topologicalSort
+};
@@ -0,0 +1,71 @@
+// A line of stdout that sets an output, e.g. `::output path=/tmp/frames`
+const OUTPUT_LINE_PATTERN = /^::output ([A-Za-z0-9_-]+)=(.*)$/;
+
+// Reference to an output of another job of the workflow, e.g. `${{ jobs.decode.outputs.path }}`
+const OUTPUT_REFERENCE_PATTERN = /\$\{\{\s*jobs\.([A-Za-z0-9_-]+)\.outputs\.([A-Za-z0-9_-]+)\s*\}\}/g;
+
+/**
+ * Parses a line of stdout that sets an output
+ * @param {string} line - Line without trailing newline
+ * @returns {{key: string, value: string}|null} - Output, or null if the line is ordinary output
+ */
+const parseOutputLine = (line) => {
+  const match = OUTPUT_LINE_PATTERN.exec(line);
+  return match ? { key: match[1], value: match[2] } : null;
+};
+
+/**
+ * Lists the output references in the arguments of a job
+ * @param {Array} jobArgs - Positional arguments
+ * @param {Object} namedArgs - Named arguments
+ * @returns {{field: string, jobKey: string, output: string}[]} - Every reference, with the argument that holds it
+ */
+const findOutputReferences = (jobArgs, namedArgs) => {
+  const values = [
+    ...jobArgs.map((value, index) => [`args/${index}`, value]),
+    ...Object.entries(namedArgs).flatMap(([key, value]) => (Array.isArray(value)
+      ? value.map((item, index) => [`namedArgs/${key}/${index}`, item])
+      : [[`namedArgs/${key}`, value]]))
+  ];
+
+  return values
+    .filter(([, value]) => typeof value === 'string')
+    .flatMap(([field, value]) => [...value.matchAll(OUTPUT_REFERENCE_PATTERN)]
+      .map(([, jobKey, output]) => ({ field, jobKey, output })));
+};
+
+/**
+ * Replaces the output references in an argument. Arguments without references are returned as-is.
+ * @param {*} value - Argument value
+ * @param {function(string, string): *} getOutput - Returns an output of a job by its key, undefined if it has none
+ * @returns {{value: *, missing: string[]}} - Resolved value, and the references that could not be resolved
+ */
+const resolveOutputReferences = (value, getOutput) => {
+  if (Array.isArray(value)) {
+    const items = value.map(item => resolveOutputReferences(item, getOutput));
+    return { value: items.map(item => item.value), missing: items.flatMap(item => item.missing) };
+  }
+
+  if (typeof value !== 'string') {
+    return { value, missing: [] };
+  }
+
+  const missing = [];
+  const resolved = value.replace(OUTPUT_REFERENCE_PATTERN, (reference, jobKey, output) => {
+    const outputValue = getOutput(jobKey, output);
+
+    if (outputValue === undefined) {
+      missing.push(`jobs.${jobKey}.outputs.${output}`);
+      return reference;
+    }
+    return typeof outputValue === 'string' ? outputValue : JSON.stringify(outputValue);
+  });
+
+  return { value: resolved, missing };
+};
+
+export {
+  parseOutputLine,
+  findOutputReferences,
+  resolveOutputReferences
+};
@@ -0,0 +1,225 @@
+import fs from 'fs';
+import os from 'os';
+import { execFileSync } from 'child_process';
+
+const isWindows = os.platform() === 'win32';
+
+// Start times derived from /proc can drift by the rounding of the boot time
+const START_TIME_TOLERANCE_MS = 1000;
+
+// Files of the memory cgroup (v2, then v1) that count the processes killed by the OOM killer
+const OOM_EVENT_FILES = ['/sys/fs/cgroup/memory.events', '/sys/fs/cgroup/memory/memory.oom_control'];
+
+let bootTimeMs;
+let clockTicks;
+
+/**
+ * Reads the system boot time from /proc/stat.
+ * @returns {number} - Boot time in milliseconds since the epoch
+ */
+const getBootTimeMs = () => {
+  if (bootTimeMs === undefined) {
+    const line = fs.readFileSync('/proc/stat', 'utf8').split('\n').find(row => row.startsWith('btime '));
+    bootTimeMs = parseInt(line.split(' ')[1], 10) * 1000;
+  }
+  return bootTimeMs;
+};
+
+/**
+ * Reads the number of clock ticks per second that /proc times are expressed in.
+ * @returns {number} - Clock ticks per second
+ */
+const getClockTicks = () => {
+  if (clockTicks === undefined) {
+    try {
+      clockTicks = parseInt(execFileSync('getconf', ['CLK_TCK'], { encoding: 'utf8' }), 10) || 100;
+    } catch {
+      clockTicks = 100;
+    }
+  }
+  return clockTicks;
+};
+
+/**
+ * Splits /proc/<pid>/stat into fields, starting with the state (field 3 in proc(5)).
+ * @param {number} pid - Process ID
+ * @returns {string[]|null} - Fields, or null if the process does not exist
+ */
+const readProcStat = (pid) => {
+  try {
+    const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+    // The command name may contain spaces and parentheses, so skip past the last ')'
+    return stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Reads the parent PID of every process from /proc.
+ * @returns {Map<number, number>|null} - Map of pid -> ppid, or null if /proc is unavailable
+ */
+const readProcParents = () => {
+  if (!fs.existsSync('/proc')) {
+    return null;
+  }
+
+  const parents = new Map();
+
+  for (const entry of fs.readdirSync('/proc')) {
+    if (!/^\d+$/.test(entry)) {
+      continue;
+    }
+
+    const fields = readProcStat(entry);
+    // A missing entry means the process exited while we were scanning
+    if (fields) {
+      parents.set(parseInt(entry, 10), parseInt(fields[1], 10));
+    }
+  }
+
+  return parents;
+};
+
+/**
+ * Reads the parent PID of every process using `ps`.
+ * @returns {Map<number, number>} - Map of pid -> ppid
+ */
+const readPsParents = () => {
+  const parents = new Map();
+  const output = execFileSync('ps', ['-A', '-o', 'pid=,ppid='], { encoding: 'utf8' });
+
+  for (const line of output.split('\n')) {
+    const [pid, ppid] = line.trim().split(/\s+/).map(Number);
+    if (pid && !Number.isNaN(ppid)) {
+      parents.set(pid, ppid);
+    }
+  }
+
+  return parents;
+};
+
+/**
+ * Collects a process and all of its descendants.
+ * @param {number} pid - Root process ID
+ * @returns {number[]} - PIDs of the tree, root first
+ */
+const getProcessTree = (pid) => {
+  const parents = readProcParents() || readPsParents();
+  const tree = [pid];
+
+  for (let i = 0; i < tree.length; i++) {
+    for (const [child, parent] of parents) {
+      if (parent === tree[i] && !tree.includes(child)) {
+        tree.push(child);
+      }
+    }
+  }
+
+  return tree;
+};
+
+/**
+ * Sends a signal to a process and all of its descendants.
+ * The tree is collected before any signal is sent, so children that get
+ * re-parented when their parent dies are still reached.
+ * @param {number} pid - Root process ID
+ * @param {string} [signal='SIGTERM'] - Signal name
+ * @returns {number[]} - PIDs that were signalled
+ */
+const signalProcessTree = (pid, signal = 'SIGTERM') => {
+  if (isWindows) {
+    // Windows has no signals, taskkill /T is the only way to reach the whole tree
+    if (signal !== 'SIGKILL' && signal !== 'SIGTERM') {
+      throw new Error(`Signal ${signal} is not supported on Windows`);
+    }
+    execFileSync('taskkill', ['/pid', String(pid), '/T', '/F']);
+    return [pid];
+  }
+
+  const signalled = [];
+
+  for (const target of getProcessTree(pid)) {
+    try {
+      process.kill(target, signal);
+      signalled.push(target);
+    } catch {
+      // Process already gone
+    }
+  }
+
+  return signalled;
+};
+
+/**
+ * Kills a process and all of its descendants.
+ * @param {number} pid - Root process ID
+ * @returns {number[]} - PIDs that were killed
+ */
+const killProcessTree = (pid) => signalProcessTree(pid, 'SIGKILL');
+
+/**
+ * Reads when a process was started. Only available where /proc exists.
+ * @param {number} pid - Process ID
+ * @returns {string|null} - ISO timestamp, or null if the process does not exist, is a zombie or /proc is unavailable
+ */
+const getProcessStartTime = (pid) => {
+  const fields = readProcStat(pid);
+
+  if (!fields || fields[0] === 'Z') {
+    return null;
+  }
+
+  // starttime is field 22 in proc(5), in clock ticks since boot
+  const startTicks = parseInt(fields[19], 10);
+  return new Date(getBootTimeMs() + (startTicks / getClockTicks()) * 1000).toISOString();
+};
+
+/**
+ * Checks whether a PID still belongs to the process that was recorded for it,
+ * i.e. the process is alive and was not replaced by another one reusing the PID.
+ * @param {number} pid - Process ID
+ * @param {string|null} startTime - Start time recorded by getProcessStartTime
+ * @returns {boolean} - True if it is the same live process; false if it cannot be verified
+ */
+const isSameProcess = (pid, startTime) => {
+  if (!pid || !startTime) {
+    return false;
+  }
+
+  const currentStartTime = getProcessStartTime(pid);
+
+  if (!currentStartTime) {
+    return false;
+  }
+
+  return Math.abs(new Date(currentStartTime).getTime() - new Date(startTime).getTime()) <= START_TIME_TOLERANCE_MS;
+};
+
+/**
+ * Reads how many processes of the service's memory cgroup the OOM killer has killed so far.
+ * Comparing the count before and after a job tells whether the job was OOM-killed.
+ * @returns {number|null} - Number of OOM kills, or null if the cgroup does not report it
+ */
+const getOomKillCount = () => {
+  for (const file of OOM_EVENT_FILES) {
+    try {
+      const line = fs.readFileSync(file, 'utf8').split('\n').find(row => row.startsWith('oom_kill '));
+      if (line) {
+        return parseInt(line.split(' ')[1], 10);
+      }
+    } catch {
+      // Not this cgroup version, or no cgroup at all
+    }
+  }
+  return null;
+};
+
+export {
+  getProcessTree,
+  signalProcessTree,
+  killProcessTree,
+  getProcessStartTime,
+  isSameProcess,
+  getOomKillCount
+};
@@ -0,0 +1,57 @@
+import { validateRetryPolicy } from '../retry/index.js';
+
+// Settings of a named queue
+const QUEUE_FIELDS = ['concurrency', 'defaultPriority', 'retryPolicy'];
+
+// Queue names end up in URLs, so they are limited to characters that need no escaping
+const QUEUE_NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{0,63}$/;
+
+/**
+ * Checks that a value is a valid queue name
+ * @param {*} name - Name to check
+ * @returns {boolean} - True for 1 to 64 letters, digits, `_` and `-`, starting with a letter or digit
+ */
+const isValidQueueName = name => typeof name === 'string' && QUEUE_NAME_PATTERN.test(name);
+
+/**
+ * Validates the settings of a named queue
+ * @param {*} settings - Settings to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.partial=false] - Validates changes to an existing queue: no field is required
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the settings are valid
+ */
+const validateQueueSettings = (settings, { partial = false } = {}) => {
+  if (typeof settings !== 'object' || settings === null || Array.isArray(settings)) {
+    return [{ field: 'body', message: 'Queue settings must be an object' }];
+  }
+
+  const violations = [];
+  const { concurrency, defaultPriority, retryPolicy } = settings;
+
+  for (const key of Object.keys(settings).filter(key => !QUEUE_FIELDS.includes(key))) {
+    violations.push({ field: key, message: `${key} is not a queue setting` });
+  }
+
+  if (concurrency === undefined) {
+    if (!partial) {
+      violations.push({ field: 'concurrency', message: 'concurrency is required' });
+    }
+  } else if (!Number.isInteger(concurrency) || concurrency < 1) {
+    violations.push({ field: 'concurrency', message: 'concurrency must be a positive integer' });
+  }
+
+  if (defaultPriority !== undefined && (!Number.isInteger(defaultPriority) || defaultPriority < 1 || defaultPriority > 5)) {
+    violations.push({ field: 'defaultPriority', message: 'defaultPriority must be an integer between 1 and 5' });
+  }
+
+  if (retryPolicy !== undefined && retryPolicy !== null) {
+    violations.push(...validateRetryPolicy(retryPolicy));
+  }
+
+  return violations;
+};
+
+export {
+  isValidQueueName,
+  validateQueueSettings
+};
@@ -0,0 +1,133 @@
+// Keys of a retry policy; a partial policy only overrides the keys it sets
+const POLICY_KEYS = ['attempts', 'initialDelayMs', 'multiplier', 'maxDelayMs', 'jitter', 'retryOn'];
+
+const SIGNAL_PATTERN = /^SIG[A-Z0-9]+$/;
+
+const isExitCodeList = value => Array.isArray(value) && value.every(Number.isInteger);
+const isSignalList = value => Array.isArray(value) && value.every(signal => SIGNAL_PATTERN.test(signal));
+
+// Filters of retryOn with their validation
+const RETRY_ON_FILTERS = {
+  exitCodes: { valid: isExitCodeList, description: 'an array of integers' },
+  exceptExitCodes: { valid: isExitCodeList, description: 'an array of integers' },
+  signals: { valid: isSignalList, description: 'an array of signal names such as SIGKILL' },
+  exceptSignals: { valid: isSignalList, description: 'an array of signal names such as SIGKILL' },
+  timeouts: { valid: value => typeof value === 'boolean', description: 'a boolean' }
+};
+
+/**
+ * Checks that a value is a plain object
+ * @param {*} value - Value to check
+ * @returns {boolean} - True for objects that are not arrays or null
+ */
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/**
+ * Validates a (partial) retry policy
+ * @param {*} policy - Policy to validate
+ * @param {string} [field='retryPolicy'] - Name of the policy in messages
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the policy is valid
+ */
+const validateRetryPolicy = (policy, field = 'retryPolicy') => {
+  if (!isPlainObject(policy)) {
+    return [{ field, message: `${field} must be an object` }];
+  }
+
+  const violations = [];
+  const check = (key, valid, description) => {
+    if (policy[key] !== undefined && !valid(policy[key])) {
+      violations.push({ field: `${field}/${key}`, message: `${field}/${key} must be ${description}` });
+    }
+  };
+
+  for (const key of Object.keys(policy).filter(key => !POLICY_KEYS.includes(key))) {
+    violations.push({ field: `${field}/${key}`, message: `${field}/${key} is not a retry policy setting` });
+  }
+
+  check('attempts', value => Number.isInteger(value) && value >= 0, 'a non-negative integer');
+  check('initialDelayMs', value => Number.isInteger(value) && value >= 0, 'a non-negative integer');
+  check('multiplier', value => typeof value === 'number' && value >= 1, 'a number >= 1');
+  check('maxDelayMs', value => Number.isInteger(value) && value >= 0, 'a non-negative integer');
+  check('jitter', value => typeof value === 'number' && value >= 0 && value <= 1, 'a number between 0 and 1');
+
+  if (policy.retryOn !== undefined) {
+    const retryOn = policy.retryOn;
+
+    if (!isPlainObject(retryOn)) {
+      violations.push({ field: `${field}/retryOn`, message: `${field}/retryOn must be an object` });
+    } else {
+      for (const [key, value] of Object.entries(retryOn)) {
+        const filter = RETRY_ON_FILTERS[key];
+        const filterField = `${field}/retryOn/${key}`;
+
+        if (!filter) {
+          violations.push({ field: filterField, message: `${filterField} is not a retryOn filter, expected one of ${Object.keys(RETRY_ON_FILTERS).join(', ')}` });
+        } else if (!filter.valid(value)) {
+          violations.push({ field: filterField, message: `${filterField} must be ${filter.description}` });
+        }
+      }
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Merges retry policies, later ones overriding the keys they set
+ * @param {...(Object|null|undefined)} policies - Policies from the most general to the most specific
+ * @returns {Object} - Merged policy
+ */
+const resolveRetryPolicy = (...policies) => Object.assign({}, ...policies.filter(Boolean));
+
+/**
+ * Checks whether a failed attempt may be retried under a policy, ignoring the number of attempts.
+ * Timeouts are retried unless `retryOn.timeouts` is false. Exit codes and signals are retried unless
+ * they are listed in `exceptExitCodes`/`exceptSignals` or missing from `exitCodes`/`signals`.
+ * Failures with neither, such as a process that could not be spawned, are always retried.
+ * @param {Object} policy - Resolved retry policy
+ * @param {Object} outcome - How the attempt ended
+ * @param {number|null} [outcome.exitCode] - Exit code of the process
+ * @param {string|null} [outcome.signal] - Signal that terminated the process
+ * @param {boolean} [outcome.timedOut] - Whether the watchdog killed the process
+ * @returns {boolean} - True if the failure may be retried
+ */
+const isRetryable = (policy, { exitCode = null, signal = null, timedOut = false } = {}) => {
+  const retryOn = policy.retryOn || {};
+
+  if (timedOut) {
+    return retryOn.timeouts !== false;
+  }
+
+  if (signal) {
+    return !retryOn.exceptSignals?.includes(signal) && (!retryOn.signals || retryOn.signals.includes(signal));
+  }
+
+  if (exitCode !== null) {
+    return !retryOn.exceptExitCodes?.includes(exitCode) && (!retryOn.exitCodes || retryOn.exitCodes.includes(exitCode));
+  }
+
+  return true;
+};
+
+/**
+ * Calculates how long to wait before a retry: `initialDelayMs * multiplier^(retry - 1)`,
+ * capped at `maxDelayMs`, then shortened by a random part of up to `jitter` of the delay,
+ * so jobs that failed together do not retry together.
+ * @param {Object} policy - Resolved retry policy
+ * @param {number} retry - Number of the retry (1 for the first retry)
+ * @param {function(): number} [random=Math.random] - Source of randomness in [0, 1)
+ * @returns {number} - Delay in milliseconds
+ */
+const getRetryDelayMs = (policy, retry, random = Math.random) => {
+  const { initialDelayMs = 0, multiplier = 1, maxDelayMs = Infinity, jitter = 0 } = policy;
+  const delayMs = Math.min(initialDelayMs * multiplier ** (retry - 1), maxDelayMs);
+
+  return Math.round(delayMs * (1 - jitter * random()));
+};
+
+export {
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  isRetryable,
+  getRetryDelayMs
+};
@@ -0,0 +1,132 @@
+import { CronExpressionParser } from 'cron-parser';
+import { MisfirePolicy, OverlapPolicy } from '../../models/schedule.js';
+
+// Fields of a schedule spec; job is the body of POST /jobs the job of every run is created with
+const SCHEDULE_FIELDS = ['name', 'cron', 'intervalMs', 'timezone', 'enabled', 'misfirePolicy', 'overlapPolicy', 'job'];
+
+// Shortest interval between runs
+const MIN_INTERVAL_MS = 1000;
+
+/**
+ * Checks that a value is a valid IANA time zone
+ * @param {*} timezone - Time zone to check, e.g. Europe/Berlin
+ * @returns {boolean} - True if the time zone is known
+ */
+const isValidTimezone = (timezone) => {
+  if (typeof timezone !== 'string') {
+    return false;
+  }
+
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * Validates a schedule spec. The job spec is only checked to be an object; the controller validates
+ * it like the body of POST /jobs.
+ * @param {*} spec - Spec to validate
+ * @param {Object} [options={}] - Validation options
+ * @param {boolean} [options.partial=false] - Validates an update: no field is required
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the spec is valid
+ */
+const validateSchedule = (spec, { partial = false } = {}) => {
+  if (typeof spec !== 'object' || spec === null || Array.isArray(spec)) {
+    return [{ field: 'body', message: 'Schedule must be an object' }];
+  }
+
+  const violations = [];
+  const { name, cron, intervalMs, timezone, enabled, misfirePolicy, overlapPolicy, job } = spec;
+
+  for (const key of Object.keys(spec).filter(key => !SCHEDULE_FIELDS.includes(key))) {
+    violations.push({ field: key, message: `${key} is not a schedule setting` });
+  }
+
+  if (cron !== undefined && intervalMs !== undefined) {
+    violations.push({ field: 'cron', message: 'Only one of cron and intervalMs can be set' });
+  } else if (!partial && cron === undefined && intervalMs === undefined) {
+    violations.push({ field: 'cron', message: 'Either cron or intervalMs is required' });
+  }
+
+  if (name !== undefined && name !== null && (typeof name !== 'string' || name.trim() === '')) {
+    violations.push({ field: 'name', message: 'name must be a non-empty string' });
+  }
+
+  if (cron !== undefined) {
+    try {
+      if (typeof cron !== 'string') {
+        throw new Error('not a string');
+      }
+      CronExpressionParser.parse(cron);
+    } catch (error) {
+      violations.push({ field: 'cron', message: `cron must be a valid cron expression: ${error.message}` });
+    }
+  }
+
+  if (intervalMs !== undefined && (!Number.isInteger(intervalMs) || intervalMs < MIN_INTERVAL_MS)) {
+    violations.push({ field: 'intervalMs', message: `intervalMs must be an integer >= ${MIN_INTERVAL_MS}` });
+  }
+
+  if (timezone !== undefined && !isValidTimezone(timezone)) {
+    violations.push({ field: 'timezone', message: 'timezone must be an IANA time zone such as Europe/Berlin' });
+  }
+
+  if (enabled !== undefined && typeof enabled !== 'boolean') {
+    violations.push({ field: 'enabled', message: 'enabled must be a boolean' });
+  }
+
+  const misfirePolicies = Object.values(MisfirePolicy);
+  if (misfirePolicy !== undefined && !misfirePolicies.includes(misfirePolicy)) {
+    violations.push({ field: 'misfirePolicy', message: `misfirePolicy must be one of ${misfirePolicies.join(', ')}` });
+  }
+
+  const overlapPolicies = Object.values(OverlapPolicy);
+  if (overlapPolicy !== undefined && !overlapPolicies.includes(overlapPolicy)) {
+    violations.push({ field: 'overlapPolicy', message: `overlapPolicy must be one of ${overlapPolicies.join(', ')}` });
+  }
+
+  if (job === undefined) {
+    if (!partial) {
+      violations.push({ field: 'job', message: 'job is required' });
+    }
+  } else if (typeof job !== 'object' || job === null || Array.isArray(job)) {
+    violations.push({ field: 'job', message: 'job must be an object' });
+  } else {
+    // Upstream jobs finish once, while a schedule creates a job on every run; runs are timed by the schedule
+    for (const key of ['dependsOn', 'runAt', 'delayMs'].filter(key => job[key] !== undefined)) {
+      violations.push({ field: `job/${key}`, message: `job/${key} is not supported by schedules` });
+    }
+  }
+
+  return violations;
+};
+
+/**
+ * Get the time of the next run of a schedule after a point in time. Interval schedules keep the
+ * phase of their previous run, so runs stay evenly spaced when some of them are late or skipped.
+ * @param {Object} timing - Timing of the schedule
+ * @param {string|null} timing.cron - Cron expression
+ * @param {number|null} timing.intervalMs - Time between runs
+ * @param {string} timing.timezone - Time zone the cron expression is evaluated in
+ * @param {Date} now - Time the next run has to be after
+ * @param {Date} [previousRunAt=now] - Time of the previous run of an interval schedule
+ * @returns {Date} - Time of the next run
+ */
+const getNextRunAt = ({ cron, intervalMs, timezone }, now, previousRunAt = now) => {
+  if (cron) {
+    return CronExpressionParser.parse(cron, { tz: timezone, currentDate: now }).next().toDate();
+  }
+
+  const elapsed = Math.max(0, now.getTime() - previousRunAt.getTime());
+  return new Date(previousRunAt.getTime() + intervalMs * (Math.floor(elapsed / intervalMs) + 1));
+};
+
+export {
+  MIN_INTERVAL_MS,
+  isValidTimezone,
+  validateSchedule,
+  getNextRunAt
+};
@@ -0,0 +1,344 @@
+// Confidence level of the intervals, and its z-score for a two-sided interval
+const CONFIDENCE_LEVEL = 0.95;
+const Z_95 = 1.959964;
+
+// Adjusted p-value below which a correlation is reported as significant
+const SIGNIFICANCE_LEVEL = 0.05;
+
+// Lanczos approximation coefficients (g = 7, n = 9)
+const LANCZOS = [
+  0.99999999999980993, 676.5203681218851, -1259.1392167224028, 771.32342877765313,
+  -176.61503916999185, 12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6,
+  1.5056327351493116e-7
+];
+
+// Iterations and precision of the incomplete gamma function
+const GAMMA_MAX_ITERATIONS = 200;
+const GAMMA_EPSILON = 1e-14;
+
+/**
+ * Rounds a number to a fixed number of decimals
+ * @param {number} value - Number to round
+ * @param {number} [decimals=4] - Number of decimals to keep
+ * @returns {number} - Rounded number
+ */
+const round = (value, decimals = 4) => {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+};
+
+/**
+ * Calculates the Wilson score interval of a success rate. Unlike the normal approximation
+ * it stays within [0, 1] and remains meaningful for small samples and rates close to 0 or 1.
+ * @param {number} successes - Number of successes
+ * @param {number} total - Sample size
+ * @param {number} [z=Z_95] - z-score of the confidence level
+ * @returns {{lower: number, upper: number}} - Bounds of the interval, [0, 1] for an empty sample
+ */
+const wilsonInterval = (successes, total, z = Z_95) => {
+  if (total === 0) {
+    return { lower: 0, upper: 1 };
+  }
+
+  const rate = successes / total;
+  const z2 = z * z;
+  const denominator = 1 + z2 / total;
+  const centre = (rate + z2 / (2 * total)) / denominator;
+  const margin = (z * Math.sqrt((rate * (1 - rate)) / total + z2 / (4 * total * total))) / denominator;
+
+  return {
+    lower: Math.max(0, centre - margin),
+    upper: Math.min(1, centre + margin)
+  };
+};
+
+/**
+ * Formats the difference between two rates in percentage points, e.g. `+12.5%`
+ * @param {number} rate - Rate to compare
+ * @param {number} baseline - Rate it is compared to
+ * @returns {string} - Signed difference
+ */
+const formatRateDifference = (rate, baseline) => {
+  const difference = (rate - baseline) * 100;
+  return `${difference >= 0 ? '+' : ''}${difference.toFixed(1)}%`;
+};
+
+/**
+ * Natural logarithm of the gamma function, using the Lanczos approximation
+ * @param {number} x - Positive number
+ * @returns {number} - ln(Γ(x))
+ */
+const logGamma = (x) => {
+  if (x < 0.5) {
+    // Reflection formula
+    return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  }
+
+  const shifted = x - 1;
+  const t = shifted + 7.5;
+  let sum = LANCZOS[0];
+
+  for (let i = 1; i < LANCZOS.length; i++) {
+    sum += LANCZOS[i] / (shifted + i);
+  }
+
+  return 0.5 * Math.log(2 * Math.PI) + (shifted + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+/**
+ * Upper regularized incomplete gamma function Q(a, x) = Γ(a, x) / Γ(a), evaluated by its series
+ * for x < a + 1 and by its continued fraction otherwise
+ * @param {number} a - Shape, positive
+ * @param {number} x - Lower bound of the integral, non-negative
+ * @returns {number} - Q(a, x)
+ */
+const upperIncompleteGamma = (a, x) => {
+  if (x <= 0) {
+    return 1;
+  }
+
+  const logPrefix = a * Math.log(x) - x - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+
+    for (let n = 1; n < GAMMA_MAX_ITERATIONS && Math.abs(term) > Math.abs(sum) * GAMMA_EPSILON; n++) {
+      term *= x / (a + n);
+      sum += term;
+    }
+
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+
+  // Modified Lentz's method
+  const tiny = 1e-300;
+  let b = x + 1 - a;
+  let c = 1 / tiny;
+  let d = 1 / b;
+  let result = d;
+
+  for (let n = 1; n < GAMMA_MAX_ITERATIONS; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    d = Math.abs(d) < tiny ? tiny : d;
+    c = b + an / c;
+    c = Math.abs(c) < tiny ? tiny : c;
+    d = 1 / d;
+    const delta = d * c;
+    result *= delta;
+
+    if (Math.abs(delta - 1) < GAMMA_EPSILON) {
+      break;
+    }
+  }
+
+  return Math.min(1, result * Math.exp(logPrefix));
+};
+
+/**
+ * Pearson's chi-square test of independence of a contingency table
+ * @param {number[][]} table - Observed counts, one row per group and one column per outcome
+ * @returns {{statistic: number, degreesOfFreedom: number, pValue: number, minExpected: number}} - Result
+ *   of the test, where minExpected is the smallest expected count
+ */
+const chiSquareTest = (table) => {
+  const rowTotals = table.map(row => row.reduce((sum, count) => sum + count, 0));
+  const columnTotals = table[0].map((_, column) => table.reduce((sum, row) => sum + row[column], 0));
+  const total = rowTotals.reduce((sum, count) => sum + count, 0);
+  let statistic = 0;
+  let minExpected = Infinity;
+
+  table.forEach((row, i) => row.forEach((observed, j) => {
+    const expected = (rowTotals[i] * columnTotals[j]) / total;
+
+    minExpected = Math.min(minExpected, expected);
+    if (expected > 0) {
+      statistic += (observed - expected) ** 2 / expected;
+    }
+  }));
+
+  const degreesOfFreedom = (table.length - 1) * (table[0].length - 1);
+
+  return {
+    statistic,
+    degreesOfFreedom,
+    pValue: upperIncompleteGamma(degreesOfFreedom / 2, statistic / 2),
+    minExpected
+  };
+};
+
+/**
+ * Two-sided Fisher's exact test of a 2x2 contingency table: the probability of a table with the same
+ * margins that is at most as likely as the observed one
+ * @param {number[][]} table - Observed counts [[a, b], [c, d]]
+ * @returns {number} - p-value
+ */
+const fisherExactTest = ([[a, b], [c, d]]) => {
+  const logFactorial = n => logGamma(n + 1);
+  const row1 = a + b;
+  const row2 = c + d;
+  const column1 = a + c;
+  const total = row1 + row2;
+  const logMargins = logFactorial(row1) + logFactorial(row2) + logFactorial(column1)
+    + logFactorial(total - column1) - logFactorial(total);
+
+  // Probability of the table with `x` in its top-left cell
+  const probability = x => Math.exp(logMargins - logFactorial(x) - logFactorial(row1 - x)
+    - logFactorial(column1 - x) - logFactorial(row2 - column1 + x));
+
+  const observed = probability(a);
+  let pValue = 0;
+
+  for (let x = Math.max(0, column1 - row2); x <= Math.min(row1, column1); x++) {
+    const p = probability(x);
+
+    // Relative tolerance so tables as likely as the observed one are not lost to rounding
+    if (p <= observed * (1 + 1e-7)) {
+      pValue += p;
+    }
+  }
+
+  return Math.min(1, pValue);
+};
+
+/**
+ * Cramér's V effect size of a chi-square statistic, from 0 (no association) to 1 (perfect association).
+ * For a 2x2 table it equals the absolute phi coefficient, i.e. the point-biserial correlation.
+ * @param {number} statistic - Chi-square statistic
+ * @param {number} total - Sample size
+ * @param {number} rows - Number of rows of the table
+ * @param {number} columns - Number of columns of the table
+ * @returns {number} - Cramér's V
+ */
+const cramersV = (statistic, total, rows, columns) => {
+  const dimension = Math.min(rows, columns) - 1;
+  return total > 0 && dimension > 0 ? Math.sqrt(statistic / (total * dimension)) : 0;
+};
+
+/**
+ * Benjamini-Hochberg correction of p-values for multiple comparisons, controlling the false discovery rate
+ * @param {number[]} pValues - p-values of the individual tests
+ * @returns {number[]} - Adjusted p-values, in the order of the input
+ */
+const benjaminiHochberg = (pValues) => {
+  const order = pValues.map((pValue, index) => ({ pValue, index })).sort((a, b) => a.pValue - b.pValue);
+  const adjusted = new Array(pValues.length);
+  let min = 1;
+
+  for (let rank = order.length; rank >= 1; rank--) {
+    const { pValue, index } = order[rank - 1];
+
+    min = Math.min(min, (pValue * order.length) / rank);
+    adjusted[index] = min;
+  }
+
+  return adjusted;
+};
+
+/**
+ * Streaming quantile sketch with relative error guarantees (DDSketch). Values are counted in buckets
+ * whose bounds grow geometrically, so every quantile is estimated within `relativeAccuracy` of the
+ * true value while memory stays bounded by `maxBuckets`, however many values are added. When the
+ * limit is reached the lowest buckets are merged, which only affects the accuracy of low quantiles.
+ */
+class QuantileSketch {
+  #gamma;
+  #logGamma;
+  #maxBuckets;
+  #buckets = new Map();
+  #zeroCount = 0;
+  #count = 0;
+  #min = Infinity;
+  #max = -Infinity;
+
+  /**
+   * @param {object} [options] - Options
+   * @param {number} [options.relativeAccuracy=0.01] - Largest relative error of the quantiles
+   * @param {number} [options.maxBuckets=2048] - Most buckets kept
+   */
+  constructor({ relativeAccuracy = 0.01, maxBuckets = 2048 } = {}) {
+    this.#gamma = (1 + relativeAccuracy) / (1 - relativeAccuracy);
+    this.#logGamma = Math.log(this.#gamma);
+    this.#maxBuckets = maxBuckets;
+  }
+
+  get count() { return this.#count; }
+  get min() { return this.#count > 0 ? this.#min : null; }
+  get max() { return this.#count > 0 ? this.#max : null; }
+
+  /**
+   * Adds a value
+   * @param {number} value - Non-negative value; others are ignored
+   */
+  add(value) {
+    if (!Number.isFinite(value) || value < 0) {
+      return;
+    }
+
+    this.#count++;
+    this.#min = Math.min(this.#min, value);
+    this.#max = Math.max(this.#max, value);
+
+    if (value === 0) {
+      this.#zeroCount++;
+      return;
+    }
+
+    const index = Math.ceil(Math.log(value) / this.#logGamma);
+    this.#buckets.set(index, (this.#buckets.get(index) || 0) + 1);
+
+    if (this.#buckets.size > this.#maxBuckets) {
+      const [lowest, next] = [...this.#buckets.keys()].sort((a, b) => a - b);
+      this.#buckets.set(next, this.#buckets.get(next) + this.#buckets.get(lowest));
+      this.#buckets.delete(lowest);
+    }
+  }
+
+  /**
+   * Estimates a quantile
+   * @param {number} q - Quantile between 0 and 1, e.g. 0.95
+   * @returns {number|null} - Estimated value, null if no values were added
+   */
+  quantile(q) {
+    if (this.#count === 0) {
+      return null;
+    }
+
+    const rank = q * (this.#count - 1);
+    let seen = this.#zeroCount;
+
+    if (rank < seen) {
+      return 0;
+    }
+
+    for (const index of [...this.#buckets.keys()].sort((a, b) => a - b)) {
+      seen += this.#buckets.get(index);
+
+      if (rank < seen) {
+        // Middle of the bucket (gamma^(index-1), gamma^index] in relative terms
+        const estimate = (2 * this.#gamma ** index) / (this.#gamma + 1);
+        return Math.min(this.#max, Math.max(this.#min, estimate));
+      }
+    }
+
+    return this.#max;
+  }
+}
+
+export {
+  CONFIDENCE_LEVEL,
+  SIGNIFICANCE_LEVEL,
+  Z_95,
+  round,
+  wilsonInterval,
+  formatRateDifference,
+  logGamma,
+  upperIncompleteGamma,
+  chiSquareTest,
+  fisherExactTest,
+  cramersV,
+  benjaminiHochberg,
+  QuantileSketch
+};
@@ -0,0 +1,44 @@
+// Milliseconds per duration unit
+const DURATION_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000
+};
+
+const DURATION_PATTERN = /^([1-9]\d*)([smhd])$/;
+
+/**
+ * Parses a duration such as `30s`, `5m`, `1h` or `1d`
+ * @param {string} value - Positive integer followed by a unit: s, m, h or d
+ * @returns {number|null} - Duration in milliseconds, or null if the value is not a valid duration
+ */
+const parseDuration = (value) => {
+  const match = DURATION_PATTERN.exec(String(value));
+  return match ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+};
+
+/**
+ * Parses an ISO 8601 date or a Unix timestamp in milliseconds
+ * @param {string} value - Date to parse
+ * @returns {Date|null} - Parsed date, or null if the value is not a date
+ */
+const parseDate = (value) => {
+  const date = /^\d+$/.test(String(value)) ? new Date(Number(value)) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Rounds a timestamp down to the start of its bucket. Buckets are aligned to the Unix epoch,
+ * so daily buckets start at midnight UTC.
+ * @param {number} timeMs - Timestamp in milliseconds
+ * @param {number} bucketMs - Bucket size in milliseconds
+ * @returns {number} - Start of the bucket in milliseconds
+ */
+const floorToBucket = (timeMs, bucketMs) => Math.floor(timeMs / bucketMs) * bucketMs;
+
+export {
+  parseDuration,
+  parseDate,
+  floorToBucket
+};
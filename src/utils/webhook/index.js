@@ -0,0 +1,175 @@
+import crypto from 'crypto';
+import net from 'net';
+import { JobStatus } from '../../models/job.js';
+
+// Events a webhook can subscribe to; `any` matches every event
+const WEBHOOK_EVENTS = [
+  'any',
+  'running',
+  'completed',
+  'failed',
+  'timed_out',
+  'cancelled',
+  'paused',
+  'retried',
+  'skipped'
+];
+
+// Addresses job webhooks may only reach if their host is allowed: unspecified, private, carrier-grade NAT,
+// loopback, link-local (e.g. the cloud metadata endpoint 169.254.169.254), multicast and reserved ranges
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Checks whether an IP address is in a range webhooks of jobs may not reach
+ * @param {string} address - IPv4 or IPv6 address
+ * @returns {boolean} - True if the address is private, loopback, link-local or reserved; false for public addresses and host names
+ */
+const isPrivateAddress = (address) => {
+  const version = net.isIP(address);
+
+  if (version === 4) {
+    return PRIVATE_ADDRESSES.check(address, 'ipv4');
+  }
+  if (version !== 6) {
+    return false;
+  }
+
+  // IPv4-mapped addresses reach the IPv4 address, e.g. ::ffff:127.0.0.1, which URLs write as ::ffff:7f00:1
+  const mapped = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i.exec(address);
+  if (mapped) {
+    const ipv4 = mapped[1] ?? [mapped[2], mapped[3]]
+      .flatMap(hextet => [parseInt(hextet, 16) >> 8, parseInt(hextet, 16) & 255])
+      .join('.');
+    return PRIVATE_ADDRESSES.check(ipv4, 'ipv4');
+  }
+
+  return PRIVATE_ADDRESSES.check(address, 'ipv6');
+};
+
+/**
+ * Get the host of a webhook URL as it is matched against allowed hosts: lower case, IPv6 without brackets
+ * @param {URL} url - Webhook URL
+ * @returns {string} - Host name or IP address
+ */
+const getWebhookHost = url => url.hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1');
+
+/**
+ * Checks whether a webhook host is local to the service: `localhost` or a private IP address
+ * @param {string} host - Host name or IP address, see getWebhookHost
+ * @returns {boolean} - True if the host is local
+ */
+const isPrivateHost = host => host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+
+/**
+ * Get the webhook event of a status transition. A job that goes back to the queue after a failed
+ * attempt, right away or after a backoff delay, is `retried`; other transitions are named after
+ * the new status.
+ * @param {string} status - New status
+ * @param {string} previousStatus - Status before the transition
+ * @returns {string|null} - Event, or null if no webhook can subscribe to the transition
+ */
+const getWebhookEvent = (status, previousStatus) => {
+  if (status === JobStatus.RETRY_SCHEDULED
+    || (status === JobStatus.PENDING && [JobStatus.RUNNING, JobStatus.STOPPING].includes(previousStatus))) {
+    return 'retried';
+  }
+
+  return WEBHOOK_EVENTS.includes(status) ? status : null;
+};
+
+/**
+ * Checks whether a webhook subscribes to an event
+ * @param {string[]} events - Events of the webhook
+ * @param {string} event - Event that happened
+ * @returns {boolean} - True if the webhook has to be called
+ */
+const matchesEvent = (events, event) => events.includes('any') || events.includes(event);
+
+/**
+ * Validates webhooks. Unless private hosts are allowed, URLs may only point to localhost or a
+ * private IP address if their host is one of the allowed hosts.
+ * @param {*} webhooks - Webhooks to validate
+ * @param {string} [field='webhooks'] - Name of the webhooks in messages
+ * @param {Object} [options={}] - Host restrictions
+ * @param {string[]} [options.allowedHosts=[]] - Local hosts the webhooks may point to
+ * @param {boolean} [options.allowPrivateHosts=false] - Whether the webhooks may point to any local host
+ * @returns {{field: string, message: string}[]} - Every violation, empty if the webhooks are valid
+ */
+const validateWebhooks = (webhooks, field = 'webhooks', { allowedHosts = [], allowPrivateHosts = false } = {}) => {
+  if (!Array.isArray(webhooks)) {
+    return [{ field, message: `${field} must be an array` }];
+  }
+
+  const violations = [];
+
+  webhooks.forEach((webhook, index) => {
+    const hookField = `${field}/${index}`;
+
+    if (typeof webhook !== 'object' || webhook === null || Array.isArray(webhook)) {
+      violations.push({ field: hookField, message: `${hookField} must be an object` });
+      return;
+    }
+
+    for (const key of Object.keys(webhook).filter(key => !['url', 'events'].includes(key))) {
+      violations.push({ field: `${hookField}/${key}`, message: `${hookField}/${key} is not a webhook setting` });
+    }
+
+    let url = null;
+    try {
+      url = new URL(webhook.url);
+    } catch {
+      // Reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      violations.push({ field: `${hookField}/url`, message: `${hookField}/url must be an http or https URL` });
+    } else if (!allowPrivateHosts && isPrivateHost(getWebhookHost(url)) && !allowedHosts.includes(getWebhookHost(url))) {
+      violations.push({
+        field: `${hookField}/url`,
+        message: `${hookField}/url must not point to a loopback, private or link-local address`
+      });
+    }
+
+    if (webhook.events !== undefined
+      && (!Array.isArray(webhook.events) || webhook.events.length === 0 || !webhook.events.every(event => WEBHOOK_EVENTS.includes(event)))) {
+      violations.push({
+        field: `${hookField}/events`,
+        message: `${hookField}/events must be a non-empty array of ${WEBHOOK_EVENTS.join(', ')}`
+      });
+    }
+  });
+
+  return violations;
+};
+
+/**
+ * Signs a webhook payload with HMAC-SHA256. The timestamp is signed with the body, so a receiver
+ * that rejects old timestamps is protected against replayed deliveries.
+ * @param {string} secret - Shared secret
+ * @param {number} timestamp - Unix time in seconds, sent in the X-Webhook-Timestamp header
+ * @param {string} body - Raw request body
+ * @returns {string} - Signature for the X-Webhook-Signature header, `sha256=<hex digest>`
+ */
+const signPayload = (secret, timestamp, body) => {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+};
+
+export {
+  WEBHOOK_EVENTS,
+  getWebhookEvent,
+  matchesEvent,
+  validateWebhooks,
+  signPayload,
+  isPrivateAddress,
+  getWebhookHost,
+  isPrivateHost
+};
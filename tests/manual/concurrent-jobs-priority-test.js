@@ -29,6 +29,7 @@ async function createJob(index, priority) {
       },
       body: JSON.stringify({
         jobName: `priority-test-${index}`,
+        type: 'dummy',
         args: [`arg-${index}`, `${new Date().toISOString()}`],
         priority: priority
       })
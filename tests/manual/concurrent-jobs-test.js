@@ -1,14 +1,12 @@
 #!/usr/bin/env node
 /**
  * Testing parallel jobs execution and restrictions
- * Runs multiple tasks simultaneously and tracks their statuses
+ * Runs multiple tasks simultaneously and follows each of them over its live log stream
  */
 import fetch from 'node-fetch';
-import { setTimeout } from 'timers/promises';
 
 const API_URL = 'http://localhost:3000';
 const TOTAL_NUMBER_JOBS_TO_BE_CREATE = 10;
-const CHECK_INTERVAL = 1000;
 
 /**
  * Create new job via API
@@ -24,6 +22,7 @@ async function createJob(index) {
       },
       body: JSON.stringify({
         jobName: `concurrent-test-${index}`,
+        type: 'dummy',
         args: [`arg-${index}`, `${new Date().toISOString()}`]
       })
     });
@@ -38,17 +37,36 @@ async function createJob(index) {
 }
 
 /**
- * Get all jobs via API
- * @returns {Promise<Object>} - Array of jobs and total count
+ * Follow a job over Server-Sent Events until it ends
+ * @param {Object} job - Job to follow
+ * @returns {Promise<Object>} - Payload of the final `end` event (status, exitCode)
  */
-async function getAllJobs() {
-  try {
-    const response = await fetch(`${API_URL}/jobs`);
-    return await response.json();
-  } catch (error) {
-    console.error('Error getting jobs:', error.message);
-    throw error;
+async function followJob(job) {
+  const response = await fetch(`${API_URL}/jobs/${job.id}/logs/stream`);
+  let buffer = '';
+
+  for await (const chunk of response.body) {
+    buffer += chunk.toString();
+
+    // Events are separated by a blank line
+    let separator;
+    while ((separator = buffer.indexOf('\n\n')) !== -1) {
+      const rawEvent = buffer.slice(0, separator);
+      buffer = buffer.slice(separator + 2);
+
+      const event = rawEvent.match(/^event: (.*)$/m)?.[1];
+      const data = rawEvent.match(/^data: (.*)$/m)?.[1];
+
+      if (event === 'log') {
+        const { attempt, stream, line } = JSON.parse(data);
+        console.log(`[${job.jobName} #${attempt} ${stream}] ${line}`);
+      } else if (event === 'end') {
+        return JSON.parse(data);
+      }
+    }
   }
+
+  throw new Error(`Log stream of job ${job.id} closed before the job ended`);
 }
 
 /**
@@ -75,29 +93,20 @@ async function runTest() {
   const jobPromises = Array.from({ length: TOTAL_NUMBER_JOBS_TO_BE_CREATE }, (_, i) => createJob(i + 1));
   const createdJobs = await Promise.all(jobPromises);
 
-  console.log(`Created ${createdJobs.length} jobs. Monitoring status...`);
-
-  // Monitoring of those statuses up to completion
-  let allCompleted = false;
-  while (!allCompleted) {
-    await setTimeout(CHECK_INTERVAL);
-
-    const { jobs } = await getAllJobs();
-    const stats = await getStats();
+  console.log(`Created ${createdJobs.length} jobs. Following their output...`);
+  console.log(`Max concurrent jobs limit: ${process.env.MAX_CONCURRENT_JOBS || 'Not set'}`);
 
-    console.log('\n--- Current Job Statuses ---');
-    console.log(`Running: ${stats.runningJobs}, Completed: ${stats.completedJobs}, Failed: ${stats.failedJobs}, Pending: ${stats.pendingJobs}`);
+  const results = await Promise.all(createdJobs.map(async (job) => {
+    const result = await followJob(job);
+    console.log(`\n--- Job ${job.jobName} ended: ${result.status} (exit code ${result.exitCode}) ---`);
+    return result;
+  }));
 
-    console.log(`Max concurrent jobs limit: ${process.env.MAX_CONCURRENT_JOBS || 'Not set'}`);
-    console.log(`Current running jobs: ${stats.runningJobs}`);
+  const stats = await getStats();
 
-    allCompleted = jobs.every(job => job.status === 'completed' || job.status === 'failed');
-
-    if (allCompleted) {
-      console.log('\n--- All jobs completed! ---');
-      console.log('Final stats:', stats);
-    }
-  }
+  console.log('\n--- All jobs completed! ---');
+  console.log(`Completed: ${results.filter(result => result.status === 'completed').length}/${results.length}`);
+  console.log('Final stats:', stats);
 }
 
 runTest().catch(error => {
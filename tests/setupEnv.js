@@ -0,0 +1,8 @@
+/**
+ * Environment of the test runs, applied before the config is loaded
+ */
+import os from 'os';
+import path from 'path';
+
+// Job logs go to a temporary directory instead of the logs of the repository
+process.env.JOB_LOGS_DIR = path.join(os.tmpdir(), `jobs-concurrency-logs-${process.pid}`);
@@ -0,0 +1,37 @@
+/**
+ * Unit-tests for the DAG utilities
+ */
+import { findCycle, topologicalSort } from '../../src/utils/dag/index.js';
+
+describe('dag utils', () => {
+  test('Have to order every node after the nodes it depends on', () => {
+    const dependencies = new Map([
+      ['upload', ['resize', 'thumbnail']],
+      ['resize', ['download']],
+      ['thumbnail', ['download']],
+      ['download', []]
+    ]);
+
+    expect(topologicalSort(dependencies)).toEqual({
+      order: ['download', 'resize', 'thumbnail', 'upload'],
+      cycle: null
+    });
+  });
+
+  test('Have to ignore dependencies outside the graph', () => {
+    expect(topologicalSort(new Map([['b', ['a']], ['c', ['external']]])).order).toEqual(['b', 'c']);
+  });
+
+  test('Have to report a cycle instead of an order', () => {
+    const dependencies = new Map([
+      ['a', []],
+      ['b', ['a', 'd']],
+      ['c', ['b']],
+      ['d', ['c']]
+    ]);
+
+    expect(topologicalSort(dependencies)).toEqual({ order: null, cycle: ['b', 'd', 'c', 'b'] });
+    expect(findCycle(new Map([['a', ['a']]]))).toEqual(['a', 'a']);
+    expect(findCycle(new Map([['a', []], ['b', ['a']]]))).toBeNull();
+  });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit-tests for FileJobStore
+ */
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileJobStore } from '../../src/stores/index.js';
+
+let tmpDir;
+let filePath;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-store-'));
+  filePath = path.join(tmpDir, 'jobs.jsonl');
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('FileJobStore', () => {
+  test('Have to load the latest record of each job after a restart', () => {
+    const store = new FileJobStore(filePath);
+    store.load();
+    store.save({ id: '1', jobName: 'a', status: 'pending' });
+    store.save({ id: '1', jobName: 'a', status: 'running' });
+    store.save({ id: '2', jobName: 'b', status: 'pending' });
+    store.delete('2');
+    
+    const records = new FileJobStore(filePath).load();
+    
+    expect(records).toEqual([{ id: '1', jobName: 'a', status: 'running' }]);
+  });
+  
+  test('Have to skip a truncated last line', () => {
+    fs.writeFileSync(filePath, `${JSON.stringify({ op: 'save', record: { id: '1' } })}\n{"op":"save","rec`);
+    
+    const records = new FileJobStore(filePath).load();
+    
+    expect(records).toEqual([{ id: '1' }]);
+  });
+  
+  test('Have to compact the journal on load', () => {
+    const store = new FileJobStore(filePath);
+    store.load();
+    for (let i = 0; i < 5; i++) {
+      store.save({ id: '1', retryCount: i });
+    }
+    
+    new FileJobStore(filePath).load();
+    
+    expect(fs.readFileSync(filePath, 'utf8').trim().split('\n')).toHaveLength(1);
+  });
+  
+  test('Have to remove all records on clear', () => {
+    const store = new FileJobStore(filePath);
+    store.save({ id: '1' });
+    store.clear();
+    
+    expect(new FileJobStore(filePath).load()).toEqual([]);
+  });
+});
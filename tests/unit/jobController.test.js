@@ -7,8 +7,18 @@ const mockCreateJob = jest.fn();
 const mockGetFilteredJobs = jest.fn();
 const mockGetJobById = jest.fn();
 const mockGetJobStats = jest.fn();
+const mockGetJobCorrelations = jest.fn();
+const mockGetPredictionModel = jest.fn();
 const mockUpdateJobPriority = jest.fn();
 const mockDeleteJob = jest.fn();
+const mockPauseJob = jest.fn();
+const mockResumeJob = jest.fn();
+const mockCancelJob = jest.fn();
+const mockRescheduleJob = jest.fn();
+const mockGetJobLogs = jest.fn();
+const mockGetJobAttempts = jest.fn();
+const mockGetJobWebhooks = jest.fn();
+const mockSubscribeToJobLogs = jest.fn();
 
 jest.unstable_mockModule('../../src/services/jobService.js', () => ({
   jobService: {
@@ -16,11 +26,39 @@ jest.unstable_mockModule('../../src/services/jobService.js', () => ({
     getFilteredJobs: mockGetFilteredJobs,
     getJobById: mockGetJobById,
     getJobStats: mockGetJobStats,
+    getJobCorrelations: mockGetJobCorrelations,
+    getPredictionModel: mockGetPredictionModel,
     updateJobPriority: mockUpdateJobPriority,
-    deleteJob: mockDeleteJob
+    deleteJob: mockDeleteJob,
+    pauseJob: mockPauseJob,
+    resumeJob: mockResumeJob,
+    cancelJob: mockCancelJob,
+    rescheduleJob: mockRescheduleJob,
+    getJobLogs: mockGetJobLogs,
+    getJobAttempts: mockGetJobAttempts,
+    getJobWebhooks: mockGetJobWebhooks,
+    subscribeToJobLogs: mockSubscribeToJobLogs
   }
 }));
 
+const mockValidateArgs = jest.fn(() => []);
+
+jest.unstable_mockModule('../../src/services/jobTypeService.js', () => ({
+  jobTypeService: {
+    has: jest.fn(name => name === 'test-job' || name === 'dummy'),
+    getNames: jest.fn(() => ['dummy', 'test-job']),
+    validateArgs: mockValidateArgs
+  }
+}));
+
+jest.unstable_mockModule('../../src/services/queueService.js', () => ({
+  queueService: {
+    has: jest.fn(name => name === 'default' || name === 'transcode'),
+    getNames: jest.fn(() => ['default', 'transcode'])
+  },
+  DEFAULT_QUEUE: 'default'
+}));
+
 const { JobController } = await import('../../src/controllers/jobController.js');
 
 describe('JobController', () => {
@@ -54,6 +92,34 @@ describe('JobController', () => {
       expect(mockCreateJob).not.toHaveBeenCalled();
     });
     
+    test('Have to return code 400 if the request has no body', () => {
+      req.body = undefined;
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Job name is required',
+        code: 400,
+        errors: [{ field: 'jobName', message: 'Job name is required' }]
+      });
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 if the body is not an object', () => {
+      req.body = [{ jobName: 'test-job' }];
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Job must be an object',
+        code: 400,
+        errors: [{ field: 'body', message: 'Job must be an object' }]
+      });
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
     test('Have to create a job and return code 201', () => {
       const mockJob = {
         id: '123',
@@ -68,7 +134,7 @@ describe('JobController', () => {
       
       JobController.createJob(req, res);
       
-      expect(mockCreateJob).toHaveBeenCalledWith('test-job', ['arg1'], expect.any(Number));
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', ['arg1'], undefined, expect.any(Object));
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         job: mockJob
@@ -90,13 +156,241 @@ describe('JobController', () => {
       
       JobController.createJob(req, res);
       
-      expect(mockCreateJob).toHaveBeenCalledWith('test-job', ['arg1'], 5);
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', ['arg1'], 5, expect.any(Object));
       expect(res.status).toHaveBeenCalledWith(201);
       expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
         job: mockJob
       }));
     });
     
+    test('Have to pass timeoutMs to the service', () => {
+      req.body = { jobName: 'test-job', timeoutMs: 5000 };
+      mockCreateJob.mockReturnValue({ id: '123', jobName: 'test-job', timeoutMs: 5000 });
+      
+      JobController.createJob(req, res);
+      
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', [], undefined, { timeoutMs: 5000, type: 'test-job', namedArgs: {}, runAt: null });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+    
+    test('Have to return code 400 if timeoutMs is invalid', () => {
+      req.body = { jobName: 'test-job', timeoutMs: -1 };
+      
+      JobController.createJob(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'timeoutMs must be a positive integer'
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 if the retry policy is invalid', () => {
+      req.body = { jobName: 'test-job', retryPolicy: { attempts: 'many', retryOn: { exceptExitCodes: [2] } } };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'retryPolicy/attempts must be a non-negative integer',
+        errors: [{ field: 'retryPolicy/attempts', message: 'retryPolicy/attempts must be a non-negative integer' }]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 if a webhook is invalid', () => {
+      req.body = { jobName: 'test-job', webhooks: [{ url: 'not-a-url', events: ['completed'] }] };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'webhooks/0/url', message: 'webhooks/0/url must be an http or https URL' }]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 if a webhook points to a link-local address', () => {
+      req.body = { jobName: 'test-job', webhooks: [{ url: 'http://169.254.169.254/latest/meta-data' }] };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'webhooks/0/url', message: 'webhooks/0/url must not point to a loopback, private or link-local address' }]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to pass webhooks to the service', () => {
+      const webhooks = [{ url: 'https://example.com/hooks', events: ['completed', 'failed'] }];
+      req.body = { jobName: 'test-job', webhooks };
+      mockCreateJob.mockReturnValue({ id: '123', jobName: 'test-job' });
+
+      JobController.createJob(req, res);
+
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', [], undefined, expect.objectContaining({ webhooks }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('Have to return code 400 if an upstream job does not exist', () => {
+      req.body = { jobName: 'test-job', dependsOn: ['123', 'missing'] };
+      mockGetJobById.mockImplementation(id => (id === '123' ? { id } : null));
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'dependsOn', message: 'Unknown upstream jobs: missing' }]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to pass upstream jobs to the service', () => {
+      req.body = { jobName: 'test-job', dependsOn: ['123'] };
+      mockGetJobById.mockReturnValue({ id: '123' });
+      mockCreateJob.mockReturnValue({ id: '456', jobName: 'test-job' });
+
+      JobController.createJob(req, res);
+
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', [], undefined, expect.objectContaining({ dependsOn: ['123'] }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('Have to pass the queue to the service and leave the priority to it', () => {
+      req.body = { jobName: 'test-job', queue: 'transcode' };
+      mockCreateJob.mockReturnValue({ id: '123', jobName: 'test-job', queue: 'transcode' });
+
+      JobController.createJob(req, res);
+
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', [], undefined, expect.objectContaining({ queue: 'transcode' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('Have to return code 400 for an unknown queue', () => {
+      req.body = { jobName: 'test-job', queue: 'gpu' };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'queue', message: 'Unknown queue: gpu. Valid queues are: default, transcode' }]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to pass delayMs to the service as the time the job runs at', () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T12:00:00.000Z') });
+      req.body = { jobName: 'test-job', delayMs: 60000 };
+      mockCreateJob.mockReturnValue({ id: '123', jobName: 'test-job', status: 'scheduled' });
+
+      JobController.createJob(req, res);
+      jest.useRealTimers();
+
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', [], undefined, expect.objectContaining({ runAt: '2025-01-01T12:01:00.000Z' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('Have to return code 400 if both runAt and delayMs are set', () => {
+      req.body = { jobName: 'test-job', runAt: '2025-01-02T01:00:00Z', delayMs: 1000 };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ field: 'runAt', message: 'Only one of runAt and delayMs can be set' }]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to pass an explicit type to the service', () => {
+      req.body = { jobName: 'nightly-report', type: 'dummy' };
+      mockCreateJob.mockReturnValue({ id: '123', jobName: 'nightly-report', type: 'dummy' });
+
+      JobController.createJob(req, res);
+
+      expect(mockCreateJob).toHaveBeenCalledWith('nightly-report', [], undefined, expect.objectContaining({ type: 'dummy' }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test('Have to return code 400 listing the valid types if the job type is unknown', () => {
+      req.body = { jobName: 'unknown-job' };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Unknown job type: unknown-job. Valid types are: dummy, test-job',
+        validTypes: ['dummy', 'test-job']
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 if args contain objects', () => {
+      req.body = { jobName: 'test-job', args: ['ok', { nested: true }] };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'args/1 must be a string, number or boolean'
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 if args refer to outputs outside a workflow', () => {
+      req.body = { jobName: 'test-job', args: ['${{ jobs.decode.outputs.path }}'], namedArgs: { size: '${{ jobs.probe.outputs.size }}' } };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors).toEqual([
+        { field: 'args/0', message: 'args/0 refers to output path of decode, outputs can only be referenced within a workflow' },
+        { field: 'namedArgs/size', message: 'namedArgs/size refers to output size of probe, outputs can only be referenced within a workflow' }
+      ]);
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to list every violation of the request', () => {
+      req.body = { jobName: 'test-job', args: 'not-an-array', namedArgs: { 'bad key': 1 }, priority: 10 };
+
+      JobController.createJob(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json.mock.calls[0][0].errors).toEqual([
+        { field: 'priority', message: 'priority must be an integer between 1 and 5' },
+        { field: 'args', message: 'args must be an array' },
+        { field: 'namedArgs/bad key', message: 'namedArgs/bad key is not a valid flag name' }
+      ]);
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 with the violations of the argument schema', () => {
+      const violation = { field: 'namedArgs/quality', message: 'namedArgs/quality must be <= 100', keyword: 'maximum' };
+      req.body = { jobName: 'test-job', args: ['a'], namedArgs: { quality: 101 } };
+      mockValidateArgs.mockReturnValueOnce([violation]);
+
+      JobController.createJob(req, res);
+
+      expect(mockValidateArgs).toHaveBeenCalledWith('test-job', ['a'], { quality: 101 });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'namedArgs/quality must be <= 100',
+        errors: [violation]
+      }));
+      expect(mockCreateJob).not.toHaveBeenCalled();
+    });
+
+    test('Have to pass named args to the service', () => {
+      req.body = { jobName: 'test-job', namedArgs: { quality: 90 } };
+      mockCreateJob.mockReturnValue({ id: '123', jobName: 'test-job' });
+
+      JobController.createJob(req, res);
+
+      expect(mockCreateJob).toHaveBeenCalledWith('test-job', [], undefined, expect.objectContaining({ namedArgs: { quality: 90 } }));
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
     test('Have to catch errors and return code 500', () => {
       req.body = { jobName: 'test-job' };
       mockCreateJob.mockImplementation(() => {
@@ -297,6 +591,25 @@ describe('JobController', () => {
       expect(res.json).toHaveBeenCalledWith(mockResult);
     });
     
+    test('Have to filter jobs by classification and exit code', () => {
+      req.query = { classification: 'oom_killed', exitCode: '137' };
+      mockGetFilteredJobs.mockReturnValue({ jobs: [], total: 0 });
+
+      JobController.getAllJobs(req, res);
+
+      expect(mockGetFilteredJobs).toHaveBeenCalledWith(expect.objectContaining({ classification: 'oom_killed', exitCode: 137 }));
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test('Have to return code 400 for an unknown classification', () => {
+      req.query = { classification: 'crashed' };
+
+      JobController.getAllJobs(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockGetFilteredJobs).not.toHaveBeenCalled();
+    });
+
     test('Have to catch/manage errors and return code 500', () => {
       mockGetFilteredJobs.mockImplementation(() => {
         throw new Error('Test error');
@@ -338,6 +651,158 @@ describe('JobController', () => {
     });
   });
   
+  describe('getJobAttempts', () => {
+    test('Have to return the attempts of a job', () => {
+      const mockAttempts = [{ attempt: 1, exitCode: 1, failureReason: 'non_zero_exit' }, { attempt: 2, exitCode: 0, failureReason: null }];
+
+      req.params = { id: '123' };
+      mockGetJobAttempts.mockReturnValue(mockAttempts);
+
+      JobController.getJobAttempts(req, res);
+
+      expect(mockGetJobAttempts).toHaveBeenCalledWith('123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ jobId: '123', total: 2, attempts: mockAttempts });
+    });
+
+    test('Have to return code 404 if job not found', () => {
+      req.params = { id: 'non-existent-id' };
+      mockGetJobAttempts.mockReturnValue(null);
+
+      JobController.getJobAttempts(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getJobWebhooks', () => {
+    test('Have to return the webhooks and deliveries of a job', () => {
+      const webhooks = [{ url: 'https://example.com/hooks', events: ['any'] }];
+      const deliveries = [{ id: 'd1', event: 'running', status: 'delivered', attempts: [{ attempt: 1, statusCode: 200 }] }];
+
+      req.params = { id: '123' };
+      mockGetJobWebhooks.mockReturnValue({ webhooks, globalWebhooks: [], deliveries });
+
+      JobController.getJobWebhooks(req, res);
+
+      expect(mockGetJobWebhooks).toHaveBeenCalledWith('123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ jobId: '123', webhooks, globalWebhooks: [], total: 1, deliveries });
+    });
+
+    test('Have to return code 404 if job not found', () => {
+      req.params = { id: 'non-existent-id' };
+      mockGetJobWebhooks.mockReturnValue(null);
+
+      JobController.getJobWebhooks(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+
+  describe('getJobLogs', () => {
+    test('Have to return filtered log lines', () => {
+      const mockLines = [{ time: new Date().toISOString(), attempt: 2, stream: 'stderr', line: 'oops' }];
+      
+      req.params = { id: '123' };
+      req.query = { stream: 'stderr', attempt: '2', tail: '10' };
+      mockGetJobLogs.mockReturnValue(mockLines);
+      
+      JobController.getJobLogs(req, res);
+      
+      expect(mockGetJobLogs).toHaveBeenCalledWith('123', {
+        stream: 'stderr', attempt: 2, tail: 10, since: undefined
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith({ jobId: '123', total: 1, lines: mockLines });
+    });
+    
+    test('Have to return code 400 for an unknown stream', () => {
+      req.params = { id: '123' };
+      req.query = { stream: 'stdin' };
+      
+      JobController.getJobLogs(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockGetJobLogs).not.toHaveBeenCalled();
+    });
+    
+    test('Have to return code 404 if job is not found', () => {
+      req.params = { id: '999' };
+      mockGetJobLogs.mockReturnValue(null);
+      
+      JobController.getJobLogs(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+  });
+  
+  describe('streamJobLogs', () => {
+    const logLine = { time: '2025-01-01T12:00:00.000Z', attempt: 1, stream: 'stdout', line: 'hello' };
+    
+    beforeEach(() => {
+      req.on = jest.fn();
+      res.set = jest.fn().mockReturnThis();
+      res.flushHeaders = jest.fn();
+      res.write = jest.fn();
+      res.end = jest.fn();
+    });
+    
+    test('Have to replay history and end right away for a finished job', () => {
+      req.params = { id: '123' };
+      mockGetJobById.mockReturnValue({ id: '123', status: 'completed', exitCode: 0, completedAt: '2025-01-01T12:00:01.000Z' });
+      mockGetJobLogs.mockReturnValue([logLine]);
+      
+      JobController.streamJobLogs(req, res);
+      
+      expect(res.set).toHaveBeenCalledWith(expect.objectContaining({ 'Content-Type': 'text/event-stream' }));
+      expect(res.write).toHaveBeenNthCalledWith(1, `event: log\ndata: ${JSON.stringify(logLine)}\n\n`);
+      expect(res.write).toHaveBeenNthCalledWith(2, expect.stringContaining('event: end'));
+      expect(res.write).toHaveBeenNthCalledWith(2, expect.stringContaining('"exitCode":0'));
+      expect(res.end).toHaveBeenCalled();
+      expect(mockSubscribeToJobLogs).not.toHaveBeenCalled();
+    });
+    
+    test('Have to push new lines and the end event of a running job', () => {
+      const unsubscribe = jest.fn();
+      let handlers;
+      
+      req.params = { id: '123' };
+      mockGetJobById.mockReturnValue({ id: '123', status: 'running', completedAt: null });
+      mockGetJobLogs.mockReturnValue([]);
+      mockSubscribeToJobLogs.mockImplementation((id, subscribed) => {
+        handlers = subscribed;
+        return unsubscribe;
+      });
+      
+      JobController.streamJobLogs(req, res);
+      
+      expect(res.end).not.toHaveBeenCalled();
+      
+      handlers.onLine(logLine);
+      handlers.onEnd({ jobId: '123', status: 'failed', exitCode: 1 });
+      
+      expect(res.write).toHaveBeenCalledWith(expect.stringContaining('"line":"hello"'));
+      expect(res.write).toHaveBeenLastCalledWith(expect.stringContaining('event: end'));
+      expect(res.end).toHaveBeenCalled();
+      
+      // Client disconnect unsubscribes
+      const closeHandler = req.on.mock.calls.find(([event]) => event === 'close')[1];
+      closeHandler();
+      expect(unsubscribe).toHaveBeenCalled();
+    });
+    
+    test('Have to return code 404 if job is not found', () => {
+      req.params = { id: '999' };
+      mockGetJobById.mockReturnValue(null);
+      
+      JobController.streamJobLogs(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.write).not.toHaveBeenCalled();
+    });
+  });
+  
   describe('getJobStats', () => {
     test('Have to return stats of jobs', () => {
       const mockStats = {
@@ -355,4 +820,192 @@ describe('JobController', () => {
       expect(res.json).toHaveBeenCalledWith(mockStats);
     });
   });
+  
+  describe('getJobStats with a time window', () => {
+    test('Have to pass the parsed window and bucket to the service', () => {
+      req.query = { from: '2025-01-01T00:00:00Z', to: '1735779600000', bucket: '1h' };
+      mockGetJobStats.mockReturnValue({});
+      
+      JobController.getJobStats(req, res);
+      
+      expect(mockGetJobStats).toHaveBeenCalledWith({
+        from: new Date('2025-01-01T00:00:00.000Z'),
+        to: new Date('2025-01-02T01:00:00.000Z'),
+        bucket: '1h'
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+    
+    test('Have to return code 400 if from is not a date', () => {
+      req.query = { from: 'yesterday' };
+      
+      JobController.getJobStats(req, res);
+      
+      expect(mockGetJobStats).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'from must be an ISO 8601 date or a Unix timestamp in milliseconds',
+        code: 400
+      });
+    });
+    
+    test('Have to return code 400 if from is not before to', () => {
+      req.query = { from: '2025-01-02', to: '2025-01-01' };
+      
+      JobController.getJobStats(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({ message: 'from must be before to', code: 400 });
+    });
+    
+    test('Have to return code 400 if bucket is invalid', () => {
+      req.query = { bucket: '1w' };
+      
+      JobController.getJobStats(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'bucket must be a positive integer followed by s, m, h or d, e.g. 1m, 1h or 1d',
+        code: 400
+      });
+    });
+    
+    test('Have to return code 400 if the window has too many buckets', () => {
+      req.query = { from: '2025-01-01', to: '2025-01-02', bucket: '1s' };
+      
+      JobController.getJobStats(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'bucket 1s splits the window into 86400 buckets, at most 1000 are allowed',
+        code: 400
+      });
+    });
+  });
+  
+  describe('getJobCorrelations', () => {
+    test('Have to return the correlations of job characteristics', () => {
+      const mockCorrelations = { sampleSize: 10, correlations: [] };
+      
+      mockGetJobCorrelations.mockReturnValue(mockCorrelations);
+      
+      JobController.getJobCorrelations(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(mockCorrelations);
+    });
+  });
+  
+  describe('getPredictionModel', () => {
+    test('Have to return the prediction model', () => {
+      const mockModel = { type: 'naive-bayes', trained: false, features: [] };
+      
+      mockGetPredictionModel.mockReturnValue(mockModel);
+      
+      JobController.getPredictionModel(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(mockModel);
+    });
+  });
+  
+  describe('pauseJobById', () => {
+    test('Should return 200 with the paused job', () => {
+      const mockJob = { id: '123', status: 'paused' };
+      req.params = { id: '123' };
+      mockPauseJob.mockReturnValue({ success: true, job: mockJob });
+      
+      JobController.pauseJobById(req, res);
+      
+      expect(mockPauseJob).toHaveBeenCalledWith('123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Job paused successfully',
+        job: mockJob
+      }));
+    });
+    
+    test('Should return 400 when job cannot be paused due to its status', () => {
+      req.params = { id: '123' };
+      mockPauseJob.mockReturnValue({ success: false, reason: 'invalid_status', status: 'completed' });
+      
+      JobController.pauseJobById(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: expect.stringContaining('cannot be paused'),
+        code: 400
+      }));
+    });
+  });
+  
+  describe('resumeJobById', () => {
+    test('Should return 404 when job is not found', () => {
+      req.params = { id: '999' };
+      mockResumeJob.mockReturnValue({ success: false, reason: 'not_found' });
+      
+      JobController.resumeJobById(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: expect.stringContaining('Job with ID 999 not found')
+      }));
+    });
+  });
+  
+  describe('cancelJobById', () => {
+    test('Should return 200 with the cancelled job', () => {
+      const mockJob = { id: '123', status: 'stopping' };
+      req.params = { id: '123' };
+      mockCancelJob.mockReturnValue({ success: true, job: mockJob });
+      
+      JobController.cancelJobById(req, res);
+      
+      expect(mockCancelJob).toHaveBeenCalledWith('123');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Job cancelled successfully'
+      }));
+    });
+    
+    test('Should return 500 when signalling the process fails', () => {
+      req.params = { id: '123' };
+      mockCancelJob.mockReturnValue({ success: false, reason: 'error', message: 'kill EPERM' });
+      
+      JobController.cancelJobById(req, res);
+      
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'kill EPERM',
+        code: 500
+      }));
+    });
+  });
+
+  describe('rescheduleJobById', () => {
+    test('Should return 200 with the rescheduled job', () => {
+      const mockJob = { id: '123', status: 'scheduled', runAt: '2025-01-02T01:00:00.000Z' };
+      req.params = { id: '123' };
+      req.body = { runAt: '2025-01-02T01:00:00Z' };
+      mockRescheduleJob.mockReturnValue({ success: true, job: mockJob });
+
+      JobController.rescheduleJobById(req, res);
+
+      expect(mockRescheduleJob).toHaveBeenCalledWith('123', '2025-01-02T01:00:00.000Z');
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'Job rescheduled successfully',
+        job: mockJob
+      }));
+    });
+
+    test('Should return 400 when neither runAt nor delayMs is set', () => {
+      req.params = { id: '123' };
+
+      JobController.rescheduleJobById(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(mockRescheduleJob).not.toHaveBeenCalled();
+    });
+  });
 });
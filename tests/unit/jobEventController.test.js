@@ -0,0 +1,167 @@
+/**
+ * Unit-tests for jobEventController, over a local WebSocket server
+ */
+import { jest } from '@jest/globals';
+import net from 'net';
+import { once } from 'events';
+import { WebSocketServer, WebSocket } from 'ws';
+import { jobEventService, JobEventType } from '../../src/services/jobEventService.js';
+import { Job } from '../../src/models/job.js';
+
+jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  jobService: {
+    subscribeToJobEvents: (listener, filter) => jobEventService.subscribe(listener, filter)
+  }
+}));
+
+const { JobEventController } = await import('../../src/controllers/jobEventController.js');
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+let server;
+let baseUrl;
+let clients;
+
+/**
+ * Connects a client and collects the messages it receives
+ * @param {string} [query=''] - Query of the connection URL
+ * @returns {Promise<{socket: WebSocket, messages: Object[]}>} - Open client
+ */
+const connect = async (query = '') => {
+  const socket = new WebSocket(`${baseUrl}${query}`);
+  const messages = [];
+  socket.on('message', data => messages.push(JSON.parse(data.toString())));
+  clients.push(socket);
+  await new Promise((resolve, reject) => {
+    socket.on('open', resolve);
+    socket.on('error', reject);
+  });
+  return { socket, messages };
+};
+
+/**
+ * Waits until a client received a number of messages
+ * @param {Object[]} messages - Messages of the client
+ * @param {number} count - Number of messages to wait for
+ */
+const waitForMessages = async (messages, count) => {
+  const deadline = Date.now() + 2000;
+  while (messages.length < count) {
+    if (Date.now() > deadline) {
+      throw new Error(`Received ${messages.length} of ${count} messages`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  server = new WebSocketServer({ port: 0, host: '127.0.0.1', path: '/events' });
+  server.on('connection', JobEventController.handleConnection);
+  await new Promise(resolve => server.on('listening', resolve));
+  baseUrl = `ws://127.0.0.1:${server.address().port}/events`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  clients = [];
+});
+
+afterEach(async () => {
+  await Promise.all(clients.map(socket => new Promise((resolve) => {
+    socket.on('close', resolve);
+    socket.close();
+  })));
+  jobEventService.clear();
+});
+
+describe('JobEventController', () => {
+  test('Have to stream the events matching the filter of the connection URL', async () => {
+    const { messages } = await connect('?jobName=wanted&type=job.created,job.deleted');
+    await waitForMessages(messages, 1);
+
+    jobEventService.publish(JobEventType.CREATED, new Job('other', [], { logger: silentLogger }));
+    jobEventService.publish(JobEventType.CREATED, new Job('wanted', [], { logger: silentLogger }));
+    await waitForMessages(messages, 2);
+
+    expect(messages[0]).toEqual({
+      type: 'subscribed',
+      filter: { jobNames: ['wanted'], types: ['job.created', 'job.deleted'] }
+    });
+    expect(messages[1]).toEqual(expect.objectContaining({ type: 'job.created', jobName: 'wanted' }));
+    expect(messages).toHaveLength(2);
+  });
+
+  test('Have to replace the filter on a subscribe message', async () => {
+    const { socket, messages } = await connect();
+    await waitForMessages(messages, 1);
+    const job = new Job('event-job', [], { logger: silentLogger });
+
+    socket.send(JSON.stringify({ type: 'subscribe', filter: { jobIds: [job.id] } }));
+    await waitForMessages(messages, 2);
+    jobEventService.publish(JobEventType.CREATED, new Job('other', [], { logger: silentLogger }));
+    jobEventService.publish(JobEventType.DELETED, job);
+    await waitForMessages(messages, 3);
+
+    expect(messages[1]).toEqual({ type: 'subscribed', filter: { jobIds: [job.id] } });
+    expect(messages[2]).toEqual(expect.objectContaining({ type: 'job.deleted', jobId: job.id }));
+    expect(jobEventService.subscriberCount).toBe(1);
+  });
+
+  test('Have to answer an invalid subscription with an error and keep the previous one', async () => {
+    const { socket, messages } = await connect('?status=running');
+    await waitForMessages(messages, 1);
+
+    socket.send(JSON.stringify({ type: 'subscribe', filter: { statuses: ['done'] } }));
+    socket.send('not json');
+    await waitForMessages(messages, 3);
+
+    expect(messages[1]).toEqual(expect.objectContaining({ type: 'error', message: expect.stringContaining('statuses must only contain') }));
+    expect(messages[2]).toEqual(expect.objectContaining({ type: 'error', message: 'Messages must be JSON' }));
+    expect(jobEventService.subscriberCount).toBe(1);
+  });
+
+  test('Have to drop a client sending an invalid frame and keep serving the others', async () => {
+    const raw = net.connect(server.address().port, '127.0.0.1');
+    raw.write([
+      'GET /events HTTP/1.1',
+      'Host: 127.0.0.1',
+      'Upgrade: websocket',
+      'Connection: Upgrade',
+      'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+      'Sec-WebSocket-Version: 13',
+      '',
+      ''
+    ].join('\r\n'));
+    const [handshake] = await once(raw, 'data');
+    expect(handshake.toString()).toMatch(/^HTTP\/1\.1 101/);
+
+    // Frame with the reserved opcode 0x3
+    raw.write(Buffer.from([0x83, 0x01, 0x41]));
+    raw.resume();
+    await once(raw, 'close');
+
+    const { messages } = await connect();
+    await waitForMessages(messages, 1);
+    expect(messages[0]).toEqual(expect.objectContaining({ type: 'subscribed' }));
+  });
+
+  test('Have to unsubscribe when the client disconnects', async () => {
+    const { socket, messages } = await connect();
+    await waitForMessages(messages, 1);
+
+    await new Promise((resolve) => {
+      socket.on('close', resolve);
+      socket.close();
+    });
+    clients = [];
+    const deadline = Date.now() + 2000;
+    while (jobEventService.subscriberCount > 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    expect(jobEventService.subscriberCount).toBe(0);
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Unit-tests for jobEventService
+ */
+import { jobEventService, JobEventType, validateEventFilter } from '../../src/services/jobEventService.js';
+import { Job, JobStatus } from '../../src/models/job.js';
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+/**
+ * Creates a job that publishes its status changes
+ * @param {string} [jobName='event-job'] - Name of the job
+ * @returns {Job} - Job
+ */
+const createJob = (jobName = 'event-job') => new Job(jobName, [], {
+  logger: silentLogger,
+  onStatusChange: (job, previousStatus) => jobEventService.publishStatusChange(job, previousStatus)
+});
+
+afterEach(() => {
+  jobEventService.clear();
+});
+
+describe('JobEventService', () => {
+  test('Have to publish an event for every status transition with one', () => {
+    const events = [];
+    jobEventService.subscribe(event => events.push(event));
+    const job = createJob();
+
+    job.updateStatus(JobStatus.RUNNING);
+    job.updateStatus(JobStatus.RETRY_SCHEDULED);
+    job.updateStatus(JobStatus.PENDING);
+    job.updateStatus(JobStatus.RUNNING);
+    job.updateStatus(JobStatus.PAUSED);
+    job.updateStatus(JobStatus.RUNNING);
+    job.updateStatus(JobStatus.TIMED_OUT);
+
+    expect(events.map(event => event.type)).toEqual([
+      JobEventType.STARTED,
+      JobEventType.RETRIED,
+      JobEventType.STARTED,
+      JobEventType.PAUSED,
+      JobEventType.RESUMED,
+      JobEventType.FAILED
+    ]);
+    expect(events.map(event => event.sequence)).toEqual([1, 2, 3, 4, 5, 6]);
+    expect(events.at(-1)).toEqual(expect.objectContaining({
+      jobId: job.id,
+      jobName: 'event-job',
+      status: JobStatus.TIMED_OUT,
+      previousStatus: JobStatus.RUNNING,
+      job: expect.objectContaining({ id: job.id, status: JobStatus.TIMED_OUT })
+    }));
+  });
+
+  test('Have to deliver only the events matching every filter that is set', () => {
+    const events = [];
+    jobEventService.subscribe(event => events.push(event), { jobNames: ['wanted'], types: [JobEventType.COMPLETED, JobEventType.CREATED] });
+    const wanted = createJob('wanted');
+    const other = createJob('other');
+
+    jobEventService.publish(JobEventType.CREATED, wanted);
+    jobEventService.publish(JobEventType.CREATED, other);
+    wanted.updateStatus(JobStatus.RUNNING);
+    wanted.updateStatus(JobStatus.COMPLETED);
+    other.updateStatus(JobStatus.RUNNING);
+    other.updateStatus(JobStatus.COMPLETED);
+
+    expect(events.map(event => [event.type, event.jobName])).toEqual([
+      [JobEventType.CREATED, 'wanted'],
+      [JobEventType.COMPLETED, 'wanted']
+    ]);
+  });
+
+  test('Have to stop delivering events after unsubscribing', () => {
+    const events = [];
+    const unsubscribe = jobEventService.subscribe(event => events.push(event));
+    const job = createJob();
+
+    job.updateStatus(JobStatus.RUNNING);
+    unsubscribe();
+    job.updateStatus(JobStatus.COMPLETED);
+
+    expect(events).toHaveLength(1);
+    expect(jobEventService.subscriberCount).toBe(0);
+  });
+
+  test('Have to keep a failing subscriber from breaking the transition', () => {
+    const events = [];
+    jobEventService.subscribe(() => { throw new Error('boom'); });
+    jobEventService.subscribe(event => events.push(event));
+    const job = createJob();
+
+    expect(() => job.updateStatus(JobStatus.RUNNING)).not.toThrow();
+    expect(job.status).toBe(JobStatus.RUNNING);
+    expect(events).toHaveLength(1);
+  });
+
+  test('Have to report every invalid filter', () => {
+    const violations = validateEventFilter({ statuses: ['done'], types: 'job.created', names: ['x'] });
+
+    expect(violations.map(violation => violation.field)).toEqual(['statuses', 'types', 'names']);
+    expect(validateEventFilter([])).toEqual([{ field: 'filter', message: 'filter must be an object' }]);
+    expect(validateEventFilter({ jobIds: ['1'], statuses: ['failed'], types: ['job.deleted'] })).toEqual([]);
+  });
+});
@@ -0,0 +1,177 @@
+/**
+ * Unit-tests for jobLogService
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { jobLogService } from '../../src/services/jobLogService.js';
+import { config } from '../../src/config/index.js';
+
+const JOB_ID = 'job-log-test';
+
+/**
+ * Creates a fake child process with writable stdout/stderr
+ * @returns {Object} - Fake child process
+ */
+const createChildProcess = () => ({
+  pid: 12345,
+  stdout: new PassThrough(),
+  stderr: new PassThrough()
+});
+
+/**
+ * Ends the streams of a fake child process and waits until they are flushed
+ * @param {Object} child - Fake child process
+ */
+const endChildProcess = async (child) => {
+  const ended = Promise.all([child.stdout, child.stderr].map(stream => new Promise(resolve => stream.on('end', resolve))));
+  child.stdout.end();
+  child.stderr.end();
+  await ended;
+};
+
+/**
+ * Waits until the lines appended so far are written to disk
+ */
+const flush = () => new Promise(resolve => setTimeout(resolve, 50));
+
+beforeEach(() => {
+  jobLogService.clear();
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('JobLogService', () => {
+  test('Have to capture stdout and stderr line by line with attempt number', async () => {
+    const child = createChildProcess();
+    jobLogService.attach(JOB_ID, 1, child);
+    
+    child.stdout.write('first line\nsecond ');
+    child.stdout.write('line\nunterminated');
+    child.stderr.write('oops\n');
+    await endChildProcess(child);
+    
+    const lines = jobLogService.getLogs(JOB_ID);
+    
+    expect(lines.map(entry => entry.line)).toEqual(expect.arrayContaining([
+      'first line', 'second line', 'unterminated', 'oops'
+    ]));
+    expect(lines).toHaveLength(4);
+    expect(lines.every(entry => entry.attempt === 1 && entry.time)).toBe(true);
+  });
+  
+  test('Have to filter by stream, attempt and tail', () => {
+    jobLogService.append(JOB_ID, 'stdout', 1, ['a1', 'a2']);
+    jobLogService.append(JOB_ID, 'stderr', 1, ['e1']);
+    jobLogService.append(JOB_ID, 'stdout', 2, ['b1', 'b2', 'b3']);
+    
+    expect(jobLogService.getLogs(JOB_ID, { stream: 'stderr' }).map(entry => entry.line)).toEqual(['e1']);
+    expect(jobLogService.getLogs(JOB_ID, { attempt: 2 }).map(entry => entry.line)).toEqual(['b1', 'b2', 'b3']);
+    expect(jobLogService.getLogs(JOB_ID, { stream: 'stdout', tail: 3 }).map(entry => entry.line)).toEqual(['b1', 'b2', 'b3']);
+    expect(jobLogService.getLogs(JOB_ID, { tail: 0 })).toEqual([]);
+  });
+  
+  test('Have to filter by since', () => {
+    const [old] = jobLogService.append(JOB_ID, 'stdout', 1, ['old']);
+    const since = new Date(new Date(old.time).getTime() + 1).toISOString();
+    
+    expect(jobLogService.getLogs(JOB_ID, { since })).toEqual([]);
+  });
+  
+  test('Have to read evicted lines back from disk', () => {
+    const lines = Array.from({ length: 1010 }, (_, i) => `line ${i}`);
+    jobLogService.append(JOB_ID, 'stdout', 1, lines);
+    
+    const result = jobLogService.getLogs(JOB_ID);
+    
+    expect(result).toHaveLength(1010);
+    expect(result[0].line).toBe('line 0');
+    expect(result[1009].line).toBe('line 1009');
+  });
+
+  test('Should not read the file when the buffer holds the requested lines', async () => {
+    jobLogService.append(JOB_ID, 'stdout', 1, Array.from({ length: 1010 }, (_, i) => `line ${i}`));
+    jobLogService.append(JOB_ID, 'stderr', 2, ['retry failed']);
+    await flush();
+    jest.spyOn(fs, 'readFileSync');
+
+    expect(jobLogService.getLogs(JOB_ID, { tail: 5 }).map(entry => entry.line)).toEqual(['line 1006', 'line 1007', 'line 1008', 'line 1009', 'retry failed']);
+    expect(jobLogService.getLogs(JOB_ID, { attempt: 2 })).toHaveLength(1);
+    expect(fs.readFileSync).not.toHaveBeenCalled();
+
+    expect(jobLogService.getLogs(JOB_ID, { attempt: 1 })).toHaveLength(1010);
+    expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+  });
+
+  test('Have to tell whether an attempt logged to a stream', () => {
+    jobLogService.append(JOB_ID, 'stderr', 1, ['oops']);
+
+    expect(jobLogService.hasLogs(JOB_ID, { stream: 'stderr', attempt: 1 })).toBe(true);
+    expect(jobLogService.hasLogs(JOB_ID, { stream: 'stdout', attempt: 1 })).toBe(false);
+    expect(jobLogService.hasLogs(JOB_ID, { stream: 'stderr', attempt: 2 })).toBe(false);
+  });
+
+  test('Have to write the log file and close it when the job ends', async () => {
+    jobLogService.append(JOB_ID, 'stdout', 1, ['written']);
+    jobLogService.end(JOB_ID, { jobId: JOB_ID, status: 'completed', exitCode: 0 });
+    await flush();
+
+    const content = fs.readFileSync(path.join(config.JOB_LOGS_DIR, `${JOB_ID}.log`), 'utf8');
+    expect(JSON.parse(content)).toEqual(expect.objectContaining({ stream: 'stdout', attempt: 1, line: 'written' }));
+
+    // A later attempt opens the file again
+    jobLogService.append(JOB_ID, 'stdout', 2, ['again']);
+    jobLogService.end(JOB_ID, { jobId: JOB_ID, status: 'completed', exitCode: 0 });
+    await flush();
+
+    expect(fs.readFileSync(path.join(config.JOB_LOGS_DIR, `${JOB_ID}.log`), 'utf8').trim().split('\n')).toHaveLength(2);
+  });
+  
+  test('Have to delete the log of a job', async () => {
+    jobLogService.append(JOB_ID, 'stdout', 1, ['gone']);
+    jobLogService.deleteLogs(JOB_ID);
+    
+    expect(jobLogService.getLogs(JOB_ID)).toEqual([]);
+    await flush();
+    expect(fs.existsSync(path.join(config.JOB_LOGS_DIR, `${JOB_ID}.log`))).toBe(false);
+  });
+
+  test('Have to delete the logs of the jobs that no longer exist', async () => {
+    jobLogService.append(JOB_ID, 'stdout', 1, ['kept']);
+    jobLogService.append('removed-job', 'stdout', 1, ['gone']);
+    jobLogService.end(JOB_ID, {});
+    jobLogService.end('removed-job', {});
+    await flush();
+
+    expect(jobLogService.deleteLogsExcept(new Set([JOB_ID]))).toBe(1);
+    expect(fs.existsSync(path.join(config.JOB_LOGS_DIR, 'removed-job.log'))).toBe(false);
+    expect(jobLogService.getLogs(JOB_ID).map(entry => entry.line)).toEqual(['kept']);
+  });
+  
+  test('Have to notify subscribers about new lines and the end of the job', () => {
+    const onLine = jest.fn();
+    const onEnd = jest.fn();
+    jobLogService.subscribe(JOB_ID, { onLine, onEnd });
+    
+    jobLogService.append(JOB_ID, 'stdout', 1, ['live']);
+    jobLogService.end(JOB_ID, { jobId: JOB_ID, status: 'completed', exitCode: 0 });
+    jobLogService.append(JOB_ID, 'stdout', 1, ['after end']);
+    
+    expect(onLine).toHaveBeenCalledTimes(1);
+    expect(onLine).toHaveBeenCalledWith(expect.objectContaining({ line: 'live' }));
+    expect(onEnd).toHaveBeenCalledWith(expect.objectContaining({ exitCode: 0 }));
+  });
+  
+  test('Have to stop notifying after unsubscribe', () => {
+    const onLine = jest.fn();
+    const unsubscribe = jobLogService.subscribe(JOB_ID, { onLine, onEnd: jest.fn() });
+    
+    unsubscribe();
+    jobLogService.append(JOB_ID, 'stdout', 1, ['ignored']);
+    
+    expect(onLine).not.toHaveBeenCalled();
+  });
+});
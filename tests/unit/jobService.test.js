@@ -2,25 +2,100 @@
  * Unit-tests for jobService
  */
 import { jest } from '@jest/globals';
-import { JobStatus } from '../../src/models/job.js';
+import fs from 'fs';
+import { EventEmitter } from 'events';
+import { PassThrough } from 'stream';
+import { JobStatus, JobClassification } from '../../src/models/job.js';
+import { metricsService } from '../../src/services/metricsService.js';
 
-const mockRun = jest.fn();
-jest.unstable_mockModule('node-cmd', () => ({
-  default: {
-    run: mockRun
+// Fake processes started by the service, oldest first
+let mockChildren = [];
+
+/**
+ * Creates a fake child process that keeps running until the test calls exit()
+ * @returns {EventEmitter} - Fake child process
+ */
+const createChild = () => {
+  const child = new EventEmitter();
+  child.pid = 12345;
+  child.stdout = new PassThrough();
+  child.stderr = new PassThrough();
+  child.exit = (code, signal = null) => {
+    child.stdout.end();
+    child.stderr.end();
+    child.emit('close', code, signal);
+  };
+  mockChildren.push(child);
+  return child;
+};
+
+const mockSpawn = jest.fn();
+const childProcess = await import('child_process');
+jest.unstable_mockModule('child_process', () => ({
+  ...childProcess,
+  spawn: mockSpawn
+}));
+
+const mockKillProcessTree = jest.fn(() => [12345]);
+const mockSignalProcessTree = jest.fn(() => [12345]);
+const mockIsSameProcess = jest.fn(() => false);
+const mockGetOomKillCount = jest.fn(() => null);
+jest.unstable_mockModule('../../src/utils/process/index.js', () => ({
+  getProcessTree: jest.fn(() => [12345]),
+  signalProcessTree: mockSignalProcessTree,
+  killProcessTree: mockKillProcessTree,
+  getProcessStartTime: jest.fn(() => '2025-01-01T12:00:00.000Z'),
+  isSameProcess: mockIsSameProcess,
+  getOomKillCount: mockGetOomKillCount
+}));
+
+const mockJobType = {
+  name: 'test',
+  executable: '/opt/jobs/run-job',
+  args: [],
+  passJobName: true,
+  cwd: null,
+  env: {},
+  timeoutMs: null,
+  // Retries are immediate unless a test sets a backoff
+  retryPolicy: { initialDelayMs: 0 },
+  argsSchema: null
+};
+// Every job name is a registered type unless a test says otherwise
+const mockGetJobType = jest.fn(() => mockJobType);
+const mockValidateArgs = jest.fn(() => []);
+jest.unstable_mockModule('../../src/services/jobTypeService.js', () => ({
+  jobTypeService: {
+    get: mockGetJobType,
+    has: jest.fn(name => mockGetJobType(name) !== null),
+    getNames: jest.fn(() => ['test']),
+    validateArgs: mockValidateArgs
   }
 }));
 
+const { MemoryJobStore } = await import('../../src/stores/memoryJobStore.js');
+const mockStore = new MemoryJobStore();
+jest.unstable_mockModule('../../src/stores/index.js', () => ({
+  createJobStore: () => mockStore
+}));
+
 const { jobService } = await import('../../src/services/jobService.js');
+const { queueService } = await import('../../src/services/queueService.js');
+const { config } = await import('../../src/config/index.js');
+const originalConfig = { ...config };
 
 beforeEach(() => {
   jest.clearAllMocks();
   jobService.clearAllJobs();
+  mockGetJobType.mockReturnValue(mockJobType);
+  mockGetOomKillCount.mockReturnValue(null);
   
-  mockRun.mockImplementation((command, callback) => {
-    callback(null, 'Command executed successfully', null);
-    return { pid: 12345 };
-  });
+  mockChildren = [];
+  mockSpawn.mockImplementation(() => createChild());
+});
+
+afterEach(() => {
+  Object.assign(config, originalConfig);
 });
 
 describe('JobService', () => {
@@ -75,6 +150,717 @@ describe('JobService', () => {
         jobService.createJob(jobName, [], invalidPriority);
       }).toThrow('Invalid priority');
     });
+
+    test('Have to create a job with webhooks subscribed to any event by default', () => {
+      config.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+      const job = jobService.createJob('hooked-job', [], 3, {
+        webhooks: [{ url: 'http://127.0.0.1:9/hooks' }, { url: 'http://127.0.0.1:9/done', events: ['completed'] }]
+      });
+
+      expect(job.webhooks).toEqual([
+        { url: 'http://127.0.0.1:9/hooks', events: ['any'] },
+        { url: 'http://127.0.0.1:9/done', events: ['completed'] }
+      ]);
+      expect(jobService.getJobWebhooks(job.id)).toEqual(expect.objectContaining({
+        webhooks: job.webhooks,
+        globalWebhooks: []
+      }));
+      // The job started right away, which only the first webhook subscribes to
+      expect(jobService.getJobWebhooks(job.id).deliveries).toEqual([
+        expect.objectContaining({ event: 'running', url: 'http://127.0.0.1:9/hooks' })
+      ]);
+      expect(jobService.getJobWebhooks('missing')).toBeNull();
+    });
+
+    test('Have to throw error when a webhook is invalid', () => {
+      expect(() => {
+        jobService.createJob('bad-hook-job', [], 3, { webhooks: [{ url: 'https://example.com', events: ['done'] }] });
+      }).toThrow('Invalid webhooks: webhooks/0/events must be a non-empty array of');
+      expect(() => {
+        jobService.createJob('bad-hook-job', [], 3, { webhooks: [{ url: 'http://127.0.0.1:9/hooks' }] });
+      }).toThrow('Invalid webhooks: webhooks/0/url must not point to a loopback, private or link-local address');
+    });
+  });
+  
+  describe('process execution', () => {
+    test('Have to pass name and args as separate argv elements without a shell', () => {
+      const job = jobService.createJob('argv-job', ['two words', '; rm -rf /', '$(id)', 42]);
+
+      const [file, args, options] = mockSpawn.mock.calls[0];
+
+      expect(file).toBe('/opt/jobs/run-job');
+      expect(args).toEqual(['argv-job', 'two words', '; rm -rf /', '$(id)', '42']);
+      expect(options.shell).toBe(false);
+      expect(job.argv).toEqual([file, ...args]);
+      expect(job.toJSON().argv).toEqual([file, ...args]);
+    });
+
+    test('Have to start the executable of the job type with its args, cwd and env', () => {
+      mockGetJobType.mockReturnValue({
+        ...mockJobType,
+        args: ['--mode', 'fast'],
+        passJobName: false,
+        cwd: '/var/jobs',
+        env: { JOB_MODE: 'fast' }
+      });
+
+      const job = jobService.createJob('report', ['input.csv'], 3, { type: 'reporter' });
+
+      const [file, args, options] = mockSpawn.mock.calls[0];
+
+      expect(mockGetJobType).toHaveBeenCalledWith('reporter');
+      expect(job.type).toBe('reporter');
+      expect(file).toBe('/opt/jobs/run-job');
+      expect(args).toEqual(['--mode', 'fast', 'input.csv']);
+      expect(options.cwd).toBe('/var/jobs');
+      expect(options.env.JOB_MODE).toBe('fast');
+      expect(options.env.PATH).toBe(process.env.PATH);
+    });
+
+    test('Have to pass named args as flags before the positional args', () => {
+      const job = jobService.createJob('flags-job', ['input.csv'], 3, {
+        namedArgs: { quality: 90, verbose: true, dryRun: false, tag: ['a', 'b'], label: 'two words' }
+      });
+
+      const [, args] = mockSpawn.mock.calls[0];
+
+      expect(args).toEqual(['flags-job', '--quality=90', '--verbose', '--tag=a', '--tag=b', '--label=two words', 'input.csv']);
+      expect(job.toJSON().namedArgs).toEqual(expect.objectContaining({ quality: 90 }));
+    });
+
+    test('Have to throw error when the args do not match the schema of the job type', () => {
+      mockValidateArgs.mockReturnValueOnce([{ field: 'args/0', message: 'args/0 must be integer', keyword: 'type' }]);
+
+      expect(() => {
+        jobService.createJob('schema-job', ['abc']);
+      }).toThrow('Invalid job arguments: args/0 must be integer');
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+
+    test('Have to throw error when the job type is not registered', () => {
+      mockGetJobType.mockReturnValue(null);
+
+      expect(() => {
+        jobService.createJob('unknown-job');
+      }).toThrow('Unknown job type: unknown-job');
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+
+    test('Have to apply the retry policy of the job type', () => {
+      mockGetJobType.mockReturnValue({ ...mockJobType, retryPolicy: { attempts: 0 } });
+      const job = jobService.createJob('no-retry-job');
+
+      mockChildren.shift().exit(1);
+
+      expect(job.retryCount).toBe(0);
+      expect(job.status).toBe(JobStatus.FAILED);
+    });
+
+    test('Have to complete a job whose process exits with code 0', () => {
+      const job = jobService.createJob('exit-job');
+
+      mockChildren.shift().exit(0);
+
+      expect(job.status).toBe(JobStatus.COMPLETED);
+      expect(job.exitCode).toBe(0);
+    });
+
+    test('Have to retry and then fail a job whose process exits with a non-zero code', () => {
+      const job = jobService.createJob('exit-job');
+
+      mockChildren.shift().exit(2);
+
+      expect(job.retryCount).toBe(1);
+      expect(job.status).toBe(JobStatus.RUNNING);
+
+      mockChildren.shift().exit(2);
+
+      expect(job.status).toBe(JobStatus.FAILED);
+    });
+
+    test('Have to record every attempt with its own outcome', () => {
+      const job = jobService.createJob('attempts-job');
+
+      mockChildren.shift().exit(null, 'SIGSEGV');
+      mockChildren.shift().exit(0);
+
+      const attempts = jobService.getJobAttempts(job.id);
+
+      expect(attempts).toHaveLength(2);
+      expect(attempts[0]).toEqual(expect.objectContaining({
+        attempt: 1,
+        pid: 12345,
+        exitCode: null,
+        signal: 'SIGSEGV',
+        classification: JobClassification.SIGNALED,
+        failureReason: 'signaled',
+        logs: `/jobs/${job.id}/logs?attempt=1`
+      }));
+      expect(attempts[0].completedAt).not.toBeNull();
+      expect(attempts[0].durationMs).toBeGreaterThanOrEqual(0);
+      expect(attempts[1]).toEqual(expect.objectContaining({ attempt: 2, exitCode: 0, signal: null, classification: JobClassification.EXITED, failureReason: null }));
+      expect(job.toJSON().attempts).toEqual(attempts);
+      expect(jobService.getJobStats()).toEqual(expect.objectContaining({ totalAttempts: 2, failedAttempts: 1 }));
+      expect(jobService.getJobAttempts('non-existent-id')).toBeNull();
+    });
+
+    test('Have to update the metrics as the job changes state', async () => {
+      jobService.createJob('metered-job');
+      jobService.createJob('metered-job');
+
+      mockChildren.shift().exit(1);
+      mockChildren.shift().exit(0);
+      mockChildren.shift().exit(1);
+
+      const metrics = await metricsService.getMetrics();
+
+      expect(metrics).toContain('jobs_created_total{job_type="metered-job"} 2');
+      expect(metrics).toContain('jobs_retried_total{job_type="metered-job"} 1');
+      expect(metrics).toContain('jobs_completed_total{job_type="metered-job"} 1');
+      expect(metrics).toContain('jobs_failed_total{job_type="metered-job",status="failed"} 1');
+      expect(metrics).toContain('job_queue_wait_seconds_count{job_type="metered-job"} 2');
+      expect(metrics).toContain('jobs_running 0');
+    });
+
+    test('Have to predict the success of new jobs from finished ones', () => {
+      const first = jobService.createJob('predicted-job');
+
+      expect(first.predictedSuccessProbability).toBeNull();
+
+      // STATS_MIN_SAMPLE_SIZE finished jobs train the model
+      mockChildren.shift().exit(0);
+      for (let i = 0; i < 9; i++) {
+        jobService.createJob('predicted-job');
+        mockChildren.shift().exit(0);
+      }
+
+      const job = jobService.createJob('predicted-job');
+
+      expect(job.predictedSuccessProbability).toBeGreaterThan(0.5);
+      expect(job.toJSON().predictedSuccessProbability).toBe(job.predictedSuccessProbability);
+      expect(jobService.getPredictionModel()).toEqual(expect.objectContaining({ trained: true, sampleSize: 10 }));
+    });
+
+    test('Have to fail a job whose process cannot be spawned, once', () => {
+      mockSpawn.mockImplementation(() => {
+        const child = createChild();
+        child.pid = undefined;
+        return child;
+      });
+      const job = jobService.createJob('missing-job');
+
+      expect(job.pid).toBeNull();
+      expect(job.attempts[0].pid).toBeNull();
+
+      // First attempt and its retry; 'close' follows 'error' and must not end the job twice
+      for (let attempt = 0; attempt < 2; attempt++) {
+        const child = mockChildren.shift();
+        child.emit('error', new Error('spawn ENOENT'));
+        child.exit(-2);
+      }
+
+      expect(job.retryCount).toBe(1);
+      expect(job.status).toBe(JobStatus.FAILED);
+      expect(job.attempts.map(attempt => attempt.failureReason)).toEqual(['spawn_error', 'spawn_error']);
+    });
+
+    test('Have to retry a job whose spawn throws like one whose process reports a spawn error', () => {
+      mockSpawn.mockImplementationOnce(() => {
+        throw new Error('spawn EAGAIN');
+      });
+      const job = jobService.createJob('throwing-job');
+
+      expect(job.retryCount).toBe(1);
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(job.attempts.map(attempt => attempt.classification)).toEqual([JobClassification.SPAWN_ERROR, null]);
+    });
+  });
+
+  describe('exit status', () => {
+    beforeEach(() => {
+      mockGetJobType.mockReturnValue({ ...mockJobType, retryPolicy: { attempts: 0 } });
+    });
+
+    test('Have to record the real exit code', () => {
+      const job = jobService.createJob('bad-input-job');
+
+      mockChildren.shift().exit(2);
+
+      expect(job.status).toBe(JobStatus.FAILED);
+      expect(job.exitCode).toBe(2);
+      expect(job.signal).toBeNull();
+      expect(job.classification).toBe(JobClassification.EXITED);
+      expect(job.attempts[0].failureReason).toBe('non_zero_exit');
+    });
+
+    test('Have to record the signal that terminated the process', () => {
+      const job = jobService.createJob('crashed-job');
+
+      mockChildren.shift().exit(null, 'SIGSEGV');
+
+      expect(job.exitCode).toBeNull();
+      expect(job.signal).toBe('SIGSEGV');
+      expect(job.classification).toBe(JobClassification.SIGNALED);
+    });
+
+    test('Have to classify a SIGKILL as oom_killed when the OOM kill count grew', () => {
+      mockGetOomKillCount.mockReturnValueOnce(3).mockReturnValueOnce(4);
+      const job = jobService.createJob('oom-job');
+
+      mockChildren.shift().exit(null, 'SIGKILL');
+
+      expect(job.classification).toBe(JobClassification.OOM_KILLED);
+      expect(job.attempts[0].failureReason).toBe('oom_killed');
+    });
+
+    test('Should not classify a SIGKILL as oom_killed without cgroup accounting', () => {
+      const job = jobService.createJob('killed-job');
+
+      mockChildren.shift().exit(null, 'SIGKILL');
+
+      expect(job.classification).toBe(JobClassification.SIGNALED);
+      expect(job.attempts[0].failureReason).toBe('signaled');
+    });
+
+    test('Have to classify a shell exiting with 137 as oom_killed only when the OOM kill count grew', () => {
+      mockGetOomKillCount.mockReturnValue(3);
+      const job = jobService.createJob('wrapped-job');
+
+      mockChildren.shift().exit(137);
+
+      expect(job.exitCode).toBe(137);
+      expect(job.classification).toBe(JobClassification.EXITED);
+    });
+
+    test('Have to filter jobs by classification and exit code', () => {
+      jobService.createJob('bad-input-job');
+      mockChildren.shift().exit(2);
+      jobService.createJob('crashed-job');
+      mockChildren.shift().exit(null, 'SIGSEGV');
+
+      expect(jobService.getFilteredJobs({ classification: JobClassification.SIGNALED }).jobs.map(job => job.jobName)).toEqual(['crashed-job']);
+      expect(jobService.getFilteredJobs({ exitCode: 2 }).jobs.map(job => job.jobName)).toEqual(['bad-input-job']);
+      expect(jobService.getJobStats()).toEqual(expect.objectContaining({
+        attemptsByClassification: { exited: 1, signaled: 1 },
+        attemptsByExitCode: { 2: 1 }
+      }));
+    });
+  });
+
+  describe('retry policy', () => {
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('Have to wait in retry_scheduled for the backoff delay before retrying', () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T12:00:00.000Z') });
+      const job = jobService.createJob('backoff-job', [], 3, {
+        retryPolicy: { attempts: 2, initialDelayMs: 1000, multiplier: 3, jitter: 0 }
+      });
+
+      mockChildren.shift().exit(1);
+
+      expect(job.status).toBe(JobStatus.RETRY_SCHEDULED);
+      expect(job.retryCount).toBe(1);
+      expect(job.nextAttemptAt).toBe('2025-01-01T12:00:01.000Z');
+      expect(jobService.getJobStats().retryScheduledJobs).toBe(1);
+
+      jest.advanceTimersByTime(999);
+      expect(job.status).toBe(JobStatus.RETRY_SCHEDULED);
+
+      jest.advanceTimersByTime(1);
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(job.nextAttemptAt).toBeNull();
+
+      // The second retry waits three times as long
+      mockChildren.shift().exit(1);
+      expect(job.nextAttemptAt).toBe('2025-01-01T12:00:04.000Z');
+    });
+
+    test('Have to let the job override the retry policy of its type', () => {
+      mockGetJobType.mockReturnValue({ ...mockJobType, retryPolicy: { attempts: 0 } });
+      const job = jobService.createJob('override-job', [], 3, { retryPolicy: { attempts: 1, initialDelayMs: 0 } });
+
+      mockChildren.shift().exit(1);
+
+      expect(job.retryCount).toBe(1);
+      expect(job.status).toBe(JobStatus.RUNNING);
+    });
+
+    test('Have not to retry exit codes excluded by retryOn', () => {
+      const job = jobService.createJob('invalid-input-job', [], 3, {
+        retryPolicy: { attempts: 3, retryOn: { exceptExitCodes: [2] } }
+      });
+
+      mockChildren.shift().exit(2);
+
+      expect(job.retryCount).toBe(0);
+      expect(job.status).toBe(JobStatus.FAILED);
+    });
+
+    test('Have to throw error when the retry policy is invalid', () => {
+      expect(() => {
+        jobService.createJob('bad-policy-job', [], 3, { retryPolicy: { jitter: 2 } });
+      }).toThrow('Invalid retry policy: retryPolicy/jitter must be a number between 0 and 1');
+    });
+
+    test('Have to call off a scheduled retry when the job is cancelled', () => {
+      jest.useFakeTimers();
+      const job = jobService.createJob('cancelled-retry-job', [], 3, { retryPolicy: { initialDelayMs: 1000 } });
+      mockChildren.shift().exit(1);
+
+      const result = jobService.cancelJob(job.id);
+      jest.advanceTimersByTime(60000);
+
+      expect(result.success).toBe(true);
+      expect(job.status).toBe(JobStatus.CANCELLED);
+      expect(job.nextAttemptAt).toBeNull();
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+    });
+
+    test('Have to re-arm scheduled retries on restore', () => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T12:00:00.000Z') });
+      mockStore.save({
+        id: 'scheduled',
+        jobName: 'scheduled-job',
+        jobArgs: [],
+        status: JobStatus.RETRY_SCHEDULED,
+        createdAt: '2025-01-01T11:59:00.000Z',
+        retryCount: 1,
+        nextAttemptAt: '2025-01-01T12:00:05.000Z',
+        priority: 3
+      });
+
+      jobService.restoreJobs();
+      const job = jobService.getJobById('scheduled');
+
+      expect(job.status).toBe(JobStatus.RETRY_SCHEDULED);
+
+      jest.advanceTimersByTime(5000);
+      expect(job.status).toBe(JobStatus.RUNNING);
+    });
+  });
+
+  describe('job timeout', () => {
+    beforeEach(() => {
+      // Hung process: it only exits once the watchdog kills it
+      mockKillProcessTree.mockImplementation(() => {
+        mockChildren.shift()?.exit(null, 'SIGKILL');
+        return [12345];
+      });
+    });
+    
+    test('Have to store per-job timeoutMs', () => {
+      const job = jobService.createJob('timeout-job', [], 3, { timeoutMs: 1000 });
+      
+      expect(job.timeoutMs).toBe(1000);
+      expect(job.toJSON().timeoutMs).toBe(1000);
+    });
+    
+    test('Have to throw error when timeoutMs is invalid', () => {
+      expect(() => {
+        jobService.createJob('timeout-job', [], 3, { timeoutMs: 0 });
+      }).toThrow('Invalid timeout');
+    });
+    
+    test('Have to kill hung job, retry it and finally mark it timed_out', async () => {
+      const job = jobService.createJob('hung-job', [], 3, { timeoutMs: 20 });
+      
+      expect(job.status).toBe(JobStatus.RUNNING);
+      
+      await new Promise(resolve => setTimeout(resolve, 200));
+      
+      expect(mockKillProcessTree).toHaveBeenCalledWith(12345);
+      expect(job.retryCount).toBeGreaterThan(0);
+      expect(job.status).toBe(JobStatus.TIMED_OUT);
+      expect(job.classification).toBe(JobClassification.TIMEOUT);
+      expect(job.signal).toBe('SIGKILL');
+      expect(job.completedAt).not.toBeNull();
+      expect(jobService.getJobStats().timedOutJobs).toBe(1);
+    });
+  });
+  
+  describe('pause, resume and cancel', () => {
+    beforeEach(() => {
+      mockSignalProcessTree.mockImplementation(() => [12345]);
+    });
+    
+    test('Have to suspend a running job and continue it on resume', () => {
+      const job = jobService.createJob('pause-job');
+      
+      const paused = jobService.pauseJob(job.id);
+      
+      expect(paused.success).toBe(true);
+      expect(mockSignalProcessTree).toHaveBeenCalledWith(12345, 'SIGSTOP');
+      expect(job.status).toBe(JobStatus.PAUSED);
+      
+      const resumed = jobService.resumeJob(job.id);
+      
+      expect(resumed.success).toBe(true);
+      expect(mockSignalProcessTree).toHaveBeenCalledWith(12345, 'SIGCONT');
+      expect(job.status).toBe(JobStatus.RUNNING);
+    });
+    
+    test('Have not to delete a paused job that still owns a suspended process', () => {
+      const job = jobService.createJob('pause-job');
+      jobService.pauseJob(job.id);
+      
+      const result = jobService.deleteJob(job.id);
+      
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('invalid_status');
+    });
+    
+    test('Have to return invalid_status when resuming a job that is not paused', () => {
+      const job = jobService.createJob('resume-job');
+      
+      const result = jobService.resumeJob(job.id);
+      
+      expect(result.success).toBe(false);
+      expect(result.reason).toBe('invalid_status');
+      expect(result.status).toBe(JobStatus.RUNNING);
+    });
+    
+    test('Have to stop a running job with SIGTERM and end it as cancelled', () => {
+      const job = jobService.createJob('cancel-job');
+      
+      const result = jobService.cancelJob(job.id);
+      
+      expect(result.success).toBe(true);
+      expect(job.status).toBe(JobStatus.STOPPING);
+      expect(mockSignalProcessTree).toHaveBeenCalledWith(12345, 'SIGTERM');
+      
+      mockChildren.shift().exit(null, 'SIGTERM');
+      
+      expect(job.status).toBe(JobStatus.CANCELLED);
+      expect(job.retryCount).toBe(0);
+      expect(job.completedAt).not.toBeNull();
+    });
+    
+    test('Have to cancel a paused pending job right away', () => {
+      const job = jobService.createJob('cancel-job');
+      mockChildren.shift().exit(0);
+      job.updateStatus(JobStatus.PENDING);
+      jobService.pauseJob(job.id);
+      
+      const result = jobService.cancelJob(job.id);
+      
+      expect(result.success).toBe(true);
+      expect(job.status).toBe(JobStatus.CANCELLED);
+      expect(mockSignalProcessTree).not.toHaveBeenCalled();
+    });
+    
+    test('Have to return not_found for non-existent job ID', () => {
+      expect(jobService.pauseJob('non-existent-id').reason).toBe('not_found');
+      expect(jobService.resumeJob('non-existent-id').reason).toBe('not_found');
+      expect(jobService.cancelJob('non-existent-id').reason).toBe('not_found');
+    });
+  });
+  
+  describe('persistence', () => {
+    /**
+     * Creates a stored job record as a previous run would have left it
+     * @param {Object} overrides - Fields to override
+     * @returns {Object} - Job record
+     */
+    const createRecord = (overrides) => ({
+      id: 'restored-job',
+      jobName: 'restored',
+      jobArgs: ['a'],
+      status: JobStatus.PENDING,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      completedAt: null,
+      exitCode: null,
+      retryCount: 0,
+      priority: 4,
+      timeoutMs: null,
+      pid: null,
+      ...overrides
+    });
+    
+    test('Have to write every change of a job through to the store', () => {
+      const job = jobService.createJob('persisted-job');
+      
+      expect(mockStore.load()).toEqual([expect.objectContaining({ id: job.id, status: JobStatus.RUNNING, pid: 12345 })]);
+      
+      jobService.updateJobPriority(job.id, 5);
+      job.incrementRetry();
+      
+      expect(mockStore.load()[0]).toEqual(expect.objectContaining({ priority: 5, retryCount: 1 }));
+      
+      jobService.cancelJob(job.id);
+      
+      expect(mockStore.load()[0].status).toBe(JobStatus.STOPPING);
+    });
+    
+    test('Have to write a single record when a job is created', () => {
+      const save = jest.spyOn(mockStore, 'save');
+
+      const job = jobService.createJob('persisted-job', [], undefined, { runAt: new Date(Date.now() + 60000).toISOString() });
+
+      expect(save).toHaveBeenCalledTimes(1);
+      expect(save).toHaveBeenCalledWith(expect.objectContaining({ id: job.id, status: JobStatus.SCHEDULED }));
+      save.mockRestore();
+    });
+
+    test('Have to remove deleted jobs from the store', () => {
+      const job = jobService.createJob('persisted-job');
+      job.updateStatus(JobStatus.PENDING);
+      
+      jobService.deleteJob(job.id);
+      
+      expect(mockStore.load()).toEqual([]);
+    });
+    
+    test('Have to restore jobs and start the pending ones', () => {
+      mockStore.save(createRecord({ id: 'done', status: JobStatus.COMPLETED, exitCode: 0 }));
+      mockStore.save(createRecord({ id: 'waiting' }));
+      
+      const result = jobService.restoreJobs();
+      
+      expect(result).toEqual({ restored: 2, recovered: 0, reattached: 0 });
+      expect(jobService.getJobById('done').status).toBe(JobStatus.COMPLETED);
+      expect(jobService.getJobById('waiting').priority).toBe(4);
+      expect(jobService.getJobById('waiting').status).toBe(JobStatus.RUNNING);
+    });
+    
+    test('Have to recover interrupted jobs', () => {
+      mockSpawn.mockImplementation(() => {
+        throw new Error('spawn failed');
+      });
+      mockStore.save(createRecord({ id: 'interrupted', status: JobStatus.RUNNING, retryCount: 99, pid: 4242 }));
+      mockStore.save(createRecord({ id: 'stopping', status: JobStatus.STOPPING, pid: 4343 }));
+      
+      const result = jobService.restoreJobs();
+      
+      expect(result.recovered).toBe(2);
+      expect(jobService.getJobById('interrupted').status).toBe(JobStatus.FAILED);
+      expect(jobService.getJobById('stopping').status).toBe(JobStatus.CANCELLED);
+      expect(mockStore.load().find(record => record.id === 'stopping').status).toBe(JobStatus.CANCELLED);
+    });
+    
+    test('Have to mark jobs failed with reason lost_on_restart when the recovery policy is fail', () => {
+      const attempt = { attempt: 1, startedAt: new Date().toISOString(), completedAt: null, durationMs: null, pid: 4242, exitCode: null, signal: null, failureReason: null };
+      mockStore.save(createRecord({ id: 'interrupted', status: JobStatus.RUNNING, pid: 4242, attempts: [attempt] }));
+      
+      jobService.restoreJobs({ recoveryPolicy: 'fail' });
+      
+      const job = jobService.getJobById('interrupted');
+      expect(job.status).toBe(JobStatus.FAILED);
+      expect(job.failureReason).toBe('lost_on_restart');
+      expect(job.attempts[0].failureReason).toBe('lost_on_restart');
+      expect(job.attempts[0].completedAt).not.toBeNull();
+    });
+  });
+  
+  describe('orphan reconciliation', () => {
+    const startTime = new Date().toISOString();
+    const orphanRecord = {
+      id: 'orphan',
+      jobName: 'orphan',
+      jobArgs: [],
+      status: JobStatus.RUNNING,
+      createdAt: startTime,
+      startedAt: startTime,
+      completedAt: null,
+      exitCode: null,
+      retryCount: 0,
+      priority: 3,
+      timeoutMs: null,
+      pid: 4242,
+      processStartTime: startTime
+    };
+    
+    beforeEach(() => {
+      mockIsSameProcess.mockReturnValue(true);
+      mockStore.save({ ...orphanRecord });
+    });
+    
+    afterEach(() => {
+      mockIsSameProcess.mockReturnValue(false);
+    });
+    
+    test('Have to check the recorded PID and start time', () => {
+      jobService.restoreJobs({ orphanPolicy: 'fail' });
+      
+      expect(mockIsSameProcess).toHaveBeenCalledWith(4242, startTime);
+    });
+    
+    test('Have to mark the job failed with reason lost_on_restart and leave the process alone', () => {
+      jobService.restoreJobs({ orphanPolicy: 'fail' });
+      
+      const job = jobService.getJobById('orphan');
+      expect(job.status).toBe(JobStatus.FAILED);
+      expect(job.failureReason).toBe('lost_on_restart');
+      expect(mockKillProcessTree).not.toHaveBeenCalled();
+    });
+    
+    test('Have to kill the orphan and apply the recovery policy', () => {
+      jobService.restoreJobs({ orphanPolicy: 'kill', recoveryPolicy: 'requeue' });
+      
+      expect(mockKillProcessTree).toHaveBeenCalledWith(4242);
+      // Requeued and started again with a new process
+      expect(jobService.getJobById('orphan').pid).toBe(12345);
+    });
+    
+    test('Have to re-attach to the orphan and notice when it exits', () => {
+      jest.useFakeTimers();
+      const result = jobService.restoreJobs({ orphanPolicy: 'reattach' });
+      const job = jobService.getJobById('orphan');
+      
+      expect(result.reattached).toBe(1);
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(jobService.getJobStats().runningJobs).toBe(1);
+      
+      mockIsSameProcess.mockReturnValue(false);
+      jest.advanceTimersByTime(10000);
+      jest.useRealTimers();
+      
+      expect(job.status).toBe(JobStatus.FAILED);
+      expect(job.failureReason).toBe('exit_status_unknown');
+    });
+
+    test('Have to re-attach to the suspended process of a paused job and continue it on resume', () => {
+      mockStore.save({ ...orphanRecord, status: JobStatus.PAUSED });
+      const result = jobService.restoreJobs({ orphanPolicy: 'reattach' });
+      const job = jobService.getJobById('orphan');
+
+      expect(result.reattached).toBe(1);
+      expect(job.status).toBe(JobStatus.PAUSED);
+
+      jobService.resumeJob('orphan');
+
+      expect(mockSignalProcessTree).toHaveBeenCalledWith(4242, 'SIGCONT');
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(job.pid).toBe(4242);
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+
+    test('Have to kill the suspended process of a paused job and start a new one on resume', () => {
+      mockStore.save({ ...orphanRecord, status: JobStatus.PAUSED });
+      jobService.restoreJobs({ orphanPolicy: 'kill' });
+      const job = jobService.getJobById('orphan');
+
+      expect(mockKillProcessTree).toHaveBeenCalledWith(4242);
+      expect(job.status).toBe(JobStatus.PAUSED);
+
+      jobService.resumeJob('orphan');
+
+      expect(mockSignalProcessTree).not.toHaveBeenCalledWith(4242, 'SIGCONT');
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(job.pid).toBe(12345);
+    });
+
+    test('Should not look for a process of a job paused while waiting', () => {
+      mockIsSameProcess.mockReturnValue(false);
+      mockStore.save({ ...orphanRecord, status: JobStatus.PAUSED, pid: null, processStartTime: null });
+      const result = jobService.restoreJobs({ orphanPolicy: 'kill' });
+
+      expect(result.recovered).toBe(0);
+      expect(jobService.getJobById('orphan').status).toBe(JobStatus.PAUSED);
+      expect(mockKillProcessTree).not.toHaveBeenCalled();
+    });
   });
   
   describe('updateJobPriority', () => {
@@ -126,13 +912,12 @@ describe('JobService', () => {
       // Clear any existing jobs
       jobService.clearAllJobs();
       
-      // Mock the run command to not actually execute anything
-      mockRun.mockImplementation((command, callback) => {
-        // Delay the callback to simulate job execution
-        setTimeout(() => {
-          callback(null, 'Command executed successfully', null);
-        }, 10);
-        return { pid: 12345 };
+      // Fake processes that exit shortly after they were started
+      mockSpawn.mockImplementation(() => {
+        const child = createChild();
+        // Delay the exit to simulate job execution
+        setTimeout(() => child.exit(0), 10);
+        return child;
       });
     });
     
@@ -170,6 +955,92 @@ describe('JobService', () => {
     });
   });
   
+  describe('named queues', () => {
+    afterEach(() => {
+      queueService.clear();
+    });
+
+    /**
+     * Counts the running jobs per queue
+     * @returns {Object<string, number>} - Running jobs by queue name
+     */
+    const countRunningJobs = () => jobService.getAllJobs()
+      .filter(job => job.status === JobStatus.RUNNING)
+      .reduce((counts, job) => ({ ...counts, [job.queue]: (counts[job.queue] ?? 0) + 1 }), {});
+
+    test('Have to limit the running jobs of each queue to its concurrency', () => {
+      queueService.update('transcode', { concurrency: 2 });
+
+      const transcodeJobs = [1, 2, 3].map(() => jobService.createJob('transcode-job', [], 3, { queue: 'transcode' }));
+      const metadataJob = jobService.createJob('metadata-job');
+
+      expect(transcodeJobs.map(job => job.status)).toEqual([JobStatus.RUNNING, JobStatus.RUNNING, JobStatus.PENDING]);
+      expect(metadataJob.status).toBe(JobStatus.RUNNING);
+
+      mockChildren.shift().exit(0);
+
+      expect(transcodeJobs[2].status).toBe(JobStatus.RUNNING);
+    });
+
+    test('Have to share free slots fairly across queues', () => {
+      queueService.update('transcode', { concurrency: 4 });
+      queueService.update('metadata', { concurrency: 2 });
+
+      // Jobs of the default queue take every slot
+      for (let i = 0; i < 10; i++) {
+        jobService.createJob('blocking-job');
+      }
+      for (let i = 0; i < 5; i++) {
+        jobService.createJob('transcode-job', [], 5, { queue: 'transcode' });
+        jobService.createJob('metadata-job', [], 1, { queue: 'metadata' });
+      }
+
+      const startedQueues = [];
+      for (let i = 0; i < 7; i++) {
+        const before = countRunningJobs();
+        mockChildren.shift().exit(0);
+        const after = countRunningJobs();
+        startedQueues.push(['transcode', 'metadata'].find(queue => (after[queue] ?? 0) > (before[queue] ?? 0)) ?? null);
+      }
+
+      // The higher priority of the transcode jobs only decides between queues that use the same share of their limit
+      expect(startedQueues).toEqual(['transcode', 'metadata', 'transcode', 'transcode', 'metadata', 'transcode', null]);
+      expect(jobService.getQueues()).toEqual(expect.arrayContaining([
+        expect.objectContaining({ name: 'transcode', running: 4, pending: 1, utilization: 1 }),
+        expect.objectContaining({ name: 'metadata', running: 2, pending: 3, utilization: 1 })
+      ]));
+    });
+
+    test('Have to apply the default priority and retry policy of the queue', () => {
+      queueService.update('metadata', { concurrency: 1, defaultPriority: 5, retryPolicy: { attempts: 0 } });
+
+      const job = jobService.createJob('metadata-job', [], null, { queue: 'metadata' });
+      expect(job.priority).toBe(5);
+
+      mockChildren.shift().exit(1);
+
+      expect(job.retryCount).toBe(0);
+      expect(job.status).toBe(JobStatus.FAILED);
+    });
+
+    test('Have to start waiting jobs when the limit of their queue is raised', () => {
+      queueService.update('transcode', { concurrency: 1 });
+      const jobs = [1, 2].map(() => jobService.createJob('transcode-job', [], 3, { queue: 'transcode' }));
+
+      expect(jobs[1].status).toBe(JobStatus.PENDING);
+
+      const result = jobService.updateQueue('transcode', { concurrency: 2 });
+
+      expect(result.created).toBe(false);
+      expect(result.queue).toEqual(expect.objectContaining({ name: 'transcode', concurrency: 2, running: 2, pending: 0, utilization: 1 }));
+      expect(jobs[1].status).toBe(JobStatus.RUNNING);
+    });
+
+    test('Have to throw for an unknown queue', () => {
+      expect(() => jobService.createJob('gpu-job', [], 3, { queue: 'gpu' })).toThrow(/^Unknown queue: gpu/);
+    });
+  });
+  
   describe('getFilteredJobs', () => {
     beforeEach(() => {
       const job1 = jobService.createJob('job1', ['arg1']);
@@ -217,7 +1088,6 @@ describe('JobService', () => {
       
       const job2 = jobService.createJob('job2', ['arg2']);
       job2.updateStatus(JobStatus.FAILED);
-      job2.setExitCode(1);
       
       const job3 = jobService.createJob('long-name-job', ['arg3']);
       job3.updateStatus(JobStatus.COMPLETED);
@@ -240,16 +1110,355 @@ describe('JobService', () => {
     });
   });
   
+  describe('time-windowed stats', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T12:00:00.000Z') });
+      
+      jobService.createJob('quick-job');
+      jest.advanceTimersByTime(25000);
+      mockChildren.shift().exit(0);
+      
+      jest.advanceTimersByTime(45000);
+      jobService.createJob('flaky-job');
+      jest.advanceTimersByTime(10000);
+      mockChildren.shift().exit(1);
+      jest.advanceTimersByTime(10000);
+      mockChildren.shift().exit(1);
+      
+      jest.advanceTimersByTime(30000);
+    });
+    
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+    
+    test('Have to count only the jobs submitted within the window', () => {
+      const stats = jobService.getJobStats({ from: new Date('2025-01-01T12:01:00.000Z') });
+      
+      expect(stats.window).toEqual({ from: '2025-01-01T12:01:00.000Z', to: null });
+      expect(stats.totalJobs).toBe(1);
+      expect(stats.failedJobs).toBe(1);
+      expect(stats.timeSeries).toBeUndefined();
+    });
+    
+    test('Have to return a time series per bucket', () => {
+      const { timeSeries } = jobService.getJobStats({
+        from: new Date('2025-01-01T12:00:00.000Z'),
+        to: new Date('2025-01-01T12:02:00.000Z'),
+        bucket: '1m'
+      });
+      
+      expect(timeSeries).toEqual(expect.objectContaining({ bucket: '1m', bucketMs: 60000 }));
+      expect(timeSeries.buckets).toEqual([
+        {
+          start: '2025-01-01T12:00:00.000Z',
+          end: '2025-01-01T12:01:00.000Z',
+          submitted: 1,
+          completed: 1,
+          failed: 0,
+          retried: 0,
+          averageQueueWait: 0,
+          averageRunDuration: 25000
+        },
+        {
+          start: '2025-01-01T12:01:00.000Z',
+          end: '2025-01-01T12:02:00.000Z',
+          submitted: 1,
+          completed: 0,
+          failed: 1,
+          retried: 1,
+          averageQueueWait: 0,
+          averageRunDuration: 10000
+        }
+      ]);
+    });
+    
+    test('Have to report latency percentiles of completed and failed jobs', () => {
+      const { latency } = jobService.getJobStats();
+      
+      expect(latency.overall.turnaround).toEqual(expect.objectContaining({ count: 2, max: 25000 }));
+      expect(latency.byJobName['flaky-job'].runDuration.max).toBe(20000);
+      expect(latency.byPriority[3].queueWait.count).toBe(2);
+    });
+    
+    test('Have to start the time series with the first job when from is omitted', () => {
+      const { timeSeries } = jobService.getJobStats({ bucket: '1h' });
+      
+      expect(timeSeries.from).toBe('2025-01-01T12:00:00.000Z');
+      expect(timeSeries.to).toBe('2025-01-01T12:02:00.000Z');
+      expect(timeSeries.buckets).toHaveLength(1);
+      expect(timeSeries.buckets[0]).toEqual(expect.objectContaining({ submitted: 2, completed: 1, failed: 1, retried: 1, averageRunDuration: 15000 }));
+    });
+  });
+  
+  describe('job dependencies', () => {
+    test('Have to start a downstream job only once its upstream jobs completed', () => {
+      const first = jobService.createJob('first-job');
+      const second = jobService.createJob('second-job');
+      const downstream = jobService.createJob('downstream-job', [], 5, { dependsOn: [first.id, second.id] });
+
+      expect(downstream.status).toBe(JobStatus.PENDING);
+      expect(mockSpawn).toHaveBeenCalledTimes(2);
+
+      mockChildren.shift().exit(0);
+      expect(downstream.status).toBe(JobStatus.PENDING);
+
+      mockChildren.shift().exit(0);
+      expect(downstream.status).toBe(JobStatus.RUNNING);
+      expect(downstream.toJSON().dependsOn).toEqual([first.id, second.id]);
+    });
+
+    test('Have to skip every job downstream of a failed job', () => {
+      const upstream = jobService.createJob('upstream-job', [], 3, { retryPolicy: { attempts: 0 } });
+      const middle = jobService.createJob('middle-job', [], 3, { dependsOn: [upstream.id] });
+      const last = jobService.createJob('last-job', [], 3, { dependsOn: [middle.id] });
+      const unrelated = jobService.createJob('unrelated-job');
+
+      mockChildren.shift().exit(1);
+
+      expect(upstream.status).toBe(JobStatus.FAILED);
+      expect(middle.status).toBe(JobStatus.SKIPPED);
+      expect(last.status).toBe(JobStatus.SKIPPED);
+      expect(last.failureReason).toBe('upstream_failed');
+      expect(unrelated.status).toBe(JobStatus.RUNNING);
+      expect(jobService.getJobStats().skippedJobs).toBe(2);
+
+      const late = jobService.createJob('late-job', [], 3, { dependsOn: [middle.id] });
+      expect(late.status).toBe(JobStatus.SKIPPED);
+    });
+
+    test('Have to skip the jobs waiting for a deleted job', () => {
+      const upstream = jobService.createJob('upstream-job');
+      upstream.updateStatus(JobStatus.PAUSED);
+      const downstream = jobService.createJob('downstream-job', [], 3, { dependsOn: [upstream.id] });
+
+      jobService.deleteJob(upstream.id);
+
+      expect(downstream.status).toBe(JobStatus.SKIPPED);
+      expect(downstream.failureReason).toBe('upstream_deleted');
+    });
+
+    test('Have to pass outputs of an upstream job into the arguments of a downstream job', async () => {
+      const workflow = { id: 'workflow-1' };
+      const decode = jobService.createJob('decode-job', [], 3, { workflow: { ...workflow, key: 'decode' } });
+      const encode = jobService.createJob('encode-job', ['${{ jobs.decode.outputs.path }}/out.mp4'], 3, {
+        namedArgs: { fps: '${{ jobs.decode.outputs.fps }}' },
+        dependsOn: [decode.id],
+        workflow: { ...workflow, key: 'encode' }
+      });
+
+      const child = mockChildren.shift();
+      child.stdout.write('Decoding...\n::output path=/tmp/frames\n::output fps=30\n');
+      await new Promise(resolve => setImmediate(resolve));
+      child.exit(0);
+
+      expect(decode.toJSON().outputs).toEqual({ path: '/tmp/frames', fps: '30' });
+      expect(mockSpawn.mock.calls[1][1]).toEqual(['encode-job', '--fps=30', '/tmp/frames/out.mp4']);
+      expect(encode.jobArgs).toEqual(['${{ jobs.decode.outputs.path }}/out.mp4']);
+    });
+
+    test('Have to read outputs from the file at JOB_OUTPUTS_FILE', () => {
+      const job = jobService.createJob('file-outputs-job');
+      const [, , { env }] = mockSpawn.mock.calls[0];
+
+      fs.writeFileSync(env.JOB_OUTPUTS_FILE, JSON.stringify({ path: '/tmp/frames', count: 12 }));
+      mockChildren.shift().exit(0);
+
+      expect(job.outputs).toEqual({ path: '/tmp/frames', count: 12 });
+      expect(fs.existsSync(env.JOB_OUTPUTS_FILE)).toBe(false);
+    });
+
+    test('Have to fail a job whose arguments refer to a missing output', () => {
+      const workflow = { id: 'workflow-1' };
+      const decode = jobService.createJob('decode-job', [], 3, { workflow: { ...workflow, key: 'decode' } });
+      const encode = jobService.createJob('encode-job', ['${{ jobs.decode.outputs.path }}'], 3, {
+        dependsOn: [decode.id],
+        workflow: { ...workflow, key: 'encode' }
+      });
+
+      mockChildren.shift().exit(0);
+
+      expect(encode.status).toBe(JobStatus.FAILED);
+      expect(encode.failureReason).toBe('missing_output');
+      expect(encode.attempts).toEqual([]);
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+    });
+
+    test('Have to throw error when an upstream job does not exist', () => {
+      expect(() => {
+        jobService.createJob('orphan-job', [], 3, { dependsOn: ['missing-id'] });
+      }).toThrow('Unknown upstream jobs: missing-id');
+      expect(jobService.getAllJobs()).toHaveLength(0);
+    });
+
+    test('Have to add a batch of jobs before starting any of them', () => {
+      const statusesAtSpawn = [];
+      mockSpawn.mockImplementation(() => {
+        statusesAtSpawn.push(jobService.getAllJobs().map(job => job.jobName));
+        return createChild();
+      });
+
+      const [root, leaf] = jobService.createJobs([
+        { key: 'root', jobName: 'root-job' },
+        { key: 'leaf', jobName: 'leaf-job', upstreamKeys: ['root'] }
+      ]);
+
+      expect(leaf.dependsOn).toEqual([root.id]);
+      expect(root.status).toBe(JobStatus.RUNNING);
+      expect(leaf.status).toBe(JobStatus.PENDING);
+      expect(statusesAtSpawn).toEqual([['root-job', 'leaf-job']]);
+    });
+
+    test('Should not create, store or start any job of a batch with an invalid job', () => {
+      mockGetJobType.mockImplementation(name => (name === 'broken-job' ? null : mockJobType));
+
+      expect(() => jobService.createJobs([
+        { key: 'root', jobName: 'root-job' },
+        { key: 'leaf', jobName: 'broken-job', upstreamKeys: ['root'] }
+      ])).toThrow('Unknown job type: broken-job');
+      expect(jobService.getAllJobs()).toHaveLength(0);
+      expect(mockStore.load()).toEqual([]);
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('delayed jobs', () => {
+    beforeEach(() => {
+      jest.useFakeTimers({ now: new Date('2025-01-01T12:00:00.000Z') });
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    test('Have to keep a job in scheduled until its runAt has come', () => {
+      const job = jobService.createJob('batch-job', [], 5, { runAt: '2025-01-01T12:00:10.000Z' });
+
+      expect(job.status).toBe(JobStatus.SCHEDULED);
+      expect(job.runAt).toBe('2025-01-01T12:00:10.000Z');
+      expect(jobService.getJobStats().scheduledJobs).toBe(1);
+
+      // A lower priority job that is due goes first
+      jobService.createJob('other-job', [], 1);
+      expect(mockSpawn).toHaveBeenCalledTimes(1);
+
+      jest.advanceTimersByTime(9999);
+      expect(job.status).toBe(JobStatus.SCHEDULED);
+
+      jest.advanceTimersByTime(1);
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(mockSpawn).toHaveBeenCalledTimes(2);
+    });
+
+    test('Have to move a scheduled job to a new runAt, or queue it right away', () => {
+      const events = [];
+      jobService.subscribeToJobEvents(event => events.push(event), { types: ['job.rescheduled'] });
+      const job = jobService.createJob('batch-job', [], 3, { runAt: '2025-01-01T12:00:10.000Z' });
+
+      expect(jobService.rescheduleJob(job.id, '2025-01-01T13:00:00.000Z').success).toBe(true);
+      jest.advanceTimersByTime(60000);
+      expect(job.status).toBe(JobStatus.SCHEDULED);
+
+      jobService.rescheduleJob(job.id, null);
+      expect(job.status).toBe(JobStatus.RUNNING);
+      expect(events.map(event => event.runAt)).toEqual(['2025-01-01T13:00:00.000Z', null]);
+      expect(jobService.rescheduleJob(job.id, null)).toEqual({ success: false, reason: 'invalid_status', status: JobStatus.RUNNING });
+    });
+
+    test('Have to defer a pending job when it is rescheduled', () => {
+      const upstream = jobService.createJob('upstream-job');
+      const blocked = jobService.createJob('blocked-job', [], 3, { dependsOn: [upstream.id] });
+
+      jobService.rescheduleJob(blocked.id, '2025-01-01T12:01:00.000Z');
+      mockChildren.shift().exit(0);
+
+      expect(blocked.status).toBe(JobStatus.SCHEDULED);
+      jest.advanceTimersByTime(60000);
+      expect(blocked.status).toBe(JobStatus.RUNNING);
+    });
+
+    test('Have to cancel a scheduled job before it runs', () => {
+      const job = jobService.createJob('batch-job', [], 3, { runAt: '2025-01-01T12:00:10.000Z' });
+
+      expect(jobService.cancelJob(job.id).success).toBe(true);
+      jest.advanceTimersByTime(60000);
+
+      expect(job.status).toBe(JobStatus.CANCELLED);
+      expect(mockSpawn).not.toHaveBeenCalled();
+    });
+
+    test('Have to re-arm scheduled jobs on restore', () => {
+      mockStore.save({
+        id: 'deferred',
+        jobName: 'deferred-job',
+        jobArgs: [],
+        status: JobStatus.SCHEDULED,
+        createdAt: '2025-01-01T11:00:00.000Z',
+        runAt: '2025-01-01T12:00:05.000Z',
+        priority: 3
+      });
+
+      jobService.restoreJobs();
+      const job = jobService.getJobById('deferred');
+
+      expect(job.status).toBe(JobStatus.SCHEDULED);
+      jest.advanceTimersByTime(5000);
+      expect(job.status).toBe(JobStatus.RUNNING);
+    });
+
+    test('Have to throw error when runAt is not a timestamp', () => {
+      expect(() => {
+        jobService.createJob('batch-job', [], 3, { runAt: 'tonight' });
+      }).toThrow('Invalid runAt: tonight. Must be an ISO timestamp');
+    });
+  });
+
+  describe('job events', () => {
+    test('Have to publish an event for every step of the job lifecycle', () => {
+      const events = [];
+      const unsubscribe = jobService.subscribeToJobEvents(event => events.push(event));
+
+      const job = jobService.createJob('event-job', [], 3, { retryPolicy: { attempts: 1, initialDelayMs: 0 } });
+      mockChildren.shift().exit(1);
+      mockChildren.shift().exit(0);
+      jobService.updateJobPriority(job.id, 5);
+      const queued = jobService.createJob('queued-job');
+      queued.updateStatus(JobStatus.PAUSED);
+      jobService.deleteJob(queued.id);
+      unsubscribe();
+
+      expect(events.map(event => [event.type, event.jobName])).toEqual([
+        ['job.created', 'event-job'],
+        ['job.started', 'event-job'],
+        ['job.retried', 'event-job'],
+        ['job.started', 'event-job'],
+        ['job.completed', 'event-job'],
+        ['job.priorityChanged', 'event-job'],
+        ['job.created', 'queued-job'],
+        ['job.started', 'queued-job'],
+        ['job.paused', 'queued-job'],
+        ['job.deleted', 'queued-job']
+      ]);
+      expect(events[2]).toEqual(expect.objectContaining({ retryCount: 1, previousStatus: JobStatus.RUNNING }));
+      expect(events[3].job.retryCount).toBe(1);
+      expect(events[5]).toEqual(expect.objectContaining({ previousPriority: 3, priority: 5 }));
+    });
+
+    test('Have to deliver only the events of the subscribed statuses', () => {
+      const events = [];
+      jobService.subscribeToJobEvents(event => events.push(event), { statuses: [JobStatus.FAILED] });
+
+      jobService.createJob('failing-job', [], 3, { retryPolicy: { attempts: 0 } });
+      mockChildren.shift().exit(3);
+
+      expect(events.map(event => event.type)).toEqual(['job.failed']);
+    });
+  });
+
   describe('deleteJob', () => {
     beforeEach(() => {
       // Ensure jobService is clean before each test
       jobService.clearAllJobs();
-      
-      // Reset mock implementations
-      mockRun.mockImplementation((command, callback) => {
-        callback(null, 'Command executed successfully', null);
-        return { pid: 12345 };
-      });
     });
     
     test('Should successfully delete a job in PENDING state', () => {
@@ -0,0 +1,149 @@
+/**
+ * Unit-tests for jobTypeService
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { jobTypeService } from '../../src/services/jobTypeService.js';
+
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'job-types-'));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  jobTypeService.clear();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+});
+
+describe('JobTypeService', () => {
+  test('Have to load job types from JSON and resolve relative paths against the registry file', () => {
+    const filePath = path.join(tmpDir, 'job-types.json');
+    fs.writeFileSync(filePath, JSON.stringify({
+      jobTypes: {
+        resize: {
+          executable: 'bin/resize',
+          args: ['--quality', '90'],
+          cwd: 'work',
+          env: { TOKEN: 'secret' },
+          timeoutMs: 5000,
+          retryPolicy: { attempts: 2, initialDelayMs: 500 }
+        },
+        python: {
+          executable: 'python3'
+        }
+      }
+    }));
+
+    expect(jobTypeService.load(filePath)).toBe(2);
+
+    const resize = jobTypeService.get('resize');
+    expect(resize.executable).toBe(path.join(tmpDir, 'bin', 'resize'));
+    expect(resize.cwd).toBe(path.join(tmpDir, 'work'));
+    expect(resize.args).toEqual(['--quality', '90']);
+    expect(resize.retryPolicy).toEqual({ attempts: 2, initialDelayMs: 500 });
+    // Bare names are looked up in PATH
+    expect(jobTypeService.get('python').executable).toBe('python3');
+    expect(jobTypeService.getNames()).toEqual(['python', 'resize']);
+  });
+
+  test('Have to load job types from YAML', () => {
+    const filePath = path.join(tmpDir, 'job-types.yaml');
+    fs.writeFileSync(filePath, [
+      'jobTypes:',
+      '  dummy:',
+      '    executable:',
+      `      ${os.platform()}: /opt/dummy`,
+      '      default: /opt/other',
+      '    passJobName: true'
+    ].join('\n'));
+
+    jobTypeService.load(filePath);
+
+    expect(jobTypeService.get('dummy')).toEqual(expect.objectContaining({
+      executable: '/opt/dummy',
+      passJobName: true,
+      timeoutMs: null
+    }));
+  });
+
+  test('Have to register a default type for EXECUTABLE_PATH when the registry file is missing', () => {
+    jobTypeService.load(path.join(tmpDir, 'missing.json'));
+
+    expect(jobTypeService.getNames()).toEqual(['default']);
+    expect(jobTypeService.getSource()).toBeNull();
+  });
+
+  test('Have to reject invalid job types', () => {
+    const filePath = path.join(tmpDir, 'job-types.json');
+    fs.writeFileSync(filePath, JSON.stringify({ jobTypes: { broken: { executable: 'bin/job', args: 'not-an-array' } } }));
+
+    expect(() => jobTypeService.load(filePath)).toThrow("Invalid job type 'broken': args must be an array of strings");
+  });
+
+  test('Have to reject an invalid retry policy', () => {
+    expect(() => jobTypeService.register('flaky', {
+      executable: '/bin/job',
+      retryPolicy: { attempts: -1, retryOn: { exceptExitCodes: 'two' } }
+    })).toThrow("Invalid job type 'flaky': retryPolicy/attempts must be a non-negative integer; retryPolicy/retryOn/exceptExitCodes must be an array of integers");
+  });
+
+  test('Have to report every violation of the argument schema', () => {
+    jobTypeService.register('resize', {
+      executable: '/bin/resize',
+      argsSchema: {
+        positional: { type: 'array', items: { type: 'string' }, maxItems: 1 },
+        named: {
+          type: 'object',
+          properties: { quality: { type: 'integer', maximum: 100 } },
+          required: ['quality'],
+          additionalProperties: false
+        }
+      }
+    });
+
+    const violations = jobTypeService.validateArgs('resize', ['a', 2], { extra: true });
+
+    expect(violations.map(violation => violation.field)).toEqual(expect.arrayContaining([
+      'args/1',
+      'args',
+      'namedArgs/quality',
+      'namedArgs/extra'
+    ]));
+    expect(violations).toContainEqual({ field: 'namedArgs/quality', message: "namedArgs must have required property 'quality'", keyword: 'required' });
+    expect(violations).toContainEqual({ field: 'namedArgs/extra', message: 'namedArgs must NOT have additional properties: extra', keyword: 'additionalProperties' });
+    expect(jobTypeService.validateArgs('resize', ['a'], { quality: 90 })).toEqual([]);
+  });
+
+  test('Have to accept any args when a job type has no schema', () => {
+    jobTypeService.register('free', { executable: '/bin/free' });
+
+    expect(jobTypeService.validateArgs('free', [1, 'two'], { three: 3 })).toEqual([]);
+  });
+
+  test('Have to reject an argsSchema that is not a valid JSON Schema', () => {
+    expect(() => jobTypeService.register('broken', {
+      executable: '/bin/job',
+      argsSchema: { positional: { type: 'no-such-type' } }
+    })).toThrow("Invalid job type 'broken': argsSchema.positional is not a valid JSON Schema");
+  });
+
+  test('Have to compile the shipped registry without strict mode warnings', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(jobTypeService.load(path.resolve('job-types.json'))).toBeGreaterThan(0);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('Have not to expose env var values', () => {
+    jobTypeService.register('vault', { executable: '/bin/job', env: { TOKEN: 'hunter2' } });
+
+    const [jobType] = jobTypeService.getAll();
+
+    expect(jobType.envVars).toEqual(['TOKEN']);
+    expect(JSON.stringify(jobType)).not.toContain('hunter2');
+  });
+});
@@ -0,0 +1,72 @@
+/**
+ * Unit-tests for latencyService
+ */
+import { latencyService } from '../../src/services/latencyService.js';
+import { JobStatus } from '../../src/models/job.js';
+
+/**
+ * Creates a plain object with the job fields the service reads
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Job-like object
+ */
+const createJob = (overrides = {}) => ({
+  jobName: 'report',
+  priority: 3,
+  status: JobStatus.COMPLETED,
+  createdAt: '2025-01-01T12:00:00.000Z',
+  completedAt: '2025-01-01T12:00:10.000Z',
+  attempts: [
+    { attempt: 1, startedAt: '2025-01-01T12:00:02.000Z', completedAt: '2025-01-01T12:00:05.000Z', durationMs: 3000 },
+    { attempt: 2, startedAt: '2025-01-01T12:00:07.000Z', completedAt: '2025-01-01T12:00:10.000Z', durationMs: 3000 }
+  ],
+  ...overrides
+});
+
+afterEach(() => {
+  latencyService.clear();
+});
+
+describe('LatencyService', () => {
+  test('Have to record queue wait, run duration and turnaround', () => {
+    expect(latencyService.record(createJob())).toBe(true);
+
+    const { overall } = latencyService.getSummary();
+
+    expect(overall.queueWait).toEqual(expect.objectContaining({ count: 1, max: 2000 }));
+    expect(overall.runDuration.max).toBe(6000);
+    expect(overall.turnaround.max).toBe(10000);
+    expect(overall.turnaround.p50).toBe(10000);
+  });
+
+  test('Have to group percentiles by job name and priority, including failed jobs', () => {
+    latencyService.record(createJob());
+    latencyService.record(createJob({ jobName: 'resize', priority: 1, status: JobStatus.FAILED }));
+    latencyService.record(createJob({ jobName: 'resize', priority: 1, status: JobStatus.TIMED_OUT }));
+
+    const summary = latencyService.getSummary();
+
+    expect(Object.keys(summary.byJobName)).toEqual(['report', 'resize']);
+    expect(summary.byJobName.resize.turnaround.count).toBe(2);
+    expect(summary.byPriority[1].queueWait.count).toBe(2);
+    expect(summary.overall.runDuration.count).toBe(3);
+  });
+
+  test('Have not to record cancelled or unfinished jobs', () => {
+    expect(latencyService.record(createJob({ status: JobStatus.CANCELLED }))).toBe(false);
+    expect(latencyService.record(createJob({ status: JobStatus.RUNNING }))).toBe(false);
+
+    expect(latencyService.getSummary().overall.turnaround).toEqual({
+      count: 0, p50: null, p90: null, p95: null, p99: null, max: null
+    });
+  });
+
+  test('Have to skip timings of a job that never started', () => {
+    latencyService.record(createJob({ status: JobStatus.FAILED, attempts: [] }));
+
+    const { overall } = latencyService.getSummary();
+
+    expect(overall.queueWait.count).toBe(0);
+    expect(overall.runDuration.count).toBe(0);
+    expect(overall.turnaround.count).toBe(1);
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit-tests for metricsService
+ */
+import { jest } from '@jest/globals';
+import { EventEmitter } from 'events';
+import { metricsService } from '../../src/services/metricsService.js';
+import { JobStatus } from '../../src/models/job.js';
+
+/**
+ * Creates a plain object with the job fields the service reads
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Job-like object
+ */
+const createJob = (overrides = {}) => ({
+  type: 'report',
+  jobName: 'monthly report for customer 42',
+  status: JobStatus.COMPLETED,
+  createdAt: '2025-01-01T12:00:00.000Z',
+  attempts: [
+    { attempt: 1, startedAt: '2025-01-01T12:00:02.000Z', completedAt: '2025-01-01T12:00:05.000Z', durationMs: 3000 }
+  ],
+  ...overrides
+});
+
+afterEach(() => {
+  metricsService.clear();
+});
+
+describe('MetricsService', () => {
+  test('Have to count job state transitions by job type', async () => {
+    metricsService.jobCreated(createJob());
+    metricsService.jobCreated(createJob({ type: 'resize' }));
+    metricsService.jobRetried(createJob());
+    metricsService.jobFinished(createJob());
+    metricsService.jobFinished(createJob({ type: 'resize', status: JobStatus.TIMED_OUT }));
+    metricsService.jobFinished(createJob({ status: JobStatus.CANCELLED }));
+
+    const metrics = await metricsService.getMetrics();
+
+    expect(metrics).toContain('jobs_created_total{job_type="report"} 1');
+    expect(metrics).toContain('jobs_created_total{job_type="resize"} 1');
+    expect(metrics).toContain('jobs_retried_total{job_type="report"} 1');
+    expect(metrics).toContain('jobs_completed_total{job_type="report"} 1');
+    expect(metrics).toContain('jobs_failed_total{job_type="resize",status="timed_out"} 1');
+    expect(metrics).toContain('jobs_cancelled_total{job_type="report"} 1');
+    // Job names are free text, labelling by them would create a series per name
+    expect(metrics).not.toContain('monthly report');
+  });
+
+  test('Have to record queue wait and run duration histograms in seconds', async () => {
+    metricsService.jobStarted(createJob());
+    metricsService.jobFinished(createJob());
+
+    const metrics = await metricsService.getMetrics();
+
+    expect(metrics).toContain('job_queue_wait_seconds_sum{job_type="report"} 2');
+    expect(metrics).toContain('job_queue_wait_seconds_bucket{le="2.5",job_type="report"} 1');
+    expect(metrics).toContain('job_run_duration_seconds_sum{job_type="report",status="completed"} 3');
+  });
+
+  test('Have to read the queue gauges when metrics are collected', async () => {
+    metricsService.setQueueStateProvider(() => ({ running: 2, pending: 7, freeSlots: 0 }));
+
+    const metrics = await metricsService.getMetrics();
+
+    expect(metrics).toContain('jobs_running 2');
+    expect(metrics).toContain('jobs_pending 7');
+    expect(metrics).toContain('job_slots_free 0');
+  });
+
+  test('Have to label HTTP requests by route pattern', async () => {
+    const middleware = metricsService.createHttpMetrics();
+    const next = jest.fn();
+    const requests = [
+      { method: 'GET', baseUrl: '/jobs', route: { path: '/:id' } },
+      { method: 'GET', baseUrl: '/jobs', route: { path: '/' } },
+      { method: 'GET', baseUrl: '' }
+    ];
+
+    for (const req of requests) {
+      const res = new EventEmitter();
+      res.statusCode = req.route ? 200 : 404;
+      middleware(req, res, next);
+      res.emit('finish');
+    }
+
+    const metrics = await metricsService.getMetrics();
+
+    expect(next).toHaveBeenCalledTimes(3);
+    expect(metrics).toContain('http_requests_total{method="GET",route="/jobs/:id",status_code="200"} 1');
+    expect(metrics).toContain('http_requests_total{method="GET",route="/jobs",status_code="200"} 1');
+    expect(metrics).toContain('http_requests_total{method="GET",route="(unmatched)",status_code="404"} 1');
+    expect(metrics).toContain('http_request_duration_seconds_count{method="GET",route="/jobs/:id",status_code="200"} 1');
+  });
+});
@@ -0,0 +1,182 @@
+/**
+ * Unit-tests for patternService
+ */
+import { patternService } from '../../src/services/patternService.js';
+import { JobStatus } from '../../src/models/job.js';
+import { wilsonInterval } from '../../src/utils/stats/index.js';
+
+/**
+ * Creates a plain object with the job fields the characteristics read
+ * @param {Object} overrides - Fields to override
+ * @returns {Object} - Job-like object
+ */
+const createJob = (overrides = {}) => ({
+  id: 'job',
+  jobName: 'job',
+  jobArgs: [],
+  namedArgs: {},
+  priority: 3,
+  retryCount: 0,
+  status: JobStatus.COMPLETED,
+  startedAt: '2025-01-01T09:00:00.000Z',
+  attempts: [{ attempt: 1, startedAt: '2025-01-01T09:00:00.000Z', concurrency: 1 }],
+  ...overrides
+});
+
+/**
+ * Creates several jobs with the same fields
+ * @param {number} count - Number of jobs
+ * @param {Object} overrides - Fields to override
+ * @returns {Object[]} - Job-like objects
+ */
+const createJobs = (count, overrides) => Array.from({ length: count }, () => createJob(overrides));
+
+afterEach(() => {
+  patternService.clear();
+});
+
+describe('PatternService', () => {
+  test('Have to compare the success rate of every pattern with the overall one', () => {
+    const jobs = [
+      ...createJobs(10, { jobName: 'short' }),
+      ...createJobs(5, { jobName: 'a-rather-long-name', status: JobStatus.FAILED }),
+      ...createJobs(5, { jobName: 'a-rather-long-name' }),
+      createJob({ status: JobStatus.CANCELLED })
+    ];
+
+    const analysis = patternService.analyze(jobs);
+    const longNames = analysis.patterns.find(pattern => pattern.pattern === 'Job name length > 10');
+
+    expect(analysis.sampleSize).toBe(20);
+    expect(analysis.overallSuccessRate).toBe(0.75);
+    expect(longNames).toEqual(expect.objectContaining({
+      characteristic: 'nameLength',
+      matchCount: 10,
+      successCount: 5,
+      successRate: 0.5,
+      differenceFromAverage: '-25.0%',
+      insufficientSample: false
+    }));
+    expect(longNames.confidenceInterval.lower).toBeLessThan(0.5);
+    expect(longNames.confidenceInterval.upper).toBeGreaterThan(0.5);
+  });
+
+  test('Have to flag patterns with too small a sample and list them last', () => {
+    const jobs = [
+      ...createJobs(12, { priority: 3 }),
+      ...createJobs(2, { priority: 5, status: JobStatus.FAILED })
+    ];
+
+    const { patterns } = patternService.analyze(jobs);
+    const rare = patterns.find(pattern => pattern.pattern === 'Priority 5');
+
+    expect(rare.insufficientSample).toBe(true);
+    expect(patterns.at(-1).insufficientSample).toBe(true);
+    expect(patterns[0].insufficientSample).toBe(false);
+  });
+
+  test('Have to bucket time of day, retries and concurrency', () => {
+    const job = createJob({
+      retryCount: 2,
+      attempts: [
+        { attempt: 1, startedAt: '2025-01-01T22:30:00.000Z', concurrency: 1 },
+        { attempt: 2, startedAt: '2025-01-01T22:31:00.000Z', concurrency: 6 }
+      ]
+    });
+
+    const patterns = patternService.analyze([job]).patterns.map(pattern => pattern.pattern);
+
+    expect(patterns).toEqual(expect.arrayContaining([
+      'Started 18:00-23:59 UTC',
+      'Retried 2+ times',
+      'Started with 5+ jobs running',
+      'Job name has no digits',
+      'No arguments'
+    ]));
+  });
+
+  test('Have to evaluate registered characteristics and skip jobs they do not apply to', () => {
+    patternService.register({
+      name: 'nightly',
+      description: 'Jobs whose name starts with nightly',
+      evaluate: job => (job.jobName.startsWith('nightly') ? 'Nightly job' : null)
+    });
+
+    const { patterns } = patternService.analyze([createJob({ jobName: 'nightly-report' }), createJob()]);
+
+    expect(patterns.find(pattern => pattern.characteristic === 'nightly')).toEqual(expect.objectContaining({
+      pattern: 'Nightly job',
+      matchCount: 1
+    }));
+    expect(patternService.getCharacteristics().map(characteristic => characteristic.name)).toContain('nightly');
+  });
+
+  test('Have to skip a characteristic that throws', () => {
+    patternService.register({ name: 'broken', evaluate: () => { throw new Error('boom'); } });
+
+    const { patterns } = patternService.analyze([createJob()]);
+
+    expect(patterns.some(pattern => pattern.characteristic === 'broken')).toBe(false);
+    expect(patterns.length).toBeGreaterThan(0);
+  });
+
+  test('Have to reject a characteristic without an evaluate function', () => {
+    expect(() => patternService.register({ name: 'nothing' })).toThrow('Characteristic nothing must have an evaluate function');
+  });
+
+  test('Have to rank characteristics by the adjusted p-value of their test', () => {
+    const jobs = [
+      ...createJobs(20, { jobName: 'short', priority: 1 }),
+      ...createJobs(20, { jobName: 'short', priority: 5, status: JobStatus.FAILED }),
+      ...createJobs(20, { jobName: 'a-rather-long-name', priority: 1 }),
+      ...createJobs(20, { jobName: 'a-rather-long-name', priority: 5, status: JobStatus.FAILED })
+    ];
+
+    const report = patternService.correlate(jobs);
+    const [first] = report.correlations;
+    const nameLength = report.correlations.find(correlation => correlation.characteristic === 'nameLength');
+
+    expect(report.sampleSize).toBe(80);
+    expect(report.correction).toBe('benjamini-hochberg');
+    expect(first).toEqual(expect.objectContaining({
+      characteristic: 'priority',
+      test: 'chi-square',
+      degreesOfFreedom: 1,
+      cramersV: 1,
+      significant: true
+    }));
+    expect(first.adjustedPValue).toBeLessThan(0.05);
+    expect(nameLength).toEqual(expect.objectContaining({ pValue: 1, cramersV: 0, significant: false }));
+    expect(nameLength.adjustedPValue).toBe(1);
+  });
+
+  test("Have to use Fisher's exact test for small samples", () => {
+    const jobs = [
+      ...createJobs(4, { jobName: 'short' }),
+      ...createJobs(4, { jobName: 'a-rather-long-name', status: JobStatus.FAILED })
+    ];
+
+    const nameLength = patternService.correlate(jobs).correlations
+      .find(correlation => correlation.characteristic === 'nameLength');
+
+    expect(nameLength.test).toBe('fisher-exact');
+    expect(nameLength.pValue).toBeCloseTo(0.028571, 6);
+    expect(nameLength.patterns).toHaveLength(2);
+  });
+
+  test('Have not to test characteristics with a single pattern', () => {
+    const report = patternService.correlate([...createJobs(5), createJob({ status: JobStatus.FAILED })]);
+    const priority = report.correlations.find(correlation => correlation.characteristic === 'priority');
+
+    expect(priority).toEqual(expect.objectContaining({ test: null, pValue: null, adjustedPValue: null, significant: false }));
+    expect(report.correlations.at(-1).test).toBeNull();
+  });
+
+  test('Have to calculate the Wilson score interval', () => {
+    const { lower, upper } = wilsonInterval(8, 10);
+
+    expect(lower).toBeCloseTo(0.4902, 4);
+    expect(upper).toBeCloseTo(0.9433, 4);
+    expect(wilsonInterval(0, 0)).toEqual({ lower: 0, upper: 1 });
+  });
+});
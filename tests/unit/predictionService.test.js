@@ -0,0 +1,104 @@
+/**
+ * Unit-tests for predictionService
+ */
+import { predictionService } from '../../src/services/predictionService.js';
+import { patternService } from '../../src/services/patternService.js';
+import { JobStatus } from '../../src/models/job.js';
+
+/**
+ * Creates plain objects with the job fields the characteristics read
+ * @param {number} count - Number of jobs
+ * @param {Object} overrides - Fields to override
+ * @returns {Object[]} - Job-like objects
+ */
+const createJobs = (count, overrides = {}) => Array.from({ length: count }, (_, index) => ({
+  id: `job-${index}`,
+  jobName: 'job',
+  jobArgs: [],
+  namedArgs: {},
+  priority: 3,
+  retryCount: 0,
+  status: JobStatus.COMPLETED,
+  createdAt: new Date(Date.UTC(2025, 0, 1, 12, 0, index)).toISOString(),
+  attempts: [],
+  ...overrides
+}));
+
+afterEach(() => {
+  predictionService.clear();
+  patternService.clear();
+});
+
+describe('PredictionService', () => {
+  test('Have not to predict before enough jobs have finished', () => {
+    expect(predictionService.train(createJobs(5))).toBe(false);
+
+    expect(predictionService.predict(createJobs(1)[0])).toBeNull();
+    expect(predictionService.getModel()).toEqual(expect.objectContaining({
+      trained: false,
+      sampleSize: 5,
+      accuracy: null,
+      features: []
+    }));
+  });
+
+  test('Have to predict a higher probability for patterns that usually succeed', () => {
+    predictionService.train([
+      ...createJobs(20, { priority: 5 }),
+      ...createJobs(20, { priority: 1, status: JobStatus.FAILED }),
+      ...createJobs(2, { priority: 1 }),
+      createJobs(1, { status: JobStatus.CANCELLED })[0]
+    ]);
+
+    const [likely] = createJobs(1, { priority: 5 });
+    const [unlikely] = createJobs(1, { priority: 1 });
+
+    expect(predictionService.predict(likely)).toBeGreaterThan(0.9);
+    expect(predictionService.predict(unlikely)).toBeLessThan(0.2);
+
+    const model = predictionService.getModel();
+    const priority = model.features.find(feature => feature.characteristic === 'priority');
+
+    expect(model.sampleSize).toBe(42);
+    expect(priority.weights[0]).toEqual(expect.objectContaining({ pattern: 'Priority 5', successCount: 20, failureCount: 0 }));
+    expect(priority.weights[0].weight).toBeGreaterThan(0);
+    expect(priority.weights[1].weight).toBeLessThan(0);
+  });
+
+  test('Have to measure accuracy on the most recent jobs', () => {
+    const jobs = [...createJobs(10, { priority: 5 }), ...createJobs(10, { priority: 1, status: JobStatus.FAILED })]
+      // Alternate the outcomes over time so both end up in the held-out jobs
+      .map((job, index) => ({ ...job, createdAt: new Date(Date.UTC(2025, 0, 1, 12, 0, (index % 10) * 2 + (index >= 10 ? 1 : 0))).toISOString() }));
+
+    predictionService.train(jobs);
+
+    expect(predictionService.getModel()).toEqual(expect.objectContaining({
+      trained: true,
+      holdoutSize: 4,
+      accuracy: 1,
+      baselineAccuracy: 0.5
+    }));
+  });
+
+  test('Have not to learn from characteristics that describe how the job ran', () => {
+    predictionService.train([
+      ...createJobs(10, { retryCount: 0 }),
+      ...createJobs(10, { retryCount: 2, status: JobStatus.FAILED })
+    ]);
+
+    const characteristics = predictionService.getModel().features.map(feature => feature.characteristic);
+
+    expect(characteristics).toContain('nameLength');
+    expect(characteristics).not.toContain('retryCount');
+    expect(characteristics).not.toContain('timeOfDay');
+  });
+
+  test('Have to be retrained once invalidated', () => {
+    predictionService.train(createJobs(10));
+    expect(predictionService.isStale).toBe(false);
+
+    predictionService.invalidate();
+
+    expect(predictionService.isStale).toBe(true);
+  });
+});
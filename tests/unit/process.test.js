@@ -0,0 +1,133 @@
+/**
+ * Unit-tests for the process utils, against real processes
+ */
+import { jest } from '@jest/globals';
+import fs from 'fs';
+import { spawn } from 'child_process';
+import {
+  getProcessTree,
+  signalProcessTree,
+  killProcessTree,
+  getProcessStartTime,
+  isSameProcess
+} from '../../src/utils/process/index.js';
+
+/**
+ * Waits until a condition holds
+ * @param {function(): boolean} condition - Condition to wait for
+ * @param {number} [timeoutMs=5000] - Time to wait before failing
+ */
+const waitFor = async (condition, timeoutMs = 5000) => {
+  const deadline = Date.now() + timeoutMs;
+
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+};
+
+/**
+ * Checks whether a process is gone; a zombie left for its parent to reap counts as gone
+ * @param {number} pid - Process ID
+ * @returns {boolean} - True if the process no longer runs
+ */
+const isGone = pid => getProcessStartTime(pid) === null;
+
+// Shells started by the tests, killed with their grandchildren afterwards unless a test killed them already
+let children = [];
+
+/**
+ * Starts a shell that starts a grandchild and waits for it
+ * @returns {Promise<{child: import('child_process').ChildProcess, grandchildPid: number, exited: Promise<void>}>} -
+ *   Shell, PID of its grandchild, and a promise that resolves once the shell exited
+ */
+const spawnTree = async () => {
+  const child = spawn('sh', ['-c', 'sleep 30 & wait'], { stdio: 'ignore' });
+  const exited = new Promise(resolve => child.once('exit', () => resolve()));
+  children.push(child);
+
+  let tree = [];
+  await waitFor(() => {
+    tree = getProcessTree(child.pid);
+    return tree.length > 1;
+  });
+
+  return { child, grandchildPid: tree[1], exited };
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  for (const child of children.filter(started => started.exitCode === null && started.signalCode === null)) {
+    killProcessTree(child.pid);
+  }
+  children = [];
+});
+
+const describeOnLinux = process.platform === 'linux' ? describe : describe.skip;
+
+describeOnLinux('process utils', () => {
+  test('Have to find the children of a process, root first', async () => {
+    const { child, grandchildPid } = await spawnTree();
+
+    const tree = getProcessTree(child.pid);
+
+    expect(tree[0]).toBe(child.pid);
+    expect(tree).toContain(grandchildPid);
+    expect(getProcessTree(grandchildPid)).toEqual([grandchildPid]);
+  });
+
+  test('Have to find the same tree with ps when /proc is unavailable', async () => {
+    const { child, grandchildPid } = await spawnTree();
+    const existsSync = fs.existsSync;
+    jest.spyOn(fs, 'existsSync').mockImplementation(file => file !== '/proc' && existsSync(file));
+
+    expect(getProcessTree(child.pid)).toEqual([child.pid, grandchildPid]);
+    expect(fs.existsSync).toHaveBeenCalledWith('/proc');
+  });
+
+  test('Have to kill the whole tree, grandchildren included', async () => {
+    const { child, grandchildPid, exited } = await spawnTree();
+
+    const killed = killProcessTree(child.pid);
+    await exited;
+
+    expect(killed).toEqual(expect.arrayContaining([child.pid, grandchildPid]));
+    await waitFor(() => isGone(grandchildPid));
+  });
+
+  test('Have to send other signals to every process of the tree', async () => {
+    const { child, grandchildPid } = await spawnTree();
+
+    expect(signalProcessTree(child.pid, 'SIGSTOP')).toEqual([child.pid, grandchildPid]);
+    await waitFor(() => fs.readFileSync(`/proc/${grandchildPid}/stat`, 'utf8').split(') ')[1].startsWith('T'));
+
+    signalProcessTree(child.pid, 'SIGCONT');
+    killProcessTree(child.pid);
+  });
+
+  test('Have to recognize a process only by the start time recorded for it', async () => {
+    const { child } = await spawnTree();
+    const startTime = getProcessStartTime(child.pid);
+
+    expect(Math.abs(Date.parse(startTime) - Date.now())).toBeLessThan(10000);
+    expect(isSameProcess(child.pid, startTime)).toBe(true);
+    // Within the tolerance for the rounding of the boot time
+    expect(isSameProcess(child.pid, new Date(Date.parse(startTime) + 500).toISOString())).toBe(true);
+    // A PID reused by a process started at another time is not the recorded process
+    expect(isSameProcess(child.pid, new Date(Date.parse(startTime) - 60000).toISOString())).toBe(false);
+    expect(isSameProcess(child.pid, null)).toBe(false);
+  });
+
+  test('Should not recognize a process that has exited', async () => {
+    const { child, exited } = await spawnTree();
+    const startTime = getProcessStartTime(child.pid);
+
+    killProcessTree(child.pid);
+    await exited;
+
+    expect(getProcessStartTime(child.pid)).toBeNull();
+    expect(isSameProcess(child.pid, startTime)).toBe(false);
+  });
+});
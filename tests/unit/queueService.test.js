@@ -0,0 +1,76 @@
+/**
+ * Unit-tests for queueService
+ */
+import { queueService } from '../../src/services/queueService.js';
+import { validateQueueSettings } from '../../src/utils/queue/index.js';
+import { config } from '../../src/config/index.js';
+
+afterEach(() => {
+  queueService.clear();
+});
+
+describe('QueueService', () => {
+  test('Have to load the queues of QUEUES next to the default queue', () => {
+    queueService.load(JSON.stringify({
+      transcode: { concurrency: 2, retryPolicy: { attempts: 5 } },
+      metadata: { concurrency: 8, defaultPriority: 4 }
+    }));
+
+    expect(queueService.getNames()).toEqual(['default', 'metadata', 'transcode']);
+    expect(queueService.get('default')).toEqual({
+      name: 'default',
+      concurrency: config.MAX_CONCURRENT_JOBS,
+      defaultPriority: 3,
+      retryPolicy: null
+    });
+    expect(queueService.get('transcode')).toEqual({
+      name: 'transcode',
+      concurrency: 2,
+      defaultPriority: 3,
+      retryPolicy: { attempts: 5 }
+    });
+    expect(queueService.get('metadata').defaultPriority).toBe(4);
+  });
+
+  test('Have to let QUEUES configure the default queue', () => {
+    queueService.load(JSON.stringify({ default: { concurrency: 1 } }));
+
+    expect(queueService.get('default').concurrency).toBe(1);
+  });
+
+  test('Have to throw for invalid QUEUES', () => {
+    expect(() => queueService.load('[]')).toThrow('QUEUES must be a JSON object of queue names to settings');
+    expect(() => queueService.load('{transcode: 2}')).toThrow(/^QUEUES must be valid JSON: /);
+    expect(() => queueService.load(JSON.stringify({ transcode: { concurrency: 0 } })))
+      .toThrow("Invalid queue 'transcode': concurrency must be a positive integer");
+    expect(() => queueService.load(JSON.stringify({ 'gpu jobs': { concurrency: 1 } }))).toThrow(/^Invalid queue name: gpu jobs/);
+  });
+
+  test('Have to change only the given settings of an existing queue', () => {
+    queueService.update('transcode', { concurrency: 2, defaultPriority: 2 });
+
+    const result = queueService.update('transcode', { concurrency: 6 });
+
+    expect(result).toEqual({
+      queue: { name: 'transcode', concurrency: 6, defaultPriority: 2, retryPolicy: null },
+      created: false
+    });
+  });
+
+  test('Have to require a concurrency for a new queue', () => {
+    expect(() => queueService.update('thumbnails', { defaultPriority: 2 }))
+      .toThrow("Invalid queue 'thumbnails': concurrency is required");
+    expect(queueService.has('thumbnails')).toBe(false);
+    expect(queueService.update('thumbnails', { concurrency: 3 }).created).toBe(true);
+  });
+
+  test('Have to report every invalid queue setting', () => {
+    expect(validateQueueSettings({
+      concurrency: 1.5,
+      defaultPriority: 9,
+      retryPolicy: { attempts: -1 },
+      weight: 2
+    }).map(violation => violation.field)).toEqual(['weight', 'concurrency', 'defaultPriority', 'retryPolicy/attempts']);
+    expect(validateQueueSettings({}, { partial: true })).toEqual([]);
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Unit-tests for the retry policy utilities
+ */
+import {
+  validateRetryPolicy,
+  resolveRetryPolicy,
+  isRetryable,
+  getRetryDelayMs
+} from '../../src/utils/retry/index.js';
+
+describe('retry utils', () => {
+  describe('validateRetryPolicy', () => {
+    test('Have to accept a valid policy', () => {
+      expect(validateRetryPolicy({
+        attempts: 3,
+        initialDelayMs: 500,
+        multiplier: 1.5,
+        maxDelayMs: 10000,
+        jitter: 0.1,
+        retryOn: { exceptExitCodes: [2], exceptSignals: ['SIGKILL'], timeouts: false }
+      })).toEqual([]);
+    });
+
+    test('Have to report every violation', () => {
+      const violations = validateRetryPolicy({
+        attempts: -1,
+        multiplier: 0.5,
+        delay: 100,
+        retryOn: { exitCodes: ['1'], signals: ['KILL'], onTimeout: true }
+      });
+
+      expect(violations.map(violation => violation.field)).toEqual([
+        'retryPolicy/delay',
+        'retryPolicy/attempts',
+        'retryPolicy/multiplier',
+        'retryPolicy/retryOn/exitCodes',
+        'retryPolicy/retryOn/signals',
+        'retryPolicy/retryOn/onTimeout'
+      ]);
+    });
+
+    test('Have to reject a policy that is not an object', () => {
+      expect(validateRetryPolicy([1, 2])).toEqual([{ field: 'retryPolicy', message: 'retryPolicy must be an object' }]);
+    });
+  });
+
+  describe('resolveRetryPolicy', () => {
+    test('Have to let later policies override the settings they set', () => {
+      expect(resolveRetryPolicy({ attempts: 3, jitter: 0.2 }, null, { attempts: 0 })).toEqual({ attempts: 0, jitter: 0.2 });
+    });
+  });
+
+  describe('isRetryable', () => {
+    test('Have to retry any failure without retryOn', () => {
+      expect(isRetryable({}, { exitCode: 2 })).toBe(true);
+      expect(isRetryable({}, { signal: 'SIGKILL' })).toBe(true);
+      expect(isRetryable({}, { timedOut: true })).toBe(true);
+      expect(isRetryable({}, {})).toBe(true);
+    });
+
+    test('Have to apply exit code and signal filters', () => {
+      const policy = { retryOn: { exitCodes: [1, 75], exceptSignals: ['SIGKILL'] } };
+
+      expect(isRetryable(policy, { exitCode: 75 })).toBe(true);
+      expect(isRetryable(policy, { exitCode: 2 })).toBe(false);
+      expect(isRetryable(policy, { signal: 'SIGKILL' })).toBe(false);
+      expect(isRetryable(policy, { signal: 'SIGTERM' })).toBe(true);
+      expect(isRetryable({ retryOn: { exceptExitCodes: [2] } }, { exitCode: 2 })).toBe(false);
+    });
+
+    test('Have not to retry timeouts when timeouts is false', () => {
+      expect(isRetryable({ retryOn: { timeouts: false } }, { timedOut: true })).toBe(false);
+    });
+  });
+
+  describe('getRetryDelayMs', () => {
+    const policy = { initialDelayMs: 1000, multiplier: 2, maxDelayMs: 5000, jitter: 0.5 };
+
+    test('Have to grow the delay exponentially up to maxDelayMs', () => {
+      const noJitter = () => 0;
+
+      expect(getRetryDelayMs(policy, 1, noJitter)).toBe(1000);
+      expect(getRetryDelayMs(policy, 2, noJitter)).toBe(2000);
+      expect(getRetryDelayMs(policy, 3, noJitter)).toBe(4000);
+      expect(getRetryDelayMs(policy, 4, noJitter)).toBe(5000);
+    });
+
+    test('Have to shorten the delay by up to jitter', () => {
+      expect(getRetryDelayMs(policy, 2, () => 0.5)).toBe(1500);
+      expect(getRetryDelayMs(policy, 2, () => 0.999)).toBeGreaterThan(1000);
+    });
+  });
+});
@@ -0,0 +1,170 @@
+/**
+ * Unit-tests for scheduleService
+ */
+import { jest } from '@jest/globals';
+import { Job, JobStatus } from '../../src/models/job.js';
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// Jobs created through the mocked jobService, in submission order
+let mockJobs = [];
+
+const mockCreateJob = jest.fn((jobName, jobArgs, priority, { scheduleId }) => {
+  const job = new Job(jobName, jobArgs, { logger: silentLogger, priority, scheduleId });
+  mockJobs.push(job);
+  return job;
+});
+
+jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  jobService: {
+    createJob: mockCreateJob,
+    getJobById: jest.fn(jobId => mockJobs.find(job => job.id === jobId) ?? null)
+  }
+}));
+
+const { scheduleService } = await import('../../src/services/scheduleService.js');
+const { validateSchedule, getNextRunAt } = await import('../../src/utils/schedule/index.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.useFakeTimers({ now: new Date('2026-01-01T00:00:00.000Z') });
+  mockJobs = [];
+});
+
+afterEach(() => {
+  scheduleService.clear();
+  jest.useRealTimers();
+});
+
+describe('ScheduleService', () => {
+  test('Have to create a job linked to the schedule on every interval', () => {
+    const schedule = scheduleService.createSchedule({
+      intervalMs: 60000,
+      job: { jobName: 'report', args: ['daily'], priority: 2 }
+    });
+
+    expect(schedule.nextRunAt).toBe('2026-01-01T00:01:00.000Z');
+
+    jest.advanceTimersByTime(59999);
+    expect(mockCreateJob).not.toHaveBeenCalled();
+
+    jest.advanceTimersByTime(1);
+    jest.advanceTimersByTime(60000);
+
+    expect(mockCreateJob).toHaveBeenCalledTimes(2);
+    expect(mockCreateJob).toHaveBeenCalledWith('report', ['daily'], 2, expect.objectContaining({
+      type: 'report',
+      scheduleId: schedule.id
+    }));
+    expect(schedule.toJSON()).toEqual(expect.objectContaining({
+      runCount: 2,
+      lastRunAt: '2026-01-01T00:02:00.000Z',
+      lastJobId: mockJobs[1].id,
+      nextRunAt: '2026-01-01T00:03:00.000Z'
+    }));
+  });
+
+  test('Have to evaluate cron expressions in the time zone of the schedule', () => {
+    const schedule = scheduleService.createSchedule({
+      cron: '0 3 * * *',
+      timezone: 'Europe/Berlin',
+      job: { jobName: 'backup' }
+    });
+
+    expect(schedule.nextRunAt).toBe('2026-01-01T02:00:00.000Z');
+
+    jest.advanceTimersByTime(2 * 60 * 60 * 1000);
+
+    expect(mockJobs.map(job => job.scheduleId)).toEqual([schedule.id]);
+    expect(schedule.nextRunAt).toBe('2026-01-02T02:00:00.000Z');
+  });
+
+  test('Have to skip a missed run with the skip misfire policy', () => {
+    const schedule = scheduleService.createSchedule({ intervalMs: 60000, job: { jobName: 'report' } });
+
+    // The timer fires ten minutes late, as it would after the process was suspended
+    jest.setSystemTime(new Date('2026-01-01T00:10:00.000Z'));
+    jest.advanceTimersByTime(60000);
+
+    expect(mockCreateJob).not.toHaveBeenCalled();
+    expect(schedule.skippedRunCount).toBe(1);
+    expect(schedule.nextRunAt).toBe('2026-01-01T00:12:00.000Z');
+  });
+
+  test('Have to run once for all missed runs with the run_once misfire policy', () => {
+    const schedule = scheduleService.createSchedule({
+      intervalMs: 60000,
+      misfirePolicy: 'run_once',
+      job: { jobName: 'report' }
+    });
+
+    jest.setSystemTime(new Date('2026-01-01T00:10:00.000Z'));
+    jest.advanceTimersByTime(60000);
+
+    expect(mockCreateJob).toHaveBeenCalledTimes(1);
+    expect(schedule.runCount).toBe(1);
+    expect(schedule.nextRunAt).toBe('2026-01-01T00:12:00.000Z');
+  });
+
+  test('Have to skip a run while the previous job is unfinished with the forbid overlap policy', () => {
+    const schedule = scheduleService.createSchedule({
+      intervalMs: 60000,
+      overlapPolicy: 'forbid',
+      job: { jobName: 'report' }
+    });
+
+    jest.advanceTimersByTime(60000);
+    mockJobs[0].updateStatus(JobStatus.RUNNING);
+    jest.advanceTimersByTime(60000);
+
+    expect(mockCreateJob).toHaveBeenCalledTimes(1);
+    expect(schedule.skippedRunCount).toBe(1);
+
+    mockJobs[0].updateStatus(JobStatus.COMPLETED);
+    jest.advanceTimersByTime(60000);
+
+    expect(mockCreateJob).toHaveBeenCalledTimes(2);
+  });
+
+  test('Have to stop running a schedule once it is disabled or deleted', () => {
+    const schedule = scheduleService.createSchedule({ intervalMs: 60000, job: { jobName: 'report' } });
+
+    scheduleService.updateSchedule(schedule.id, { enabled: false });
+    expect(schedule.nextRunAt).toBeNull();
+    jest.advanceTimersByTime(120000);
+    expect(mockCreateJob).not.toHaveBeenCalled();
+
+    scheduleService.updateSchedule(schedule.id, { enabled: true, intervalMs: 30000 });
+    expect(schedule.nextRunAt).toBe('2026-01-01T00:02:30.000Z');
+
+    expect(scheduleService.deleteSchedule(schedule.id)).toBe(schedule);
+    jest.advanceTimersByTime(60000);
+    expect(mockCreateJob).not.toHaveBeenCalled();
+    expect(scheduleService.getScheduleById(schedule.id)).toBeNull();
+    expect(scheduleService.updateSchedule(schedule.id, { enabled: true })).toBeNull();
+  });
+
+  test('Have to report every invalid schedule setting', () => {
+    expect(validateSchedule({ job: {} })).toEqual([{ field: 'cron', message: 'Either cron or intervalMs is required' }]);
+    expect(validateSchedule({
+      cron: 'not a cron',
+      timezone: 'Mars/Olympus',
+      enabled: 'yes',
+      misfirePolicy: 'later',
+      job: { jobName: 'report', dependsOn: [] },
+      every: '5m'
+    }).map(violation => violation.field)).toEqual(['every', 'cron', 'timezone', 'enabled', 'misfirePolicy', 'job/dependsOn']);
+    expect(validateSchedule({ intervalMs: 500 }, { partial: true })).toEqual([
+      { field: 'intervalMs', message: 'intervalMs must be an integer >= 1000' }
+    ]);
+    expect(() => scheduleService.createSchedule({ cron: '* * * * *', intervalMs: 60000, job: {} }))
+      .toThrow('Invalid schedule: Only one of cron and intervalMs can be set');
+  });
+
+  test('Should keep interval runs in phase with the previous run', () => {
+    const timing = { cron: null, intervalMs: 60000, timezone: 'UTC' };
+
+    expect(getNextRunAt(timing, new Date('2026-01-01T00:05:30.000Z'), new Date('2026-01-01T00:01:00.000Z')))
+      .toEqual(new Date('2026-01-01T00:06:00.000Z'));
+  });
+});
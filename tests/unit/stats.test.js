@@ -0,0 +1,78 @@
+/**
+ * Unit-tests for the stats utilities
+ */
+import {
+  chiSquareTest,
+  fisherExactTest,
+  cramersV,
+  benjaminiHochberg,
+  upperIncompleteGamma,
+  QuantileSketch
+} from '../../src/utils/stats/index.js';
+
+describe('stats utils', () => {
+  test('Have to calculate the chi-square test of independence', () => {
+    const result = chiSquareTest([[10, 20], [30, 5]]);
+
+    expect(result.statistic).toBeCloseTo(18.7262, 4);
+    expect(result.degreesOfFreedom).toBe(1);
+    expect(result.pValue).toBeCloseTo(0.0000151, 7);
+    expect(result.minExpected).toBeCloseTo(11.5385, 4);
+  });
+
+  test('Have to calculate the chi-square p-value for several degrees of freedom', () => {
+    // Critical values of the chi-square distribution at 0.05
+    expect(upperIncompleteGamma(1 / 2, 3.841 / 2)).toBeCloseTo(0.05, 4);
+    expect(upperIncompleteGamma(4 / 2, 9.488 / 2)).toBeCloseTo(0.05, 4);
+    expect(upperIncompleteGamma(1, 0)).toBe(1);
+  });
+
+  test("Have to calculate the two-sided Fisher's exact test", () => {
+    expect(fisherExactTest([[1, 9], [11, 3]])).toBeCloseTo(0.002759, 6);
+    expect(fisherExactTest([[3, 1], [1, 3]])).toBeCloseTo(0.485714, 6);
+    expect(fisherExactTest([[2, 2], [2, 2]])).toBeCloseTo(1, 6);
+  });
+
+  test("Have to calculate Cramér's V", () => {
+    expect(cramersV(18.7262, 65, 2, 2)).toBeCloseTo(0.5367, 4);
+    expect(cramersV(0, 0, 2, 2)).toBe(0);
+  });
+
+  test('Have to adjust p-values with the Benjamini-Hochberg procedure', () => {
+    const adjusted = benjaminiHochberg([0.01, 0.04, 0.03, 0.2]);
+
+    expect(adjusted[0]).toBeCloseTo(0.04, 6);
+    expect(adjusted[1]).toBeCloseTo(0.053333, 6);
+    expect(adjusted[2]).toBeCloseTo(0.053333, 6);
+    expect(adjusted[3]).toBeCloseTo(0.2, 6);
+  });
+
+  test('Have to estimate quantiles within the relative accuracy of the sketch', () => {
+    const sketch = new QuantileSketch({ relativeAccuracy: 0.01 });
+
+    for (let value = 1; value <= 10000; value++) {
+      sketch.add(value);
+    }
+    sketch.add(-1);
+
+    expect(sketch.count).toBe(10000);
+    expect(sketch.max).toBe(10000);
+    expect(Math.abs(sketch.quantile(0.5) - 5000) / 5000).toBeLessThanOrEqual(0.01);
+    expect(Math.abs(sketch.quantile(0.99) - 9900) / 9900).toBeLessThanOrEqual(0.01);
+    expect(sketch.quantile(1)).toBeLessThanOrEqual(10000);
+  });
+
+  test('Have to keep the number of buckets bounded', () => {
+    const sketch = new QuantileSketch({ maxBuckets: 10 });
+
+    for (let value = 1; value <= 1000; value++) {
+      sketch.add(value);
+    }
+    sketch.add(0);
+
+    // High quantiles stay accurate, low ones are merged into the lowest bucket kept
+    expect(Math.abs(sketch.quantile(0.99) - 990) / 990).toBeLessThanOrEqual(0.01);
+    expect(sketch.quantile(0)).toBe(0);
+    expect(new QuantileSketch().quantile(0.5)).toBeNull();
+  });
+});
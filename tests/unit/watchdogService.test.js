@@ -0,0 +1,46 @@
+/**
+ * Unit-tests for watchdogService
+ */
+import { jest } from '@jest/globals';
+
+const mockKillProcessTree = jest.fn(() => [12345]);
+jest.unstable_mockModule('../../src/utils/process/index.js', () => ({
+  killProcessTree: mockKillProcessTree
+}));
+
+const { watchdogService } = await import('../../src/services/watchdogService.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  watchdogService.clear();
+});
+
+describe('WatchdogService', () => {
+  test('Have to kill process tree once the deadline passes', async () => {
+    watchdogService.watch('job-1', 12345, 20);
+    
+    expect(watchdogService.isTimedOut('job-1')).toBe(false);
+    
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(mockKillProcessTree).toHaveBeenCalledWith(12345);
+    expect(watchdogService.isTimedOut('job-1')).toBe(true);
+    expect(watchdogService.unwatch('job-1').timedOut).toBe(true);
+  });
+  
+  test('Have not to kill process that was unwatched before its deadline', async () => {
+    watchdogService.watch('job-2', 12345, 20);
+    const entry = watchdogService.unwatch('job-2');
+    
+    await new Promise(resolve => setTimeout(resolve, 50));
+    
+    expect(entry.timedOut).toBe(false);
+    expect(mockKillProcessTree).not.toHaveBeenCalled();
+    expect(watchdogService.getWatched()).toEqual([]);
+  });
+  
+  test('Have not to watch when timeout is disabled', () => {
+    expect(watchdogService.watch('job-3', 12345, 0)).toBeNull();
+    expect(watchdogService.getWatched()).toEqual([]);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Unit-tests for webhookService, against a local HTTP receiver
+ */
+import { jest } from '@jest/globals';
+import crypto from 'crypto';
+import dns from 'dns';
+import http from 'http';
+import { webhookService } from '../../src/services/webhookService.js';
+import { Job, JobStatus } from '../../src/models/job.js';
+import { config } from '../../src/config/index.js';
+import { validateWebhooks, getWebhookEvent } from '../../src/utils/webhook/index.js';
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+let server;
+let baseUrl;
+let requests;
+// Status codes the receiver answers with, in order; 200 once they run out
+let responses;
+const originalConfig = { ...config };
+
+/**
+ * Creates a job that notifies webhookService of its status changes
+ * @param {Object[]} webhooks - Webhooks of the job
+ * @returns {Job} - Job
+ */
+const createJob = webhooks => new Job('webhook-job', [], {
+  logger: silentLogger,
+  webhooks,
+  onStatusChange: (job, previousStatus) => webhookService.notify(job, previousStatus)
+});
+
+/**
+ * Waits until a condition holds
+ * @param {function(): boolean} condition - Condition to wait for
+ * @param {number} [timeoutMs=2000] - Time to wait before failing
+ */
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error('Condition not met in time');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+beforeAll(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      requests.push({ url: req.url, headers: req.headers, body });
+      res.statusCode = responses.shift() ?? 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+  await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+  requests = [];
+  responses = [];
+  config.WEBHOOK_SECRET = 'test-secret';
+  config.WEBHOOK_RETRY_INITIAL_DELAY_MS = 10;
+  config.WEBHOOK_RETRY_ATTEMPTS = 2;
+  // The receiver of the tests is local
+  config.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  Object.assign(config, originalConfig);
+  webhookService.clear();
+});
+
+describe('WebhookService', () => {
+  test('Have to POST a signed payload of a subscribed status change', async () => {
+    const job = createJob([{ url: `${baseUrl}/hooks`, events: ['completed'] }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    job.updateStatus(JobStatus.COMPLETED);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'delivered');
+
+    expect(requests).toHaveLength(1);
+    const [{ url, headers, body }] = requests;
+    const payload = JSON.parse(body);
+    const expectedSignature = crypto.createHmac('sha256', 'test-secret')
+      .update(`${headers['x-webhook-timestamp']}.${body}`)
+      .digest('hex');
+
+    expect(url).toBe('/hooks');
+    expect(headers['x-webhook-event']).toBe('completed');
+    expect(headers['x-webhook-signature']).toBe(`sha256=${expectedSignature}`);
+    expect(payload).toEqual(expect.objectContaining({ event: 'completed', previousStatus: 'running' }));
+    expect(payload.job).toEqual(expect.objectContaining({ id: job.id, status: 'completed' }));
+
+    const [delivery] = webhookService.getDeliveries(job.id);
+    expect(delivery.id).toBe(headers['x-webhook-delivery']);
+    expect(delivery.attempts).toEqual([expect.objectContaining({ attempt: 1, statusCode: 200, error: null })]);
+  });
+
+  test('Have to report a failed attempt that goes back to the queue as retried', async () => {
+    const job = createJob([{ url: baseUrl, events: ['retried'] }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    job.updateStatus(JobStatus.RETRY_SCHEDULED);
+    job.updateStatus(JobStatus.PENDING);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'delivered');
+
+    expect(requests.map(request => request.headers['x-webhook-event'])).toEqual(['retried']);
+    expect(getWebhookEvent(JobStatus.PENDING, JobStatus.RUNNING)).toBe('retried');
+    expect(getWebhookEvent(JobStatus.PENDING, JobStatus.PAUSED)).toBeNull();
+  });
+
+  test('Have to retry a delivery the receiver failed with backoff', async () => {
+    responses = [500, 503];
+    const job = createJob([{ url: baseUrl, events: ['any'] }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'delivered');
+
+    const [delivery] = webhookService.getDeliveries(job.id);
+    expect(delivery.attempts.map(attempt => attempt.statusCode)).toEqual([500, 503, 200]);
+    expect(delivery.nextAttemptAt).toBeNull();
+    expect(new Set(requests.map(request => request.headers['x-webhook-delivery'])).size).toBe(1);
+  });
+
+  test('Have to give up on a delivery the receiver rejected', async () => {
+    responses = [400];
+    const job = createJob([{ url: baseUrl }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'failed');
+
+    expect(webhookService.getDeliveries(job.id)[0].attempts).toHaveLength(1);
+  });
+
+  test('Have to give up on an unreachable receiver after the last retry', async () => {
+    const unreachable = http.createServer();
+    await new Promise(resolve => unreachable.listen(0, '127.0.0.1', resolve));
+    const { port } = unreachable.address();
+    await new Promise(resolve => unreachable.close(resolve));
+    const job = createJob([{ url: `http://127.0.0.1:${port}` }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'failed');
+
+    const { attempts } = webhookService.getDeliveries(job.id)[0];
+    expect(attempts).toHaveLength(3);
+    expect(attempts[0]).toEqual(expect.objectContaining({ statusCode: null, error: expect.stringContaining('ECONNREFUSED') }));
+  });
+
+  test('Have to refuse to deliver to a local host that is not allowed, and not follow redirects', async () => {
+    config.WEBHOOK_ALLOWED_HOSTS = '';
+    const job = createJob([{ url: `${baseUrl}/hooks` }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'failed');
+
+    expect(requests).toHaveLength(0);
+    expect(webhookService.getDeliveries(job.id)[0].attempts).toEqual([
+      expect.objectContaining({ statusCode: null, error: '127.0.0.1 is a local host, webhooks of jobs may not reach it' })
+    ]);
+
+    config.WEBHOOK_ALLOWED_HOSTS = '127.0.0.1';
+    responses = [302];
+    const redirected = createJob([{ url: `${baseUrl}/hooks` }]);
+
+    redirected.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => webhookService.getDeliveries(redirected.id)[0]?.status === 'failed');
+
+    expect(webhookService.getDeliveries(redirected.id)[0].attempts.map(attempt => attempt.statusCode)).toEqual([302]);
+  });
+
+  test('Have to connect to the address the host was checked with', async () => {
+    config.WEBHOOK_ALLOWED_HOSTS = '';
+    config.WEBHOOK_RETRY_ATTEMPTS = 0;
+    config.WEBHOOK_TIMEOUT_MS = 200;
+    // The host resolves to a public address when it is checked, and to the receiver when it is looked up again
+    jest.spyOn(dns.promises, 'lookup').mockResolvedValue([{ address: '203.0.113.10', family: 4 }]);
+    const lookup = jest.spyOn(dns, 'lookup').mockImplementation((hostname, options, callback) => {
+      callback(null, [{ address: '127.0.0.1', family: 4 }]);
+    });
+    const job = createJob([{ url: `http://rebind.example:${server.address().port}/hooks` }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'failed');
+
+    expect(requests).toHaveLength(0);
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  test('Have to notify the global webhooks of the events they subscribe to', async () => {
+    // Set by the operator, so they are not restricted to public hosts
+    config.WEBHOOK_ALLOWED_HOSTS = '';
+    config.WEBHOOK_URLS = `${baseUrl}/global`;
+    config.WEBHOOK_EVENTS = 'failed';
+    webhookService.clear();
+    const job = createJob([]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    job.updateStatus(JobStatus.FAILED);
+    await waitFor(() => webhookService.getDeliveries(job.id)[0]?.status === 'delivered');
+
+    expect(requests.map(request => request.url)).toEqual(['/global']);
+    expect(webhookService.getDeliveries(job.id)).toHaveLength(1);
+  });
+
+  test('Have to send unsigned payloads without a secret', async () => {
+    config.WEBHOOK_SECRET = '';
+    const job = createJob([{ url: baseUrl }]);
+
+    job.updateStatus(JobStatus.RUNNING);
+    await waitFor(() => requests.length === 1);
+
+    expect(requests[0].headers['x-webhook-signature']).toBeUndefined();
+  });
+
+  test('Have to report every invalid webhook', () => {
+    const violations = validateWebhooks([
+      { url: 'ftp://example.com' },
+      { url: 'https://example.com', events: ['finished'], secret: 'x' },
+      'https://example.com'
+    ]);
+
+    expect(violations.map(violation => violation.field)).toEqual([
+      'webhooks/0/url',
+      'webhooks/1/secret',
+      'webhooks/1/events',
+      'webhooks/2'
+    ]);
+    expect(validateWebhooks({})).toEqual([{ field: 'webhooks', message: 'webhooks must be an array' }]);
+    expect(validateWebhooks([{ url: 'https://hooks.example.com/jobs', events: ['completed', 'failed'] }])).toEqual([]);
+  });
+
+  test('Have to reject webhooks of local hosts unless they are allowed', () => {
+    const localUrls = [
+      'http://localhost:9000/hooks',
+      'http://127.0.0.1/hooks',
+      'http://2130706433/hooks',
+      'http://169.254.169.254/latest/meta-data',
+      'http://10.1.2.3/hooks',
+      'http://172.20.0.1/hooks',
+      'http://192.168.1.10/hooks',
+      'http://0.0.0.0/hooks',
+      'http://[::1]/hooks',
+      'http://[fd00::1]/hooks',
+      'http://[fe80::1]/hooks',
+      'http://[::ffff:127.0.0.1]/hooks'
+    ];
+
+    for (const url of localUrls) {
+      expect(validateWebhooks([{ url }])).toEqual([
+        { field: 'webhooks/0/url', message: 'webhooks/0/url must not point to a loopback, private or link-local address' }
+      ]);
+    }
+    expect(validateWebhooks([{ url: 'http://8.8.8.8/hooks' }, { url: 'http://[2001:db8::1]/hooks' }])).toEqual([]);
+    expect(validateWebhooks([{ url: 'http://LOCALHOST:9000/hooks' }], 'webhooks', { allowedHosts: ['localhost'] })).toEqual([]);
+    expect(validateWebhooks([{ url: 'http://10.1.2.3/hooks' }], 'webhooks', { allowPrivateHosts: true })).toEqual([]);
+
+    config.WEBHOOK_ALLOWED_HOSTS = 'hooks.internal, ::1';
+    expect(webhookService.validateJobWebhooks([{ url: 'http://[::1]:8080/hooks' }])).toEqual([]);
+    expect(webhookService.validateJobWebhooks([{ url: 'http://169.254.169.254/' }])).toHaveLength(1);
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * Unit-tests for workflowController
+ */
+import { jest } from '@jest/globals';
+
+const mockCreateWorkflow = jest.fn();
+
+jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  jobService: {
+    getJobById: jest.fn(() => null)
+  }
+}));
+
+jest.unstable_mockModule('../../src/services/jobTypeService.js', () => ({
+  jobTypeService: {
+    has: jest.fn(name => name === 'build' || name === 'deploy'),
+    getNames: jest.fn(() => ['build', 'deploy']),
+    validateArgs: jest.fn(() => [])
+  }
+}));
+
+const { workflowService } = await import('../../src/services/workflowService.js');
+const { WorkflowController } = await import('../../src/controllers/workflowController.js');
+
+describe('WorkflowController', () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(workflowService, 'createWorkflow').mockImplementation(mockCreateWorkflow);
+
+    req = {
+      body: {},
+      params: {},
+      query: {}
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('createWorkflow', () => {
+    test('Have to return code 400 if the request has no body', () => {
+      req.body = undefined;
+
+      WorkflowController.createWorkflow(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Workflow must be an object',
+        code: 400,
+        errors: [{ field: 'body', message: 'Workflow must be an object' }]
+      });
+      expect(mockCreateWorkflow).not.toHaveBeenCalled();
+    });
+
+    test('Have to return code 400 with the violations of every job', () => {
+      req.body = { jobs: [{ key: 'build', jobName: 'build' }, { key: 'deploy', jobName: 'unknown', dependsOn: ['build'] }] };
+
+      WorkflowController.createWorkflow(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [expect.objectContaining({ field: 'jobs/1/type', message: expect.stringMatching(/^jobs\/1: Unknown job type: unknown/) })]
+      }));
+      expect(mockCreateWorkflow).not.toHaveBeenCalled();
+    });
+
+    test('Have to create a workflow and return code 201', () => {
+      const jobs = [{ key: 'build', jobName: 'build' }, { key: 'deploy', jobName: 'deploy', args: ['${{ jobs.build.outputs.artifact }}'], dependsOn: ['build'] }];
+      req.body = { jobs };
+      mockCreateWorkflow.mockReturnValue({ id: 'workflow-1', status: 'pending' });
+
+      WorkflowController.createWorkflow(req, res);
+
+      expect(mockCreateWorkflow).toHaveBeenCalledWith(jobs);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.json).toHaveBeenCalledWith({
+        message: 'Workflow created successfully',
+        workflow: { id: 'workflow-1', status: 'pending' }
+      });
+    });
+  });
+});
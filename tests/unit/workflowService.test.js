@@ -0,0 +1,145 @@
+/**
+ * Unit-tests for workflowService
+ */
+import { jest } from '@jest/globals';
+import { Job, JobStatus } from '../../src/models/job.js';
+
+const silentLogger = { debug: () => {}, info: () => {}, warn: () => {}, error: () => {} };
+
+// Jobs created through the mocked jobService, in submission order
+let mockJobs = [];
+
+const mockCreateJobs = jest.fn((requests) => {
+  const jobsByKey = new Map();
+
+  for (const { key, jobName, jobArgs, priority, options, upstreamKeys } of requests) {
+    jobsByKey.set(key, new Job(jobName, jobArgs, {
+      logger: silentLogger,
+      priority,
+      dependsOn: upstreamKeys.map(upstreamKey => jobsByKey.get(upstreamKey).id),
+      workflowId: options.workflow.id,
+      workflowKey: options.workflow.key
+    }));
+  }
+  mockJobs.push(...jobsByKey.values());
+  return [...jobsByKey.values()];
+});
+
+jest.unstable_mockModule('../../src/services/jobService.js', () => ({
+  jobService: {
+    createJobs: mockCreateJobs,
+    getAllJobs: jest.fn(() => mockJobs)
+  }
+}));
+
+const { workflowService, validateWorkflowJobs } = await import('../../src/services/workflowService.js');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  mockJobs = [];
+});
+
+describe('WorkflowService', () => {
+  test('Have to create the jobs upstream first, depending on each other by job ID', () => {
+    const workflow = workflowService.createWorkflow([
+      { key: 'upload', jobName: 'upload', dependsOn: ['resize'] },
+      { key: 'resize', jobName: 'resize', args: ['800x600'], priority: 4, dependsOn: ['download'] },
+      { key: 'download', jobName: 'download' }
+    ]);
+
+    const [download, resize, upload] = mockJobs;
+
+    expect(mockCreateJobs).toHaveBeenCalledTimes(1);
+    expect(mockJobs.map(job => job.workflowKey)).toEqual(['download', 'resize', 'upload']);
+    expect(mockCreateJobs.mock.calls[0][0][1]).toEqual(expect.objectContaining({
+      key: 'resize',
+      jobName: 'resize',
+      jobArgs: ['800x600'],
+      priority: 4,
+      upstreamKeys: ['download'],
+      options: expect.objectContaining({ type: 'resize', workflow: { id: workflow.id, key: 'resize' } })
+    }));
+    expect(resize.dependsOn).toEqual([download.id]);
+    expect(upload.dependsOn).toEqual([resize.id]);
+    expect(workflow).toEqual(expect.objectContaining({
+      status: 'pending',
+      total: 3,
+      counts: { pending: 3 },
+      completedAt: null
+    }));
+  });
+
+  test('Have to derive the status of a workflow from its jobs', () => {
+    const { id } = workflowService.createWorkflow([
+      { key: 'build', jobName: 'build' },
+      { key: 'test', jobName: 'test', dependsOn: ['build'] },
+      { key: 'deploy', jobName: 'deploy', dependsOn: ['test'] }
+    ]);
+    const [build, testJob, deploy] = mockJobs;
+
+    build.updateStatus(JobStatus.RUNNING);
+    expect(workflowService.getWorkflow(id).status).toBe('running');
+
+    build.updateStatus(JobStatus.COMPLETED);
+    testJob.updateStatus(JobStatus.RUNNING);
+    testJob.updateStatus(JobStatus.FAILED);
+    expect(workflowService.getWorkflow(id).status).toBe('running');
+
+    deploy.updateStatus(JobStatus.SKIPPED);
+    const workflow = workflowService.getWorkflow(id);
+    expect(workflow.status).toBe('failed');
+    expect(workflow.counts).toEqual({ completed: 1, failed: 1, skipped: 1 });
+    expect(workflow.completedAt).toBe(deploy.completedAt);
+    expect(workflowService.getWorkflow('missing')).toBeNull();
+  });
+
+  test('Have to throw without creating a workflow when a job cannot be created', () => {
+    mockCreateJobs.mockImplementationOnce(() => {
+      throw new Error('Invalid job arguments: args/0 must be integer');
+    });
+
+    expect(() => workflowService.createWorkflow([
+      { key: 'first', jobName: 'first' },
+      { key: 'second', jobName: 'second', dependsOn: ['first'] }
+    ])).toThrow('Invalid job arguments: args/0 must be integer');
+    expect(mockJobs).toEqual([]);
+  });
+
+  test('Have to report every invalid key and dependency', () => {
+    expect(validateWorkflowJobs([])).toEqual([{ field: 'jobs', message: 'jobs must be a non-empty array' }]);
+    expect(validateWorkflowJobs([
+      { key: 'a b' },
+      { key: 'b', dependsOn: ['b', 'missing'] },
+      { key: 'b' }
+    ]).map(violation => violation.field)).toEqual([
+      'jobs/0/key',
+      'jobs/2/key',
+      'jobs/1/dependsOn',
+      'jobs/1/dependsOn'
+    ]);
+    expect(validateWorkflowJobs([
+      { key: 'a', dependsOn: ['b'] },
+      { key: 'b', dependsOn: ['a'] }
+    ])).toEqual([{ field: 'jobs', message: 'jobs have a dependency cycle: a -> b -> a' }]);
+  });
+
+  test('Have to only allow references to outputs of upstream jobs', () => {
+    const violations = validateWorkflowJobs([
+      { key: 'decode' },
+      { key: 'thumbnail', args: ['${{ jobs.decode.outputs.path }}'], dependsOn: ['decode'] },
+      { key: 'upload', namedArgs: { file: ['${{ jobs.decode.outputs.path }}', '${{ jobs.report.outputs.file }}'] }, dependsOn: ['thumbnail'] },
+      { key: 'report', args: ['${{ jobs.upload.outputs.url }}'] }
+    ]);
+
+    expect(violations).toEqual([
+      {
+        field: 'jobs/2/namedArgs/file/1',
+        message: 'jobs/2/namedArgs/file/1 refers to output file of report, which is not upstream of upload'
+      },
+      {
+        field: 'jobs/3/args/0',
+        message: 'jobs/3/args/0 refers to output url of upload, which is not upstream of report'
+      }
+    ]);
+  });
+});